@@ -28,6 +28,34 @@ var Error = function(code, message, opt_token, opt_position, opt_fixData) {
 };
 
 
+/**
+ * Returns the location of the error in the file.
+ *
+ * Lines and columns are 1-based, the end column is right after the last
+ * character of the error. Errors without a token, like a missing file, are
+ * located at the beginning of the file.
+ *
+ * @return {{line: number, column: number, endLine: number,
+ *      endColumn: number}} The location.
+ */
+Error.prototype.getLocation = function() {
+    if (!this.token) {
+        return {line: 1, column: 1, endLine: 1, endColumn: 1};
+    }
+
+    var column = this.startIndex + 1;
+    var length = this.position ? this.position.length :
+            this.token.string.length;
+
+    return {
+        line: this.token.lineNumber,
+        column: column,
+        endLine: this.token.lineNumber,
+        endColumn: column + length
+    };
+};
+
+
 /**
  * Compare two error objects, by source code order.
  *
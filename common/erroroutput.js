@@ -6,38 +6,43 @@ var _s = require('underscore.string');
 
 
 /**
- * Get a output line for an error in UNIX format.
+ * Formats the error code the way it is printed in the output, e.g. '0131'
+ * or '-001' for file-fatal errors.
+ * @param {number} code The error code.
+ * @return {string} The formatted code.
  */
-var getUnixErrorOutput = function(filename, error) {
-    var line = '';
-
-    if (error.token) {
-        line = _s.sprintf('%d', error.token.lineNumber);
-    }
-
-    var errorCode = error.code < 0 ? _s.sprintf('-%03d', -1 * error.code) :
-            _s.sprintf('%04d', error.code);
-    return _s.sprintf('%s:%s:(%s) %s',
-            filename, line, errorCode, error.message);
+var formatErrorCode = function(code) {
+    return code < 0 ? _s.sprintf('-%03d', -1 * code) :
+            _s.sprintf('%04d', code);
 };
 
 
 /**
- * Get a output line for an error in regular format.
+ * Get a output line for an error in UNIX format, e.g.
+ * 'app.js:12:5:(0001) Extra space after "("'.
  */
-var getErrorOutput = function(error) {
-    var line = '';
+var getUnixErrorOutput = function(filename, error) {
+    var location = error.getLocation();
+
+    return _s.sprintf('%s:%d:%d:(%s) %s', filename, location.line,
+            location.column, formatErrorCode(error.code), error.message);
+};
 
-    if (error.token) {
-        line = _s.sprintf('Line %d, ', error.token.lineNumber);
-    }
 
-    var errorCode = error.code < 0 ? _s.sprintf('E:-%03d', -1 * error.code) :
-            _s.sprintf('E:%04d', error.code);
+/**
+ * Get a output line for an error in regular format, e.g.
+ * 'Line 12, Column 5, E:0001: Extra space after "("'. The letter before the
+ * code is the first letter of the severity.
+ */
+var getErrorOutput = function(error, opt_severity) {
+    var location = error.getLocation();
 
-    return _s.sprintf('%s%s: %s', line, errorCode, error.message);
+    return _s.sprintf('Line %d, Column %d, %s:%s: %s', location.line,
+            location.column, (opt_severity || 'error')[0].toUpperCase(),
+            formatErrorCode(error.code), error.message);
 };
 
 
+exports.formatErrorCode = formatErrorCode;
 exports.getUnixErrorOutput = getUnixErrorOutput;
 exports.getErrorOutput = getErrorOutput;
@@ -124,7 +124,19 @@ ScriptExtractor.prototype.getLines = function(parsedHtml) {
     _.each(parsedHtml, function(node) {
         var script = '';
         if (node.type == 'script' && (!node.attribs || !node.attribs.src)) {
-            script = node.children ? node.children[0].raw : '';
+            script = _.map(node.children, function(child) {
+                // Only the lines of comments in scripts are kept.
+                if (child.type == htmlparser.ElementType.Comment) {
+                    return _s.repeat('\n', _s.count(child.raw, '\n'));
+                }
+
+                // Drop the indentation of the closing tag on its own line.
+                var data = child.raw;
+                if (_s.rtrim(data, ' \t') != _s.rtrim(data, ' \t\n\r\f')) {
+                    data = _s.rtrim(data, ' \t');
+                }
+                return data;
+            }).join('');
         }
 
         var numberOfLines = _s.count(node.raw, '\n');
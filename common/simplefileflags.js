@@ -5,7 +5,6 @@
 var fs = require('fs');
 var glob = require('glob');
 var path = require('path');
-var program = require('commander');
 var _ = require('underscore');
 var _s = require('underscore.string');
 
@@ -28,15 +27,16 @@ var matchesSuffixes = function(filename, suffixes) {
  * Returns files to be linted, specified directly on the command line.
  * Can handle the '*' wildcard in filenames, but no other wildcards.
  *
+ * @param {Array.<string>} args Files given by the user.
  * @param {Array.<string>} suffixes Expected suffixes for the file type being
  *      checked.
  * @return {Array.<string>} A sequence of files to be linted.
  * @private
  */
-var _getUserSpecifiedFiles = function(suffixes) {
+var _getUserSpecifiedFiles = function(args, suffixes) {
     var allFiles = [];
 
-    _.each(program.args, function(f) {
+    _.each(args, function(f) {
         if (f.indexOf('*') != -1) {
             _.each(glob.sync(f, {mark: true}), function(result) {
                 allFiles = _.union(allFiles, result);
@@ -54,12 +54,13 @@ var _getUserSpecifiedFiles = function(suffixes) {
 /**
  * Returns files to be checked specified by the --recurse flag.
  *
+ * @param {string} root The directory to search in.
  * @param {Array.<string>} suffixes Expected suffixes for the file type being
  *      checked.
  * @return {Array.<string>} A list of files to be checked.
  * @private
  */
-var _getRecursiveFiles = function(suffixes) {
+var _getRecursiveFiles = function(root, suffixes) {
     var lintFiles = [];
 
     function getFiles(dir) {
@@ -76,7 +77,7 @@ var _getRecursiveFiles = function(suffixes) {
         });
     }
 
-    getFiles(process.cwd());
+    getFiles(root);
 
     return lintFiles;
 };
@@ -86,16 +87,20 @@ var _getRecursiveFiles = function(suffixes) {
  * @export
  * Returns all files specified by the user on the commandline.
  *
+ * @param {Array.<string>} args Files given on the command line.
  * @param {Array.<string>} suffixes Expected suffixes for the file type.
+ * @param {Options} options Options of the run.
+ * @param {function(number)=} opt_onSkipped Called with the number of excluded
+ *      files, if there are any.
  * @return {Array.<string>} A list of all files specified directly or indirectly
  *      (via flags) on the command line by the user.
  */
-var getAllSpecifiedFiles = function(suffixes) {
-    var files = _getUserSpecifiedFiles(suffixes);
-    if (program.recurse) {
-        files = files.concat(_getRecursiveFiles(suffixes));
+var getAllSpecifiedFiles = function(args, suffixes, options, opt_onSkipped) {
+    var files = _getUserSpecifiedFiles(args, suffixes);
+    if (options.get('recurse')) {
+        files = files.concat(_getRecursiveFiles(process.cwd(), suffixes));
     }
-    return filterFiles(files);
+    return filterFiles(files, options, opt_onSkipped);
 };
 
 
@@ -105,16 +110,22 @@ var getAllSpecifiedFiles = function(suffixes) {
  * Filters out files excluded using --exclude_files and  --exclude_directories.
  *
  * @param {Array.<string>} files Sequence of files that needs filtering.
+ * @param {Options} options Options of the run.
+ * @param {function(number)=} opt_onSkipped Called with the number of excluded
+ *      files, if there are any.
  * @return {Array.<string>} Filtered list of files to be linted.
  */
-var filterFiles = function(files) {
+var filterFiles = function(files, options, opt_onSkipped) {
     var numFiles = files.length;
-    var ignoreDirsRegexs = _.map(program.exclude_directories, function(val) {
-        return new RegExp(_s.sprintf('(^|[\\/])%s[\\/]', val));
-    });
 
     var resultFiles = _.filter(files, function(f) {
-        var addFile = _.every(program.exclude_files, function(name) {
+        var fileOptions = options.forFile(f);
+        var ignoreDirsRegexs = _.map(fileOptions.exclude_directories,
+                function(val) {
+                    return new RegExp(_s.sprintf('(^|[\\/])%s[\\/]', val));
+                });
+
+        var addFile = _.every(fileOptions.exclude_files, function(name) {
             return !_s.endsWith(f, '/' + name) && f != name;
         });
 
@@ -130,8 +141,8 @@ var filterFiles = function(files) {
     });
 
     var skipped = numFiles - resultFiles.length;
-    if (skipped) {
-        console.log(_s.sprintf('Skipping %d file(s).', skipped));
+    if (skipped && opt_onSkipped) {
+        opt_onSkipped(skipped);
     }
 
     return _.uniq(resultFiles);
@@ -142,13 +153,44 @@ var filterFiles = function(files) {
  * @export
  * Parse the flags and return the list of files to check.
  *
+ * @param {Array.<string>} args Files given on the command line.
  * @param {Array.<string>} suffixes Sequence of acceptable suffixes for the
  *      file type.
+ * @param {Options} options Options of the run.
+ * @param {function(number)=} opt_onSkipped Called with the number of excluded
+ *      files, if there are any.
  * @return {Array.<string>} The list of files to check.
  */
-var getFileList = function(suffixes) {
-    return getAllSpecifiedFiles(suffixes).sort();
+var getFileList = function(args, suffixes, options, opt_onSkipped) {
+    return getAllSpecifiedFiles(args, suffixes, options, opt_onSkipped).sort();
+};
+
+
+/**
+ * @export
+ * Returns the list of files to check in the given paths. Directories are
+ * searched recursively.
+ *
+ * @param {Array.<string>} paths Paths to files or directories.
+ * @param {Array.<string>} suffixes Sequence of acceptable suffixes for the
+ *      file type.
+ * @param {Options} options Options of the run.
+ * @param {function(number)=} opt_onSkipped Called with the number of excluded
+ *      files, if there are any.
+ * @return {Array.<string>} The list of files to check.
+ */
+var getFileListForPaths = function(paths, suffixes, options, opt_onSkipped) {
+    var files = [];
+    _.each(paths, function(p) {
+        if (fs.existsSync(p) && fs.statSync(p).isDirectory()) {
+            files = files.concat(_getRecursiveFiles(p, suffixes));
+        } else {
+            files = files.concat(_getUserSpecifiedFiles([p], suffixes));
+        }
+    });
+    return filterFiles(files, options, opt_onSkipped).sort();
 };
 
 
 exports.getFileList = getFileList;
+exports.getFileListForPaths = getFileListForPaths;
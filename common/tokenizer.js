@@ -85,17 +85,24 @@ Tokenizer.prototype._tokenizeLine = function(line) {
     var normalToken = '';
     var index = 0;
     while (index < string.length) {
-        var res = _.find(this.matchers[this.mode], function(matcher) {
+        var res = _.find(this._getMatchers(), function(matcher) {
             if (matcher.lineStart && index > 0) {
                 return false;
             }
 
-            matcher.regex.lastIndex = 0;
             var stringRest = string.substr(index);
             var neededIndex = matcher.regex.neededIndex || 0;
-            var match = matcher.regex.exec(stringRest);
+            if (matcher.regex.sticky) {
+                // Sticky patterns match at the index of the whole line, so
+                // they may look behind it.
+                matcher.regex.lastIndex = index;
+                var match = matcher.regex.exec(string);
+            } else {
+                matcher.regex.lastIndex = 0;
+                match = matcher.regex.exec(stringRest);
+            }
 
-            if (match && match.index == 0 &&
+            if (match && (matcher.regex.sticky || match.index == 0) &&
                     (!matcher.regex.neededIndex || // if positive lookup needed
                     _s.startsWith(stringRest, match[neededIndex]))) {
                 if (normalToken) {
@@ -136,6 +143,19 @@ Tokenizer.prototype._tokenizeLine = function(line) {
 };
 
 
+/**
+ * Returns the matchers to try at the current position of the line.
+ *
+ * Subclasses whose grammar depends on more state than the mode can override
+ * this.
+ * @return {Array.<Matcher>} The matchers of the current mode.
+ * @private
+ */
+Tokenizer.prototype._getMatchers = function() {
+    return this.matchers[this.mode];
+};
+
+
 /**
  * Creates a normal token.
  * @param {JavaScriptModes} mode The current mode.
@@ -0,0 +1,77 @@
+/**
+ * Utilities for writing XML.
+ */
+
+var _ = require('underscore');
+
+
+/**
+ * Characters that have to be escaped in XML text and attribute values. Tabs
+ * and line breaks are escaped too, since attribute values normalize them to
+ * spaces.
+ * @type {Object.<string, string>}
+ * @private
+ */
+var _ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&apos;',
+    '\t': '&#9;',
+    '\n': '&#10;',
+    '\r': '&#13;'
+};
+
+
+/**
+ * Matches control characters that are not allowed in XML 1.0 at all.
+ * @type {RegExp}
+ * @private
+ */
+var _INVALID_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F]/g;
+
+
+/**
+ * Escapes a string to be used as XML text or attribute value. Control
+ * characters not allowed in XML are removed.
+ * @param {*} value Value to escape, converted to string.
+ * @return {string} Escaped string.
+ */
+var escape = function(value) {
+    return String(value).replace(_INVALID_CHARS, '').replace(
+            /[&<>"'\t\n\r]/g, function(ch) {
+                return _ENTITIES[ch];
+            });
+};
+
+
+/**
+ * Builds an XML start tag.
+ * @param {string} name Name of the element.
+ * @param {Object} attributes Attributes of the element, attributes with null
+ *      or undefined values are omitted.
+ * @param {boolean} opt_selfClosing Whether the element has no content.
+ * @return {string} The tag.
+ */
+var startTag = function(name, attributes, opt_selfClosing) {
+    var result = '<' + name;
+    _.each(attributes, function(value, key) {
+        if (value != null) {
+            result += ' ' + key + '="' + escape(value) + '"';
+        }
+    });
+    return result + (opt_selfClosing ? '/>' : '>');
+};
+
+
+/**
+ * The XML declaration.
+ * @type {string}
+ */
+var DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+
+exports.DECLARATION = DECLARATION;
+exports.escape = escape;
+exports.startTag = startTag;
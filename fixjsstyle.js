@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Automatically fix simple style guide violations.
+ *
+ * fixjsstyle.js accepts the same flags as gjslint.js, so the same command line
+ * can be reused, and rewrites the checked files in place. Flags which only
+ * change how errors are reported are ignored, flags of gjslint.js runs which
+ * fixing does not support are rejected. The fixing itself is done in
+ * lib/errorfixer.js.
+ */
+
+
+var program = require('commander');
+var _ = require('underscore');
+
+var fileFlags = require('./common/simplefileflags');
+
+var errorFixer = require('./lib/errorfixer');
+var flags = require('./lib/flags');
+var options = require('./lib/options');
+var reporters = require('./lib/reporters');
+var resultCache = require('./lib/resultcache');
+var runner = require('./lib/runner');
+
+
+/**
+ * Flags of gjslint.js runs which fixing does not support.
+ * @type {Array.<string>}
+ */
+var UNSUPPORTED_FLAGS = [
+    'watch',
+    'stdin',
+    'changed_since',
+    'diff',
+    'explain',
+    'list_rules'
+];
+
+
+/**
+ * Flags of gjslint.js runs about reporting the errors, which have no effect on
+ * fixing.
+ * @type {Array.<string>}
+ */
+var IGNORED_FLAGS = [
+    'reporter',
+    'output_file',
+    'sarif_fixes',
+    'baseline',
+    'write_baseline',
+    'max_warnings',
+    'exit_zero',
+    'stdin_filename'
+];
+
+
+flags.defineRunFlags(flags.defineFlags(program), reporters.getNames(),
+        resultCache.CACHE_FILE).parse(process.argv);
+
+var unsupportedFlags = _.filter(UNSUPPORTED_FLAGS, function(name) {
+    return flags.isFlagGiven(program, name);
+});
+if (_.contains(program.args, '-')) {
+    unsupportedFlags.push('stdin');
+}
+if (unsupportedFlags.length) {
+    console.error('fixjsstyle does not support --%s.',
+            _.uniq(unsupportedFlags).join(', --'));
+    process.exit(1);
+}
+
+var ignoredFlags = _.filter(IGNORED_FLAGS, function(name) {
+    return flags.isFlagGiven(program, name);
+});
+if (ignoredFlags.length) {
+    console.error('WARNING: fixjsstyle ignores --%s.',
+            ignoredFlags.join(', --'));
+}
+
+var runOptions;
+try {
+    runOptions = options.fromProgram(program);
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+var files = fileFlags.getFileList(program.args,
+        flags.generateSuffixes(runOptions), runOptions, function(count) {
+    console.error('Skipping %d file(s).', count);
+});
+
+var fixer = new errorFixer.ErrorFixer(null, runOptions);
+
+// Check the list of files.
+_.each(files, function(filename) {
+    runner.run(filename, fixer, null, runOptions);
+});
@@ -21,126 +21,186 @@
  */
 
 
+var childProcess = require('child_process');
+var fs = require('fs');
+var pathModule = require('path');
 var program = require('commander');
 var _ = require('underscore');
-var _s = require('underscore.string');
 
-var errorAccumulator = require('./common/erroraccumulator');
 var fileFlags = require('./common/simplefileflags');
 
-var errorCheck = require('./lib/errorcheck');
-var errorRecord = require('./lib/errorrecord');
+var baseline = require('./lib/baseline');
+var changedLines = require('./lib/changedlines');
+var config = require('./lib/config');
+var errors = require('./lib/errors');
+var flags = require('./lib/flags');
+var options = require('./lib/options');
+var reporters = require('./lib/reporters');
+var resultCache = require('./lib/resultcache');
+var ruleCatalog = require('./lib/rulecatalog');
 var runner = require('./lib/runner');
-
-var Rule = errorCheck.Rule;
+var textReporter = require('./lib/textreporter');
+var watcher = require('./lib/watcher');
 
 
 /**
- * Run checkPath on all paths in one thread.
- *
- * @param {Array.<string>} paths Paths to check.
+ * Bits of the exit status.
+ * @enum {number}
  */
-var checkPaths = function(paths) {
-    return _.flatten(_.map(paths, function(path) {
-        return checkPath(path);
-    }), true);
+var ExitCode = {
+    OK: 0,
+    // Errors were found, or more warnings than --max_warnings allows. With
+    // --baseline only errors and warnings not recorded in it count.
+    ERRORS: 1,
+    // Errors not recorded in the baseline were found. Without a baseline all
+    // errors are new, so any error exits with ERRORS | NEW_ERRORS.
+    NEW_ERRORS: 2,
+    // A file could not be read or parsed, or the linter itself failed.
+    FAILURE: 4
 };
 
 
 /**
- * Check a path and return any errors.
+ * Run checkPath on all paths in one thread.
  *
- * @param {string} path Path to check.
+ * @param {Array.<string>} paths Paths to check.
+ * @param {Options} runOptions Options of the run.
  * @return {Array.<ErrorRecord>} A list of errorRecord.ErrorRecords for any
  *      found errors.
  */
-var checkPath = function(path) {
-    var errorHandler = new errorAccumulator.ErrorAccumulator();
-    runner.run(path, errorHandler);
-
-    return _.map(errorHandler.getErrors(), function(err) {
-        return errorRecord.makeErrorRecord(path, err);
-    });
+var checkPaths = function(paths, runOptions) {
+    return _.flatten(_.map(paths, function(path) {
+        return runner.checkPath(path, runOptions);
+    }), true);
 };
 
 
 /**
- * Generates list of suffixes for checked files.
+ * Run checkPath on all paths in worker processes.
+ *
+ * Each worker gets the next unchecked path as soon as it reports errors of
+ * the previous one. The errors are ordered by paths, as if they were checked
+ * in one thread.
+ *
+ * @param {Array.<string>} paths Paths to check.
+ * @param {Options} runOptions Options of the run.
+ * @param {number} jobs Number of worker processes.
+ * @param {function(Array.<ErrorRecord>)} callback Called with the records of
+ *      errors found in all paths.
  */
-var generateSuffixes = function() {
-    var suffixes = ['.js'];
-    var extensions = [];
-
-    if (program.extensions) {
-        extensions = _.map(program.extensions,
-            function(val) {
-                if (val[0] === '.') {
-                    return val;
-                }
-                return '.' + val;
-            });
+var multiprocessCheckPaths = function(paths, runOptions, jobs, callback) {
+    var recordsByPath = {};
+    var nextPath = 0;
+    var checkedCount = 0;
+
+    if (!paths.length) {
+        callback([]);
+        return;
     }
 
-    suffixes = suffixes.concat(extensions);
-    if (program.html) {
-        suffixes = suffixes.concat(['.html', '.htm']);
-    }
+    _.times(Math.min(jobs, paths.length), function() {
+        var worker = childProcess.fork(
+                pathModule.join(__dirname, 'lib', 'checkworker.js'));
+        // Whether the worker checked its paths and was disconnected.
+        var done = false;
+
+        var sendNextPath = function() {
+            if (nextPath < paths.length) {
+                worker.send({path: paths[nextPath++]});
+            } else {
+                done = true;
+                worker.disconnect();
+            }
+        };
 
-    return suffixes;
-};
+        worker.on('message', function(message) {
+            if (message.configError) {
+                console.error(message.configError);
+                process.exit(ExitCode.FAILURE);
+            }
+
+            recordsByPath[message.path] = message.errorRecords;
+            checkedCount++;
+            sendNextPath();
+
+            if (checkedCount == paths.length) {
+                callback(_.flatten(_.map(paths, function(path) {
+                    return recordsByPath[path];
+                }), true));
+            }
+        });
 
+        // Any other exit, even with status 0, leaves a path unchecked.
+        worker.on('exit', function(code, signal) {
+            if (signal) {
+                console.error('Worker process was killed by signal %s.',
+                        signal);
+            } else if (code) {
+                console.error('Worker process failed with exit code %d.',
+                        code);
+            } else if (!done) {
+                console.error('Worker process exited before checking its ' +
+                        'files.');
+            } else {
+                return;
+            }
+            process.exit(ExitCode.FAILURE);
+        });
 
-var printFileSeparator = function(path) {
-    console.log(_s.sprintf('----- FILE  :  %s -----', path));
+        worker.send({options: runOptions.toJSON()});
+        sendNextPath();
+    });
 };
 
 
 /**
- * Print error records strings in the expected format.
+ * Checks the paths, replaying errors of unchanged files from the cache.
  *
- * @param {Array.<ErrorRecord>} errorRecords
+ * @param {Array.<string>} paths Paths to check.
+ * @param {Options} runOptions Options of the run.
+ * @param {ResultCache} cache The cache of found errors.
+ * @param {function(Array.<string>, function(Array.<ErrorRecord>))} check
+ *      Checks the given paths and calls back with the found errors.
+ * @param {function(Array.<ErrorRecord>)} callback Called with the records of
+ *      errors found in all paths.
  */
-var printErrorRecords = function(errorRecords) {
-    var currentPath = null;
-
-    _.each(errorRecords, function(record) {
-        if (currentPath != record.path) {
-            currentPath = record.path;
-            if (!program.unix_mode) {
-                printFileSeparator(currentPath);
-            }
+var cachedCheckPaths = function(paths, runOptions, cache, check, callback) {
+    var cachedRecords = {};
+    _.each(paths, function(path) {
+        var errorRecords = cache.get(path);
+        if (errorRecords) {
+            cachedRecords[path] = errorRecords;
         }
-        console.log(record.errorString);
     });
-};
-
 
-/**
- * Print a summary of the number of errors and files.
- * @param {Array.<string>} paths
- * @param {Array.<ErrorRecord>} errorRecords
- */
-var printSummary = function(paths, errorRecords) {
-    var errorCount = errorRecords.length;
-    var pathCount = paths.length;
+    var uncheckedPaths = _.reject(paths, function(path) {
+        return _.has(cachedRecords, path);
+    });
 
-    if (errorCount == 0) {
-        console.log('%d files checked, no errors found.', pathCount);
-    }
+    check(uncheckedPaths, function(errorRecords) {
+        var recordsByPath = _.groupBy(errorRecords, 'path');
+        _.each(uncheckedPaths, function(path) {
+            cache.set(path, recordsByPath[path] || []);
+        });
+        cache.save();
 
-    var errorPaths = _.uniq(_.map(errorRecords, function(e) {
-        return e.path;
-    }));
+        _.extend(recordsByPath, cachedRecords);
+        callback(_.flatten(_.map(paths, function(path) {
+            return recordsByPath[path] || [];
+        }), true));
+    });
+};
 
-    var errorPathsCount = errorPaths.length;
-    var noErrorPathsCount = pathCount - errorPathsCount;
 
-    if (errorCount) {
-        console.log('Found %d errors in %d files (%d files OK).',
-                errorCount, errorPathsCount, noErrorPathsCount);
-    }
+/**
+ * Prints the number of files excluded from the check.
+ * @param {number} count The number of files.
+ */
+var printSkipped = function(count) {
+    console.error('Skipping %d file(s).', count);
 };
 
+
 /**
  * Print a detailed summary of the number of errors in each file.
  */
@@ -155,112 +215,269 @@ var printFileSummary = function(paths, errorRecords) {
 };
 
 
-var list = function(val) {
-    return _.filter(val.split(','), function(val) {
-        return val;
-    });
-};
+flags.defineRunFlags(flags.defineFlags(program), reporters.getNames(),
+        resultCache.CACHE_FILE).parse(process.argv);
+
+process.on('uncaughtException', function(e) {
+    if (e instanceof config.ConfigError && !program.error_trace) {
+        console.error(e.message);
+    } else {
+        console.error(program.error_trace ? e.stack : 'Internal error: ' +
+                e.message);
+    }
+    process.exit(ExitCode.FAILURE);
+});
 
+if (program.list_rules) {
+    console.log(ruleCatalog.formatRuleList());
+    process.exit(0);
+}
+
+if (program.explain) {
+    var rule = ruleCatalog.getRule(program.explain);
+    if (!rule) {
+        console.error('Unknown error "%s".', program.explain);
+        process.exit(ExitCode.FAILURE);
+    }
 
-program.
-        version('0.0.1').
-        usage('[options] <file ...>').
-        option('-U, --unix_mode',
-                'Whether to emit warnings in standard unix format.', false).
-        option('-B, --beep', 'Whether to beep when errors are found.', false).
-        option('-T, --time', 'Whether to emit timing statistics.', false).
-        option('-H, --html', 'Whether to check javascript in html files.',
-                false).
-        option('-S, --summary', 'Whether to show an error count summary.',
-                false).
-        option('-E, --extensions <extensions>',
-                'List of additional file extensions (not .js) that should be ' +
-                'treated as JavaScript files.', list).
-        option('-R --recurse',
-                'Recurse in to the subdirectories of the given path.', true).
-        option('-D, --exclude_directories <directories>',
-                'Exclude the specified directories (only applicable along ' +
-                'with -R.', list, ['node_modules']).
-        option('-X, --exclude_files <files>',
-                'Exclude the specified files', list).
-        option('-L, --limited_doc_files <files>',
-                'List of files with relaxed documentation checks. Will not ' +
-                'report errors for missing documentation, some missing ' +
-                'descriptions, or methods whose @return tags don\'t have a ' +
-                'matching return statement.', list, ['dummy.js', 'externs.js']).
-        option('-E, --error_trace', 'Whether to show error exceptions.', false).
-        option('-C, --closurized_namespaces <list>',
-                'Namespace prefixes, used for testing of goog.provide/require',
-                list).
-        option('-I, --ignored_extra_namespaces <list>',
-                'Fully qualified namespaces that should be not be reported ' +
-                'as extra by the linter.', list).
-        option('-d, --disable <list>',
-                'Disable specific error. Usage Ex.: gjslint --disable 1,0011',
-                list).
-        option('-J, --jsdoc <b>',
-                'Whether to report errors for missing JsDoc.', true).
-        option('-M, --max_line_length <n>',
-                'Maximum line length allowed without warning.', parseInt, 80).
-        option('-s, --strict',
-                'Whether to validate against the stricter Closure style. ' +
-                'This includes ' + Rule.CLOSURE_RULES.join(', ') + '.',
-                false).
-        option('-l, --jslint_error <list>',
-                'List of specific lint errors to check. Here is a list' +
-                ' of accepted values:\n' +
-                ' - ' + Rule.ALL + ': enables all following errors.\n' +
-                ' - ' + Rule.BLANK_LINES_AT_TOP_LEVEL + ': validates' +
-                'number of blank lines between blocks at top level.\n' +
-                ' - ' + Rule.INDENTATION + ': checks correct ' +
-                'indentation of code.\n' +
-                ' - ' + Rule.WELL_FORMED_AUTHOR + ': validates the ' +
-                '@author JsDoc tags.\n' +
-                ' - ' + Rule.NO_BRACES_AROUND_INHERIT_DOC + ': ' +
-                'forbids braces around @inheritdoc JsDoc tags.\n' +
-                ' - ' + Rule.BRACES_AROUND_TYPE + ': enforces braces ' +
-                'around types in JsDoc tags.\n' +
-                ' - ' + Rule.OPTIONAL_TYPE_MARKER + ': checks correct ' +
-                'use of optional marker = in param types.\n' +
-                ' - ' + Rule.UNUSED_PRIVATE_MEMBERS + ': checks for ' +
-                'unused private variables.\n',
-                list).
-        parse(process.argv);
+    console.log(ruleCatalog.formatRule(rule));
+    process.exit(0);
+}
 
 if (program.time) {
     console.time('Done in');
 }
 
-var paths = fileFlags.getFileList(generateSuffixes());
+var reporter = reporters.getReporter(program.reporter);
+if (!reporter) {
+    console.error('Unknown reporter "%s", expected one of: %s.',
+            program.reporter, reporters.getNames().join(', '));
+    process.exit(ExitCode.FAILURE);
+}
 
-var errorRecords = checkPaths(paths);
+var runOptions;
+try {
+    runOptions = options.fromProgram(program);
+} catch (e) {
+    console.error(e.message);
+    process.exit(ExitCode.FAILURE);
+}
 
-printErrorRecords(errorRecords);
+var readStdin = program.stdin || _.contains(program.args, '-');
+if (readStdin && _.without(program.args, '-').length) {
+    console.error('--stdin cannot be combined with file arguments.');
+    process.exit(ExitCode.FAILURE);
+}
+if (readStdin && program.watch) {
+    console.error('--stdin cannot be combined with --watch.');
+    process.exit(ExitCode.FAILURE);
+}
 
-printSummary(paths, errorRecords);
+// Checked sources not read from disk by path, the reporter computes fixes
+// from them.
+var sources = {};
 
-var exitCode = 0;
+var suffixes = flags.generateSuffixes(runOptions);
+var paths = readStdin ? [program.stdin_filename] :
+        fileFlags.getFileList(program.args, suffixes, runOptions,
+                printSkipped);
 
-// If there are any errors.
-if (errorRecords) {
-    exitCode++;
+try {
+    var changed = changedLines.getChangedLines(runOptions);
+} catch (e) {
+    console.error('Unable to get changed lines: %s', e.message.trim());
+    process.exit(ExitCode.FAILURE);
 }
 
-// If there are any new errors.
-if (_.filter(errorRecords, function(e) {return e.newError;})) {
-    exitCode += 2;
+if (changed && !readStdin) {
+    var changedPaths = fileFlags.getFileListForPaths(_.keys(changed),
+            suffixes, runOptions, printSkipped);
+    // Files given on the command line limit the changed files.
+    paths = program.args.length || program.recurse ?
+            _.intersection(paths, changedPaths) : changedPaths;
 }
 
-if (exitCode) {
-    if (program.summary) {
-        printFileSummary(paths, errorRecords);
+
+/**
+ * Reports the errors found in the paths.
+ *
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @return {number} The exit status, a combination of ExitCode bits.
+ */
+var finish = function(errorRecords) {
+    if (program.baseline) {
+        try {
+            baseline.markNewErrors(program.baseline, errorRecords);
+        } catch (e) {
+            console.error(e.message);
+            process.exit(ExitCode.FAILURE);
+        }
+    }
+
+    if (program.write_baseline) {
+        baseline.write(program.write_baseline, errorRecords);
+        console.error('Wrote %d errors to baseline %s.', errorRecords.length,
+                program.write_baseline);
+    }
+
+    var report = reporter.format(paths, errorRecords, runOptions, sources);
+    if (program.output_file) {
+        fs.writeFileSync(program.output_file, report + '\n');
+    } else {
+        console.log(report);
+    }
+
+    // With a baseline only new errors and warnings fail the check. Without
+    // one every error is new, so errors set both ERRORS and NEW_ERRORS.
+    var countedRecords = program.baseline ?
+            _.where(errorRecords, {newError: true}) : errorRecords;
+    var failingRecords = _.where(countedRecords,
+            {severity: errors.Severity.ERROR});
+    var warningCount = _.where(countedRecords,
+            {severity: errors.Severity.WARNING}).length;
+
+    var exitCode = ExitCode.OK;
+
+    // If there are any errors or more warnings than allowed.
+    if (failingRecords.length ||
+            program.max_warnings >= 0 && warningCount > program.max_warnings) {
+        exitCode |= ExitCode.ERRORS;
+    }
+
+    // If there are any new errors.
+    if (_.some(failingRecords, function(e) {return e.newError;})) {
+        exitCode |= ExitCode.NEW_ERRORS;
+    }
+
+    // If any file is missing or does not parse, the file-fatal errors have
+    // negative codes.
+    if (_.some(errorRecords, function(e) {return e.code < 0;})) {
+        exitCode |= ExitCode.FAILURE;
+    }
+
+    if (exitCode) {
+        if (program.summary) {
+            printFileSummary(paths, errorRecords);
+        }
+
+        if (program.beep) {
+            console.log('\007');
+        }
+
+        if (program.time) {
+            console.timeEnd('Done in');
+        }
     }
 
-    if (program.beep) {
-        console.log('\007');
+    return exitCode;
+};
+
+
+/**
+ * Checks the paths in this process or in worker processes.
+ *
+ * @param {Array.<string>} paths Paths to check.
+ * @param {function(Array.<ErrorRecord>)} callback Called with the records of
+ *      errors found in all paths.
+ */
+var check = function(paths, callback) {
+    if (program.jobs > 1) {
+        multiprocessCheckPaths(paths, runOptions, program.jobs, callback);
+    } else {
+        callback(checkPaths(paths, runOptions));
     }
+};
 
-    if (program.time) {
-        console.timeEnd('Done in');
+
+/**
+ * Checks the source read from stdin as the file given by --stdin_filename.
+ * The source is kept in sources for the reporter.
+ *
+ * @param {function(Array.<ErrorRecord>)} callback Called with the records of
+ *      found errors.
+ */
+var checkStdin = function(callback) {
+    var source = '';
+
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', function(chunk) {
+        source += chunk;
+    });
+    process.stdin.on('end', function() {
+        sources[program.stdin_filename] = source;
+        callback(runner.checkPath(program.stdin_filename, runOptions, source));
+    });
+};
+
+
+/**
+ * Checks the changed files again, until the process is stopped.
+ *
+ * @param {Array.<ErrorRecord>} errorRecords Records of errors found in the
+ *      first check.
+ */
+var watch = function(errorRecords) {
+    // The watcher reports absolute paths, the files of the first check are
+    // checked and reported again by their paths in it.
+    var givenPaths = _.object(_.map(paths, function(path) {
+        return [pathModule.resolve(path), path];
+    }));
+    var toGivenPath = function(path) {
+        return givenPaths[path] || path;
+    };
+
+    var recordsByPath = _.groupBy(errorRecords, 'path');
+    var roots = runOptions.get('recurse') ? [process.cwd()] : [];
+    var fileWatcher = new watcher.Watcher(paths, roots, suffixes, runOptions);
+
+    fileWatcher.start(function(changedPaths, removedPaths) {
+        changedPaths = _.map(changedPaths, toGivenPath);
+        _.each(_.map(removedPaths, toGivenPath), function(path) {
+            delete recordsByPath[path];
+        });
+        _.each(changedPaths, function(path) {
+            // A broken configuration file must not end watching, the file is
+            // checked again when it changes.
+            try {
+                recordsByPath[path] = runner.checkPath(path, runOptions);
+            } catch (e) {
+                console.error('Unable to check %s: %s', path, e.message);
+                delete recordsByPath[path];
+            }
+        });
+
+        var watchedPaths = _.map(fileWatcher.getPaths(), toGivenPath);
+        console.log(textReporter.formatUpdate(changedPaths, watchedPaths,
+                _.flatten(_.map(watchedPaths, function(path) {
+                    return recordsByPath[path] || [];
+                }), true), runOptions));
+    });
+};
+
+
+/**
+ * Reports the errors of the first check, then exits or starts watching when
+ * asked to.
+ *
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ */
+var done = function(errorRecords) {
+    var exitCode = finish(errorRecords);
+    if (program.watch) {
+        watch(errorRecords);
+    } else {
+        process.exit(program.exit_zero ? ExitCode.OK : exitCode);
     }
+};
+
+if (readStdin) {
+    checkStdin(done);
+} else if (program.no_cache || changed) {
+    // Cached errors do not depend on the changed lines.
+    check(paths, done);
+} else {
+    cachedCheckPaths(paths, runOptions,
+            new resultCache.ResultCache(
+                    resultCache.getCacheFile(process.cwd()), runOptions),
+            check, done);
 }
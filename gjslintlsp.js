@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Language server for editors, reporting errors of open documents as
+ * diagnostics. It speaks the Language Server Protocol over stdin and stdout.
+ *
+ * gjslint-lsp accepts the same flags as gjslint.js, files are not given as
+ * they come from the editor.
+ */
+
+
+var program = require('commander');
+
+var flags = require('./lib/flags');
+var lspServer = require('./lib/lspserver');
+var options = require('./lib/options');
+
+
+flags.defineFlags(program).parse(process.argv);
+
+var runOptions;
+try {
+    runOptions = options.fromProgram(program);
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+new lspServer.LspServer(process.stdin, process.stdout, runOptions).start();
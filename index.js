@@ -0,0 +1,62 @@
+/**
+ * Programmatic interface of the linter.
+ *
+ * Example:
+ *
+ *   var closureLinter = require('closure-linter');
+ *   var errors = closureLinter.lintFiles(['src'], {strict: true});
+ *
+ * Options are the flags of gjslint.js without leading dashes, e.g.
+ * {strict: true, disable: [110], closurized_namespaces: ['goog']}. They
+ * override the options of configuration files.
+ */
+
+var _ = require('underscore');
+
+var fileFlags = require('./common/simplefileflags');
+
+var errors = require('./lib/errors');
+var flags = require('./lib/flags');
+var options = require('./lib/options');
+var reporters = require('./lib/reporters');
+var runner = require('./lib/runner');
+
+
+/**
+ * Checks the source code.
+ *
+ * @param {string} source The source code.
+ * @param {string} filename Path to the file the source code belongs to. It
+ *      decides whether the source is HTML and which configuration files
+ *      apply.
+ * @param {Object} opt_options The options.
+ * @return {Array.<ErrorRecord>} Records of the found errors.
+ */
+var lintText = function(source, filename, opt_options) {
+    return runner.checkPath(filename, options.create(opt_options), source);
+};
+
+
+/**
+ * Checks the files. Directories are searched recursively for files with
+ * suffixes given by the extensions and html options.
+ *
+ * @param {Array.<string>} paths Paths to files or directories.
+ * @param {Object} opt_options The options.
+ * @return {Array.<ErrorRecord>} Records of the found errors.
+ */
+var lintFiles = function(paths, opt_options) {
+    var runOptions = options.create(opt_options);
+    var files = fileFlags.getFileListForPaths(paths,
+            flags.generateSuffixes(runOptions), runOptions);
+
+    return _.flatten(_.map(files, function(filename) {
+        return runner.checkPath(filename, runOptions);
+    }), true);
+};
+
+
+exports.Errors = errors.Errors;
+exports.lintFiles = lintFiles;
+exports.lintText = lintText;
+exports.reporters = reporters;
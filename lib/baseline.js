@@ -0,0 +1,127 @@
+/**
+ * Baseline files recording existing errors, so that only new errors fail the
+ * build.
+ *
+ * Errors are keyed by path relative to the baseline file, error code and a
+ * fingerprint of the content of the error line. The key does not change when
+ * the line moves, so errors stay matched when lines are added above them.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+
+/**
+ * Version of the baseline file format.
+ * @type {number}
+ */
+var VERSION = 1;
+
+
+/**
+ * Returns the fingerprint of the content of a line. Whitespace changes do not
+ * change the fingerprint.
+ *
+ * @param {string} line The line.
+ * @return {string} The fingerprint.
+ */
+var getFingerprint = function(line) {
+    return crypto.createHash('sha1').update(_s.clean(line), 'utf8').
+            digest('hex').substr(0, 16);
+};
+
+
+/**
+ * Returns the key of the error record within its file.
+ * @param {ErrorRecord} record The error record.
+ * @return {string} The key.
+ * @private
+ */
+var _getKey = function(record) {
+    return record.code + ':' + (record.fingerprint || '');
+};
+
+
+/**
+ * Returns the path of the record relative to the baseline file.
+ * @param {string} baselineFile Path to the baseline file.
+ * @param {ErrorRecord} record The error record.
+ * @return {string} The relative path with forward slashes.
+ * @private
+ */
+var _getRelativePath = function(baselineFile, record) {
+    return path.relative(path.dirname(path.resolve(baselineFile)),
+            path.resolve(record.path)).split(path.sep).join('/');
+};
+
+
+/**
+ * Writes the baseline file recording the errors.
+ *
+ * @param {string} filename Path to the baseline file.
+ * @param {Array.<ErrorRecord>} errorRecords Records of the errors.
+ */
+var write = function(filename, errorRecords) {
+    var files = {};
+    _.each(errorRecords, function(record) {
+        var relativePath = _getRelativePath(filename, record);
+        var counts = files[relativePath] = files[relativePath] || {};
+        var key = _getKey(record);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+
+    fs.writeFileSync(filename, JSON.stringify({
+        version: VERSION,
+        files: files
+    }, null, 2) + '\n');
+};
+
+
+/**
+ * Marks errors recorded in the baseline file as old, by setting their
+ * newError field to false. Every recorded error matches one error record at
+ * most.
+ *
+ * @param {string} filename Path to the baseline file.
+ * @param {Array.<ErrorRecord>} errorRecords Records of the errors.
+ * @throws {Error} If the baseline file cannot be read or is not supported.
+ */
+var markNewErrors = function(filename, errorRecords) {
+    try {
+        var baseline = JSON.parse(fs.readFileSync(filename,
+                {encoding: 'utf8'}));
+        if (!_.isObject(baseline) || !_.isObject(baseline.files) ||
+                _.isArray(baseline.files)) {
+            throw new Error('Expected an object with the files.');
+        }
+    } catch (e) {
+        throw new Error(_s.sprintf('Cannot read baseline file %s: %s',
+                filename, e.message));
+    }
+    if (baseline.version != VERSION) {
+        throw new Error(_s.sprintf(
+                'Unsupported version %s of baseline file %s.',
+                baseline.version, filename));
+    }
+
+    var files = baseline.files;
+    _.each(errorRecords, function(record) {
+        var counts = files[_getRelativePath(filename, record)] || {};
+        var key = _getKey(record);
+
+        if (counts[key]) {
+            counts[key]--;
+            record.newError = false;
+        } else {
+            record.newError = true;
+        }
+    });
+};
+
+
+exports.getFingerprint = getFingerprint;
+exports.markNewErrors = markNewErrors;
+exports.write = write;
@@ -0,0 +1,218 @@
+/**
+ * Lines changed relative to a git revision or in a unified diff, so only
+ * errors on them are reported.
+ *
+ * Only added and modified lines count as changed, removed lines do not
+ * exist in the checked files. All lines of files not tracked by git are
+ * changed since any revision.
+ */
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+
+/**
+ * Header of a hunk, e.g. '@@ -10,2 +12,3 @@'. The groups are the line count
+ * in the old file, the first line and the line count in the new file. An
+ * omitted count is 1.
+ * @type {RegExp}
+ */
+var HUNK_HEADER_REGEX = /^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+
+/**
+ * Changed lines computed in this process, by the options they are computed
+ * from.
+ * @type {Object.<string, Object.<string, Array.<number>>>}
+ * @private
+ */
+var _changedLinesCache = {};
+
+
+/**
+ * Returns the path of the new file from the '+++' line of a diff.
+ * @param {string} line The line, e.g. '+++ b/lib/runner.js'.
+ * @return {?string} The path or null when the file was removed.
+ * @private
+ */
+var _getNewPath = function(line) {
+    // Plain diff appends a tab and the modification time.
+    var filename = line.substr(4).split('\t')[0];
+    if (filename == '/dev/null') {
+        return null;
+    }
+    return filename.replace(/^b\//, '');
+};
+
+
+/**
+ * Parses a unified diff.
+ *
+ * @param {string} diff The diff.
+ * @param {string} baseDir Directory paths in the diff are relative to.
+ * @return {Object.<string, Array.<number>>} Numbers of added and modified
+ *      lines by absolute path of the file. Files without such lines are
+ *      omitted.
+ */
+var parseDiff = function(diff, baseDir) {
+    var changedLines = {};
+    var currentLines = null;
+    var lineNumber = 0;
+    // Lines of the current hunk not read yet, in the old and the new file.
+    var oldCount = 0;
+    var newCount = 0;
+
+    _.each(diff.split(/\r?\n/), function(line) {
+        // Within a hunk, lines starting with '---' or '+++' are removed and
+        // added lines, not file headers. An empty line is a context line
+        // whose space was stripped.
+        if (oldCount > 0 || newCount > 0) {
+            if (line[0] == '+') {
+                if (currentLines) {
+                    currentLines.push(lineNumber);
+                }
+                lineNumber++;
+                newCount--;
+            } else if (line[0] == '-') {
+                oldCount--;
+            } else if (line[0] == ' ' || !line) {
+                lineNumber++;
+                oldCount--;
+                newCount--;
+            }
+            return;
+        }
+
+        var match = line.match(HUNK_HEADER_REGEX);
+        if (line.indexOf('+++ ') == 0) {
+            var filename = _getNewPath(line);
+            currentLines = null;
+            if (filename) {
+                filename = path.resolve(baseDir, filename);
+                currentLines = changedLines[filename] || [];
+                changedLines[filename] = currentLines;
+            }
+        } else if (match) {
+            oldCount = match[1] == null ? 1 : parseInt(match[1], 10);
+            lineNumber = parseInt(match[2], 10);
+            newCount = match[3] == null ? 1 : parseInt(match[3], 10);
+        }
+    });
+
+    return _.pick(changedLines, _.filter(_.keys(changedLines),
+            function(filename) {
+                return changedLines[filename].length;
+            }));
+};
+
+
+/**
+ * Returns all lines of the files not tracked by git and not ignored.
+ *
+ * @param {string} root Root directory of the git working tree.
+ * @param {Object} execOptions Options of running git.
+ * @return {Object.<string, Array.<number>>} Numbers of the lines by absolute
+ *      path of the file.
+ * @private
+ */
+var _getUntrackedLines = function(root, execOptions) {
+    var output = childProcess.execFileSync('git',
+            ['ls-files', '--others', '--exclude-standard', '-z'],
+            _.extend({cwd: root}, execOptions));
+
+    var changedLines = {};
+    _.each(_.compact(output.split('\0')), function(filename) {
+        filename = path.join(root, filename);
+        try {
+            var content = fs.readFileSync(filename, {encoding: 'utf8'});
+        } catch (e) {
+            return;
+        }
+        changedLines[filename] = _.range(1, content.split('\n').length + 1);
+    });
+
+    return changedLines;
+};
+
+
+/**
+ * Returns the lines changed since the git revision, including all lines of
+ * untracked files.
+ *
+ * @param {string} revision The revision, e.g. 'HEAD' or 'origin/master'.
+ * @return {Object.<string, Array.<number>>} Numbers of changed lines by
+ *      absolute path of the file.
+ */
+var getChangedSince = function(revision) {
+    var execOptions = {
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'pipe']
+    };
+    var root = childProcess.execFileSync('git',
+            ['rev-parse', '--show-toplevel'], execOptions).trim();
+    // The prefixes are forced, diff.noprefix or diff.mnemonicPrefix set by
+    // the user would change them.
+    var diff = childProcess.execFileSync('git',
+            ['diff', '--no-color', '--no-ext-diff', '--unified=0',
+             '--src-prefix=a/', '--dst-prefix=b/', revision, '--'],
+            execOptions);
+
+    return _.extend(parseDiff(diff, root),
+            _getUntrackedLines(root, execOptions));
+};
+
+
+/**
+ * Returns the lines to report errors on, given by --changed_since or --diff.
+ *
+ * Paths in the diff file are relative to the current directory.
+ *
+ * @param {Options} options Options of the run.
+ * @return {?Object.<string, Array.<number>>} Numbers of changed lines by
+ *      absolute path of the file, null when errors on all lines are
+ *      reported.
+ */
+var getChangedLines = function(options) {
+    var revision = options.get('changed_since');
+    var diffFile = options.get('diff');
+
+    if (!revision && !diffFile) {
+        return null;
+    }
+
+    var key = JSON.stringify([revision, diffFile]);
+    if (!_.has(_changedLinesCache, key)) {
+        _changedLinesCache[key] = revision ? getChangedSince(revision) :
+                parseDiff(fs.readFileSync(diffFile, {encoding: 'utf8'}),
+                        process.cwd());
+    }
+    return _changedLinesCache[key];
+};
+
+
+/**
+ * Filters the errors down to the changed lines.
+ *
+ * An error is kept when the token it is reported on, which is also where
+ * fixjsstyle fixes it, is on a changed line. Errors of the whole file, like
+ * a missing goog.require, are reported on the line the fix goes to. Errors
+ * without a token are always kept.
+ *
+ * @param {Array.<Error>} errors The errors found in the file.
+ * @param {Array.<number>} lines Numbers of the changed lines of the file.
+ * @return {Array.<Error>} The errors on the changed lines.
+ */
+var filterErrors = function(errors, lines) {
+    return _.filter(errors, function(err) {
+        return !err.token || _.contains(lines, err.token.lineNumber);
+    });
+};
+
+
+exports.filterErrors = filterErrors;
+exports.getChangedLines = getChangedLines;
+exports.getChangedSince = getChangedSince;
+exports.parseDiff = parseDiff;
@@ -1,5 +1,4 @@
 
-var program = require('commander');
 var _ = require('underscore');
 
 var aliasPass = require('./aliaspass');
@@ -13,24 +12,26 @@ var javascriptLintRules = require('./javascriptlintrules');
  *
  * @param {StateTracker} stateTracker State tracker.
  * @param {ErrorHandler} errorHander Error handler to pass all errors to.
+ * @param {Object} options Values of the options of the checked file.
  * @constructor
  * @extends {checkerBase.CheckerBase}
  */
-var JavaScriptStyleChecker = function(stateTracker, errorHander) {
+var JavaScriptStyleChecker = function(stateTracker, errorHander, options) {
     this._namespacesInfo = null;
     this._aliasPass = null;
-    if (program.closurized_namespaces) {
+    if (options.closurized_namespaces) {
         this._namespacesInfo =
                 new closurizedNamespacesInfo.ClosurizedNamespacesInfo(
-                        program.closurized_namespaces,
-                        program.ignored_extra_namespaces);
+                        options.closurized_namespaces,
+                        options.ignored_extra_namespaces);
 
-        this._aliasPass = new aliasPass.AliasPass(program.closurized_namespaces,
+        this._aliasPass = new aliasPass.AliasPass(options.closurized_namespaces,
             errorHander);
     }
 
     checkerBase.CheckerBase.call(this, errorHander,
-            new javascriptLintRules.JavaScriptLintRules(this._namespacesInfo),
+            new javascriptLintRules.JavaScriptLintRules(this._namespacesInfo,
+                    options),
             stateTracker);
 };
 
@@ -1,14 +1,17 @@
 
+var errorCheck = require('./errorcheck');
 var errorRules = require('./errorrules');
 var error = require('../common/error');
 
 
 /**
  * Base class for all classes defining the lint rules for a language.
+ * @param {Object} options Values of the options of the checked file.
  * @constructor
  */
-var LintRulesBase = function() {
+var LintRulesBase = function(options) {
     this._checker = null;
+    this._options = options;
 };
 
 
@@ -35,13 +38,24 @@ LintRulesBase.prototype.initialize = function(checker, limitedDocChecks,
  */
 LintRulesBase.prototype._handleError = function(code, message, token,
                                                 opt_position, opt_fixData) {
-    if (errorRules.shouldReportError(code)) {
+    if (errorRules.shouldReportError(code, this._options)) {
         this._checker.handleError(code, message, token, opt_position || null,
             opt_fixData ||null);
     }
 };
 
 
+/**
+ * Returns whether the optional rule should be checked in this file.
+ * @param {Rule} rule Name of the rule (see errorcheck.Rule).
+ * @return {boolean} True if the rule should be checked.
+ * @protected
+ */
+LintRulesBase.prototype._shouldCheck = function(rule) {
+    return errorCheck.shouldCheck(rule, this._options);
+};
+
+
 /**
  * Sets whether doc checking is relaxed for this file.
  * @param {boolean} limitedDocChecks Whether doc checking is relaxed for this
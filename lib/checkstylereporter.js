@@ -0,0 +1,60 @@
+/**
+ * Formats error records as checkstyle XML, understood by most CI servers.
+ */
+
+var _ = require('underscore');
+
+var xmlUtil = require('../common/xmlutil');
+
+
+/**
+ * Formats an error record as checkstyle error element.
+ * @param {ErrorRecord} record The error record.
+ * @return {string} The error element.
+ * @private
+ */
+var _formatRecord = function(record) {
+    return '    ' + xmlUtil.startTag('error', {
+        line: record.line,
+        column: record.column,
+        severity: record.severity,
+        message: record.message,
+        source: record.name
+    }, true);
+};
+
+
+/**
+ * Formats the checkstyle document.
+ *
+ * Every checked path gets a file element, files without errors have no
+ * children.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @return {string} The XML document.
+ */
+var format = function(paths, errorRecords) {
+    var recordsByPath = _.groupBy(errorRecords, 'path');
+    var lines = [
+        xmlUtil.DECLARATION,
+        xmlUtil.startTag('checkstyle', {version: '4.3'})
+    ];
+
+    _.each(paths, function(path) {
+        var records = recordsByPath[path] || [];
+        if (!records.length) {
+            lines.push('  ' + xmlUtil.startTag('file', {name: path}, true));
+            return;
+        }
+
+        lines.push('  ' + xmlUtil.startTag('file', {name: path}));
+        lines = lines.concat(_.map(records, _formatRecord));
+        lines.push('  </file>');
+    });
+
+    lines.push('</checkstyle>');
+    return lines.join('\n');
+};
+
+
+exports.format = format;
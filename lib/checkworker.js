@@ -0,0 +1,41 @@
+/**
+ * Worker process checking files for gjslint.js --jobs.
+ *
+ * The parent process first sends {options: Object} with the JSON
+ * representation of the run options, then {path: string} for every file to
+ * check. The worker replies to each file with {path: string, errorRecords:
+ * Array.<ErrorRecord>}, or {path: string, configError: string} when a
+ * configuration file of the file is invalid, and exits when the parent
+ * disconnects.
+ */
+
+var config = require('./config');
+var options = require('./options');
+var runner = require('./runner');
+
+
+/**
+ * Options of the run, received from the parent process.
+ * @type {Options}
+ */
+var runOptions = null;
+
+
+process.on('message', function(message) {
+    if (message.options) {
+        runOptions = options.fromJSON(message.options);
+        return;
+    }
+
+    try {
+        var errorRecords = runner.checkPath(message.path, runOptions);
+    } catch (e) {
+        if (!(e instanceof config.ConfigError)) {
+            throw e;
+        }
+        process.send({path: message.path, configError: e.message});
+        return;
+    }
+
+    process.send({path: message.path, errorRecords: errorRecords});
+});
@@ -2,7 +2,8 @@
  * Logic for computing dependency information for closurized JavaScript files.
  *
  * Closurized JavaScript files express dependencies using goog.require and
- * goog.provide statements. In order for the linter to detect when a statement
+ * goog.provide statements, or goog.module and goog.require statements binding
+ * local aliases. In order for the linter to detect when a statement
  * is missing or unnecessary, all identifiers in the JavaScript file must first
  * be processed to determine if they constitute the creation or usage of
  * a dependency.
@@ -87,6 +88,23 @@ ClosurizedNamespacesInfo.prototype.reset = function() {
     // reasonable way.
     this._scopifiedFile = false;
 
+    // The namespace declared by goog.module, null if this is not a goog.module
+    // file.
+    this._moduleId = null;
+
+    // Whether the goog.module declares its namespace as a legacy global
+    // namespace by goog.module.declareLegacyNamespace.
+    this._isLegacyNamespace = false;
+
+    // A dictionary keyed by the local aliases bound to goog.require
+    // statements, as in "const Foo = goog.require('a.Foo');", with the
+    // required namespaces as values.
+    this._requireAliases = {};
+
+    // Namespaces of modules accessed by goog.module.get.  These need no
+    // goog.require, but make a goog.require of them necessary.
+    this._gotModules = [];
+
     // TODO(user): Handle the case where there are 2 different requires that can
     // satisfy the same dependency, but only one is necessary.
 };
@@ -114,6 +132,25 @@ ClosurizedNamespacesInfo.prototype.getRequiredNamespaces = function() {
 };
 
 
+/**
+ * Returns whether the file is a goog.module file.
+ * @return {boolean}
+ */
+ClosurizedNamespacesInfo.prototype.isGoogModule = function() {
+    return this._moduleId != null;
+};
+
+
+/**
+ * Returns the namespace declared by goog.module.
+ * @return {?string} The namespace, or null if the file is not a goog.module
+ *      file.
+ */
+ClosurizedNamespacesInfo.prototype.getModuleId = function() {
+    return this._moduleId;
+};
+
+
 /**
  * Returns whether the given goog.provide token is unnecessary.
  * @param {Token} token A goog.provide token.
@@ -121,6 +158,11 @@ ClosurizedNamespacesInfo.prototype.getRequiredNamespaces = function() {
  *      goog.provide statement, otherwise False.
  */
 ClosurizedNamespacesInfo.prototype.isExtraProvide = function(token) {
+    // goog.provide is invalid in goog.module files, it is reported as such.
+    if (this.isGoogModule()) {
+        return false;
+    }
+
     var namespace = tokenUtil.getStringAfterToken(token);
     var baseNamespace = namespace.split('.', 1)[0];
     if (!_.contains(this._closurizedNamespaces, baseNamespace)) {
@@ -160,14 +202,22 @@ ClosurizedNamespacesInfo.prototype.isExtraRequire = function(token) {
         return true;
     }
 
-    if (_.contains(this._suppressedRequires, namespace)) {
+    // A goog.require not assigned to a variable in a goog.module file loads
+    // the module for its side effects, its namespace is never referenced.
+    if (this.isGoogModule() && !tokenUtil.getRequireAliasDeclaration(token)) {
+        return false;
+    }
+
+    if (_.contains(this._suppressedRequires, namespace) ||
+            _.contains(this._gotModules, namespace)) {
         return false;
     }
 
     // If the namespace contains a component that is initial caps, then that
     // must be the last component of the namespace.
     var parts = namespace.split('.');
-    if (parts.length > 1 && _.last(parts) == _.last(parts).toUpperCase()) {
+    var parentPart = parts[parts.length - 2];
+    if (parts.length > 1 && parentPart[0] != parentPart[0].toLowerCase()) {
         return true;
     }
 
@@ -189,6 +239,11 @@ ClosurizedNamespacesInfo.prototype.isExtraRequire = function(token) {
 ClosurizedNamespacesInfo.prototype.getMissingProvides = function() {
     var missingProvides = {};
 
+    // goog.module files export through exports instead of provides.
+    if (this.isGoogModule()) {
+        return missingProvides;
+    }
+
     _.each(this._createdNamespaces, function(ns) {
         if (!this._isPrivateIdentifier(ns.identifier) &&
                 !_.contains(this._providedNamespaces, ns.namespace) &&
@@ -228,6 +283,11 @@ ClosurizedNamespacesInfo.prototype.getMissingRequires = function() {
     // Assume goog namespace is always available.
     externalDependencies.push('goog');
 
+    // A legacy namespace is global like a provided one.
+    if (this._isLegacyNamespace) {
+        externalDependencies.push(this._moduleId);
+    }
+
     var createdIdentifier = [];
     _.each(this._createdNamespaces, function(ns) {
         createdIdentifier.push(ns.identifier);
@@ -343,11 +403,15 @@ ClosurizedNamespacesInfo.prototype.processToken = function(token,  state) {
             // it gets treated as a regular goog.require (i.e. still gets
             // sorted).
             var jsdoc = state.getDocComment();
-            if (jsdoc && _.contains(jsdoc.suppressions, 'extraRequire')) {
+            if (jsdoc && _.has(jsdoc.suppressions, 'extraRequire')) {
                 this._suppressedRequires.push(namespace);
                 this._addUsedNamespace(state, namespace, token.lineNumber);
             }
 
+            _.each(this._getRequireAliases(token), function(alias) {
+                this._requireAliases[alias] = namespace;
+            }, this);
+
         } else if (token.string == 'goog.provide') {
             this._provideTokens.push(token);
             namespace = tokenUtil.getStringAfterToken(token);
@@ -361,13 +425,25 @@ ClosurizedNamespacesInfo.prototype.processToken = function(token,  state) {
             // so it gets treated as a regular goog.provide (i.e. still gets
             // sorted).
             jsdoc = state.getDocComment();
-            if (jsdoc && _.contains(jsdoc.suppressions, 'extraProvide')) {
+            if (jsdoc && _.has(jsdoc.suppressions, 'extraProvide')) {
                 this._addCreatedNamespace(state, namespace, token.lineNumber);
             }
 
         } else if (token.string == 'goog.scope') {
             this._scopifiedFile = true;
 
+        } else if (token.string == 'goog.module' && !state.inFunction()) {
+            this._moduleId = tokenUtil.getStringAfterToken(token);
+
+        } else if (token.string == 'goog.module.declareLegacyNamespace') {
+            this._isLegacyNamespace = true;
+
+        } else if (token.string == 'goog.module.get') {
+            namespace = tokenUtil.getStringAfterToken(token);
+            if (namespace) {
+                this._gotModules.push(namespace);
+            }
+
         } else if (token.string == 'goog.setTestOnly') {
             // Since the message is optional, we don't want to scan to later
             // lines.
@@ -400,7 +476,12 @@ ClosurizedNamespacesInfo.prototype.processToken = function(token,  state) {
                         token.lineNumber,
                         this.getClosurizedNamespace(wholeIdentifierStraing));
             } else {
-                if (!(token.metadata && token.metadata.isAliasDefinition)) {
+                var alias = wholeIdentifierStraing.split('.', 1)[0];
+                if (_.has(this._requireAliases, alias)) {
+                    this._addUsedModule(state, this._requireAliases[alias],
+                            token.lineNumber);
+                } else if (!(token.metadata &&
+                        token.metadata.isAliasDefinition)) {
                     this._addUsedNamespace(state, wholeIdentifierStraing,
                             token.lineNumber);
                 }
@@ -425,7 +506,11 @@ ClosurizedNamespacesInfo.prototype.processToken = function(token,  state) {
 
         if (identifier) {
             namespace = this.getClosurizedNamespace(identifier);
-            if (state.inFunction()) {
+            alias = identifier.split('.', 1)[0];
+            if (_.has(this._requireAliases, alias)) {
+                this._addUsedModule(state, this._requireAliases[alias],
+                        token.lineNumber);
+            } else if (state.inFunction()) {
                 this._addUsedNamespace(state, identifier, token.lineNumber);
             } else if (namespace && namespace != 'goog') {
                 this._addCreatedNamespace(state, identifier, token.lineNumber,
@@ -443,7 +528,49 @@ ClosurizedNamespacesInfo.prototype.processToken = function(token,  state) {
             var jsInterface = tokenUtil.search(docStart, [Type.COMMENT]);
             this._addUsedNamespace(state, jsInterface.string, token.lineNumber);
         }
+
+        // Types may refer to the aliases of required namespaces.
+        _.each(tokenUtil.getDocFlagTypeIdentifiers(token), function(type) {
+            var alias = type.split('.', 1)[0];
+            if (_.has(this._requireAliases, alias)) {
+                this._addUsedModule(state, this._requireAliases[alias],
+                        token.lineNumber);
+            }
+        }, this);
+    }
+};
+
+
+/**
+ * Returns the local aliases bound to a goog.require statement.
+ *
+ * For example, the aliases of
+ *   const {foo, bar: baz} = goog.require('a.b');
+ * are foo and baz.
+ * @param {Token} token A goog.require token.
+ * @return {Array.<string>} The aliases, empty if the required namespace is not
+ *      assigned to a variable.
+ * @private
+ */
+ClosurizedNamespacesInfo.prototype._getRequireAliases = function(token) {
+    var declaration = tokenUtil.getRequireAliasDeclaration(token);
+    if (!declaration) {
+        return [];
+    }
+
+    var aliases = [];
+    for (var t = declaration.next; t != token; t = t.next) {
+        if (t.type == Type.SIMPLE_LVALUE) {
+            aliases.push(t.values[1]);
+        } else if (t.type == Type.IDENTIFIER) {
+            // The property name of "bar: baz" is not bound locally.
+            var nextCode = tokenUtil.searchExcept(t, Type.NON_CODE_TYPES);
+            if (!nextCode.isOperator(':')) {
+                aliases.push(t.string);
+            }
+        }
     }
+    return aliases;
 };
 
 
@@ -464,7 +591,7 @@ ClosurizedNamespacesInfo.prototype._addCreatedNamespace = function(state,
     var namespace = opt_namespace || identifier;
 
     var jsdoc = state.getDocComment();
-    if (jsdoc && _.contains(jsdoc.suppressions, 'missingProvide')) {
+    if (jsdoc && _.has(jsdoc.suppressions, 'missingProvide')) {
         return;
     }
 
@@ -486,7 +613,7 @@ ClosurizedNamespacesInfo.prototype._addCreatedNamespace = function(state,
 ClosurizedNamespacesInfo.prototype._addUsedNamespace = function(state,
         identifier, lineNumber) {
     var jsdoc = state.getDocComment();
-    if (jsdoc && _.contains(jsdoc.suppressions, 'missingRequire')) {
+    if (jsdoc && _.has(jsdoc.suppressions, 'missingRequire')) {
         return;
     }
 
@@ -499,6 +626,32 @@ ClosurizedNamespacesInfo.prototype._addUsedNamespace = function(state,
 };
 
 
+/**
+ * Adds a namespace used through a goog.require alias to the list of used
+ * namespaces.
+ *
+ * Unlike identifiers, the namespace is known exactly in these cases. If the
+ * usage is annotated with a 'missingRequire' suppression, it is not added.
+ * @param {StateTracker} state The JavaScriptStateTracker instance.
+ * @param {string} namespace The namespace which has been used.
+ * @param {number} lineNumber Line number where namespace is used.
+ * @private
+ */
+ClosurizedNamespacesInfo.prototype._addUsedModule = function(state, namespace,
+        lineNumber) {
+    var jsdoc = state.getDocComment();
+    if (jsdoc && _.has(jsdoc.suppressions, 'missingRequire')) {
+        return;
+    }
+
+    var baseNamespace = namespace.split('.', 1)[0];
+    if (_.contains(this._closurizedNamespaces, baseNamespace)) {
+        this._usedNamespaces.push({namespace: namespace, identifier: namespace,
+            lineNumber: lineNumber});
+    }
+};
+
+
 /**
  * Given an identifier, returns the namespace that identifier is from.
  *
@@ -0,0 +1,226 @@
+/**
+ * Project configuration files.
+ *
+ * The configuration is a JSON object stored in a .gjslintrc file or under the
+ * "gjslint" key of package.json. Configurations are searched upward from the
+ * directory of each checked file, the nearer ones override the farther ones,
+ * and flags given on the command line override all of them. The search stops
+ * at a configuration with "root": true.
+ *
+ * Example of .gjslintrc:
+ *
+ *   {
+ *       "strict": true,
+ *       "disable": [110, "MISSING_PRIVATE"],
+ *       "closurized_namespaces": ["goog", "myproject"],
+ *       "max_line_length": 100,
+ *       "severity": {"LINE_TOO_LONG": "info", "0131": "error"}
+ *   }
+ */
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var errorRules = require('./errorrules');
+var flags = require('./flags');
+
+
+/**
+ * Name of the configuration file.
+ * @type {string}
+ */
+var CONFIG_FILE = '.gjslintrc';
+
+
+/**
+ * Key of the configuration in package.json.
+ * @type {string}
+ */
+var PACKAGE_JSON_KEY = 'gjslint';
+
+
+/**
+ * Options that can be set in configuration files, mapped to whether their
+ * value is a list.
+ * @type {Object.<string, boolean>}
+ */
+var ConfigOptions = {
+    strict: false,
+    jsdoc: false,
+    jslint_error: true,
+    disable: true,
+    closurized_namespaces: true,
+    ignored_extra_namespaces: true,
+    max_line_length: false,
+    limited_doc_files: true,
+    exclude_files: true,
+    exclude_directories: true,
+    custom_jsdoc_tags: true,
+    severity: true,
+    report_unused_directives: false
+};
+
+
+/**
+ * Error in a configuration file, reported to the user without a stack trace.
+ * @param {string} message The message.
+ * @constructor
+ * @extends {Error}
+ */
+var ConfigError = function(message) {
+    this.message = message;
+    this.stack = new Error(message).stack;
+};
+
+ConfigError.prototype = Object.create(Error.prototype);
+ConfigError.prototype.constructor = ConfigError;
+
+
+/**
+ * Normalizes the configuration read from a file.
+ * @param {Object} config The configuration.
+ * @param {string} filename Name of the file the configuration is read from.
+ * @return {Object} The configuration with list values as arrays.
+ * @private
+ */
+var _normalize = function(config, filename) {
+    var result = {};
+    _.each(config, function(value, key) {
+        if (key == 'root') {
+            result.root = !!value;
+            return;
+        }
+
+        if (!_.has(ConfigOptions, key)) {
+            throw new ConfigError(_s.sprintf('Unknown option "%s" in %s.',
+                    key, filename));
+        }
+
+        // Severities may be given as an object, e.g. {"LINE_TOO_LONG": "info"}.
+        if (ConfigOptions[key] && _.isObject(value) && !_.isArray(value)) {
+            value = _.map(value, function(itemValue, itemKey) {
+                return itemKey + ':' + itemValue;
+            });
+        }
+
+        if (ConfigOptions[key] && !_.isArray(value)) {
+            value = flags.list(String(value));
+        }
+        result[key] = ConfigOptions[key] ? _.map(value, String) : value;
+    });
+
+    try {
+        errorRules.parseCodes(result.disable);
+        errorRules.parseSeverities(result.severity);
+    } catch (e) {
+        throw new ConfigError(_s.sprintf('Invalid configuration file %s: %s',
+                filename, e.message));
+    }
+
+    return result;
+};
+
+
+/**
+ * Reads the configuration stored directly in the directory.
+ *
+ * A package.json which does not parse is likely not meant for the linter, so
+ * it is skipped with a warning.
+ * @param {string} dir The directory.
+ * @return {?Object} The configuration or null if there is none.
+ * @throws {ConfigError} If the configuration file is invalid.
+ * @private
+ */
+var _readConfig = function(dir) {
+    var filename = path.join(dir, CONFIG_FILE);
+    var isPackageJson = !fs.existsSync(filename);
+    if (isPackageJson) {
+        filename = path.join(dir, 'package.json');
+        if (!fs.existsSync(filename)) {
+            return null;
+        }
+    }
+
+    var config;
+    try {
+        config = JSON.parse(fs.readFileSync(filename, {encoding: 'utf8'}));
+    } catch (e) {
+        if (isPackageJson) {
+            console.error('WARNING: Skipping %s: %s', filename, e.message);
+            return null;
+        }
+        throw new ConfigError(_s.sprintf('Invalid configuration file %s: %s',
+                filename, e.message));
+    }
+
+    if (isPackageJson) {
+        config = _.isObject(config) ? config[PACKAGE_JSON_KEY] : null;
+        if (!config) {
+            return null;
+        }
+    }
+
+    return _normalize(config, filename);
+};
+
+
+/**
+ * Returns the configuration merged from the directory and its ancestors.
+ *
+ * @param {string} dir Absolute path to the directory.
+ * @param {Object.<string, Object>} opt_cache Configurations of already
+ *      visited directories, by directory. Updated by the call.
+ * @return {Object} The configuration.
+ * @throws {ConfigError} If a configuration file is invalid.
+ */
+var getDirectoryConfig = function(dir, opt_cache) {
+    var cache = opt_cache || {};
+    if (_.has(cache, dir)) {
+        return cache[dir];
+    }
+
+    var config = _readConfig(dir);
+    var parent = path.dirname(dir);
+    var result = {};
+
+    if ((!config || !config.root) && parent != dir) {
+        result = _.clone(getDirectoryConfig(parent, cache));
+    }
+    _.extend(result, _.omit(config || {}, 'root'));
+
+    cache[dir] = result;
+    return result;
+};
+
+
+/**
+ * Returns the project root of the directory, the nearest of the directory and
+ * its ancestors holding a configuration file or package.json.
+ *
+ * @param {string} dir Absolute path to the directory.
+ * @return {?string} Absolute path to the project root or null if there is
+ *      none.
+ */
+var findProjectRoot = function(dir) {
+    while (true) {
+        if (fs.existsSync(path.join(dir, CONFIG_FILE)) ||
+                fs.existsSync(path.join(dir, 'package.json'))) {
+            return dir;
+        }
+
+        var parent = path.dirname(dir);
+        if (parent == dir) {
+            return null;
+        }
+        dir = parent;
+    }
+};
+
+
+exports.CONFIG_FILE = CONFIG_FILE;
+exports.ConfigError = ConfigError;
+exports.ConfigOptions = ConfigOptions;
+exports.findProjectRoot = findProjectRoot;
+exports.getDirectoryConfig = getDirectoryConfig;
@@ -0,0 +1,279 @@
+/**
+ * Comment directives disabling errors for a line, a block or a file.
+ *
+ * Directives are written in // or /* comments, each followed by an optional
+ * list of error codes or names, e.g. "// gjslint-disable-next-line 0110,
+ * MISSING_PRIVATE". An empty list stands for all errors.
+ *
+ * - gjslint-disable-line disables errors on the line of the comment.
+ * - gjslint-disable-next-line disables errors on the next line.
+ * - gjslint-disable disables errors until the matching gjslint-enable.
+ * - gjslint-disable-file disables errors in the whole file.
+ */
+
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var error = require('../common/error');
+
+var errorRules = require('./errorrules');
+var errors = require('./errors');
+var javascriptTokens = require('./javascripttokens');
+
+var Type = javascriptTokens.JavaScriptTokenType;
+
+
+/**
+ * Kinds of the directives.
+ * @enum {string}
+ */
+var Kind = {
+    DISABLE: 'gjslint-disable',
+    ENABLE: 'gjslint-enable',
+    DISABLE_LINE: 'gjslint-disable-line',
+    DISABLE_NEXT_LINE: 'gjslint-disable-next-line',
+    DISABLE_FILE: 'gjslint-disable-file'
+};
+
+
+/**
+ * Matches text of a comment containing a directive.
+ * @type {RegExp}
+ */
+var DIRECTIVE_REGEX = new RegExp('^\\s*(' + _.values(Kind).join('|') +
+        ')(?:\\s+([\\w:,\\s-]*?))?\\s*$');
+
+
+/**
+ * A directive found in a comment.
+ * @param {string} kind Kind of the directive.
+ * @param {Array.<number>} codes Codes of the errors, empty for all errors.
+ * @param {Token} token The comment start token.
+ * @constructor
+ */
+var Directive = function(kind, codes, token) {
+    this.kind = kind;
+    this.codes = codes;
+    this.token = token;
+    this.used = false;
+};
+
+
+/**
+ * Returns whether the directive is about the error code.
+ * @param {number} code The error code.
+ * @return {boolean} Whether the directive applies to the code.
+ */
+Directive.prototype.hasCode = function(code) {
+    return !this.codes.length || _.contains(this.codes, code);
+};
+
+
+/**
+ * Returns whether the directive precedes the error in the file.
+ * @param {Error} err The error.
+ * @return {boolean} Whether the directive is before the error.
+ */
+Directive.prototype.isBefore = function(err) {
+    var line = this.token.lineNumber;
+    return line < err.token.lineNumber || (line == err.token.lineNumber &&
+            this.token.startIndex < err.startIndex);
+};
+
+
+/**
+ * Error handler that drops errors disabled by directives and passes the
+ * rest to the wrapped handler.
+ *
+ * @param {ErrorHandler} errorHandler The handler to pass errors to.
+ * @param {Object} options Values of the options of the checked file.
+ * @constructor
+ */
+var DirectiveFilter = function(errorHandler, options) {
+    this._errorHandler = errorHandler;
+    this._options = options;
+
+    /** @type {Array.<Directive>} */
+    this._directives = [];
+
+    /**
+     * Errors found in the directives themselves.
+     * @type {Array.<Error>}
+     */
+    this._directiveErrors = [];
+};
+
+
+/**
+ * Parses the list of error codes of a directive.
+ * @param {string} list The list of codes or names of errors.
+ * @param {Token} token The comment start token.
+ * @return {Array.<number>} The codes.
+ * @private
+ */
+DirectiveFilter.prototype._parseCodes = function(list, token) {
+    var codes = [];
+    _.each(list.split(/[,\s]+/), function(item) {
+        if (!item) {
+            return;
+        }
+
+        var code = errors.parseCode(item);
+        if (code === null) {
+            this._directiveErrors.push(new error.Error(
+                    errors.Errors.INVALID_DISABLE_DIRECTIVE,
+                    _s.sprintf('Unknown error "%s" in directive.', item),
+                    token));
+            return;
+        }
+
+        codes.push(code);
+    }, this);
+    return codes;
+};
+
+
+/**
+ * Collects the directives of the file and notifies the wrapped handler.
+ * @param {string} filename The name of the file about to be checked.
+ * @param {Token} firstToken The first token in the file.
+ */
+DirectiveFilter.prototype.handleFile = function(filename, firstToken) {
+    this._directives = [];
+    this._directiveErrors = [];
+
+    for (var token = firstToken; token; token = token.next) {
+        if (!token.isType(Type.START_SINGLE_LINE_COMMENT) &&
+                !token.isType(Type.START_BLOCK_COMMENT)) {
+            continue;
+        }
+
+        var next = token.next;
+        var match = next && next.isType(Type.COMMENT) &&
+                DIRECTIVE_REGEX.exec(next.string);
+        if (match) {
+            this._directives.push(new Directive(match[1],
+                    this._parseCodes(match[2] || '', token), token));
+        }
+    }
+
+    this._errorHandler.handleFile(filename, firstToken);
+};
+
+
+/**
+ * Returns the directive disabling the error.
+ * @param {Error} err The error.
+ * @return {?Directive} The directive or null if the error is not disabled.
+ * @private
+ */
+DirectiveFilter.prototype._getDisablingDirective = function(err) {
+    var code = err.code;
+    var disabledAll = null;
+    var disabledCodes = {};
+    var enabledCodes = {};
+
+    for (var i = 0; i < this._directives.length; i++) {
+        var directive = this._directives[i];
+        if (!directive.hasCode(code)) {
+            continue;
+        }
+
+        if (directive.kind == Kind.DISABLE_FILE) {
+            return directive;
+        }
+
+        // Only file directives apply to file-wide errors.
+        if (!err.token) {
+            continue;
+        }
+
+        var line = directive.token.lineNumber;
+        if (directive.kind == Kind.DISABLE_LINE &&
+                line == err.token.lineNumber) {
+            return directive;
+        }
+        if (directive.kind == Kind.DISABLE_NEXT_LINE &&
+                line + 1 == err.token.lineNumber) {
+            return directive;
+        }
+
+        if (!directive.isBefore(err)) {
+            continue;
+        }
+
+        if (directive.kind == Kind.DISABLE) {
+            if (directive.codes.length) {
+                disabledCodes[code] = directive;
+                delete enabledCodes[code];
+            } else {
+                disabledAll = directive;
+                disabledCodes = {};
+                enabledCodes = {};
+            }
+        } else if (directive.kind == Kind.ENABLE) {
+            if (directive.codes.length) {
+                delete disabledCodes[code];
+                enabledCodes[code] = true;
+            } else {
+                disabledAll = null;
+                disabledCodes = {};
+                enabledCodes = {};
+            }
+        }
+    }
+
+    if (_.has(disabledCodes, code)) {
+        return disabledCodes[code];
+    }
+    return disabledAll && !_.has(enabledCodes, code) ? disabledAll : null;
+};
+
+
+/**
+ * Passes the error to the wrapped handler unless it is disabled.
+ * @param {Error} err The error object.
+ */
+DirectiveFilter.prototype.handleError = function(err) {
+    var directive = this._getDisablingDirective(err);
+    if (directive) {
+        directive.used = true;
+    } else {
+        this._errorHandler.handleError(err);
+    }
+};
+
+
+/**
+ * Reports errors in the directives and notifies the wrapped handler.
+ *
+ * The errors follow all other errors of the file, runner.checkPath sorts
+ * them to their position.
+ */
+DirectiveFilter.prototype.finishFile = function() {
+    var directiveErrors = this._directiveErrors;
+
+    if (this._options.report_unused_directives) {
+        _.each(this._directives, function(directive) {
+            if (directive.kind != Kind.ENABLE && !directive.used) {
+                directiveErrors.push(new error.Error(
+                        errors.Errors.UNNECESSARY_DISABLE_DIRECTIVE,
+                        _s.sprintf('Directive "%s" disabled no errors.',
+                                _s.trim(directive.token.next.string)),
+                        directive.token));
+            }
+        });
+    }
+
+    _.each(directiveErrors, function(err) {
+        if (errorRules.shouldReportError(err.code, this._options)) {
+            this._errorHandler.handleError(err);
+        }
+    }, this);
+
+    this._errorHandler.finishFile();
+};
+
+
+exports.DirectiveFilter = DirectiveFilter;
+exports.Kind = Kind;
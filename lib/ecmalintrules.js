@@ -1,4 +1,3 @@
-var program = require('commander');
 var _ = require('underscore');
 var _s = require('underscore.string');
 var checkerBase = require('./checkerbase');
@@ -28,14 +27,12 @@ var Type = javascriptTokens.JavaScriptTokenType;
  *
  * All state should be added to the StateTracker subclass used for a particular
  * language.
+ * @param {Object} options Values of the options of the checked file.
  * @constructor
  * @extends {LintRulesBase}
  */
-var EcmaScriptLintRules = function() {
-    checkerBase.LintRulesBase.call(this);
-    if (EcmaScriptLintRules.maxLineLength == -1) {
-        EcmaScriptLintRules.maxLineLength = errorRules.getMaxLineLength();
-    }
+var EcmaScriptLintRules = function(options) {
+    checkerBase.LintRulesBase.call(this, options);
 };
 
 _.extend(EcmaScriptLintRules.prototype, checkerBase.LintRulesBase.prototype);
@@ -48,7 +45,8 @@ EcmaScriptLintRules.prototype.initialize = function(checker, limitedDocChecks,
                                                     isHtml) {
     checkerBase.LintRulesBase.prototype.initialize.call(this, checker,
             limitedDocChecks, isHtml);
-    this._indentation = new indentation.IndentationRules();
+    this._indentation = new indentation.IndentationRules(this._options);
+    this._maxLineLength = errorRules.getMaxLineLength(this._options);
 };
 
 
@@ -94,7 +92,7 @@ EcmaScriptLintRules.prototype._checkLineLength = function(lastToken, state) {
 
     var length = line.length;
 
-    if (length > EcmaScriptLintRules.maxLineLength) {
+    if (length > this._maxLineLength) {
         // If the line matches one of the exceptions, then it's ok.
         if (_.find(this.getLongLineExceptions(), function(regexp) {
             return regexp.test(lastToken.line);
@@ -114,7 +112,7 @@ EcmaScriptLintRules.prototype._checkLineLength = function(lastToken, state) {
 
         // Custom tags like @requires may have url like descriptions, so ignore
         // the tag, similar to how we handle @see.
-        var customTags = _.map(program.custom_jsdoc_tags, function(tag) {
+        var customTags = _.map(this._options.custom_jsdoc_tags, function(tag) {
             return '@' + tag;
         });
         if (_.difference(parts, _.union(EcmaScriptLintRules.LONG_LINE_IGNORE,
@@ -148,7 +146,7 @@ EcmaScriptLintRules.prototype._checkJsDocType = function(token) {
 
         // TODO(user): We should do actual parsing of JsDoc types to report an
         // error for wrong usage of '?' and '|' e.g. {?number|string|null} etc.
-        if (errorCheck.shouldCheck(Rule.BRACES_AROUND_TYPE) &&
+        if (this._shouldCheck(Rule.BRACES_AROUND_TYPE) &&
                 (flag.typeStartToken.type != Type.DOC_START_BRACE ||
                         flag.typeEndToken.type != Type.DOC_END_BRACE)) {
             this._handleError(errors.Errors.MISSING_BRACES_AROUND_TYPE,
@@ -255,7 +253,7 @@ EcmaScriptLintRules.prototype.checkToken = function(token, state) {
     var tokenType = token.type;
 
     // Process the line change.
-    if (!this._isHtml && errorCheck.shouldCheck(Rule.INDENTATION)) {
+    if (!this._isHtml && this._shouldCheck(Rule.INDENTATION)) {
         // TODO(robbyw): Support checking indentation in HTML files.
         var indentationErrors = this._indentation.checkToken(token, state);
         _.each(indentationErrors, function(ie) {
@@ -344,7 +342,8 @@ EcmaScriptLintRules.prototype.checkToken = function(token, state) {
             if (lastCode.metadata.context.parent.type !=
                     Context.Type.OBJECT_LITERAL &&
                     lastCode.metadata.context.type !=
-                            Context.Type.OBJECT_LITERAL) {
+                            Context.Type.OBJECT_LITERAL &&
+                    !token.metadata.context.isClassExpression()) {
                 this._handleError(errors.Errors.REDUNDANT_SEMICOLON,
                         'No semicolon is required to end a code block',
                         token.next, Position.all(token.next.string));
@@ -392,7 +391,9 @@ EcmaScriptLintRules.prototype.checkToken = function(token, state) {
         }
 
     } else if (tokenType == Type.START_PAREN) {
-        if (token.previous && token.previous.type == Type.KEYWORD) {
+        // A dynamic import(...) is called like a function.
+        if (token.previous && token.previous.type == Type.KEYWORD &&
+                !token.previous.isKeyword('import')) {
             this._handleError(errors.Errors.MISSING_SPACE,
                     'Missing space before "("', token, Position.atBeginning());
         } else if (token.previous && token.previous.type == Type.WHITESPACE) {
@@ -499,7 +500,7 @@ EcmaScriptLintRules.prototype.checkToken = function(token, state) {
                     }
                 }, this);
             }
-        } else if (errorCheck.shouldCheck(Rule.WELL_FORMED_AUTHOR) &&
+        } else if (this._shouldCheck(Rule.WELL_FORMED_AUTHOR) &&
                 flag.flagType == 'author') {
             // TODO(user): In non strict mode check the author tag for as much
             // as it exists, though the full form checked below isn't required.
@@ -517,7 +518,7 @@ EcmaScriptLintRules.prototype.checkToken = function(token, state) {
                 if (numSpaces < 1) {
                     this._handleError(errors.Errors.MISSING_SPACE,
                             'Missing space after email address',
-                            token.next, Position(string.indexOf('('), 0));
+                            token.next, new Position(string.indexOf('('), 0));
                 } else if (numSpaces > 1) {
                     this._handleError(errors.Errors.EXTRA_SPACE,
                             'Extra space after email address', token.next,
@@ -576,14 +577,14 @@ EcmaScriptLintRules.prototype.checkToken = function(token, state) {
     if (tokenType == Type.DOC_FLAG || tokenType == Type.DOC_INLINE_FLAG) {
         // TagName should be [1] for DOC_INLINE_FLAG and [2] for DOC_FLAG.
         var tagName = _.last(token.values);
-        if (!_.contains(_.union(program.custom_jsdoc_tags || [],
+        if (!_.contains(_.union(this._options.custom_jsdoc_tags || [],
                 state.getDocFlag().LEGAL_DOC), tagName)) {
             this._handleError(errors.Errors.INVALID_JSDOC_TAG,
                     _s.sprintf('Invalid JsDoc tag: %s', tagName),
                     token);
         }
 
-        if (errorCheck.shouldCheck(Rule.NO_BRACES_AROUND_INHERIT_DOC) &&
+        if (this._shouldCheck(Rule.NO_BRACES_AROUND_INHERIT_DOC) &&
                 tagName == 'inheritDoc' &&
                 tokenType == Type.DOC_INLINE_FLAG) {
             this._handleError(
@@ -843,7 +844,8 @@ EcmaScriptLintRules.prototype._handleStartBracket = function(token,
     // should trigger a proper indentation warning message as [ is not indented
     // by four spaces.
     } else if (!token.isFirstInLine() && token.previous && !_.contains(
-            _.union([Type.WHITESPACE, Type.START_PAREN, Type.START_BRACKET],
+            _.union([Type.WHITESPACE, Type.START_PAREN, Type.START_BRACKET,
+                Type.TEMPLATE_SUBSTITUTION_START],
                 Type.EXPRESSION_ENDER_TYPES),
             token.previous.type)) {
         this._handleError(errors.Errors.MISSING_SPACE,
@@ -868,7 +870,7 @@ EcmaScriptLintRules.prototype.finalize = function(state) {
     }
 
     try {
-        //this._indentation.finalize();
+        this._indentation.finalize();
     } catch (e) {
         this._handleError(errors.Errors.FILE_DOES_NOT_PARSE,
                 e.message, lastNonSpaceToken);
@@ -894,8 +896,6 @@ EcmaScriptLintRules.prototype.inExplicitlyTypedLanguage = function() {
 };
 
 
-EcmaScriptLintRules.maxLineLength = -1;
-
 EcmaScriptLintRules.MISSING_PARAMETER_SPACE = /,\S/;
 
 EcmaScriptLintRules.EXTRA_SPACE = /(\(\s|\s\))/;
@@ -107,6 +107,26 @@ EcmaContext.prototype.getRoot = function() {
 };
 
 
+/**
+ * Returns whether this is the context of a class expression, e.g.
+ * "var Foo = class {...};", which ends with a semicolon unlike a class
+ * declaration.
+ * @return {boolean}
+ */
+EcmaContext.prototype.isClassExpression = function() {
+    if (this.type != EcmaContext.Type.CLASS ||
+            this.parent.type == EcmaContext.Type.EXPORT) {
+        return false;
+    }
+
+    // A declaration is the first code of its statement, which may start at
+    // the doc comment before it.
+    var lastCode = this.startToken.metadata.lastCode;
+    return this.parent.type != EcmaContext.Type.STATEMENT || (lastCode &&
+            tokenUtil.compare(lastCode, this.parent.startToken) >= 0);
+};
+
+
 /** Sorts contexts 1 and 2 by start token document position. */
 EcmaContext._compareContext = function(a, b) {
     return tokenUtil.compare(a, b);
@@ -154,6 +174,17 @@ EcmaContext.Type = {
     // except for case and default.
     SWITCH: 'switch',
 
+    // A class declaration or expression.  This will contain a BLOCK with the
+    // class body.
+    CLASS: 'class',
+
+    // An import declaration, up to the end of its statement.
+    IMPORT: 'import',
+
+    // An export declaration, up to the end of its statement.  This will
+    // contain the exported declaration, if any.
+    EXPORT: 'export',
+
     // A normal comment.
     COMMENT: 'comment',
 
@@ -169,7 +200,8 @@ EcmaContext.Type = {
     // Parameter names in a function declaration.
     PARAMETERS: 'parameters',
 
-    // A set of variable declarations appearing after the 'var' keyword.
+    // A set of variable declarations appearing after the 'var', 'let' or
+    // 'const' keyword.
     VAR: 'var'
 };
 
@@ -369,7 +401,8 @@ EcmaMetaDataPass.prototype._processContext = function() {
     }
 
     if (tokenType == TokenType.START_PAREN) {
-        if (this._lastCode && this._lastCode.isKeyword('for')) {
+        if (this._lastCode && (this._lastCode.isKeyword('for') ||
+                this._lastCode.isKeyword('await'))) {
             // For loops contain multiple statements in the group unlike while,
             // switch, if, etc.
             this._addContext(EcmaContext.Type.FOR_GROUP_BLOCK);
@@ -384,7 +417,8 @@ EcmaMetaDataPass.prototype._processContext = function() {
         // the file, for example if all code is wrapped in an immediately
         // executed annonymous function.
         if (keyworkToken &&
-                _.contains(['if', 'for', 'while'], keyworkToken.string)) {
+                (_.contains(['if', 'for', 'while'], keyworkToken.string) ||
+                        keyworkToken.isKeyword('await'))) {
             var nextCode = tokenUtil.searchExcept(token,
                     TokenType.NON_CODE_TYPES);
             if (nextCode.type != TokenType.START_BLOCK) {
@@ -417,6 +451,12 @@ EcmaMetaDataPass.prototype._processContext = function() {
             this._addContext(EcmaContext.Type.IMPLIED_BLOCK);
             token.metadata.isImpliedBlock = true;
         }
+    } else if (tokenType == TokenType.TEMPLATE_SUBSTITUTION_START) {
+        // The code of a template substitution behaves like a parenthesized
+        // expression.
+        this._addContext(EcmaContext.Type.GROUP);
+    } else if (tokenType == TokenType.TEMPLATE_SUBSTITUTION_END) {
+        return this._popContextType([EcmaContext.Type.GROUP]);
     } else if (tokenType == TokenType.START_PARAMETERS) {
         this._addContext(EcmaContext.Type.PARAMETERS);
     } else if (tokenType == TokenType.END_PARAMETERS) {
@@ -434,6 +474,8 @@ EcmaMetaDataPass.prototype._processContext = function() {
     } else if (tokenType == TokenType.START_BLOCK) {
         if (_.contains([TokenType.END_PAREN, TokenType.END_PARAMETERS],
                 this._lastCode.type) ||
+                this._context.type == EcmaContext.Type.CLASS ||
+                this._lastCode.isOperator('=>') ||
                 this._lastCode.isKeyword('else') ||
                 this._lastCode.isKeyword('do') ||
                 this._lastCode.isKeyword('try') ||
@@ -442,7 +484,8 @@ EcmaMetaDataPass.prototype._processContext = function() {
                         this._lastCode.metadata.context.type ==
                                 EcmaContext.Type.CASE_BLOCK)) {
             // else, do, try, and finally all might have no () before {.
-            // Also, handle the bizzare syntax case 10: {...}.
+            // Also, handle the bizzare syntax case 10: {...}, class bodies
+            // and arrow function bodies.
             this._addContext(EcmaContext.Type.BLOCK);
         } else {
             this._addContext(EcmaContext.Type.OBJECT_LITERAL);
@@ -450,15 +493,27 @@ EcmaMetaDataPass.prototype._processContext = function() {
     } else if (tokenType == TokenType.END_BLOCK) {
         var context = this._popContextType(
                 [EcmaContext.Type.BLOCK, EcmaContext.Type.OBJECT_LITERAL]);
-        if (this._context.type == EcmaContext.Type.SWITCH) {
+        if (_.contains([EcmaContext.Type.SWITCH, EcmaContext.Type.CLASS],
+                this._context.type)) {
             return this._popContext();
         }
         return context;
     } else if (token.isKeyword('switch')) {
         this._addContext(EcmaContext.Type.SWITCH);
+    } else if (token.isKeyword('class')) {
+        this._addContext(EcmaContext.Type.CLASS);
+    } else if (token.isKeyword('import')) {
+        // A dynamic import(...) is an expression, not a declaration.
+        var nextCode = tokenUtil.searchExcept(token, TokenType.NON_CODE_TYPES);
+        if (!nextCode || nextCode.type != TokenType.START_PAREN) {
+            this._addContext(EcmaContext.Type.IMPORT);
+        }
+    } else if (token.isKeyword('export')) {
+        this._addContext(EcmaContext.Type.EXPORT);
     } else if (tokenType == TokenType.KEYWORD &&
             _.contains(['case', 'default'], token.string) &&
-            this._context.type != EcmaContext.Type.OBJECT_LITERAL) {
+            this._context.type != EcmaContext.Type.OBJECT_LITERAL &&
+            this._context.type != EcmaContext.Type.EXPORT) {
         // Pop up to but not including the switch block.
         while (this._context.parent.type != EcmaContext.Type.SWITCH) {
             this._popContext();
@@ -487,13 +542,14 @@ EcmaMetaDataPass.prototype._processContext = function() {
         } else if (this._context.parent.type == EcmaContext.Type.SWITCH) {
             this._addContext(EcmaContext.Type.CASE_BLOCK);
         }
-    } else if (token.isKeyword('var')) {
+    } else if (token.isVariableKeyword()) {
         this._addContext(EcmaContext.Type.VAR);
     } else if (token.isOperator(',')) {
         while (!_.contains([EcmaContext.Type.VAR,
             EcmaContext.Type.ARRAY_LITERAL, EcmaContext.Type.OBJECT_LITERAL,
             EcmaContext.Type.STATEMENT, EcmaContext.Type.PARAMETERS,
-            EcmaContext.Type.GROUP], this._context.type)) {
+            EcmaContext.Type.GROUP, EcmaContext.Type.IMPORT,
+            EcmaContext.Type.EXPORT], this._context.type)) {
 
             this._popContext();
         }
@@ -565,9 +621,12 @@ EcmaMetaDataPass.prototype._processToken = function() {
                 nextCode.type == TokenType.OPERATOR;
         var nextCodeIsDot = nextCode && nextCode.string == '.';
         var isEndOfBlock = token.type == TokenType.END_BLOCK &&
-                token.metadata.context.type != EcmaContext.Type.OBJECT_LITERAL;
-        var isMultilineString = token.type == TokenType.STRING_TEXT;
-        var isContinuedVarDecl = token.isKeyword('var') &&
+                token.metadata.context.type !=
+                        EcmaContext.Type.OBJECT_LITERAL &&
+                !token.metadata.context.isClassExpression();
+        var isMultilineString = token.type == TokenType.STRING_TEXT ||
+                _.contains(TokenType.TEMPLATE_CONTINUATION_TYPES, token.type);
+        var isContinuedVarDecl = token.isVariableKeyword() &&
                 nextCode &&
                 _.contains([TokenType.IDENTIFIER, TokenType.SIMPLE_LVALUE],
                         nextCode.type) &&
@@ -592,9 +651,10 @@ EcmaMetaDataPass.prototype._processToken = function() {
  * @private
  */
 EcmaMetaDataPass.prototype._statementCouldEndInContext = function() {
-    // In the basic statement or variable declaration context, statement can
-    // always end in this context.
-    if (_.contains([EcmaContext.Type.STATEMENT, EcmaContext.Type.VAR],
+    // In the basic statement, variable, import or export declaration context,
+    // statement can always end in this context.
+    if (_.contains([EcmaContext.Type.STATEMENT, EcmaContext.Type.VAR,
+            EcmaContext.Type.IMPORT, EcmaContext.Type.EXPORT],
             this._context.type)) {
         return true;
     }
@@ -2,7 +2,6 @@
  * Specific JSLint errors checker.
  */
 
-var program = require('commander');
 var _ = require('underscore');
 
 
@@ -44,16 +43,17 @@ Rule.CLOSURE_RULES = [
  * Computes different flags (strict, jslint_error, jslint_noerror) to find out
  * if this specific rule should be checked.
  * @param {Rule} rule Name of the rule (see Rule).
+ * @param {Object} options Values of the options of the checked file.
  * @return {boolean} True if the rule should be checked according to the flags,
  *      otherwise False.
  */
-var shouldCheck = function(rule) {
-    if (_.contains(program.jslint_error, rule) ||
-            _.contains(program.jslint_error, Rule.ALL)) {
+var shouldCheck = function(rule, options) {
+    if (_.contains(options.jslint_error, rule) ||
+            _.contains(options.jslint_error, Rule.ALL)) {
         return true;
     }
 
-    return program.strict && _.contains(Rule.CLOSURE_RULES, rule);
+    return !!options.strict && _.contains(Rule.CLOSURE_RULES, rule);
 };
 
 
@@ -0,0 +1,779 @@
+/**
+ * Main class responsible for automatically fixing simple style violations.
+ */
+
+var fs = require('fs');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var errorRules = require('./errorrules');
+var errors = require('./errors');
+var javascriptStateTracker = require('./javascriptstatetracker');
+var javascriptTokens = require('./javascripttokens');
+var requireProvideSorter = require('./requireprovidesorter');
+var tokenUtil = require('./tokenutil');
+
+var Token = javascriptTokens.JavaScriptToken;
+var Type = javascriptTokens.JavaScriptTokenType;
+
+
+// Regex to represent common mistake inverting author name and email as
+// @author User Name (user@company)
+var INVERTED_AUTHOR_SPEC = /^(\s*)([^(]+)(\s+)\(([^\s]+@[^)\s]+)\)(.*)/;
+
+
+/**
+ * Whether the string consists only of whitespace.
+ * @param {string} string The string to test.
+ * @return {boolean}
+ */
+var isSpace = function(string) {
+    return /^\s+$/.test(string);
+};
+
+
+// Errors that are always fixed when reported on a token.
+var ALWAYS_FIXABLE_ERRORS = [
+    errors.Errors.JSDOC_PREFER_QUESTION_TO_PIPE_NULL,
+    errors.Errors.JSDOC_MISSING_OPTIONAL_TYPE,
+    errors.Errors.JSDOC_MISSING_VAR_ARGS_TYPE,
+    errors.Errors.MISSING_SEMICOLON_AFTER_FUNCTION,
+    errors.Errors.MISSING_SEMICOLON,
+    errors.Errors.ILLEGAL_SEMICOLON_AFTER_FUNCTION,
+    errors.Errors.REDUNDANT_SEMICOLON,
+    errors.Errors.COMMA_AT_END_OF_LITERAL,
+    errors.Errors.FILE_MISSING_NEWLINE,
+    errors.Errors.EXTRA_LINE,
+    errors.Errors.WRONG_BLANK_LINE_COUNT,
+    errors.Errors.UNNECESSARY_DOUBLE_QUOTED_STRING,
+    errors.Errors.MISSING_BRACES_AROUND_TYPE,
+    errors.Errors.GOOG_REQUIRES_NOT_ALPHABETIZED,
+    errors.Errors.GOOG_PROVIDES_NOT_ALPHABETIZED,
+    errors.Errors.EXTRA_GOOG_PROVIDE,
+    errors.Errors.EXTRA_GOOG_REQUIRE];
+
+
+// Errors that are fixed in some cases only, see isFixable.
+var SOMETIMES_FIXABLE_ERRORS = [
+    errors.Errors.INVALID_JSDOC_TAG,
+    errors.Errors.MISSING_SPACE,
+    errors.Errors.EXTRA_SPACE,
+    errors.Errors.MISSING_LINE,
+    errors.Errors.UNNECESSARY_BRACES_AROUND_INHERIT_DOC,
+    errors.Errors.INVALID_AUTHOR_TAG_DESCRIPTION,
+    errors.Errors.WRONG_INDENTATION,
+    errors.Errors.MALFORMED_END_OF_SCOPE_COMMENT,
+    errors.Errors.MISSING_END_OF_SCOPE_COMMENT,
+    errors.Errors.MISSING_GOOG_PROVIDE,
+    errors.Errors.MISSING_GOOG_REQUIRE];
+
+
+/**
+ * Returns whether the ErrorFixer is able to fix the given error.
+ * @param {Error} error The error object.
+ * @param {Options} opt_options Options of the run.
+ * @return {boolean} True if handleError would change the token stream for
+ *      this error.
+ */
+var isFixable = function(error, opt_options) {
+    var code = error.code;
+    var token = error.token;
+
+    if (!token) {
+        return false;
+    } else if (_.contains(ALWAYS_FIXABLE_ERRORS, code)) {
+        return true;
+    } else if (code == errors.Errors.INVALID_JSDOC_TAG) {
+        return token.string == '@returns';
+    } else if (code == errors.Errors.MISSING_SPACE) {
+        return !!error.fixData || !!error.position;
+    } else if (code == errors.Errors.EXTRA_SPACE ||
+            code == errors.Errors.MISSING_LINE) {
+        return !!error.position;
+    } else if (code == errors.Errors.UNNECESSARY_BRACES_AROUND_INHERIT_DOC) {
+        return !!token.previous && token.previous.string == '{' &&
+                !!token.next && token.next.string == '}';
+    } else if (code == errors.Errors.INVALID_AUTHOR_TAG_DESCRIPTION) {
+        return INVERTED_AUTHOR_SPEC.test(token.string);
+    } else if (code == errors.Errors.WRONG_INDENTATION) {
+        return !opt_options ||
+                !opt_options.get('disable_indentation_fixing');
+    } else if (code == errors.Errors.MALFORMED_END_OF_SCOPE_COMMENT ||
+            code == errors.Errors.MISSING_END_OF_SCOPE_COMMENT) {
+        return token.type == Type.END_BLOCK && !!token.next &&
+                token.next.type == Type.END_PAREN && !!token.next.next &&
+                token.next.next.type == Type.SEMICOLON;
+    } else if (code == errors.Errors.MISSING_GOOG_PROVIDE ||
+            code == errors.Errors.MISSING_GOOG_REQUIRE) {
+        return !!error.fixData;
+    }
+
+    return false;
+};
+
+
+/**
+ * Object that fixes simple style errors.
+ *
+ * @param {{write: function(string)}} opt_externalFile If included, all output
+ *      will be directed to this stream instead of overwriting the files the
+ *      errors are found in.
+ * @param {Options} opt_options Options of the run.
+ * @constructor
+ */
+var ErrorFixer = function(opt_externalFile, opt_options) {
+    this._fileName = null;
+    this._fileToken = null;
+    this._externalFile = opt_externalFile || null;
+    this._options = opt_options || null;
+    this._disableIndentationFixing = !!opt_options &&
+            !!opt_options.get('disable_indentation_fixing');
+};
+
+
+/**
+ * Notifies this ErrorFixer that subsequent errors are in filename.
+ * @param {string} filename The name of the file about to be checked.
+ * @param {Token} firstToken The first token in the file.
+ */
+ErrorFixer.prototype.handleFile = function(filename, firstToken) {
+    this._fileName = filename;
+    this._fileIsHtml = _s.endsWith(filename, '.html') ||
+            _s.endsWith(filename, '.htm');
+    this._fileToken = firstToken;
+    this._fileFixCount = 0;
+    this._fileChangedLines = [];
+};
+
+
+/**
+ * Adds the fix to the internal count.
+ * @param {Token|Array.<Token>} tokens The token or sequence of tokens changed
+ *      to fix an error.
+ * @private
+ */
+ErrorFixer.prototype._addFix = function(tokens) {
+    this._fileFixCount++;
+    this._fileChangedLines = _.union(this._fileChangedLines,
+            _.pluck(_.isArray(tokens) ? tokens : [tokens], 'lineNumber'));
+};
+
+
+/**
+ * Attempts to fix the error.
+ * @param {Error} error The error object.
+ */
+ErrorFixer.prototype.handleError = function(error) {
+    var code = error.code;
+    var token = error.token;
+    var iterator;
+
+    if (code == errors.Errors.JSDOC_PREFER_QUESTION_TO_PIPE_NULL) {
+        iterator = token.attachedObject.typeStartToken;
+        if (iterator.type == Type.DOC_START_BRACE ||
+                isSpace(iterator.string)) {
+            iterator = iterator.next;
+        }
+
+        var leadingSpace = iterator.string.length -
+                _s.ltrim(iterator.string).length;
+        iterator.string = _s.repeat(' ', leadingSpace) + '?' +
+                _s.ltrim(iterator.string);
+
+        // Cover the no outer brace case where the end token is part of the
+        // type.
+        while (iterator &&
+                iterator != token.attachedObject.typeEndToken.next) {
+            iterator.string = iterator.string.replace('null|', '').
+                    replace('|null', '');
+            iterator = iterator.next;
+        }
+
+        // Create a new flag object with updated type info.
+        token.attachedObject = new javascriptStateTracker.JsDocFlag(token);
+        this._addFix(token);
+
+    } else if (code == errors.Errors.JSDOC_MISSING_OPTIONAL_TYPE) {
+        iterator = token.attachedObject.typeEndToken;
+        if (iterator.type == Type.DOC_END_BRACE || isSpace(iterator.string)) {
+            iterator = iterator.previous;
+        }
+
+        var endingSpace = iterator.string.length -
+                _s.rtrim(iterator.string).length;
+        iterator.string = _s.rtrim(iterator.string) + '=' +
+                _s.repeat(' ', endingSpace);
+
+        // Create a new flag object with updated type info.
+        token.attachedObject = new javascriptStateTracker.JsDocFlag(token);
+        this._addFix(token);
+
+    } else if (code == errors.Errors.JSDOC_MISSING_VAR_ARGS_TYPE) {
+        iterator = token.attachedObject.typeStartToken;
+        if (iterator.type == Type.DOC_START_BRACE ||
+                isSpace(iterator.string)) {
+            iterator = iterator.next;
+        }
+
+        var startingSpace = iterator.string.length -
+                _s.ltrim(iterator.string).length;
+        iterator.string = _s.repeat(' ', startingSpace) + '...' +
+                _s.ltrim(iterator.string);
+
+        // Create a new flag object with updated type info.
+        token.attachedObject = new javascriptStateTracker.JsDocFlag(token);
+        this._addFix(token);
+
+    } else if (code == errors.Errors.MISSING_SEMICOLON_AFTER_FUNCTION ||
+            code == errors.Errors.MISSING_SEMICOLON) {
+        var semicolonToken = new Token(';', Type.SEMICOLON, token.line,
+                token.lineNumber);
+        tokenUtil.insertTokenAfter(semicolonToken, token);
+        token.metadata.isImpliedSemicolon = false;
+        semicolonToken.metadata.isImpliedSemicolon = false;
+        // The metadata is copied from the token, which already closes any
+        // implied block.
+        semicolonToken.metadata.isImpliedBlockClose = false;
+        this._addFix(token);
+
+    } else if (code == errors.Errors.ILLEGAL_SEMICOLON_AFTER_FUNCTION ||
+            code == errors.Errors.REDUNDANT_SEMICOLON ||
+            code == errors.Errors.COMMA_AT_END_OF_LITERAL) {
+        this._deleteToken(token);
+        this._addFix(token);
+
+    } else if (code == errors.Errors.INVALID_JSDOC_TAG) {
+        if (token.string == '@returns') {
+            token.string = '@return';
+            this._addFix(token);
+        }
+
+    } else if (code == errors.Errors.FILE_MISSING_NEWLINE) {
+        // This error is fixed implicitly by the way we restore the file.
+        this._addFix(token);
+
+    } else if (code == errors.Errors.MISSING_SPACE) {
+        if (error.fixData) {
+            token.string = error.fixData;
+            this._addFix(token);
+        } else if (error.position) {
+            if (error.position.isAtBeginning()) {
+                tokenUtil.insertSpaceTokenAfter(token.previous);
+            } else if (error.position.isAtEnd(token.string)) {
+                tokenUtil.insertSpaceTokenAfter(token);
+            } else {
+                token.string = error.position.set(token.string, ' ');
+            }
+            this._addFix(token);
+        }
+
+    } else if (code == errors.Errors.EXTRA_SPACE) {
+        if (error.position) {
+            token.string = error.position.set(token.string, '');
+            this._addFix(token);
+        }
+
+    } else if (code == errors.Errors.MISSING_LINE) {
+        if (error.position.isAtBeginning()) {
+            tokenUtil.insertBlankLineAfter(token.previous);
+        } else {
+            tokenUtil.insertBlankLineAfter(token);
+        }
+        this._addFix(token);
+
+    } else if (code == errors.Errors.EXTRA_LINE) {
+        this._deleteToken(token);
+        this._addFix(token);
+
+    } else if (code == errors.Errors.WRONG_BLANK_LINE_COUNT) {
+        var numLines = error.fixData;
+        var shouldDelete = false;
+
+        if (numLines < 0) {
+            numLines *= -1;
+            shouldDelete = true;
+        }
+
+        _.each(_.range(numLines), function() {
+            if (shouldDelete) {
+                if (token.previous == this._fileToken) {
+                    this._fileToken = token;
+                }
+                tokenUtil.deleteBlankLine(token.previous);
+            } else {
+                tokenUtil.insertBlankLineBefore(token);
+            }
+            this._addFix(token);
+        }, this);
+
+    } else if (code == errors.Errors.UNNECESSARY_DOUBLE_QUOTED_STRING) {
+        var endQuote = tokenUtil.search(token, [Type.DOUBLE_QUOTE_STRING_END]);
+        if (endQuote) {
+            var singleQuoteStart = new Token('\'',
+                    Type.SINGLE_QUOTE_STRING_START, token.line,
+                    token.lineNumber);
+            var singleQuoteEnd = new Token('\'', Type.SINGLE_QUOTE_STRING_END,
+                    endQuote.line, token.lineNumber);
+
+            tokenUtil.insertTokenAfter(singleQuoteStart, token);
+            tokenUtil.insertTokenAfter(singleQuoteEnd, endQuote);
+            this._deleteToken(token);
+            this._deleteToken(endQuote);
+            this._addFix([token, endQuote]);
+        }
+
+    } else if (code == errors.Errors.MISSING_BRACES_AROUND_TYPE) {
+        this._fixMissingBracesAroundType(token);
+
+    } else if (code == errors.Errors.GOOG_REQUIRES_NOT_ALPHABETIZED) {
+        var requireStartToken = error.fixData;
+        new requireProvideSorter.RequireProvideSorter().fixRequires(
+                requireStartToken);
+        this._addFix(requireStartToken);
+
+    } else if (code == errors.Errors.GOOG_PROVIDES_NOT_ALPHABETIZED) {
+        var provideStartToken = error.fixData;
+        new requireProvideSorter.RequireProvideSorter().fixProvides(
+                provideStartToken);
+        this._addFix(provideStartToken);
+
+    } else if (code == errors.Errors.UNNECESSARY_BRACES_AROUND_INHERIT_DOC) {
+        if (token.previous.string == '{' && token.next.string == '}') {
+            this._deleteToken(token.previous);
+            this._deleteToken(token.next);
+            this._addFix([token]);
+        }
+
+    } else if (code == errors.Errors.INVALID_AUTHOR_TAG_DESCRIPTION) {
+        var match = INVERTED_AUTHOR_SPEC.exec(token.string);
+        if (match) {
+            token.string = _s.sprintf('%s%s%s(%s)%s', match[1], match[4],
+                    match[3], match[2], match[5]);
+            this._addFix(token);
+        }
+
+    } else if (code == errors.Errors.WRONG_INDENTATION &&
+            !this._disableIndentationFixing) {
+        this._fixIndentation(error);
+
+    } else if (code == errors.Errors.MALFORMED_END_OF_SCOPE_COMMENT ||
+            code == errors.Errors.MISSING_END_OF_SCOPE_COMMENT) {
+        this._fixEndOfScopeComment(token);
+
+    } else if (code == errors.Errors.EXTRA_GOOG_PROVIDE ||
+            code == errors.Errors.EXTRA_GOOG_REQUIRE) {
+        var tokensInLine = tokenUtil.getAllTokensInSameLine(token);
+        this._deleteTokens(tokensInLine[0], tokensInLine.length);
+        this._addFix(tokensInLine);
+
+    } else if ((code == errors.Errors.MISSING_GOOG_PROVIDE ||
+            code == errors.Errors.MISSING_GOOG_REQUIRE) && error.fixData) {
+        this._fixMissingRequiresOrProvides(error);
+    }
+};
+
+
+/**
+ * Adds missing braces around the type of a JsDoc flag.
+ * @param {Token} token The flag token.
+ * @private
+ */
+ErrorFixer.prototype._fixMissingBracesAroundType = function(token) {
+    var fixedTokens = [];
+    var flag = token.attachedObject;
+    var startToken = flag.typeStartToken;
+    var newToken;
+
+    if (startToken.type != Type.DOC_START_BRACE) {
+        var leadingSpace = startToken.string.length -
+                _s.ltrim(startToken.string).length;
+        if (leadingSpace) {
+            startToken = tokenUtil.splitToken(startToken, leadingSpace);
+            // Fix case where start and end token were the same.
+            if (flag.typeEndToken == startToken.previous) {
+                flag.typeEndToken = startToken;
+            }
+        }
+
+        newToken = new Token('{', Type.DOC_START_BRACE, startToken.line,
+                startToken.lineNumber);
+        tokenUtil.insertTokenAfter(newToken, startToken.previous);
+        flag.typeStartToken = newToken;
+        fixedTokens.push(newToken);
+    }
+
+    var endToken = flag.typeEndToken;
+    if (endToken.type != Type.DOC_END_BRACE) {
+        // If the start token was a brace, the end token will be a
+        // FLAG_ENDING_TYPE token, if there wasn't a starting brace then the end
+        // token is the last token of the actual type.
+        var lastType = endToken;
+        if (!fixedTokens.length) {
+            lastType = endToken.previous;
+        }
+
+        while (isSpace(lastType.string)) {
+            lastType = lastType.previous;
+        }
+
+        // If there was no starting brace then a lone end brace wouldn't have
+        // been type end token. Now that we've added any missing start brace,
+        // see if the last effective type token was an end brace.
+        if (lastType.type != Type.DOC_END_BRACE) {
+            var trailingSpace = lastType.string.length -
+                    _s.rtrim(lastType.string).length;
+            if (trailingSpace) {
+                tokenUtil.splitToken(lastType,
+                        lastType.string.length - trailingSpace);
+            }
+
+            newToken = new Token('}', Type.DOC_END_BRACE, lastType.line,
+                    lastType.lineNumber);
+            tokenUtil.insertTokenAfter(newToken, lastType);
+            flag.typeEndToken = newToken;
+            fixedTokens.push(newToken);
+        }
+    }
+
+    this._addFix(fixedTokens);
+};
+
+
+/**
+ * Re-indents the line of a WRONG_INDENTATION error.
+ *
+ * The error position spans the actual indentation and the fix data holds the
+ * expected one.
+ * @param {Error} error The error object.
+ * @private
+ */
+ErrorFixer.prototype._fixIndentation = function(error) {
+    var token = tokenUtil.getFirstTokenInSameLine(error.token);
+    var actual = error.position.length;
+    var expected = error.fixData;
+
+    // Cases where first token is param but with leading spaces.
+    var trimmed = _s.ltrim(token.string);
+    if (trimmed.length == token.string.length - actual && trimmed) {
+        token.string = trimmed;
+        actual = 0;
+    }
+
+    if (_.contains([Type.WHITESPACE, Type.PARAMETERS], token.type) &&
+            actual != 0) {
+        token.string = _s.ltrim(token.string) + _s.repeat(' ', expected);
+        this._addFix([token]);
+    } else {
+        // We need to add indentation.
+        var newToken = new Token(_s.repeat(' ', expected), Type.WHITESPACE,
+                token.line, token.lineNumber);
+        // Note that we'll never need to add indentation at the first line,
+        // since it will always not be indented.  Therefore it's safe to assume
+        // token.previous exists.
+        tokenUtil.insertTokenAfter(newToken, token.previous);
+        this._addFix([token]);
+    }
+};
+
+
+/**
+ * Rewrites the comment after the closing of a goog.scope call.
+ * @param {Token} token The closing brace of the goog.scope function.
+ * @private
+ */
+ErrorFixer.prototype._fixEndOfScopeComment = function(token) {
+    // Only fix cases where }); is found with no trailing content on the line
+    // other than a comment. Value of 'token' is set to } for this error.
+    if (token.type != Type.END_BLOCK ||
+            token.next.type != Type.END_PAREN ||
+            token.next.next.type != Type.SEMICOLON) {
+        return;
+    }
+
+    var currentToken = token.next.next.next;
+    var removedTokens = [];
+    while (currentToken && currentToken.lineNumber == token.lineNumber) {
+        if (!currentToken.isAnyType([Type.WHITESPACE,
+                Type.START_SINGLE_LINE_COMMENT, Type.COMMENT])) {
+            return;
+        }
+        removedTokens.push(currentToken);
+        currentToken = currentToken.next;
+    }
+
+    if (removedTokens.length) {
+        this._deleteTokens(removedTokens[0], removedTokens.length);
+    }
+
+    var insertionTokens = [
+        new Token('  ', Type.WHITESPACE, token.line, token.lineNumber),
+        new Token('//', Type.START_SINGLE_LINE_COMMENT, token.line,
+                token.lineNumber),
+        new Token(' goog.scope', Type.COMMENT, token.line, token.lineNumber)];
+
+    tokenUtil.insertTokensAfter(insertionTokens, token.next.next);
+    this._addFix(removedTokens.concat(insertionTokens));
+};
+
+
+/**
+ * Inserts missing goog.require or goog.provide statements.
+ * @param {Error} error The error object. Its fix data holds the list of
+ *      missing namespaces and whether a blank line is needed.
+ * @private
+ */
+ErrorFixer.prototype._fixMissingRequiresOrProvides = function(error) {
+    var isProvide = error.code == errors.Errors.MISSING_GOOG_PROVIDE;
+    var isRequire = error.code == errors.Errors.MISSING_GOOG_REQUIRE;
+
+    var missingNamespaces = error.fixData[0];
+    var needBlankLine = error.fixData[1];
+
+    if (needBlankLine == null) {
+        this._insertRequiresOrProvidesBeforeCode(isProvide, missingNamespaces,
+                error.token);
+        return;
+    }
+
+    var insertLocation = error.token.previous;
+
+    // If inserting a missing require with no existing requires, insert a
+    // blank line first.
+    if (needBlankLine && isRequire) {
+        tokenUtil.insertBlankLineAfter(insertLocation);
+        insertLocation = insertLocation.next;
+    }
+
+    _.each(missingNamespaces, function(missingNamespace) {
+        var newTokens = this._getNewRequireOrProvideTokens(isProvide,
+                missingNamespace, insertLocation.lineNumber + 1);
+        tokenUtil.insertLineAfter(insertLocation, newTokens);
+        insertLocation = _.last(newTokens);
+        this._addFix(newTokens);
+    }, this);
+
+    // If inserting a missing provide with no existing provides, insert a
+    // blank line after.
+    if (needBlankLine && isProvide) {
+        tokenUtil.insertBlankLineAfter(insertLocation);
+    }
+};
+
+
+/**
+ * Inserts goog.require or goog.provide statements in a file that has none to
+ * position them relative to.
+ *
+ * The statements go after the first blank line above the first block of code
+ * and the comments directly above it, or after any goog.provide statements
+ * already inserted, and are followed by a blank line.
+ * @param {boolean} isProvide True if inserting provides, false for requires.
+ * @param {Array.<string>} namespaces The namespaces to insert statements for.
+ * @param {Token} token The first token of the file.
+ * @private
+ */
+ErrorFixer.prototype._insertRequiresOrProvidesBeforeCode = function(isProvide,
+        namespaces, token) {
+    var codeToken = token.isCode() ? token :
+            tokenUtil.searchExcept(token, Type.NON_CODE_TYPES);
+    while (codeToken && codeToken.string == 'goog.provide') {
+        codeToken = tokenUtil.searchExcept(
+                tokenUtil.getLastTokenInSameLine(codeToken),
+                Type.NON_CODE_TYPES);
+    }
+    if (!codeToken) {
+        return;
+    }
+
+    var insertLocation = tokenUtil.getFirstTokenInSameLine(codeToken);
+    while (insertLocation.previous &&
+            insertLocation.previous.isAnyType(Type.COMMENT_TYPES)) {
+        insertLocation = tokenUtil.getFirstTokenInSameLine(
+                insertLocation.previous);
+    }
+    while (insertLocation.previous &&
+            insertLocation.previous.type == Type.BLANK_LINE) {
+        insertLocation = insertLocation.previous;
+    }
+    if (insertLocation.type == Type.BLANK_LINE) {
+        insertLocation = insertLocation.next;
+    }
+
+    _.each(namespaces, function(namespace) {
+        var newTokens = this._getNewRequireOrProvideTokens(isProvide,
+                namespace, insertLocation.lineNumber);
+        tokenUtil.insertLineBefore(insertLocation, newTokens);
+        this._addFix(newTokens);
+    }, this);
+    tokenUtil.insertBlankLineBefore(insertLocation);
+};
+
+
+/**
+ * Returns a list of tokens to create a goog.require/provide statement.
+ * @param {boolean} isProvide True if getting tokens for a provide, false for
+ *      require.
+ * @param {string} namespace The required or provided namespaces to get tokens
+ *      for.
+ * @param {number} lineNumber The line number the new require or provide
+ *      statement will be on.
+ * @return {Array.<Token>} Tokens to create a new goog.require or goog.provide
+ *      statement.
+ * @private
+ */
+ErrorFixer.prototype._getNewRequireOrProvideTokens = function(isProvide,
+        namespace, lineNumber) {
+    var string = isProvide ? 'goog.provide' : 'goog.require';
+    var lineText = string + '(\'' + namespace + '\');\n';
+    return [
+        new Token(string, Type.IDENTIFIER, lineText, lineNumber),
+        new Token('(', Type.START_PAREN, lineText, lineNumber),
+        new Token('\'', Type.SINGLE_QUOTE_STRING_START, lineText, lineNumber),
+        new Token(namespace, Type.STRING_TEXT, lineText, lineNumber),
+        new Token('\'', Type.SINGLE_QUOTE_STRING_END, lineText, lineNumber),
+        new Token(')', Type.END_PAREN, lineText, lineNumber),
+        new Token(';', Type.SEMICOLON, lineText, lineNumber)];
+};
+
+
+/**
+ * Deletes the specified token from the linked list of tokens.
+ *
+ * Updates instance variables pointing to tokens such as _fileToken if they
+ * reference the deleted token.
+ * @param {Token} token The token to delete.
+ * @private
+ */
+ErrorFixer.prototype._deleteToken = function(token) {
+    if (token == this._fileToken) {
+        this._fileToken = token.next;
+    }
+
+    tokenUtil.deleteToken(token);
+};
+
+
+/**
+ * Deletes the given number of tokens starting with the given token.
+ *
+ * Updates instance variables pointing to tokens such as _fileToken if they
+ * reference the deleted token.
+ * @param {Token} token The first token to delete.
+ * @param {number} tokenCount The total number of tokens to delete.
+ * @private
+ */
+ErrorFixer.prototype._deleteTokens = function(token, tokenCount) {
+    if (token == this._fileToken) {
+        _.each(_.range(tokenCount), function() {
+            this._fileToken = this._fileToken.next;
+        }, this);
+    }
+
+    tokenUtil.deleteTokens(token, tokenCount);
+};
+
+
+/**
+ * Returns the original content of the current file.
+ * @return {string} The file content.
+ * @protected
+ */
+ErrorFixer.prototype.getOriginalSource = function() {
+    return fs.readFileSync(this._fileName, {encoding: 'utf8'});
+};
+
+
+/**
+ * Called when the current file has finished style checking.
+ *
+ * Used to go back and fix any errors in the file. It currently supports both
+ * js and html files. For js files it does a simple dump of all tokens, but in
+ * order to support html file, we need to merge the original file with the new
+ * token set back together. This works because the tokenized html file is the
+ * original html file with all non js lines kept but blanked out with one blank
+ * line token per line of html.
+ */
+ErrorFixer.prototype.finishFile = function() {
+    if (!this._fileFixCount) {
+        return;
+    }
+
+    // Get the original file content for html.
+    var originalLines = [];
+    if (this._fileIsHtml) {
+        originalLines = this.getOriginalSource().split('\n');
+    }
+
+    if (!this._externalFile) {
+        console.error(_s.sprintf('Fixed %d errors in %s', this._fileFixCount,
+                this._fileName));
+    }
+
+    var maxLineLength = this._options ? errorRules.getMaxLineLength(
+            this._options.forFile(this._fileName)) : 80;
+
+    var token = this._fileToken;
+    // If something got inserted before first token (e.g. due to sorting) then
+    // move to start.
+    while (token.previous) {
+        token = token.previous;
+    }
+
+    var output = '';
+    var charCount = 0;
+    var line = '';
+    var lastOrigLineNumber = 0;
+    while (token) {
+        // The tokenizer emits an empty last line for the trailing newline of
+        // the file, which is already written after the previous line.
+        if (!token.next && token.type == Type.BLANK_LINE &&
+                token.origLineNumber != null) {
+            break;
+        }
+
+        line += token.string;
+        charCount += token.string.length;
+        lastOrigLineNumber = Math.max(lastOrigLineNumber,
+                token.origLineNumber || 0);
+
+        if (token.isLastInLine()) {
+            // We distinguish if a blank line in html was from stripped original
+            // file or newly added error fix by looking at the "origLineNumber"
+            // field on the token. It is only set in the tokenizer, so for all
+            // error fixes, the value should be null.
+            if (line || !this._fileIsHtml || token.origLineNumber == null) {
+                output += line + '\n';
+            } else {
+                output += originalLines[token.origLineNumber - 1] + '\n';
+            }
+            line = '';
+            if (!this._externalFile && charCount > maxLineLength &&
+                    _.contains(this._fileChangedLines, token.lineNumber)) {
+                console.error(_s.sprintf('WARNING: Line %d of %s is now ' +
+                        'longer than %d characters.', token.lineNumber,
+                        this._fileName, maxLineLength));
+            }
+
+            charCount = 0;
+        }
+
+        token = token.next;
+    }
+
+    if (this._fileIsHtml) {
+        // Keep the rest of the page after the last line of extracted script.
+        output += originalLines.slice(lastOrigLineNumber).join('\n');
+    }
+
+    if (this._externalFile) {
+        this._externalFile.write(output);
+    } else {
+        fs.writeFileSync(this._fileName, output);
+    }
+};
+
+
+exports.ALWAYS_FIXABLE_ERRORS = ALWAYS_FIXABLE_ERRORS;
+exports.ErrorFixer = ErrorFixer;
+exports.SOMETIMES_FIXABLE_ERRORS = SOMETIMES_FIXABLE_ERRORS;
+exports.isFixable = isFixable;
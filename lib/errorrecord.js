@@ -2,8 +2,10 @@
  * A simple, pickle-serializable class to represent a lint error.
  */
 
-var program = require('commander');
+var baseline = require('./baseline');
 var errors = require('./errors');
+var errorFixer = require('./errorfixer');
+var errorRules = require('./errorrules');
 var errorOutput = require('../common/erroroutput');
 
 
@@ -12,11 +14,80 @@ var errorOutput = require('../common/erroroutput');
  *
  * @param {string} path Path to the file.
  * @param {string} errorString Error string for the user.
+ * @param {Error} opt_error The error.Error instance the record is made from.
+ *      Its structured fields are copied to the record.
+ * @param {Options} opt_options Options of the run.
+ * @param {errors.Severity} opt_severity Severity of the error, defaults to
+ *      the default severity of its code.
  * @constructor
  */
-var ErrorRecord = function(path, errorString) {
+var ErrorRecord = function(path, errorString, opt_error, opt_options,
+                           opt_severity) {
     this.path = path;
     this.errorString = errorString;
+
+    /**
+     * The numeric error code.
+     * @type {?number}
+     */
+    this.code = opt_error ? opt_error.code : null;
+    /**
+     * The symbolic name of the error code, e.g. 'EXTRA_SPACE'.
+     * @type {?string}
+     */
+    this.name = opt_error ? errors.getName(opt_error.code) : null;
+    /**
+     * The error message without location.
+     * @type {?string}
+     */
+    this.message = opt_error ? opt_error.message : null;
+    /**
+     * The severity of the error.
+     * @type {errors.Severity}
+     */
+    this.severity = opt_severity || (opt_error ?
+            errors.getDefaultSeverity(opt_error.code) : errors.Severity.ERROR);
+
+    var location = opt_error ? opt_error.getLocation() : null;
+    /**
+     * The 1-based line of the error.
+     * @type {?number}
+     */
+    this.line = location ? location.line : null;
+    /**
+     * The 1-based column of the error.
+     * @type {?number}
+     */
+    this.column = location ? location.column : null;
+    /**
+     * The line of the end of the error.
+     * @type {?number}
+     */
+    this.endLine = location ? location.endLine : null;
+    /**
+     * The 1-based column right after the last character of the error.
+     * @type {?number}
+     */
+    this.endColumn = location ? location.endColumn : null;
+    /**
+     * Whether fixjsstyle is able to fix the error.
+     * @type {boolean}
+     */
+    this.fixable = opt_error ? errorFixer.isFixable(opt_error, opt_options) :
+            false;
+    /**
+     * Fingerprint of the content of the error line, null for file-wide
+     * errors.
+     * @type {?string}
+     */
+    this.fingerprint = opt_error && opt_error.token ?
+            baseline.getFingerprint(opt_error.token.line) : null;
+    /**
+     * Whether the error is not recorded in the baseline. All errors are new
+     * when no baseline is used.
+     * @type {boolean}
+     */
+    this.newError = true;
 };
 
 
@@ -29,17 +100,19 @@ var ErrorRecord = function(path, errorString) {
  *
  * @param {string} path Path of file the error was found in.
  * @param {string} error An error.Error instance.
+ * @param {Options} options Options of the run.
  * @return {ErrorRecord} ErrorRecord instance.
  * @constructor
  */
-var makeErrorRecord = function(path, error) {
-    if (program.unix_mode) {
+var makeErrorRecord = function(path, error, options) {
+    var severity = errorRules.getSeverity(error.code, options.forFile(path));
+    if (options.get('unix_mode')) {
         var errorString = errorOutput.getUnixErrorOutput(path, error);
     } else {
-        errorString = errorOutput.getErrorOutput(error);
+        errorString = errorOutput.getErrorOutput(error, severity);
     }
 
-    return new ErrorRecord(path, errorString);
+    return new ErrorRecord(path, errorString, error, options, severity);
 };
 
 
@@ -1,51 +1,142 @@
-var program = require('commander');
 var _ = require('underscore');
-var errors = require('./errors');
+var _s = require('underscore.string');
 
+var errors = require('./errors');
 
-var disabledErrorNums = [];
 
 /**
  * Returns allowed maximum length of line.
+ * @param {Object} options Values of the options of the checked file.
  * @return {number} Length of line allowed without any warning.
  */
-var getMaxLineLength = function() {
-    return parseInt(program.max_line_length, 10);
+var getMaxLineLength = function(options) {
+    return parseInt(options.max_line_length, 10);
+};
+
+
+/**
+ * Parses the values of the disable option.
+ * @param {Array.<string>} items The values, error codes or names, e.g.
+ *      ['0110', 'MISSING_SPACE'].
+ * @return {Array.<number>} The error codes.
+ * @throws {Error} If a value is not an error code or name.
+ */
+var parseCodes = function(items) {
+    return _.map(items, function(item) {
+        var code = errors.parseCode(item);
+        if (code === null) {
+            throw new Error(_s.sprintf(
+                    'Invalid error "%s", expected an error code or name.',
+                    item));
+        }
+        return code;
+    });
+};
+
+
+/**
+ * Disabled errors and severities parsed from the options of files, by the
+ * values of the options.
+ * @type {WeakMap.<Object, {disabled: Array.<number>,
+ *      severities: Object.<number, errors.Severity>}>}
+ * @private
+ */
+var _parsedOptions = new WeakMap();
+
+
+/**
+ * Returns the disabled errors and severities of the options, parsed once for
+ * the values of the options.
+ * @param {Object} options Values of the options of the checked file.
+ * @return {{disabled: Array.<number>,
+ *      severities: Object.<number, errors.Severity>}} The parsed options.
+ * @private
+ */
+var _parseOptions = function(options) {
+    var parsed = _parsedOptions.get(options);
+    if (!parsed) {
+        parsed = {
+            disabled: parseCodes(options.disable),
+            severities: parseSeverities(options.severity)
+        };
+        _parsedOptions.set(options, parsed);
+    }
+    return parsed;
 };
 
 
 /**
  * Whether the given error should be reported.
  * @param {number} error Error number;
+ * @param {Object} options Values of the options of the checked file.
  * @return {boolean} True for all errors except missing documentation errors
  *      and disabled errors.  For missing documentation, it returns the value
  *      of the jsdoc flag.
  */
-var shouldReportError = function(error) {
-    if (!disabledErrorNums) {
-        if (program.disable) {
-            _.each(program.disable, function(errorStr) {
-                var errorNum = parseInt(errorStr, 10);
-                if (!isNaN(errorNum)) {
-                    disabledErrorNums.push(errorNum);
-                }
-            });
-        }
-    }
+var shouldReportError = function(error, options) {
+    // The disabled errors may differ between files.
+    var disabledErrorNums = _parseOptions(options).disabled;
 
-    var reportDocError = program.jsdoc || !_.contains([
+    var reportDocError = options.jsdoc || !_.contains([
             errors.Errors.MISSING_PARAMETER_DOCUMENTATION,
             errors.Errors.MISSING_RETURN_DOCUMENTATION,
             errors.Errors.MISSING_MEMBER_DOCUMENTATION,
             errors.Errors.MISSING_PRIVATE,
             errors.Errors.MISSING_JSDOC_TAG_THIS], error);
 
-    var disabledError = !program.disable ||
-            !_.contains(disabledErrorNums, error);
+    var disabledError = !_.contains(disabledErrorNums, error);
 
     return reportDocError && disabledError;
 };
 
 
+/**
+ * Parses the values of the severity option.
+ * @param {Array.<string>} items The values, e.g. ['0131:error',
+ *      'LINE_TOO_LONG:info'].
+ * @return {Object.<number, errors.Severity>} Severities by error code, later
+ *      values override earlier ones.
+ * @throws {Error} If a value is not an error code and a severity.
+ */
+var parseSeverities = function(items) {
+    var severities = _.values(errors.Severity);
+    var result = {};
+
+    _.each(items, function(item) {
+        // The code may contain a colon too, e.g. 'E:0110:warning'.
+        var index = item.lastIndexOf(':');
+        var code = index == -1 ? null :
+                errors.parseCode(item.substr(0, index));
+        var severity = item.substr(index + 1);
+
+        if (code === null || !_.contains(severities, severity)) {
+            throw new Error(_s.sprintf(
+                    'Invalid severity "%s", expected CODE:%s.', item,
+                    severities.join('|')));
+        }
+        result[code] = severity;
+    });
+
+    return result;
+};
+
+
+/**
+ * Returns the severity of the error.
+ * @param {number} code The error code.
+ * @param {Object} options Values of the options of the checked file.
+ * @return {errors.Severity} The severity given by the severity option, the
+ *      default severity of the error if there is none.
+ */
+var getSeverity = function(code, options) {
+    var severities = _parseOptions(options).severities;
+    return _.has(severities, code) ? severities[code] :
+            errors.getDefaultSeverity(code);
+};
+
+
 exports.getMaxLineLength = getMaxLineLength;
+exports.getSeverity = getSeverity;
+exports.parseCodes = parseCodes;
+exports.parseSeverities = parseSeverities;
 exports.shouldReportError = shouldReportError;
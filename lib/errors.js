@@ -2,6 +2,8 @@
  * Error codes for JavaScript style checker.
  */
 
+var _ = require('underscore');
+
 var Errors = {
     // "File-fatal" errors - these errors stop further parsing of a single file
     FILE_NOT_FOUND: -1,
@@ -72,6 +74,8 @@ var Errors = {
     INCORRECT_SUPPRESS_SYNTAX: 250,
     INVALID_SUPPRESS_TYPE: 251,
     UNNECESSARY_SUPPRESS: 252,
+    UNNECESSARY_DISABLE_DIRECTIVE: 253,
+    INVALID_DISABLE_DIRECTIVE: 254,
 
     // File ending
     FILE_MISSING_NEWLINE: 300,
@@ -90,6 +94,10 @@ var Errors = {
     INVALID_USE_OF_GOOG_SCOPE: 600,
     EXTRA_GOOG_SCOPE_USAGE: 601,
 
+    // goog.module
+    INVALID_USE_OF_GOOG_MODULE: 610,
+    INVALID_GOOG_MODULE_EXPORTS: 611,
+
     // ActionScript specific errors:
     // TODO(user): move these errors to their own file and move all JavaScript
     // specific errors to their own file as well.
@@ -98,6 +106,7 @@ var Errors = {
     PARAMETER_MISSING_TYPE: 1133,
     VAR_MISSING_TYPE: 1134,
     PARAMETER_MISSING_DEFAULT_VALUE: 1135,
+    // The import errors are reported for ES module import declarations too.
     IMPORTS_NOT_ALPHABETIZED: 1140,
     IMPORT_CONTAINS_WILDCARD: 1141,
     UNUSED_IMPORT: 1142,
@@ -113,5 +122,89 @@ var byName = function(name) {
     return Errors[name];
 };
 
-exports.byName = byName;
+
+/**
+ * Severity of an error. Only errors fail the check, warnings fail it when
+ * there are more of them than --max_warnings allows.
+ * @enum {string}
+ */
+var Severity = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+
+/**
+ * Default severities of the errors which are not Severity.ERROR.
+ * @type {Object.<number, Severity>}
+ */
+var DEFAULT_SEVERITIES = {};
+DEFAULT_SEVERITIES[Errors.LINE_TOO_LONG] = Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.UNNECESSARY_DOUBLE_QUOTED_STRING] =
+        Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.UNUSED_PRIVATE_MEMBER] = Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.UNUSED_LOCAL_VARIABLE] = Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.GOOG_REQUIRES_NOT_ALPHABETIZED] = Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.GOOG_PROVIDES_NOT_ALPHABETIZED] = Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.IMPORTS_NOT_ALPHABETIZED] = Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.JSDOC_PREFER_QUESTION_TO_PIPE_NULL] =
+        Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.UNNECESSARY_BRACES_AROUND_INHERIT_DOC] =
+        Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.UNNECESSARY_SUPPRESS] = Severity.WARNING;
+DEFAULT_SEVERITIES[Errors.UNNECESSARY_DISABLE_DIRECTIVE] = Severity.WARNING;
+
+
+/**
+ * Returns the default severity of the error code.
+ * @param {number} code The error code.
+ * @return {Severity} The severity.
+ */
+var getDefaultSeverity = function(code) {
+    return DEFAULT_SEVERITIES[code] || Severity.ERROR;
+};
+
+
+/**
+ * Symbolic names of the errors, by error code.
+ * @type {Object.<number, string>}
+ * @private
+ */
+var _NAMES = _.invert(Errors);
+
+
+/**
+ * Returns the symbolic name of the error code.
+ * @param {number} code The error code.
+ * @return {?string} Name of the error, e.g. 'EXTRA_SPACE', or null for an
+ *      unknown code.
+ */
+var getName = function(code) {
+    return _NAMES[code] || null;
+};
+
+
+/**
+ * Parses the error code given by the user, either as the symbolic name or as
+ * the number, e.g. 'LINE_TOO_LONG', '0110', '110' or 'W:0110'.
+ * @param {string} value The given code.
+ * @return {?number} The error code or null for an unknown code.
+ */
+var parseCode = function(value) {
+    var code = byName(value);
+    if (code === undefined) {
+        var match = /^(?:[EWI]:)?(-?\d+)$/.exec(value);
+        code = match ? parseInt(match[1], 10) : null;
+    }
+    return getName(code) === null ? null : code;
+};
+
+
+exports.DEFAULT_SEVERITIES = DEFAULT_SEVERITIES;
 exports.Errors = Errors;
+exports.Severity = Severity;
+exports.byName = byName;
+exports.getDefaultSeverity = getDefaultSeverity;
+exports.getName = getName;
+exports.parseCode = parseCode;
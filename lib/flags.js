@@ -0,0 +1,277 @@
+/**
+ * Command line flags shared by gjslint.js and fixjsstyle.js.
+ */
+
+var _ = require('underscore');
+
+var errorCheck = require('./errorcheck');
+var errors = require('./errors');
+
+var Rule = errorCheck.Rule;
+
+
+/**
+ * Names of the flags whose values are lists.
+ * @type {Array.<string>}
+ */
+var LIST_FLAGS = [
+    'extensions',
+    'exclude_directories',
+    'exclude_files',
+    'limited_doc_files',
+    'closurized_namespaces',
+    'ignored_extra_namespaces',
+    'disable',
+    'jslint_error',
+    'custom_jsdoc_tags',
+    'severity'
+];
+
+
+/**
+ * Splits comma separated flag value into a list.
+ * @param {string} val Flag value.
+ * @return {Array.<string>} Non-empty items of the list.
+ */
+var list = function(val) {
+    return _.filter(val.split(','), function(val) {
+        return val;
+    });
+};
+
+
+/**
+ * Defines the common linter flags on the given commander program.
+ *
+ * Names of the flags given on the command line are collected in the
+ * givenFlags object of the program when it parses the arguments.
+ *
+ * @param {Command} program Commander program to define flags on.
+ * @return {Command} The same program, for chaining.
+ */
+var defineFlags = function(program) {
+    program.
+            version('0.0.1').
+            usage('[options] <file ...>').
+            option('-U, --unix_mode',
+                    'Whether to emit warnings in standard unix format.',
+                    false).
+            option('-B, --beep', 'Whether to beep when errors are found.',
+                    false).
+            option('-T, --time', 'Whether to emit timing statistics.', false).
+            option('-H, --html', 'Whether to check javascript in html files.',
+                    false).
+            option('-S, --summary', 'Whether to show an error count summary.',
+                    false).
+            option('-E, --extensions <extensions>',
+                    'List of additional file extensions (not .js) that ' +
+                    'should be treated as JavaScript files.', list).
+            option('-R --recurse',
+                    'Recurse in to the subdirectories of the given path.',
+                    true).
+            option('-D, --exclude_directories <directories>',
+                    'Exclude the specified directories (only applicable ' +
+                    'along with -R.', list, ['node_modules']).
+            option('-X, --exclude_files <files>',
+                    'Exclude the specified files', list).
+            option('-L, --limited_doc_files <files>',
+                    'List of files with relaxed documentation checks. Will ' +
+                    'not report errors for missing documentation, some ' +
+                    'missing descriptions, or methods whose @return tags ' +
+                    'don\'t have a matching return statement.', list,
+                    ['dummy.js', 'externs.js']).
+            option('-E, --error_trace', 'Whether to show error exceptions.',
+                    false).
+            option('--debug_indentation',
+                    'Whether to print debugging information for ' +
+                    'indentation.', false).
+            option('-C, --closurized_namespaces <list>',
+                    'Namespace prefixes, used for testing of ' +
+                    'goog.provide/require', list).
+            option('-I, --ignored_extra_namespaces <list>',
+                    'Fully qualified namespaces that should be not be ' +
+                    'reported as extra by the linter.', list).
+            option('-d, --disable <list>',
+                    'Disable specific errors by code or name. Usage Ex.: ' +
+                    'gjslint --disable 1,0011,LINE_TOO_LONG', list).
+            option('-J, --jsdoc <b>',
+                    'Whether to report errors for missing JsDoc.', true).
+            option('-M, --max_line_length <n>',
+                    'Maximum line length allowed without warning.', parseInt,
+                    80).
+            option('-s, --strict',
+                    'Whether to validate against the stricter Closure ' +
+                    'style. This includes ' + Rule.CLOSURE_RULES.join(', ') +
+                    '.', false).
+            option('-l, --jslint_error <list>',
+                    'List of specific lint errors to check. Here is a list' +
+                    ' of accepted values:\n' +
+                    ' - ' + Rule.ALL + ': enables all following errors.\n' +
+                    ' - ' + Rule.BLANK_LINES_AT_TOP_LEVEL + ': validates' +
+                    'number of blank lines between blocks at top level.\n' +
+                    ' - ' + Rule.INDENTATION + ': checks correct ' +
+                    'indentation of code.\n' +
+                    ' - ' + Rule.WELL_FORMED_AUTHOR + ': validates the ' +
+                    '@author JsDoc tags.\n' +
+                    ' - ' + Rule.NO_BRACES_AROUND_INHERIT_DOC + ': ' +
+                    'forbids braces around @inheritdoc JsDoc tags.\n' +
+                    ' - ' + Rule.BRACES_AROUND_TYPE + ': enforces braces ' +
+                    'around types in JsDoc tags.\n' +
+                    ' - ' + Rule.OPTIONAL_TYPE_MARKER + ': checks correct ' +
+                    'use of optional marker = in param types.\n' +
+                    ' - ' + Rule.UNUSED_PRIVATE_MEMBERS + ': checks for ' +
+                    'unused private variables.\n',
+                    list).
+            option('--custom_jsdoc_tags <list>',
+                    'Extra jsdoc tags to allow.', list).
+            option('--severity <list>',
+                    'Severity of specific errors, one of ' +
+                    _.values(errors.Severity).join(', ') + '. Usage Ex.: ' +
+                    'gjslint --severity 0131:error,LINE_TOO_LONG:info', list).
+            option('--report_unused_directives',
+                    'Whether to report gjslint-disable comments that ' +
+                    'disabled no errors.', false).
+            option('--disable_indentation_fixing',
+                    'Whether to disable automatic fixing of indentation.',
+                    false);
+
+    program.givenFlags = {};
+    _trackGivenFlags(program, program.options);
+
+    return program;
+};
+
+
+/**
+ * Defines the flags of a gjslint.js run on the given commander program, after
+ * the common linter flags defined by defineFlags. They choose the checked
+ * files and the way the run is done and reported.
+ *
+ * @param {Command} program Commander program to define flags on.
+ * @param {Array.<string>} reporterNames Names of the output formats.
+ * @param {string} cacheFile Name of the cache file.
+ * @return {Command} The same program, for chaining.
+ */
+var defineRunFlags = function(program, reporterNames, cacheFile) {
+    var commonCount = program.options.length;
+
+    program.
+            option('--reporter <name>',
+                    'Output format of the errors: ' +
+                    reporterNames.join(', ') + '.', 'text').
+            option('--output_file <file>',
+                    'Write the report to the file instead of stdout.').
+            option('--sarif_fixes',
+                    'Whether to include fixes of fixable errors in the ' +
+                    'sarif report. Every fix takes a run of the fixer on ' +
+                    'its file.', false).
+            option('--baseline <file>',
+                    'Baseline file with existing errors, only errors not ' +
+                    'recorded in it are new.').
+            option('--write_baseline <file>',
+                    'Record the found errors to the baseline file.').
+            option('-j, --jobs <n>',
+                    'Number of processes to check files in, 1 checks them ' +
+                    'in this process.', parseInt, 1).
+            option('--max_warnings <n>',
+                    'Number of warnings allowed before the check fails, -1 ' +
+                    'allows any number.', parseInt, -1).
+            option('--no_cache',
+                    'Whether to check all files instead of replaying errors ' +
+                    'of unchanged files from ' + cacheFile + ' in the ' +
+                    'project root.', false).
+            option('--watch',
+                    'Whether to keep checking files as they change. Errors ' +
+                    'of changed files are printed as text.', false).
+            option('--stdin',
+                    'Whether to check the source read from stdin instead of ' +
+                    'files, also enabled by the "-" argument.', false).
+            option('--stdin_filename <path>',
+                    'Path the source read from stdin is checked and ' +
+                    'reported as.', '<stdin>').
+            option('--changed_since <revision>',
+                    'Check files changed since the git revision and ' +
+                    'untracked files, and report only errors on the changed ' +
+                    'lines.').
+            option('--diff <file>',
+                    'Check files changed in the unified diff and report ' +
+                    'only errors on the changed lines.').
+            option('--explain <code>',
+                    'Explain the error given by its code or name and exit.').
+            option('--list_rules', 'List all errors and exit.', false).
+            option('--exit_zero',
+                    'Whether to exit with status 0 even if errors are ' +
+                    'found, for runs which only report them.', false);
+
+    _trackGivenFlags(program, _.rest(program.options, commonCount));
+
+    return program;
+};
+
+
+/**
+ * Collects names of the given options in the givenFlags object of the
+ * program when it parses them.
+ *
+ * @param {Command} program Commander program the options are defined on.
+ * @param {Array.<Option>} options The options.
+ * @private
+ */
+var _trackGivenFlags = function(program, options) {
+    _.each(options, function(option) {
+        program.on(option.name(), function() {
+            program.givenFlags[option.name()] = true;
+        });
+    });
+};
+
+
+/**
+ * Returns whether the flag was given on the command line, as opposed to
+ * having its default value.
+ *
+ * @param {Command} program Parsed commander program with the flags defined
+ *      by defineFlags and defineRunFlags.
+ * @param {string} name Name of the flag, e.g. 'max_line_length'.
+ * @return {boolean} Whether the flag was given.
+ */
+var isFlagGiven = function(program, name) {
+    return _.has(program.givenFlags, name);
+};
+
+
+/**
+ * Generates list of suffixes for checked files.
+ *
+ * @param {Options} options Options of the run.
+ * @return {Array.<string>} Suffixes of files to check.
+ */
+var generateSuffixes = function(options) {
+    var suffixes = ['.js'];
+    var extensions = [];
+
+    if (options.get('extensions')) {
+        extensions = _.map(options.get('extensions'),
+            function(val) {
+                if (val[0] === '.') {
+                    return val;
+                }
+                return '.' + val;
+            });
+    }
+
+    suffixes = suffixes.concat(extensions);
+    if (options.get('html')) {
+        suffixes = suffixes.concat(['.html', '.htm']);
+    }
+
+    return suffixes;
+};
+
+
+exports.LIST_FLAGS = LIST_FLAGS;
+exports.defineFlags = defineFlags;
+exports.defineRunFlags = defineRunFlags;
+exports.generateSuffixes = generateSuffixes;
+exports.isFlagGiven = isFlagGiven;
+exports.list = list;
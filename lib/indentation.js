@@ -1,6 +1,664 @@
+/**
+ * Methods for checking EcmaScript files for indentation issues.
+ */
 
-var IndentationRules = function() {};
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var error = require('../common/error');
+var position = require('../common/position');
+var ecmaMetadataPass = require('./ecmametadatapass');
+var errors = require('./errors');
+var javascriptTokens = require('./javascripttokens');
+var tokenUtil = require('./tokenutil');
+
+var Context = ecmaMetadataPass.EcmaContext;
+var Position = position.Position;
+var Type = javascriptTokens.JavaScriptTokenType;
+
+
+/**
+ * Stores information about a token.
+ *
+ * @param {Token} token The token.
+ * @param {boolean} opt_isBlock Whether the token represents a block
+ *      indentation.
+ * @constructor
+ */
+var TokenInfo = function(token, opt_isBlock) {
+    /**
+     * The token.
+     * @type {Token}
+     */
+    this.token = token;
+    /**
+     * TokenInfo for a token that overrides the indentation that this token
+     * would require.
+     * @type {TokenInfo}
+     */
+    this.overriddenBy = null;
+    /**
+     * Whether the override on this token should persist even after the
+     * overriding token is removed from the stack.  For example:
+     * x([
+     *   1],
+     * 2);
+     * needs this to be set so the last line is not required to be
+     * a continuation indent.
+     * @type {boolean}
+     */
+    this.isPermanentOverride = false;
+    /**
+     * Whether the token represents a block indentation.
+     * @type {boolean}
+     */
+    this.isBlock = opt_isBlock || false;
+    /**
+     * Whether the token should be automatically removed without finding
+     * a matching end token.
+     * @type {boolean}
+     */
+    this.isTransient = !this.isBlock &&
+            !_.contains([Type.START_PAREN, Type.START_PARAMETERS], token.type);
+    /**
+     * The effective line number of this token.  Will either be the actual line
+     * number or the one before it in the case of a mis-wrapped operator.
+     * @type {number}
+     */
+    this.lineNumber = token.lineNumber;
+};
+
+
+/**
+ * @return {string}
+ */
+TokenInfo.prototype.toString = function() {
+    var result = _s.sprintf('\n  %s', this.token);
+    if (this.overriddenBy) {
+        result = _s.sprintf('%s OVERRIDDEN [by "%s"]', result,
+                this.overriddenBy.token.string);
+    }
+    result += _s.sprintf(' {isBlock: %s, isTransient: %s}', this.isBlock,
+            this.isTransient);
+    return result;
+};
+
+
+/**
+ * EmcaScript indentation rules.
+ *
+ * Can be used to find common indentation errors in JavaScript, ActionScript
+ * and other Ecma like scripting languages.
+ * @param {Object} options Values of the options of the checked file.
+ * @constructor
+ */
+var IndentationRules = function(options) {
+    this._options = options;
+
+    /** @type {Array.<TokenInfo>} */
+    this._stack = [];
+
+    // Map from line number to number of characters it is off in indentation.
+    this._startIndexOffset = {};
+};
+
+
+/**
+ * Checks that every opened indentation has been closed.
+ * @throws {Error} If the indentation stack is not empty.
+ */
+IndentationRules.prototype.finalize = function() {
+    if (this._stack.length) {
+        var oldStack = this._stack;
+        this._stack = [];
+        throw new Error(_s.sprintf(
+                'INTERNAL ERROR: indentation stack is not empty: %s',
+                oldStack.join(',')));
+    }
+};
+
+
+/**
+ * Checks a token for indentation errors.
+ *
+ * @param {Token} token The current token under consideration.
+ * @param {StateTracker} state Additional information about the current tree
+ *      state.
+ * @return {Array.<error.Error>} Errors for the token if it is improperly
+ *      indented, or an empty array if indentation is correct.
+ */
+IndentationRules.prototype.checkToken = function(token, state) {
+    var tokenType = token.type;
+    var indentationErrors = [];
+    var stack = this._stack;
+    var isFirst = this._isFirstNonWhitespaceTokenInLine(token);
+
+    // Add tokens that could decrease indentation before checking.
+    if (tokenType == Type.END_PAREN) {
+        this._popTo(Type.START_PAREN);
+
+    } else if (tokenType == Type.END_PARAMETERS) {
+        this._popTo(Type.START_PARAMETERS);
+
+    } else if (tokenType == Type.END_BRACKET) {
+        this._popTo(Type.START_BRACKET);
+
+    } else if (tokenType == Type.END_BLOCK) {
+        var startToken = this._popTo(Type.START_BLOCK);
+        // Check for required goog.scope comment.
+        if (startToken &&
+                tokenUtil.googScopeOrNoneFromStartBlock(startToken.token)) {
+            var line = _s.rtrim(token.line, '\r\n');
+            if (!_s.endsWith(line, ';  // goog.scope')) {
+                if (line.indexOf('//') > -1 &&
+                        line.indexOf('goog.scope') > line.indexOf('//')) {
+                    indentationErrors.push(new error.Error(
+                            errors.Errors.MALFORMED_END_OF_SCOPE_COMMENT,
+                            'Malformed end of goog.scope comment. Please use ' +
+                            'the exact following syntax to close the ' +
+                            'scope:\n});  // goog.scope',
+                            token, Position.all(token.string)));
+                } else {
+                    indentationErrors.push(new error.Error(
+                            errors.Errors.MISSING_END_OF_SCOPE_COMMENT,
+                            _s.sprintf('Missing comment for end of ' +
+                                    'goog.scope which opened at line %d. ' +
+                                    'End the scope with:\n' +
+                                    '});  // goog.scope',
+                                    startToken.lineNumber),
+                            token, Position.all(token.string)));
+                }
+            }
+        }
+
+    } else if (tokenType == Type.KEYWORD &&
+            _.contains(['case', 'default'], token.string) &&
+            token.metadata.context.type != Context.Type.EXPORT) {
+        this._add(this._popTo(Type.START_BLOCK));
+
+    } else if (isFirst && token.string == '.') {
+        // This token should have been on the previous line, so treat it as if
+        // it was there.
+        var info = new TokenInfo(token);
+        info.lineNumber = token.lineNumber - 1;
+        this._add(info);
+
+    } else if (tokenType == Type.SEMICOLON) {
+        this._popTransient();
+    }
+
+    var notBinaryOperator = tokenType != Type.OPERATOR ||
+            token.metadata.isUnaryOperator();
+    var notDot = token.string != '.';
+    if (isFirst && notBinaryOperator && notDot && !_.contains(
+            [Type.COMMENT, Type.DOC_PREFIX, Type.STRING_TEXT,
+                Type.TEMPLATE_STRING_TEXT, Type.TEMPLATE_STRING_END,
+                Type.TEMPLATE_SUBSTITUTION_START,
+                Type.TEMPLATE_SUBSTITUTION_END], token.type)) {
+        if (this._options.debug_indentation) {
+            console.log(_s.sprintf('Line #%d: stack %s', token.lineNumber,
+                    stack.join(',')));
+        }
+
+        // Ignore lines that start in JsDoc since we don't check them properly
+        // yet.
+        // TODO(robbyw): Support checking JsDoc indentation.
+        // Ignore lines that start as multi-line strings since indentation is
+        // N/A.
+        // Ignore lines that start with operators since we report that already.
+        // Ignore lines with tabs since we report that already.
+        var expected = this._getAllowableIndentations();
+        var actual = this._getActualIndentation(token);
+
+        // Special case comments describing else, case, and default.  Allow
+        // them to outdent to the parent block.
+        if (_.contains(Type.COMMENT_TYPES, tokenType)) {
+            var nextCode = tokenUtil.searchExcept(token, Type.NON_CODE_TYPES);
+            if (nextCode && nextCode.type == Type.END_BLOCK) {
+                nextCode = tokenUtil.searchExcept(nextCode,
+                        Type.NON_CODE_TYPES);
+            }
+            if (nextCode &&
+                    _.contains(['else', 'case', 'default'], nextCode.string)) {
+                // TODO(robbyw): This almost certainly introduces false
+                // negatives.
+                expected = _.union(expected, this._addToEach(expected, -2));
+            }
+        }
+
+        if (actual >= 0 && !_.contains(expected, actual)) {
+            expected = _.sortBy(expected, _.identity);
+            // The error is located at the indentation, which starts the first
+            // token in the line.
+            indentationErrors.push(new error.Error(
+                    errors.Errors.WRONG_INDENTATION,
+                    _s.sprintf('Wrong indentation: expected any of {%s} ' +
+                            'but got %d', expected.join(', '), actual),
+                    tokenUtil.getFirstTokenInSameLine(token),
+                    new Position(0, actual),
+                    expected[0]));
+            this._startIndexOffset[token.lineNumber] = expected[0] - actual;
+        }
+    }
+
+    // Add tokens that could increase indentation.
+    if (tokenType == Type.START_BRACKET) {
+        this._add(new TokenInfo(token,
+                token.metadata.context.type == Context.Type.ARRAY_LITERAL));
+
+    } else if (tokenType == Type.START_BLOCK ||
+            token.metadata.isImpliedBlock) {
+        this._add(new TokenInfo(token, true));
+
+    } else if (_.contains([Type.START_PAREN, Type.START_PARAMETERS],
+            tokenType)) {
+        this._add(new TokenInfo(token, false));
+
+    } else if (tokenType == Type.KEYWORD && token.string == 'return') {
+        this._add(new TokenInfo(token));
+
+    } else if (!token.isLastInLine() &&
+            (token.isAssignment() || token.isOperator('?'))) {
+        this._add(new TokenInfo(token));
+    }
+
+    // Handle implied block closes.
+    if (token.metadata.isImpliedBlockClose) {
+        this._popToImpliedBlock();
+    }
+
+    // Add some tokens only if they appear at the end of the line.
+    var isLast = this._isLastCodeInLine(token);
+    if (isLast) {
+        if (tokenType == Type.OPERATOR) {
+            if (token.string == ':') {
+                if (stack.length && _.last(stack).token.string == '?') {
+                    // When a ternary : is on a different line than its '?',
+                    // it doesn't add indentation.
+                    if (token.lineNumber == _.last(stack).token.lineNumber) {
+                        this._add(new TokenInfo(token));
+                    }
+                } else if (token.metadata.context.type ==
+                        Context.Type.CASE_BLOCK) {
+                    // Pop transient tokens from say, line continuations, e.g.,
+                    // case x.
+                    //     y:
+                    // Want to pop the transient 4 space continuation indent.
+                    this._popTransient();
+                    // Starting the body of the case statement, which is a type
+                    // of block.
+                    this._add(new TokenInfo(token, true));
+                } else if (token.metadata.context.type ==
+                        Context.Type.LITERAL_ELEMENT) {
+                    // When in an object literal, acts as operator indicating
+                    // line continuations.
+                    this._add(new TokenInfo(token));
+                }
+                // Otherwise ':' might also be a statement label, no effect on
+                // indentation in this case.
+
+            } else if (token.string != ',') {
+                this._add(new TokenInfo(token));
+            } else {
+                // The token is a comma.
+                if (token.metadata.context.type == Context.Type.VAR) {
+                    this._add(new TokenInfo(token));
+                } else if (token.metadata.context.type !=
+                        Context.Type.PARAMETERS) {
+                    this._popTransient();
+                }
+            }
+
+        } else if (_s.endsWith(token.string, '.') &&
+                _.contains([Type.IDENTIFIER, Type.NORMAL], tokenType)) {
+            this._add(new TokenInfo(token));
+        } else if (tokenType == Type.PARAMETERS &&
+                _s.endsWith(token.string, ',')) {
+            // Parameter lists.
+            this._add(new TokenInfo(token));
+        } else if (token.isVariableKeyword()) {
+            this._add(new TokenInfo(token));
+        } else if (token.metadata.isImpliedSemicolon) {
+            this._popTransient();
+        }
+    } else if (token.isAssignment()) {
+        this._add(new TokenInfo(token));
+    }
+
+    return indentationErrors;
+};
+
+
+/**
+ * Returns a new list with the given amount added to each element.
+ * @param {Array.<number>} original The original list of numbers.
+ * @param {number} amount The amount to add to each element.
+ * @return {Array.<number>} A new list containing each element of the original
+ *      list added to the amount.
+ * @private
+ */
+IndentationRules.prototype._addToEach = function(original, amount) {
+    return _.uniq(_.map(original, function(x) {
+        return x + amount;
+    }));
+};
+
+
+IndentationRules._HARD_STOP_TYPES = [Type.START_PAREN, Type.START_PARAMETERS,
+    Type.START_BRACKET];
+
+IndentationRules._HARD_STOP_STRINGS = ['return', '?'];
+
+
+/**
+ * Determines if the given token can have a hard stop after it.
+ *
+ * Hard stops are indentations defined by the position of another token as in
+ * indentation lined up with return, (, [, and ?.
+ * @param {Token} token Token to examine.
+ * @return {boolean} Whether the token can have a hard stop after it.
+ * @private
+ */
+IndentationRules.prototype._isHardStop = function(token) {
+    return _.contains(IndentationRules._HARD_STOP_TYPES, token.type) ||
+            _.contains(IndentationRules._HARD_STOP_STRINGS, token.string) ||
+            token.isAssignment();
+};
+
+
+/**
+ * Computes the set of allowable indentations.
+ * @return {Array.<number>} The set of allowable indentations, given the current
+ *      stack.
+ * @private
+ */
+IndentationRules.prototype._getAllowableIndentations = function() {
+    var expected = [0];
+    var hardStops = [];
+
+    // Whether the tokens are still in the same continuation, meaning additional
+    // indentation is optional.  As an example:
+    // x = 5 +
+    //     6 +
+    //     7;
+    // The second '+' does not add any required indentation.
+    var inSameContinuation = false;
+
+    _.each(this._stack, function(tokenInfo) {
+        var token = tokenInfo.token;
+
+        // Handle normal additive indentation tokens.
+        if (!tokenInfo.overriddenBy && token.string != 'return') {
+            if (tokenInfo.isBlock) {
+                expected = this._addToEach(expected, 2);
+                hardStops = this._addToEach(hardStops, 2);
+                inSameContinuation = false;
+            } else if (inSameContinuation) {
+                expected = _.union(expected, this._addToEach(expected, 4));
+                hardStops = _.union(hardStops, this._addToEach(hardStops, 4));
+            } else {
+                expected = this._addToEach(expected, 4);
+                hardStops = _.union(hardStops, this._addToEach(hardStops, 4));
+                inSameContinuation = true;
+            }
+        }
+
+        // Handle hard stops after (, [, return, =, and ?
+        if (this._isHardStop(token)) {
+            var overrideIsHardStop = tokenInfo.overriddenBy &&
+                    this._isHardStop(tokenInfo.overriddenBy.token);
+            if (!overrideIsHardStop) {
+                var startIndex = token.startIndex;
+                if (_.has(this._startIndexOffset, token.lineNumber)) {
+                    startIndex += this._startIndexOffset[token.lineNumber];
+                }
+
+                if (_.contains([Type.START_PAREN, Type.START_PARAMETERS],
+                        token.type) && !tokenInfo.overriddenBy) {
+                    hardStops = _.union(hardStops, [startIndex + 1]);
+
+                } else if (token.string == 'return' &&
+                        !tokenInfo.overriddenBy) {
+                    hardStops = _.union(hardStops, [startIndex + 7]);
+
+                } else if (token.type == Type.START_BRACKET) {
+                    hardStops = _.union(hardStops, [startIndex + 1]);
+
+                } else if (token.isAssignment()) {
+                    hardStops = _.union(hardStops,
+                            [startIndex + token.string.length + 1]);
+
+                } else if (token.isOperator('?') && !tokenInfo.overriddenBy) {
+                    hardStops = _.union(hardStops, [startIndex + 2]);
+                }
+            }
+        }
+    }, this);
+
+    var result = _.union(expected, hardStops);
+    return result.length ? result : [0];
+};
+
+
+/**
+ * Gets the actual indentation of the line containing the given token.
+ * @param {Token} token Any token on the line.
+ * @return {number} The actual indentation of the line containing the given
+ *      token.  Returns -1 if this line should be ignored due to the presence
+ *      of tabs.
+ * @private
+ */
+IndentationRules.prototype._getActualIndentation = function(token) {
+    // Move to the first token in the line.
+    token = tokenUtil.getFirstTokenInSameLine(token);
+
+    // If it is whitespace, it is the indentation.
+    if (token.type == Type.WHITESPACE) {
+        if (token.string.indexOf('\t') >= 0) {
+            return -1;
+        } else {
+            return token.string.length;
+        }
+    } else if (token.type == Type.PARAMETERS) {
+        return token.string.length - _s.ltrim(token.string).length;
+    } else {
+        return 0;
+    }
+};
+
+
+/**
+ * Determines if the given token is the first non-space token on its line.
+ * @param {Token} token The token.
+ * @return {boolean} True if the token is the first non-whitespace token on its
+ *      line.
+ * @private
+ */
+IndentationRules.prototype._isFirstNonWhitespaceTokenInLine = function(token) {
+    if (_.contains([Type.WHITESPACE, Type.BLANK_LINE], token.type)) {
+        return false;
+    }
+    if (token.isFirstInLine()) {
+        return true;
+    }
+    return !!token.previous && token.previous.isFirstInLine() &&
+            token.previous.type == Type.WHITESPACE;
+};
+
+
+/**
+ * Determines if the given token is the last code token on its line.
+ * @param {Token} token The token.
+ * @return {boolean} True if the token is the last code token on its line.
+ * @private
+ */
+IndentationRules.prototype._isLastCodeInLine = function(token) {
+    if (_.contains(Type.NON_CODE_TYPES, token.type)) {
+        return false;
+    }
+    var startToken = token;
+    while (true) {
+        token = token.next;
+        if (!token || token.lineNumber != startToken.lineNumber) {
+            return true;
+        }
+        if (!_.contains(Type.NON_CODE_TYPES, token.type)) {
+            return false;
+        }
+    }
+};
+
+
+/**
+ * Adds the given token info to the stack.
+ * @param {TokenInfo} tokenInfo The token information to add.
+ * @private
+ */
+IndentationRules.prototype._add = function(tokenInfo) {
+    var stack = this._stack;
+    if (stack.length && _.last(stack).token == tokenInfo.token) {
+        // Don't add the same token twice.
+        return;
+    }
+
+    if (tokenInfo.isBlock || tokenInfo.token.type == Type.START_PAREN) {
+        var googScope = tokenUtil.googScopeOrNoneFromStartBlock(
+                tokenInfo.token);
+        tokenInfo.overriddenBy = googScope ? new TokenInfo(googScope) : null;
+
+        for (var index = stack.length - 1; index >= 0; index--) {
+            var stackInfo = stack[index];
+            var stackToken = stackInfo.token;
+
+            if (stackInfo.lineNumber == tokenInfo.lineNumber) {
+                // In general, tokens only override each other when they are on
+                // the same line.
+                stackInfo.overriddenBy = tokenInfo;
+                if (tokenInfo.token.type == Type.START_BLOCK &&
+                        (stackToken.isAssignment() ||
+                        _.contains([Type.IDENTIFIER, Type.START_PAREN],
+                                stackToken.type))) {
+                    // Multi-line blocks have lasting overrides, as in:
+                    // callFn({
+                    //   a: 10
+                    // },
+                    // 30);
+                    // If a string is not closed properly then closeBlock
+                    // could be null.
+                    var closeBlock = tokenInfo.token.metadata.context.endToken;
+                    stackInfo.isPermanentOverride = !!closeBlock &&
+                            closeBlock.lineNumber !=
+                                    tokenInfo.token.lineNumber;
+                }
+            } else if (tokenInfo.token.type == Type.START_BLOCK &&
+                    tokenInfo.token.metadata.context.type ==
+                            Context.Type.BLOCK &&
+                    (stackToken.isAssignment() ||
+                    stackToken.type == Type.IDENTIFIER)) {
+                // When starting a function block, the override can transcend
+                // lines. For example
+                // long.long.name = function(
+                //     a) {
+                // In this case the { and the = are on different lines.  But
+                // the override should still apply.
+                stackInfo.overriddenBy = tokenInfo;
+                stackInfo.isPermanentOverride = true;
+            } else {
+                break;
+            }
+        }
+    }
+
+    stack.push(tokenInfo);
+};
+
+
+/**
+ * Pops the top token from the stack.
+ * @return {TokenInfo} The popped token info.
+ * @private
+ */
+IndentationRules.prototype._pop = function() {
+    var tokenInfo = this._stack.pop();
+    if (!_.contains([Type.START_BLOCK, Type.START_BRACKET],
+            tokenInfo.token.type)) {
+        // Remove any temporary overrides.
+        this._removeOverrides(tokenInfo);
+    } else {
+        // For braces and brackets, which can be object and array literals,
+        // remove overrides when the literal is closed on the same line.
+        var tokenCheck = tokenInfo.token;
+        var sameType = tokenCheck.type;
+        var goalType = tokenInfo.token.type == Type.START_BRACKET ?
+                Type.END_BRACKET : Type.END_BLOCK;
+        var lineNumber = tokenInfo.token.lineNumber;
+        var count = 0;
+        while (tokenCheck && tokenCheck.lineNumber == lineNumber) {
+            if (tokenCheck.type == goalType) {
+                count--;
+                if (!count) {
+                    this._removeOverrides(tokenInfo);
+                    break;
+                }
+            }
+            if (tokenCheck.type == sameType) {
+                count++;
+            }
+            tokenCheck = tokenCheck.next;
+        }
+    }
+    return tokenInfo;
+};
+
+
+/**
+ * Pops the stack until an implied block token is found.
+ * @private
+ */
+IndentationRules.prototype._popToImpliedBlock = function() {
+    while (!this._pop().token.metadata.isImpliedBlock) {}
+};
+
+
+/**
+ * Pops the stack until a token of the given type is popped.
+ * @param {Type} stopType The type of token to pop to.
+ * @return {TokenInfo} The token info of the given type that was popped.
+ * @private
+ */
+IndentationRules.prototype._popTo = function(stopType) {
+    var last = null;
+    do {
+        last = this._pop();
+    } while (last.token.type != stopType);
+    return last;
+};
+
+
+/**
+ * Marks any token that was overridden by this token as active again.
+ * @param {TokenInfo} tokenInfo The token that is being removed from the stack.
+ * @private
+ */
+IndentationRules.prototype._removeOverrides = function(tokenInfo) {
+    _.each(this._stack, function(stackToken) {
+        if (stackToken.overriddenBy == tokenInfo &&
+                !stackToken.isPermanentOverride) {
+            stackToken.overriddenBy = null;
+        }
+    });
+};
+
+
+/**
+ * Pops all transient tokens - i.e. not blocks, literals, or parens.
+ * @private
+ */
+IndentationRules.prototype._popTransient = function() {
+    while (this._stack.length && _.last(this._stack).isTransient) {
+        this._pop();
+    }
+};
 
-IndentationRules.prototype.checkToken = function(token, state) {};
 
 exports.IndentationRules = IndentationRules;
@@ -26,11 +26,12 @@ var Type = javascriptTokens.JavaScriptTokenType;
 /**
  * JavaScript lint rules that catch JavaScript specific style errors.
  * @param {ClosurizedNamespacesInfo} namespacesInfo
+ * @param {Object} options Values of the options of the checked file.
  * @constructor
  * @extends {EcmaScriptLintRules}
  */
-var JavaScriptLintRules = function(namespacesInfo) {
-    EcmaScriptLintRules.call(this);
+var JavaScriptLintRules = function(namespacesInfo, options) {
+    EcmaScriptLintRules.call(this, options);
 
     this._namespacesInfo = namespacesInfo;
     this._declaredPrivateMemeberTokens = {};
@@ -40,6 +41,11 @@ var JavaScriptLintRules = function(namespacesInfo) {
     // dictionary is keyed by an identifier that defines a local variable and
     // has a token as its value.
     this._unusedLocalVariablesByScope = [];
+    // The identifier tokens of the local names bound by import declarations.
+    this._importBindings = [];
+    // A dictionary keyed by the names used anywhere in the file. Imports are
+    // hoisted, so a use may come before the import binding the name.
+    this._usedNames = {};
 };
 
 _.extend(JavaScriptLintRules.prototype, EcmaScriptLintRules.prototype);
@@ -95,11 +101,17 @@ JavaScriptLintRules.prototype.checkToken = function(token, state) {
     // Store some convenience variables.
     var namespacesInfo = this._namespacesInfo;
 
-    if (errorCheck.shouldCheck(Rule.UNUSED_LOCAL_VARIABLES)) {
+    if (this._shouldCheck(Rule.UNUSED_LOCAL_VARIABLES)) {
         this._checkUnusedLocalVariables(token, state);
     }
 
-    if (errorCheck.shouldCheck(Rule.UNUSED_PRIVATE_MEMBERS)) {
+    this._checkUnusedImports(token);
+
+    if (namespacesInfo != null) {
+        this._checkGoogModule(token, state);
+    }
+
+    if (this._shouldCheck(Rule.UNUSED_PRIVATE_MEMBERS)) {
         // Find all assignments to private members.
         if (token.type == Type.SIMPLE_LVALUE) {
             var identifier = token.string;
@@ -161,7 +173,7 @@ JavaScriptLintRules.prototype.checkToken = function(token, state) {
                     token.attachedObject.nameToken);
 
             if (flag.type != null && flag.name != null) {
-                if (errorCheck.shouldCheck(Rule.VARIABLE_ARG_MARKER)) {
+                if (this._shouldCheck(Rule.VARIABLE_ARG_MARKER)) {
                     // Check for variable arguments marker in type.
                     if (_s.startsWith(flag.type, '...') &&
                             flag.name != 'var_args') {
@@ -180,7 +192,7 @@ JavaScriptLintRules.prototype.checkToken = function(token, state) {
                     }
                 }
 
-                if (errorCheck.shouldCheck(Rule.OPTIONAL_TYPE_MARKER)) {
+                if (this._shouldCheck(Rule.OPTIONAL_TYPE_MARKER)) {
                     // Check for optional marker in type.
                     if (_s.endsWith(flag.type, '=') &&
                             !_s.startsWith(flag.name, 'opt_')) {
@@ -242,12 +254,12 @@ JavaScriptLintRules.prototype.checkToken = function(token, state) {
             this._setLimitedDocChecks(true);
         }
 
-        if (errorCheck.shouldCheck(Rule.BLANK_LINES_AT_TOP_LEVEL) &&
+        if (this._shouldCheck(Rule.BLANK_LINES_AT_TOP_LEVEL) &&
                 !this._isHtml && state.inTopLevel() &&
                 !state.inNonScopeBlock()) {
 
             // Check if we're in a fileoverview or constructor JsDoc.
-            var isConstructor = docComment.hasFlag('constuctor') ||
+            var isConstructor = docComment.hasFlag('constructor') ||
                     docComment.hasFlag('interface');
             // @fileoverview is an optional tag so if the dosctring is the first
             // token in the file treat it as a file level docstring.
@@ -473,7 +485,7 @@ JavaScriptLintRules.prototype.checkToken = function(token, state) {
 
                 // If there are no require statements, missing requires should
                 // be reported after the last provide.
-                if (!namespacesInfo.getRequiredNamespaces()) {
+                if (_.isEmpty(namespacesInfo.getRequiredNamespaces())) {
                     var missingRequires = namespacesInfo.getMissingRequires();
                     if (_.size(missingRequires)) {
                         this._reportMissingRequires(missingRequires,
@@ -483,41 +495,18 @@ JavaScriptLintRules.prototype.checkToken = function(token, state) {
                 }
             }
         } else if (token.string == 'goog.require' && !state.inFunction() &&
-                namespacesInfo != null) {
-            namespace = tokenUtil.getStringAfterToken(token);
-
-            // If there are no provide statements, missing provides should be
-            // reported before the first require.
-            if (namespacesInfo.isFirstRequire(token) &&
-                    !namespacesInfo.getProvidedNamespaces()) {
-                missingProvides = namespacesInfo.getMissingProvides();
-                if (missingProvides) {
-                    this._reportMissingProvides(missingProvides,
-                            tokenUtil.getFirstTokenInSomeLine(token), true);
-                }
-            }
-
-            // Report extra goog.require statement.
-            if (!namespace || namespacesInfo.isExtraRequire(token)) {
-                if (!namespace) {
-                    msg = 'Empty namespace in goog.require';
-                } else {
-                    msg = 'Unnecessary goog.require: ' + namespace;
-                }
-
-                this._handleError(errors.Errors.EXTRA_GOOG_REQUIRE, msg,
-                        token, Position.atBeginning());
-            }
+                namespacesInfo != null &&
+                !tokenUtil.getRequireAliasDeclaration(token)) {
+            this._checkGoogRequire(token, token);
+        }
 
-            // Report missing goog.require statements.
-            if (namespacesInfo.isLastRequire(token)) {
-                missingRequires = namespacesInfo.getMissingRequires();
-                if (_.size(missingRequires)) {
-                    this._reportMissingRequires(missingRequires,
-                            tokenUtil.getLastTokenInSameLine(token).next,
-                            false);
-                }
-            }
+    } else if (token.isVariableKeyword() && !state.inFunction() &&
+            namespacesInfo != null) {
+        // Aliased goog.require statements are checked from the start of their
+        // declaration, which is removed along with an unnecessary require.
+        var requireToken = tokenUtil.getAliasedRequireToken(token);
+        if (requireToken) {
+            this._checkGoogRequire(requireToken, token);
         }
     } else if (token.type == Type.OPERATOR) {
         var lastInLine = token.isLastInLine();
@@ -585,7 +574,7 @@ JavaScriptLintRules.prototype._checkUnusedLocalVariables =
             // Check whether the previous token was var.
             var previousCodeToken = tokenUtil.searchExcept(token,
                     Type.NON_CODE_TYPES, null, true);
-            if (previousCodeToken && previousCodeToken.isKeyword('var')) {
+            if (previousCodeToken && previousCodeToken.isVariableKeyword()) {
                 // Add local variable declaration to the top of the unused
                 // locals stack.
                 _.last(this._unusedLocalVariablesByScope)[identifier] = token;
@@ -612,13 +601,151 @@ JavaScriptLintRules.prototype._checkUnusedLocalVariables =
             _.each(_.values(unusedLocalVariables), function(unusedToken) {
                 this._handleError(errors.Errors.UNUSED_LOCAL_VARIABLE,
                         _s.sprintf('Unused local variable: %s.',
-                                unusedToken.string), token);
+                                unusedToken.string), unusedToken);
             }, this);
         }
     }
 };
 
 
+/**
+ * Checks a goog.require statement for being unnecessary, and reports missing
+ * provides and requires around it.
+ * @param {Token} token The goog.require token.
+ * @param {Token} statementToken The first token of the statement, where an
+ *      unnecessary require is reported.
+ * @private
+ */
+JavaScriptLintRules.prototype._checkGoogRequire = function(token,
+        statementToken) {
+    var namespacesInfo = this._namespacesInfo;
+    var namespace = tokenUtil.getStringAfterToken(token);
+
+    // If there are no provide statements, missing provides should be
+    // reported before the first require.
+    if (namespacesInfo.isFirstRequire(token) &&
+            _.isEmpty(namespacesInfo.getProvidedNamespaces())) {
+        var missingProvides = namespacesInfo.getMissingProvides();
+        if (_.size(missingProvides)) {
+            this._reportMissingProvides(missingProvides,
+                    tokenUtil.getFirstTokenInSameLine(token), true);
+        }
+    }
+
+    // Report extra goog.require statement.
+    if (!namespace || namespacesInfo.isExtraRequire(token)) {
+        if (!namespace) {
+            var msg = 'Empty namespace in goog.require';
+        } else {
+            msg = 'Unnecessary goog.require: ' + namespace;
+        }
+
+        this._handleError(errors.Errors.EXTRA_GOOG_REQUIRE, msg,
+                statementToken, Position.atBeginning());
+    }
+
+    // Report missing goog.require statements.
+    if (namespacesInfo.isLastRequire(token)) {
+        var missingRequires = namespacesInfo.getMissingRequires();
+        if (_.size(missingRequires)) {
+            this._reportMissingRequires(missingRequires,
+                    tokenUtil.getLastTokenInSameLine(token).next, false);
+        }
+    }
+};
+
+
+/**
+ * Checks the goog.module declaration and the exports of goog.module files.
+ * @param {Token} token The token to check.
+ * @param {StateTracker} state The state tracker.
+ * @private
+ */
+JavaScriptLintRules.prototype._checkGoogModule = function(token, state) {
+    var namespacesInfo = this._namespacesInfo;
+    if (token.type == Type.IDENTIFIER) {
+        if (token.string == 'goog.module') {
+            var previousCode = tokenUtil.searchExcept(token,
+                    Type.NON_CODE_TYPES, null, true);
+            if (previousCode) {
+                this._handleError(errors.Errors.INVALID_USE_OF_GOOG_MODULE,
+                        'goog.module must be the first statement in the file',
+                        token, Position.atBeginning());
+            }
+        } else if (token.string == 'goog.module.declareLegacyNamespace') {
+            var previousIdentifier = tokenUtil.search(token,
+                    [Type.IDENTIFIER], null, true);
+            if (!namespacesInfo.isGoogModule() || !previousIdentifier ||
+                    previousIdentifier.string != 'goog.module') {
+                this._handleError(errors.Errors.INVALID_USE_OF_GOOG_MODULE,
+                        'goog.module.declareLegacyNamespace must directly ' +
+                                'follow goog.module',
+                        token, Position.atBeginning());
+            }
+        } else if (token.string == 'goog.provide' &&
+                namespacesInfo.isGoogModule()) {
+            this._handleError(errors.Errors.INVALID_USE_OF_GOOG_MODULE,
+                    'goog.provide can not be used in a goog.module file',
+                    token, Position.atBeginning());
+        }
+
+    } else if (token.type == Type.SIMPLE_LVALUE &&
+            namespacesInfo.isGoogModule()) {
+        var identifier = token.values[1];
+        var moduleId = namespacesInfo.getModuleId();
+        if (identifier == 'exports' || _s.startsWith(identifier, 'exports.')) {
+            if (state.inFunction()) {
+                this._handleError(errors.Errors.INVALID_GOOG_MODULE_EXPORTS,
+                        'exports must be assigned at the top level of the ' +
+                                'module',
+                        token);
+            }
+        } else if (identifier == moduleId ||
+                _s.startsWith(identifier, moduleId + '.')) {
+            this._handleError(errors.Errors.INVALID_GOOG_MODULE_EXPORTS,
+                    _s.sprintf('Assign to exports instead of %s in ' +
+                            'goog.module %s', identifier, moduleId),
+                    token);
+        }
+    }
+};
+
+
+/**
+ * Records the bindings of import declarations and the names used.
+ *
+ * A binding is used by an identifier starting with its name, or by a type in
+ * a JsDoc flag referring to it. Which bindings are unused is decided at the
+ * end of the file.
+ * @param {Token} token The token to check.
+ * @private
+ */
+JavaScriptLintRules.prototype._checkUnusedImports = function(token) {
+    var usedNames = [];
+    if (token.isKeyword('import')) {
+        this._importBindings = this._importBindings.concat(
+                tokenUtil.getImportBindings(token));
+    } else if (_.contains(this._importBindings, token)) {
+        // The binding itself is not a usage.
+        return;
+    } else if (token.type == Type.IDENTIFIER ||
+            token.type == Type.SIMPLE_LVALUE) {
+        var identifier = token.type == Type.SIMPLE_LVALUE ?
+                token.values[1] : token.string;
+        usedNames = [identifier.split('.')[0]];
+    } else if (token.type == Type.DOC_FLAG) {
+        usedNames = _.map(tokenUtil.getDocFlagTypeIdentifiers(token),
+                function(identifier) {
+            return identifier.split('.')[0];
+        });
+    }
+
+    _.each(usedNames, function(name) {
+        this._usedNames[name] = true;
+    }, this);
+};
+
+
 /**
  * Marks the local variable as used in the relevant scope.
  *
@@ -703,9 +830,12 @@ JavaScriptLintRules.prototype._reportMissingRequires = function(missingRequires,
             }).join('\n');
     missingRequiresMsg += '\n';
 
+    // Requires of a goog.module are aliased, e.g. "const Foo =
+    // goog.require('Foo');", and the fixer does not insert those.
     this._handleError(errors.Errors.MISSING_GOOG_REQUIRE, missingRequiresMsg,
             token, Position.atBeginning(),
-            [_.keys(missingRequires), needBlankLines]);
+            this._namespacesInfo.isGoogModule() ? null :
+                    [_.keys(missingRequires), needBlankLines]);
 };
 
 
@@ -716,7 +846,7 @@ JavaScriptLintRules.prototype.finalize = function(state) {
     // Call the base class's Finalize function.
     EcmaScriptLintRules.prototype.finalize.call(this, state);
 
-    if (errorCheck.shouldCheck(Rule.UNUSED_PRIVATE_MEMBER)) {
+    if (this._shouldCheck(Rule.UNUSED_PRIVATE_MEMBERS)) {
         // Report an error for any declared private member that was never used.
         var unusedPrivateMembers = _.difference(this._declaredPrivateMemebers,
                 this._usedPrivateMembers);
@@ -738,23 +868,34 @@ JavaScriptLintRules.prototype.finalize = function(state) {
     if (namespaceInfo != null) {
         // If there are no provide or require statements, missing provides and
         // requires should be reported on line 1.
-        if (!namespaceInfo.getProvidedNamespaces() &&
-                !namespaceInfo.getRequiredNamespaces()) {
+        if (_.isEmpty(namespaceInfo.getProvidedNamespaces()) &&
+                _.isEmpty(namespaceInfo.getRequiredNamespaces())) {
             var missingProvides = namespaceInfo.getMissingProvides();
             if (_.size(missingProvides)) {
                 this._reportMissingProvides(missingProvides,
-                        state.getFirstToken(), false);
+                        state.getFirstToken(), null);
             }
 
             var missingRequires = namespaceInfo.getMissingRequires();
             if (_.size(missingRequires)) {
                 this._reportMissingRequires(missingRequires,
-                        state.getFirstToken(), false);
+                        state.getFirstToken(), null);
             }
         }
     }
 
+    // Report an error for any imported binding that was never used.
+    _.each(this._importBindings, function(token) {
+        if (!_.has(this._usedNames, token.string)) {
+            this._handleError(errors.Errors.UNUSED_IMPORT,
+                    'Unnecessary import: ' + token.string, token);
+        }
+    }, this);
+    this._importBindings = [];
+    this._usedNames = {};
+
     this._checkSortedRequiresProvides(state.getFirstToken());
+    this._checkSortedImports(state.getFirstToken());
 };
 
 
@@ -780,10 +921,31 @@ JavaScriptLintRules.prototype._checkSortedRequiresProvides = function(token) {
     var firstRequreToken = sorter.checkRequires(token);
     if (firstRequreToken) {
         newOrder = sorter.getFixedRequireString(firstRequreToken);
+        var statementToken = tokenUtil.getRequireAliasDeclaration(
+                firstRequreToken) || firstRequreToken;
         this._handleError(errors.Errors.GOOG_REQUIRES_NOT_ALPHABETIZED,
                 'goog.require classes must be alphabetized.  ' +
                         'The correct code is:\n' + newOrder,
-                firstRequreToken, Position.atBeginning(), firstRequreToken);
+                statementToken, Position.atBeginning(), firstRequreToken);
+    }
+};
+
+
+/**
+ * Checks that the import declarations at the top of the file are sorted by
+ * module.
+ * @param {Token} token The first token in the token stream.
+ * @private
+ */
+JavaScriptLintRules.prototype._checkSortedImports = function(token) {
+    var sorter = new requireProvideSorter.RequireProvideSorter();
+    var firstImportToken = sorter.checkImports(token);
+    if (firstImportToken) {
+        var newOrder = sorter.getFixedImportString(firstImportToken);
+        this._handleError(errors.Errors.IMPORTS_NOT_ALPHABETIZED,
+                'Imports must be alphabetized by module.  ' +
+                        'The correct code is:\n' + newOrder,
+                firstImportToken, Position.atBeginning());
     }
 };
 
@@ -797,6 +959,7 @@ JavaScriptLintRules.prototype.getLongLineExceptions = function() {
     return [
         /goog\.require\(.+\);?\s*$/,
         /goog\.provide\(.+\);?\s*$/,
+        /^\s*(import|export)\b.*['"];?\s*$/,
         /[\s/*]*@visibility\s*{.*}[\s*/]*$/];
 };
 
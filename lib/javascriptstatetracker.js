@@ -3,10 +3,12 @@
  */
 
 var _ = require('underscore');
+var ecmaMetaDataPass = require('./ecmametadatapass');
 var stateTracker = require('./statetracker');
 var tokenUtil = require('./tokenutil');
 var javascriptTokens = require('./javascripttokens');
 
+var EcmaContext = ecmaMetaDataPass.EcmaContext;
 var Type = javascriptTokens.JavaScriptTokenType;
 
 
@@ -93,15 +95,22 @@ JavaScriptStateTracker.prototype.inNonScopeBlock = function() {
 /**
  * Determine the block type given a START_BLOCK token.
  *
- * Code blocks come after parameters, keywords  like else, and closing parens.
+ * Code blocks come after parameters, keywords  like else, closing parens and
+ * arrows, and class bodies are code blocks too.
  * @param {Token} token The current token. Can be assumed to be type START_BLOCK
  * @return {string} Code block type for current token.
  */
 JavaScriptStateTracker.prototype.getBlockType = function(token) {
     var lastCode = tokenUtil.searchExcept(token, Type.NON_CODE_TYPES, null,
             true);
-    if (_.contains([Type.END_PARAMETERS, Type.END_PAREN, Type.KEYWORD],
-            lastCode.type) && !lastCode.isKeyword('return')) {
+    // Keywords which may be followed by an object literal, as in
+    // "export {foo};" or "return {foo: 1};".
+    var literalKeywords = ['return', 'import', 'export', 'default'];
+    if (_.contains([Type.END_PARAMETERS, Type.END_PAREN], lastCode.type) ||
+            (lastCode.type == Type.KEYWORD &&
+                    !_.contains(literalKeywords, lastCode.string)) ||
+            lastCode.isOperator('=>') ||
+            token.metadata.context.parent.type == EcmaContext.Type.CLASS) {
         return stateTracker.StateTracker.CODE;
     } else {
         return stateTracker.StateTracker.OBJECT_LITERAL;
@@ -147,4 +156,5 @@ JavaScriptStateTracker.prototype.handleToken = function(token,
 };
 
 
+exports.JsDocFlag = JsDocFlag;
 exports.JavaScriptStateTracker = JavaScriptStateTracker;
@@ -13,6 +13,7 @@ var JavaScriptModes = {
     TEXT_MODE: 'text',
     SINGLE_QUOTE_STRING_MODE: 'single_quote_string',
     DOUBLE_QUOTE_STRING_MODE: 'double_quote_string',
+    TEMPLATE_STRING_MODE: 'template_string',
     BLOCK_COMMENT_MODE: 'block_comment',
     DOC_COMMENT_MODE: 'doc_comment',
     DOC_COMMENT_LEX_SPACES_MODE: 'doc_comment_spaces',
@@ -30,27 +31,161 @@ var JavaScriptTokenizer = function(opt_parseJsDoc) {
 };
 _.extend(JavaScriptTokenizer.prototype, tokenizer.Tokenizer.prototype);
 
+
+/**
+ * Tokenizes the given file.
+ * @param {string} file Content of the file.
+ * @return {Token}
+ */
+JavaScriptTokenizer.prototype.tokenizeFile = function(file) {
+    // Kinds of the open braces, one of Type.START_BLOCK,
+    // Type.TEMPLATE_SUBSTITUTION_START or JavaScriptTokenizer.CLASS_BODY.
+    this._openBraces = [];
+    // Kinds of the open parens, Type.START_PAREN or
+    // JavaScriptTokenizer.FOR_GROUP.
+    this._openParens = [];
+    this._isClassBodyNext = false;
+    this._lastCode = null;
+    return tokenizer.Tokenizer.prototype.tokenizeFile.call(this, file);
+};
+
+
+/**
+ * Returns the matchers to try at the current position of the line.
+ *
+ * Members of class bodies are tokenized like functions, with the method name
+ * as FUNCTION_NAME followed by the parameters.  The "of" of a for-of loop is
+ * an operator like the "in" of a for-in loop, and the "await" of a for-await
+ * loop a keyword.  Keywords used as keys of object literals, e.g.
+ * {class: 'big'}, are identifiers, the async and the generator star of their
+ * methods keywords.
+ * @return {Array.<Matcher>} The matchers to try.
+ * @private
+ */
+JavaScriptTokenizer.prototype._getMatchers = function() {
+    var lastCode = this._lastCode;
+    if (this.mode == JavaScriptModes.TEXT_MODE &&
+            _.last(this._openBraces) == JavaScriptTokenizer.CLASS_BODY) {
+        if (_.contains([Type.START_BLOCK, Type.END_BLOCK, Type.SEMICOLON],
+                lastCode.type) || (lastCode.type == Type.KEYWORD && _.contains(
+                        JavaScriptTokenizer.CLASS_MEMBER_MODIFIER_LIST,
+                        lastCode.string))) {
+            return JavaScriptTokenizer.CLASS_MEMBER_MATCHERS;
+        }
+    }
+    if (this.mode == JavaScriptModes.TEXT_MODE &&
+            _.last(this._openParens) == JavaScriptTokenizer.FOR_GROUP &&
+            _.contains([Type.IDENTIFIER, Type.END_BRACKET, Type.END_BLOCK],
+                    lastCode.type)) {
+        return JavaScriptTokenizer.FOR_OF_MATCHERS;
+    }
+    if (this.mode == JavaScriptModes.TEXT_MODE && lastCode &&
+            lastCode.isKeyword('for')) {
+        return JavaScriptTokenizer.FOR_AWAIT_MATCHERS;
+    }
+    if (this.mode == JavaScriptModes.TEXT_MODE && lastCode &&
+            (lastCode.type == Type.START_BLOCK || lastCode.isOperator(',') ||
+                    lastCode.isKeyword('async'))) {
+        return JavaScriptTokenizer.PROPERTY_KEY_MATCHERS;
+    }
+    return tokenizer.Tokenizer.prototype._getMatchers.call(this);
+};
+
+
+/**
+ * Add the given token to the token stream.
+ *
+ * The closing brace of a template substitution looks like the end of a
+ * block, so open braces are tracked and the one closing a substitution is
+ * retyped and returns the tokenizer to the template string.  Class bodies are
+ * tracked to find the class members, and the parens of for loops to find the
+ * "of" of for-of loops.
+ * @param {Token} token The token to add.
+ * @private
+ */
+JavaScriptTokenizer.prototype._addToken = function(token) {
+    var openBraces = this._openBraces;
+    if (token.type == Type.TEMPLATE_SUBSTITUTION_START) {
+        openBraces.push(token.type);
+    } else if (token.type == Type.START_BLOCK) {
+        openBraces.push(this._isClassBodyNext ?
+                JavaScriptTokenizer.CLASS_BODY : token.type);
+        this._isClassBodyNext = false;
+    } else if (token.type == Type.END_BLOCK &&
+            openBraces.pop() == Type.TEMPLATE_SUBSTITUTION_START) {
+        token.type = Type.TEMPLATE_SUBSTITUTION_END;
+        this.mode = JavaScriptModes.TEMPLATE_STRING_MODE;
+    } else if (token.isKeyword('class')) {
+        this._isClassBodyNext = true;
+    } else if (token.type == Type.START_PAREN) {
+        this._openParens.push(this._lastCode &&
+                (this._lastCode.isKeyword('for') ||
+                        this._lastCode.isKeyword('await')) ?
+                        JavaScriptTokenizer.FOR_GROUP : token.type);
+    } else if (token.type == Type.END_PAREN) {
+        this._openParens.pop();
+    }
+
+    if (token.isCode()) {
+        this._lastCode = token;
+    }
+
+    tokenizer.Tokenizer.prototype._addToken.call(this, token);
+};
+
+
+/**
+ * Kind of the open brace of a class body.
+ * @type {string}
+ */
+JavaScriptTokenizer.CLASS_BODY = 'class body';
+
+
+/**
+ * Kind of the open paren of a for loop.
+ * @type {string}
+ */
+JavaScriptTokenizer.FOR_GROUP = 'for group';
+
+
 JavaScriptTokenizer.prototype._createToken = function(string, tokenType, line,
         lineNumber, opt_values) {
     return new javascriptTokens.JavaScriptToken(string, tokenType, line,
             lineNumber, opt_values, lineNumber);
 };
 
-// Useful patterns for JavaScript parsing.
-JavaScriptTokenizer.IDENTIFIER_CHAR = 'A-Za-z0-9_$\\.';
+// Useful patterns for JavaScript parsing.  Identifiers may contain Unicode
+// letters and digits, so the patterns using these characters are created with
+// the unicode flag.
+JavaScriptTokenizer.IDENTIFIER_START_CHAR = '\\p{ID_Start}_$';
+JavaScriptTokenizer.IDENTIFIER_PART_CHAR = '\\p{ID_Continue}_$\\u200C\\u200D';
+JavaScriptTokenizer.IDENTIFIER_CHAR =
+    JavaScriptTokenizer.IDENTIFIER_PART_CHAR + '\\.';
 
 // Number patterns based on:
 // http://www.mozilla.org/js/language/js20-2000-07/formal/lexer-grammar.html
-JavaScriptTokenizer.MANTISSA =
-    '(\\d+(?!\\.))|' +    // Matches '10'
-    '(\\d+\\.(?!\\d))|' + // Matches '10.'
-    '(\\d*\\.\\d+)';       // Matches '.5' or '10.5'
-
-JavaScriptTokenizer.DECIMAL_LITERAL = _s.sprintf('(%s)([eE][-+]?\\d+)?',
-        JavaScriptTokenizer.MANTISSA);
-JavaScriptTokenizer.HEX_LITERAL = '0[xX][0-9a-fA-F]+';
+// extended by numeric separators, binary, octal and BigInt literals.
+JavaScriptTokenizer.DIGITS = '\\d(_?\\d)*';
+
+JavaScriptTokenizer.MANTISSA = _s.sprintf(
+    '(%(digits)s(?![\\d_.]))|' +    // Matches '10' or '1_000'
+    '(%(digits)s\\.(?!\\d))|' +     // Matches '10.'
+    '((%(digits)s)?\\.%(digits)s)',  // Matches '.5' or '10.5'
+        {digits: JavaScriptTokenizer.DIGITS});
+
+JavaScriptTokenizer.DECIMAL_LITERAL = _s.sprintf('(%s)([eE][-+]?%s)?',
+        JavaScriptTokenizer.MANTISSA, JavaScriptTokenizer.DIGITS);
+JavaScriptTokenizer.HEX_LITERAL = '0[xX][0-9a-fA-F](_?[0-9a-fA-F])*';
+JavaScriptTokenizer.BINARY_LITERAL = '0[bB][01](_?[01])*';
+JavaScriptTokenizer.OCTAL_LITERAL = '0[oO][0-7](_?[0-7])*';
+
+// Integers, but no decimal fractions or exponents, may have a BigInt suffix.
+JavaScriptTokenizer.INTEGER_LITERAL = _s.sprintf('(%s|%s|%s)n?|%sn',
+        JavaScriptTokenizer.HEX_LITERAL, JavaScriptTokenizer.BINARY_LITERAL,
+        JavaScriptTokenizer.OCTAL_LITERAL, JavaScriptTokenizer.DIGITS);
 JavaScriptTokenizer.NUMBER = RegExp(_s.sprintf('((%s)|(%s))',
-        JavaScriptTokenizer.HEX_LITERAL, JavaScriptTokenizer.DECIMAL_LITERAL));
+        JavaScriptTokenizer.INTEGER_LITERAL,
+        JavaScriptTokenizer.DECIMAL_LITERAL));
 
 // Strings come in three parts - first we match the start of the string, then
 // the contents, then the end.  The contents consist of any character except a
@@ -62,6 +197,13 @@ JavaScriptTokenizer.SINGLE_QUOTE_TEXT = /([^'\\]|\\(.|$))+/;
 JavaScriptTokenizer.DOUBLE_QUOTE = /"/;
 JavaScriptTokenizer.DOUBLE_QUOTE_TEXT = /([^"\\]|\\(.|$))+/;
 
+// Template strings may span lines and contain ${...} substitutions, which are
+// tokenized as code.  The text is anything but a backtick, a backslash or the
+// start of a substitution, or a backslash followed by any character.
+JavaScriptTokenizer.BACKTICK = /`/;
+JavaScriptTokenizer.TEMPLATE_TEXT = /([^`\\$]|\\(.|$)|\$(?!\{))+/;
+JavaScriptTokenizer.TEMPLATE_SUBSTITUTION_START = /\$\{/;
+
 JavaScriptTokenizer.START_SINGLE_LINE_COMMENT = /\/\//;
 JavaScriptTokenizer.END_OF_LINE_SINGLE_LINE_COMMENT = /\/\/$/;
 
@@ -106,7 +248,7 @@ JavaScriptTokenizer.REGEX = RegExp(_s.sprintf(
                                     // or anything but a / or [ or \,
                                     // or a character class
     '/' +                           // closing slash
-    '[gimsx]*' +                    // optional modifiers
+    '[dgimsuvxy]*' +                // optional flags
     '(?=\\s*(%s))', JavaScriptTokenizer.REGEX_CHARACTER_CLASS,
         JavaScriptTokenizer.POST_REGEX_LIST.join('|')));
 
@@ -127,15 +269,16 @@ JavaScriptTokenizer.CLOSING_BRACKET = /]/;
 //   delete, in, instanceof, new, typeof - included as operators.
 //   this - included in identifiers.
 //   null, undefined - not included, should go in some "special constant" list.
-JavaScriptTokenizer.KEYWORD_LIST = ['break', 'case', 'catch', 'continue',
-    'default', 'do', 'else', 'finally', 'for', 'if', 'return', 'switch',
-    'throw', 'try', 'var', 'while', 'with'];
+JavaScriptTokenizer.KEYWORD_LIST = ['break', 'case', 'catch', 'class',
+    'const', 'continue', 'default', 'do', 'else', 'export', 'extends',
+    'finally', 'for', 'if', 'import', 'let', 'return', 'switch', 'throw', 'try',
+    'var', 'while', 'with'];
 
 // Match a keyword string followed by a non-identifier character in order to
 // not match something like doSomething as do + Something.
 JavaScriptTokenizer.KEYWORD = RegExp(_s.sprintf('(%s)((?=[^%s])|$)',
         JavaScriptTokenizer.KEYWORD_LIST.join('|'),
-        JavaScriptTokenizer.IDENTIFIER_CHAR));
+        JavaScriptTokenizer.IDENTIFIER_CHAR), 'u');
 
 // List of regular expressions to match as operators.  Some notes: for our
 // purposes, the comma behaves similarly enough to a normal operator that we
@@ -144,9 +287,10 @@ JavaScriptTokenizer.KEYWORD = RegExp(_s.sprintf('(%s)((?=[^%s])|$)',
 // Operators that are subsets of larger operators must come later in this list
 // for proper matching, e.g., '>>' must come AFTER '>>>'.
 JavaScriptTokenizer.OPERATOR_LIST = [',', '\\+\\+', '===', '!==', '>>>=', '>>>',
-    '==', '>=', '<=', '!=', '<<=', '>>=', '<<', '>>', '>', '<', '\\+=', '\\+',
-    '--', '\\^=', '-=', '-', '\\/=', '\\/', '\\*=', '\\*', '%=', '%', '&&',
-    '\\|\\|', '&=', '&', '\\|=', '\\|', '=', '!', ':', '\\?', '\\^',
+    '==', '=>', '>=', '<=', '!=', '<<=', '>>=', '<<', '>>', '>', '<', '\\+=',
+    '\\+', '--', '\\^=', '-=', '-', '\\/=', '\\/', '\\*\\*=', '\\*\\*', '\\*=',
+    '\\*', '%=', '%', '&&=', '&&', '\\|\\|=', '\\|\\|', '&=', '&', '\\|=',
+    '\\|', '=', '!', ':', '\\?\\?=', '\\?\\?', '\\?', '\\^',
     '\\bdelete\\b', '\\bin\\b', '\\binstanceof\\b', '\\bnew\\b', '\\btypeof\\b',
     '\\bvoid\\b'];
 
@@ -158,16 +302,71 @@ JavaScriptTokenizer.SEMICOLON = /;/;
 
 // Technically JavaScript identifiers can't contain '.', but we treat a set of
 // nested identifiers as a single identifier.
-JavaScriptTokenizer.NESTED_IDENTIFIER = _s.sprintf('[a-zA-Z_$][%s.]*',
+JavaScriptTokenizer.NESTED_IDENTIFIER = _s.sprintf('[%s][%s.]*',
+    JavaScriptTokenizer.IDENTIFIER_START_CHAR,
     JavaScriptTokenizer.IDENTIFIER_CHAR);
-JavaScriptTokenizer.IDENTIFIER = RegExp(JavaScriptTokenizer.NESTED_IDENTIFIER);
+JavaScriptTokenizer.IDENTIFIER = RegExp(JavaScriptTokenizer.NESTED_IDENTIFIER,
+        'u');
 
 JavaScriptTokenizer.SIMPLE_LVALUE = RegExp(_s.sprintf(
     '(%s)' +      // a valid identifier
     '(?=\\s*' +   // optional whitespace
-    '\\=' +       // look ahead to equal sign
-    '(?!=))',     // not follwed by equal
-        JavaScriptTokenizer.NESTED_IDENTIFIER));
+    '=' +         // look ahead to equal sign
+    '(?![=>]))',  // not follwed by equal or arrow
+        JavaScriptTokenizer.NESTED_IDENTIFIER), 'u');
+
+// Modifiers that may precede the name of a class member, the star marks
+// generator methods.
+JavaScriptTokenizer.CLASS_MEMBER_MODIFIER_LIST = ['static', 'get', 'set',
+    'async', '*'];
+
+JavaScriptTokenizer.CLASS_MEMBER_MODIFIER = RegExp(_s.sprintf(
+    '(%s)(?=\\s+[%s*])|\\*(?=\\s*[%s])',
+        _.initial(JavaScriptTokenizer.CLASS_MEMBER_MODIFIER_LIST).join('|'),
+        JavaScriptTokenizer.IDENTIFIER_START_CHAR,
+        JavaScriptTokenizer.IDENTIFIER_START_CHAR), 'u');
+
+// A keyword used as the key of an object literal.  The default keyword is
+// excluded, it follows the opening brace of a switch too.
+JavaScriptTokenizer.PROPERTY_KEY = RegExp(_s.sprintf(
+    '(?!default)(%s)(?=\\s*:)',
+        JavaScriptTokenizer.KEYWORD_LIST.join('|')), 'u');
+
+// The modifiers of a method of an object literal, e.g. {async *gen() {}}.
+JavaScriptTokenizer.OBJECT_METHOD_MODIFIER = RegExp(_s.sprintf(
+    'async(?=\\s+\\*?\\s*[%s][%s]*\\s*\\()|\\*(?=\\s*[%s])',
+        JavaScriptTokenizer.IDENTIFIER_START_CHAR,
+        JavaScriptTokenizer.IDENTIFIER_PART_CHAR,
+        JavaScriptTokenizer.IDENTIFIER_START_CHAR), 'u');
+
+// The optional chaining operator, e.g. a?.b, a?.[0] or f?.().  It is
+// tokenized like the dot of a member access, not as an operator.  A question
+// mark followed by a decimal, e.g. a?.5:1, is a conditional operator.
+JavaScriptTokenizer.OPTIONAL_CHAINING = /\?\.(?![0-9])/;
+
+// The "await" of a for-await loop.
+JavaScriptTokenizer.FOR_AWAIT = RegExp(_s.sprintf('await(?![%s])',
+        JavaScriptTokenizer.IDENTIFIER_PART_CHAR), 'u');
+
+// The "of" of a for-of loop.
+JavaScriptTokenizer.FOR_OF = RegExp(_s.sprintf('of(?![%s])',
+        JavaScriptTokenizer.IDENTIFIER_PART_CHAR), 'u');
+
+// The async keyword of an async function or arrow function, not an identifier
+// named async.
+JavaScriptTokenizer.ASYNC = RegExp(_s.sprintf(
+    'async(?=' +
+    '\\s+function(?![%s])|' +    // async function
+    '\\s*\\([^()]*\\)\\s*=>|' +  // async arrow function with parens
+    '\\s+[%s][%s]*\\s*=>)',     // async arrow function with one parameter
+        JavaScriptTokenizer.IDENTIFIER_PART_CHAR,
+        JavaScriptTokenizer.IDENTIFIER_START_CHAR,
+        JavaScriptTokenizer.IDENTIFIER_PART_CHAR), 'u');
+
+// A method name is a simple identifier followed by the parameters.
+JavaScriptTokenizer.METHOD_NAME = RegExp(_s.sprintf('[%s][%s]*(?=\\s*\\()',
+        JavaScriptTokenizer.IDENTIFIER_START_CHAR,
+        JavaScriptTokenizer.IDENTIFIER_PART_CHAR), 'u');
 
 // A doc flag is a @ sign followed by non-space characters that appears at the
 // beginning of the line, after whitespace, or after a '{'.  The look-behind
@@ -186,11 +385,8 @@ JavaScriptTokenizer.DOC_FLAG = /(^|(?:\s))(@([a-zA-Z]+))/;
 JavaScriptTokenizer.DOC_FLAG_LEX_SPACES = /(^|(?:\s))(@(param)\b)/;
 //JavaScriptTokenizer.DOC_FLAG_LEX_SPACES.neededIndex = 1;
 
-// JS is not support positive lookbehind assertion, so space
-// before doc flag is also matched. For this case we set neededIndex to be used
-// after matching.
-JavaScriptTokenizer.DOC_INLINE_FLAG = /(?:\{)(@([a-zA-Z]+))/;
-JavaScriptTokenizer.DOC_INLINE_FLAG.neededIndex = 1;
+// The pattern is sticky, so it can look behind at the brace already matched.
+JavaScriptTokenizer.DOC_INLINE_FLAG = /(?<=\{)@([a-zA-Z]+)/y;
 
 // Star followed by non-slash, i.e a star that does not end a comment.
 // This is used for TYPE_GROUP below.
@@ -242,6 +438,8 @@ JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.TEXT_MODE] = [
     new Matcher(JavaScriptTokenizer.DOUBLE_QUOTE,
             Type.DOUBLE_QUOTE_STRING_START,
             JavaScriptModes.DOUBLE_QUOTE_STRING_MODE),
+    new Matcher(JavaScriptTokenizer.BACKTICK, Type.TEMPLATE_STRING_START,
+            JavaScriptModes.TEMPLATE_STRING_MODE),
     new Matcher(JavaScriptTokenizer.REGEX, Type.REGEX),
 
     // Next we check for start blocks appearing outside any of the items above.
@@ -266,10 +464,12 @@ JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.TEXT_MODE] = [
 
     // Find operators and simple assignments
     new Matcher(JavaScriptTokenizer.SIMPLE_LVALUE, Type.SIMPLE_LVALUE),
+    new Matcher(JavaScriptTokenizer.OPTIONAL_CHAINING, Type.NORMAL),
     new Matcher(JavaScriptTokenizer.OPERATOR, Type.OPERATOR),
 
     // Find key words and whitespace.
     new Matcher(JavaScriptTokenizer.KEYWORD, Type.KEYWORD),
+    new Matcher(JavaScriptTokenizer.ASYNC, Type.KEYWORD),
     new Matcher(JavaScriptTokenizer.WHITESPACE, Type.WHITESPACE),
 
     // Find identifiers.
@@ -279,6 +479,33 @@ JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.TEXT_MODE] = [
     new Matcher(JavaScriptTokenizer.SEMICOLON, Type.SEMICOLON)];
 
 
+// Matchers for the start of a class member, tried before the text mode ones.
+JavaScriptTokenizer.CLASS_MEMBER_MATCHERS = [
+    new Matcher(JavaScriptTokenizer.CLASS_MEMBER_MODIFIER, Type.KEYWORD),
+    new Matcher(JavaScriptTokenizer.METHOD_NAME, Type.FUNCTION_NAME,
+            JavaScriptModes.FUNCTION_MODE)].concat(
+        JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.TEXT_MODE]);
+
+
+// Matchers after an opening brace or a comma, tried before the text mode ones.
+JavaScriptTokenizer.PROPERTY_KEY_MATCHERS = [
+    new Matcher(JavaScriptTokenizer.PROPERTY_KEY, Type.IDENTIFIER),
+    new Matcher(JavaScriptTokenizer.OBJECT_METHOD_MODIFIER, Type.KEYWORD)].concat(
+        JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.TEXT_MODE]);
+
+
+// Matchers after the for keyword, tried before the text mode ones.
+JavaScriptTokenizer.FOR_AWAIT_MATCHERS = [
+    new Matcher(JavaScriptTokenizer.FOR_AWAIT, Type.KEYWORD)].concat(
+        JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.TEXT_MODE]);
+
+
+// Matchers after the variable of a for loop, tried before the text mode ones.
+JavaScriptTokenizer.FOR_OF_MATCHERS = [
+    new Matcher(JavaScriptTokenizer.FOR_OF, Type.OPERATOR)].concat(
+        JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.TEXT_MODE]);
+
+
 // Matchers for single quote strings.
 JavaScriptTokenizer.JAVASCRIPT_MATCHERS[
         JavaScriptModes.SINGLE_QUOTE_STRING_MODE] = [
@@ -294,6 +521,17 @@ JavaScriptTokenizer.JAVASCRIPT_MATCHERS[
     new Matcher(JavaScriptTokenizer.DOUBLE_QUOTE, Type.DOUBLE_QUOTE_STRING_END,
                 JavaScriptModes.TEXT_MODE)];
 
+
+// Matchers for template strings.  The end of a substitution is found by
+// JavaScriptTokenizer.prototype._addToken.
+JavaScriptTokenizer.JAVASCRIPT_MATCHERS[
+        JavaScriptModes.TEMPLATE_STRING_MODE] = [
+    new Matcher(JavaScriptTokenizer.TEMPLATE_SUBSTITUTION_START,
+                Type.TEMPLATE_SUBSTITUTION_START, JavaScriptModes.TEXT_MODE),
+    new Matcher(JavaScriptTokenizer.TEMPLATE_TEXT, Type.TEMPLATE_STRING_TEXT),
+    new Matcher(JavaScriptTokenizer.BACKTICK, Type.TEMPLATE_STRING_END,
+                JavaScriptModes.TEXT_MODE)];
+
 // Matchers for block comments.
 JavaScriptTokenizer.JAVASCRIPT_MATCHERS[JavaScriptModes.BLOCK_COMMENT_MODE] = [
     // First we check for exiting a block comment.
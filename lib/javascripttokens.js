@@ -17,6 +17,11 @@ var JavaScriptTokenType = _.extend(tokens.TokenType, {
     DOUBLE_QUOTE_STRING_START: '"string',
     DOUBLE_QUOTE_STRING_END: 'string"',
     STRING_TEXT: 'string',
+    TEMPLATE_STRING_START: '`string',
+    TEMPLATE_STRING_END: 'string`',
+    TEMPLATE_STRING_TEXT: 'template string',
+    TEMPLATE_SUBSTITUTION_START: '${',
+    TEMPLATE_SUBSTITUTION_END: '}template',
     START_BLOCK: '{',
     END_BLOCK: '}',
     START_PAREN: '(',
@@ -46,7 +51,17 @@ JavaScriptTokenType.STRING_TYPES = [
     JavaScriptTokenType.SINGLE_QUOTE_STRING_END,
     JavaScriptTokenType.DOUBLE_QUOTE_STRING_START,
     JavaScriptTokenType.DOUBLE_QUOTE_STRING_END,
-    JavaScriptTokenType.STRING_TEXT];
+    JavaScriptTokenType.STRING_TEXT,
+    JavaScriptTokenType.TEMPLATE_STRING_START,
+    JavaScriptTokenType.TEMPLATE_STRING_END,
+    JavaScriptTokenType.TEMPLATE_STRING_TEXT];
+
+// Template string tokens after which the template continues, possibly on the
+// next line.
+JavaScriptTokenType.TEMPLATE_CONTINUATION_TYPES = [
+    JavaScriptTokenType.TEMPLATE_STRING_START,
+    JavaScriptTokenType.TEMPLATE_STRING_TEXT,
+    JavaScriptTokenType.TEMPLATE_SUBSTITUTION_END];
 
 JavaScriptTokenType.COMMENT_TYPES = [
     JavaScriptTokenType.START_SINGLE_LINE_COMMENT,
@@ -83,6 +98,9 @@ JavaScriptTokenType.UNARY_OK_OPERATORS = _.union(['--', '++', '-', '+'],
 
 JavaScriptTokenType.UNARY_POST_OPERATORS = ['--', '++'];
 
+// Keywords starting variable declarations.
+JavaScriptTokenType.VARIABLE_KEYWORDS = ['var', 'let', 'const'];
+
 // An expression ender is any token that can end an object - i.e. we could have,
 // x.y or [1, 2], or (10 + 9) or {a: 10}.,
 JavaScriptTokenType.EXPRESSION_ENDER_TYPES = [
@@ -94,7 +112,8 @@ JavaScriptTokenType.EXPRESSION_ENDER_TYPES = [
     JavaScriptTokenType.END_PAREN,
     JavaScriptTokenType.END_BLOCK,
     JavaScriptTokenType.SINGLE_QUOTE_STRING_END,
-    JavaScriptTokenType.DOUBLE_QUOTE_STRING_END];
+    JavaScriptTokenType.DOUBLE_QUOTE_STRING_END,
+    JavaScriptTokenType.TEMPLATE_STRING_END];
 
 
 var JavaScriptToken = function() {
@@ -107,6 +126,11 @@ JavaScriptToken.prototype.isKeyword = function(keyword) {
     return this.type == JavaScriptTokenType.KEYWORD && this.string == keyword;
 };
 
+JavaScriptToken.prototype.isVariableKeyword = function() {
+    return this.type == JavaScriptTokenType.KEYWORD &&
+            _.contains(JavaScriptTokenType.VARIABLE_KEYWORDS, this.string);
+};
+
 JavaScriptToken.prototype.isOperator = function(operator) {
     return this.type == JavaScriptTokenType.OPERATOR && this.string == operator;
 };
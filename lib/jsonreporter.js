@@ -0,0 +1,78 @@
+/**
+ * Formats error records as a single machine-readable JSON document.
+ */
+
+var _ = require('underscore');
+
+var ruleCatalog = require('./rulecatalog');
+
+
+/**
+ * Converts an error record to its JSON representation.
+ * @param {ErrorRecord} record The error record.
+ * @return {Object} The structured error.
+ * @private
+ */
+var _formatRecord = function(record) {
+    return {
+        code: record.code,
+        name: record.name,
+        severity: record.severity,
+        message: record.message,
+        line: record.line,
+        column: record.column,
+        endLine: record.endLine,
+        endColumn: record.endColumn,
+        fixable: record.fixable
+    };
+};
+
+
+/**
+ * Builds the report document.
+ *
+ * Every checked path is listed, files without errors have an empty list of
+ * errors. The rules of the found errors are described by their codes.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @return {Object} The report.
+ */
+var getReport = function(paths, errorRecords) {
+    var recordsByPath = _.groupBy(errorRecords, 'path');
+    var files = _.map(paths, function(path) {
+        return {
+            path: path,
+            errors: _.map(recordsByPath[path] || [], _formatRecord)
+        };
+    });
+
+    var rules = {};
+    _.each(errorRecords, function(record) {
+        var rule = ruleCatalog.getRule(record.code);
+        if (rule) {
+            rules[record.code] = _.omit(rule, 'code');
+        }
+    });
+
+    return {
+        fileCount: paths.length,
+        errorCount: errorRecords.length,
+        files: files,
+        rules: rules
+    };
+};
+
+
+/**
+ * Formats the report as JSON.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @return {string} The JSON document.
+ */
+var format = function(paths, errorRecords) {
+    return JSON.stringify(getReport(paths, errorRecords), null, 2);
+};
+
+
+exports.format = format;
+exports.getReport = getReport;
@@ -0,0 +1,70 @@
+/**
+ * Formats error records as JUnit XML, one test case per checked file.
+ */
+
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var xmlUtil = require('../common/xmlutil');
+
+
+/**
+ * Formats the test case of a file.
+ * @param {string} path Path to the file.
+ * @param {Array.<ErrorRecord>} records Records of errors found in the file.
+ * @return {Array.<string>} Lines of the testcase element.
+ * @private
+ */
+var _formatTestCase = function(path, records) {
+    var attributes = {name: path, classname: 'gjslint'};
+    if (!records.length) {
+        return ['  ' + xmlUtil.startTag('testcase', attributes, true)];
+    }
+
+    var text = _.map(records, function(record) {
+        return xmlUtil.escape(record.errorString);
+    });
+
+    return [
+        '  ' + xmlUtil.startTag('testcase', attributes),
+        '    ' + xmlUtil.startTag('failure', {
+            message: _s.sprintf('%d errors', records.length),
+            type: 'gjslint'
+        }) + text.join('\n') + '</failure>',
+        '  </testcase>'
+    ];
+};
+
+
+/**
+ * Formats the JUnit document.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @return {string} The XML document.
+ */
+var format = function(paths, errorRecords) {
+    var recordsByPath = _.groupBy(errorRecords, 'path');
+    var failures = _.filter(paths, function(path) {
+        return _.has(recordsByPath, path);
+    });
+
+    var lines = [
+        xmlUtil.DECLARATION,
+        xmlUtil.startTag('testsuite', {
+            name: 'gjslint',
+            tests: paths.length,
+            failures: failures.length,
+            errors: 0
+        })
+    ];
+
+    _.each(paths, function(path) {
+        lines = lines.concat(_formatTestCase(path, recordsByPath[path] || []));
+    });
+
+    lines.push('</testsuite>');
+    return lines.join('\n');
+};
+
+
+exports.format = format;
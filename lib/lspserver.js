@@ -0,0 +1,414 @@
+/**
+ * Language Server Protocol server publishing the found errors as editor
+ * diagnostics.
+ *
+ * Messages are JSON-RPC 2.0 objects framed by a Content-Length header. Open
+ * documents are checked from their in-memory text on every change, fixable
+ * errors are offered as quick fix code actions.
+ */
+
+var url = require('url');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var errorOutput = require('../common/erroroutput');
+var runner = require('./runner');
+var singleErrorFixer = require('./singleerrorfixer');
+
+
+/**
+ * Separator of the header and the content of a message.
+ * @type {string}
+ */
+var HEADER_SEPARATOR = '\r\n\r\n';
+
+
+/**
+ * JSON-RPC error codes.
+ * @enum {number}
+ */
+var ErrorCodes = {
+    PARSE_ERROR: -32700,
+    METHOD_NOT_FOUND: -32601,
+    INTERNAL_ERROR: -32603
+};
+
+
+/**
+ * Diagnostic severities by severity of the error.
+ * @type {Object.<errors.Severity, number>}
+ */
+var DiagnosticSeverities = {
+    error: 1,
+    warning: 2,
+    info: 3
+};
+
+
+/**
+ * Full text document synchronization, every change sends the whole text.
+ * @type {number}
+ */
+var TEXT_DOCUMENT_SYNC_FULL = 1;
+
+
+/**
+ * Names of methods handling requests, by request method.
+ * @type {Object.<string, string>}
+ * @private
+ */
+var _REQUEST_HANDLERS = {
+    'initialize': '_initialize',
+    'shutdown': '_shutdown',
+    'textDocument/codeAction': '_codeAction'
+};
+
+
+/**
+ * Names of methods handling notifications, by notification method. Other
+ * notifications are ignored.
+ * @type {Object.<string, string>}
+ * @private
+ */
+var _NOTIFICATION_HANDLERS = {
+    'exit': '_exit',
+    'textDocument/didOpen': '_didOpen',
+    'textDocument/didChange': '_didChange',
+    'textDocument/didClose': '_didClose'
+};
+
+
+/**
+ * Converts the document URI to the path of the file.
+ * @param {string} uri The URI, e.g. 'file:///src/app.js'.
+ * @return {string} The path, or the URI itself for documents which are not
+ *      files.
+ */
+var uriToPath = function(uri) {
+    if (!_s.startsWith(uri, 'file:')) {
+        return uri;
+    }
+    return url.fileURLToPath(uri);
+};
+
+
+/**
+ * Converts the record to a diagnostic. File-wide errors are put on the first
+ * line. An error located at the beginning of its line without any width,
+ * e.g. unsorted goog.require statements, covers the whole line, so editors
+ * show it.
+ * @param {ErrorRecord} record The error record.
+ * @return {Object} The diagnostic.
+ * @private
+ */
+var _formatDiagnostic = function(record) {
+    var start = {line: 0, character: 0};
+    var end = start;
+    if (record.line != null) {
+        start = {line: record.line - 1, character: record.column - 1};
+        end = {line: record.endLine - 1, character: record.endColumn - 1};
+    }
+    if (start.character == 0 && _.isEqual(start, end)) {
+        end = {line: start.line + 1, character: 0};
+    }
+
+    return {
+        range: {start: start, end: end},
+        severity: DiagnosticSeverities[record.severity],
+        code: errorOutput.formatErrorCode(record.code),
+        source: 'gjslint',
+        message: record.message
+    };
+};
+
+
+/**
+ * Language server reading messages from the input stream and writing
+ * messages to the output stream.
+ *
+ * @param {stream.Readable} input The input stream.
+ * @param {stream.Writable} output The output stream.
+ * @param {Options} options Options of the run.
+ * @constructor
+ */
+var LspServer = function(input, output, options) {
+    this._input = input;
+    this._output = output;
+    this._options = options;
+
+    /**
+     * Received bytes not yet parsed to messages.
+     * @type {Buffer}
+     * @private
+     */
+    this._buffer = Buffer.alloc(0);
+
+    /**
+     * Open documents by URI.
+     * @type {Object.<string, {text: string, errorRecords:
+     *      Array.<ErrorRecord>}>}
+     * @private
+     */
+    this._documents = {};
+
+    this._isShutdown = false;
+};
+
+
+/**
+ * Starts reading messages.
+ */
+LspServer.prototype.start = function() {
+    this._input.on('data', _.bind(this._onData, this));
+    this._input.on('end', _.bind(this._exit, this));
+};
+
+
+/**
+ * Parses the messages received so far.
+ * @param {Buffer} chunk Received bytes.
+ * @private
+ */
+LspServer.prototype._onData = function(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+
+    while (true) {
+        var headerEnd = this._buffer.toString('ascii').
+                indexOf(HEADER_SEPARATOR);
+        if (headerEnd == -1) {
+            return;
+        }
+
+        var header = this._buffer.toString('ascii', 0, headerEnd);
+        var match = header.match(/Content-Length: *(\d+)/i);
+        var contentStart = headerEnd + HEADER_SEPARATOR.length;
+        var contentLength = match ? parseInt(match[1], 10) : 0;
+
+        if (this._buffer.length < contentStart + contentLength) {
+            return;
+        }
+
+        var content = this._buffer.toString('utf8', contentStart,
+                contentStart + contentLength);
+        this._buffer = this._buffer.slice(contentStart + contentLength);
+
+        try {
+            var message = JSON.parse(content);
+        } catch (e) {
+            this._send({
+                id: null,
+                error: {code: ErrorCodes.PARSE_ERROR, message: e.message}
+            });
+            continue;
+        }
+        this._handleMessage(message);
+    }
+};
+
+
+/**
+ * Sends the message.
+ * @param {Object} message The message without the jsonrpc member.
+ * @private
+ */
+LspServer.prototype._send = function(message) {
+    var content = JSON.stringify(_.extend({jsonrpc: '2.0'}, message));
+    this._output.write('Content-Length: ' + Buffer.byteLength(content) +
+            HEADER_SEPARATOR + content);
+};
+
+
+/**
+ * Dispatches the message to its handler and sends the response of requests.
+ * @param {Object} message The request or notification.
+ * @private
+ */
+LspServer.prototype._handleMessage = function(message) {
+    var isRequest = _.has(message, 'id');
+    var handlers = isRequest ? _REQUEST_HANDLERS : _NOTIFICATION_HANDLERS;
+    var handler = handlers[message.method];
+
+    if (!handler) {
+        if (isRequest) {
+            this._send({
+                id: message.id,
+                error: {
+                    code: ErrorCodes.METHOD_NOT_FOUND,
+                    message: 'Unhandled method ' + message.method
+                }
+            });
+        }
+        return;
+    }
+
+    try {
+        var result = this[handler](message.params || {});
+    } catch (e) {
+        if (isRequest) {
+            this._send({
+                id: message.id,
+                error: {code: ErrorCodes.INTERNAL_ERROR, message: e.message}
+            });
+        } else {
+            this._send({
+                method: 'window/logMessage',
+                params: {type: 1, message: e.stack}
+            });
+        }
+        return;
+    }
+
+    if (isRequest) {
+        this._send({id: message.id, result: result});
+    }
+};
+
+
+/**
+ * Handles the initialize request.
+ * @return {Object} The server capabilities.
+ * @private
+ */
+LspServer.prototype._initialize = function() {
+    return {
+        capabilities: {
+            textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+            codeActionProvider: true
+        },
+        serverInfo: {name: 'gjslint-lsp'}
+    };
+};
+
+
+/**
+ * Handles the shutdown request.
+ * @return {null} The empty result.
+ * @private
+ */
+LspServer.prototype._shutdown = function() {
+    this._isShutdown = true;
+    return null;
+};
+
+
+/**
+ * Handles the exit notification, the process exits with an error when the
+ * shutdown request was not received.
+ * @private
+ */
+LspServer.prototype._exit = function() {
+    process.exit(this._isShutdown ? 0 : 1);
+};
+
+
+/**
+ * Handles the didOpen notification.
+ * @param {Object} params The notification params.
+ * @private
+ */
+LspServer.prototype._didOpen = function(params) {
+    this._check(params.textDocument.uri, params.textDocument.text);
+};
+
+
+/**
+ * Handles the didChange notification. The last change holds the whole text.
+ * @param {Object} params The notification params.
+ * @private
+ */
+LspServer.prototype._didChange = function(params) {
+    this._check(params.textDocument.uri, _.last(params.contentChanges).text);
+};
+
+
+/**
+ * Handles the didClose notification, the diagnostics are cleared.
+ * @param {Object} params The notification params.
+ * @private
+ */
+LspServer.prototype._didClose = function(params) {
+    delete this._documents[params.textDocument.uri];
+    this._publishDiagnostics(params.textDocument.uri, []);
+};
+
+
+/**
+ * Checks the document text and publishes the found errors.
+ * @param {string} uri The document URI.
+ * @param {string} text The document text.
+ * @private
+ */
+LspServer.prototype._check = function(uri, text) {
+    var errorRecords = runner.checkPath(uriToPath(uri), this._options, text);
+    this._documents[uri] = {text: text, errorRecords: errorRecords};
+    this._publishDiagnostics(uri, errorRecords);
+};
+
+
+/**
+ * Sends the diagnostics of the document.
+ * @param {string} uri The document URI.
+ * @param {Array.<ErrorRecord>} errorRecords Records of the errors found in
+ *      the document.
+ * @private
+ */
+LspServer.prototype._publishDiagnostics = function(uri, errorRecords) {
+    this._send({
+        method: 'textDocument/publishDiagnostics',
+        params: {
+            uri: uri,
+            diagnostics: _.map(errorRecords, _formatDiagnostic)
+        }
+    });
+};
+
+
+/**
+ * Handles the codeAction request. Every fixable error on the lines of the
+ * range gets a quick fix replacing the text changed by the fixer.
+ * @param {Object} params The request params.
+ * @return {Array.<Object>} The code actions.
+ * @private
+ */
+LspServer.prototype._codeAction = function(params) {
+    var uri = params.textDocument.uri;
+    var document = this._documents[uri];
+    if (!document) {
+        return [];
+    }
+
+    var records = _.filter(document.errorRecords, function(record) {
+        return record.fixable && record.line != null &&
+                record.line - 1 >= params.range.start.line &&
+                record.line - 1 <= params.range.end.line;
+    });
+
+    return _.compact(_.map(records, function(record) {
+        var fix = singleErrorFixer.computeFix(record, document.text,
+                this._options);
+        if (!fix) {
+            return null;
+        }
+
+        var changes = {};
+        changes[uri] = [{
+            range: {
+                start: {line: fix.startLine - 1,
+                    character: fix.startColumn - 1},
+                end: {line: fix.endLine - 1, character: fix.endColumn - 1}
+            },
+            newText: fix.text
+        }];
+
+        return {
+            title: 'Fix: ' + record.message,
+            kind: 'quickfix',
+            diagnostics: [_formatDiagnostic(record)],
+            edit: {changes: changes}
+        };
+    }, this));
+};
+
+
+exports.LspServer = LspServer;
+exports.uriToPath = uriToPath;
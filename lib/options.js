@@ -0,0 +1,182 @@
+/**
+ * Options of a lint run, created once from the command line flags or given
+ * programmatically, and passed to all checks.
+ */
+
+var path = require('path');
+var commander = require('commander');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var config = require('./config');
+var errorRules = require('./errorrules');
+var flags = require('./flags');
+
+
+/**
+ * Returns default values of all options.
+ * @return {Object} Values of the options, by option name.
+ * @private
+ */
+var _getDefaults = function() {
+    var command = flags.defineFlags(new commander.Command());
+    var names = _.map(command.options, function(option) {
+        return option.name();
+    });
+    return _.object(names, _.map(names, function(name) {
+        return command[name];
+    }));
+};
+
+
+/**
+ * Checks the values of options which are not checked by their flags.
+ * @param {Object} values Values of the options, by option name.
+ * @throws {Error} If a value is invalid.
+ * @private
+ */
+var _checkValues = function(values) {
+    errorRules.parseCodes(values.disable);
+    errorRules.parseSeverities(values.severity);
+};
+
+
+/**
+ * Options of a lint run.
+ *
+ * Options of a file are the given values merged with configuration files
+ * found for the file. Given values listed in givenNames override the
+ * configuration files, the rest are defaults.
+ *
+ * @param {Object} values Values of all options, by option name.
+ * @param {Array.<string>} opt_givenNames Names of options given by the user,
+ *      defaults to all options.
+ * @constructor
+ */
+var Options = function(values, opt_givenNames) {
+    this._values = values;
+    this._givenNames = opt_givenNames || _.keys(values);
+
+    /**
+     * Configurations found in directories, by directory.
+     * @type {Object.<string, Object>}
+     * @private
+     */
+    this._directoryConfigs = {};
+
+    /**
+     * Values of the options of files, by directory of the files.
+     * @type {Object.<string, Object>}
+     * @private
+     */
+    this._fileValues = {};
+};
+
+
+/**
+ * Returns the value of the option for the whole run.
+ * @param {string} name Name of the option, e.g. 'unix_mode'.
+ * @return {*} The value.
+ */
+Options.prototype.get = function(name) {
+    return this._values[name];
+};
+
+
+/**
+ * Returns the options to check the file with.
+ *
+ * @param {string} filename Path to the file.
+ * @return {Object} Values of the options, by option name. They are shared by
+ *      all files of the directory and must not be modified.
+ */
+Options.prototype.forFile = function(filename) {
+    var dir = path.dirname(path.resolve(filename));
+    if (!_.has(this._fileValues, dir)) {
+        var dirConfig = config.getDirectoryConfig(dir,
+                this._directoryConfigs);
+        this._fileValues[dir] = _.extend({}, this._values,
+                _.omit(dirConfig, this._givenNames));
+    }
+    return this._fileValues[dir];
+};
+
+
+/**
+ * Returns a JSON-serializable representation of the options, so they can be
+ * passed to another process.
+ * @return {{values: Object, givenNames: Array.<string>}} The representation.
+ */
+Options.prototype.toJSON = function() {
+    return {
+        values: this._values,
+        givenNames: this._givenNames
+    };
+};
+
+
+/**
+ * Creates options from the representation returned by toJSON.
+ *
+ * @param {{values: Object, givenNames: Array.<string>}} json The
+ *      representation.
+ * @return {Options} The options.
+ */
+var fromJSON = function(json) {
+    return new Options(json.values, json.givenNames);
+};
+
+
+/**
+ * Creates options from the parsed command line flags.
+ *
+ * @param {Command} program Parsed commander program.
+ * @return {Options} The options.
+ * @throws {Error} If a value of the flags is invalid.
+ */
+var fromProgram = function(program) {
+    var names = _.map(program.options, function(option) {
+        return option.name();
+    });
+    var values = _.object(names, _.map(names, function(name) {
+        return program[name];
+    }));
+    _checkValues(values);
+
+    return new Options(values, _.filter(names, function(name) {
+        return flags.isFlagGiven(program, name);
+    }));
+};
+
+
+/**
+ * Creates options from given values, the rest of options have default values.
+ *
+ * @param {Object} opt_values Values of options, by option name. Lists may be
+ *      given as comma separated strings.
+ * @return {Options} The options.
+ * @throws {Error} If an option is unknown or its value is invalid.
+ */
+var create = function(opt_values) {
+    var defaults = _getDefaults();
+    var values = {};
+
+    _.each(opt_values, function(value, name) {
+        if (!_.has(defaults, name)) {
+            throw new Error(_s.sprintf('Unknown option "%s".', name));
+        }
+        if (_.contains(flags.LIST_FLAGS, name) && _.isString(value)) {
+            value = flags.list(value);
+        }
+        values[name] = value;
+    });
+    _checkValues(values);
+
+    return new Options(_.extend(defaults, values), _.keys(values));
+};
+
+
+exports.Options = Options;
+exports.create = create;
+exports.fromJSON = fromJSON;
+exports.fromProgram = fromProgram;
@@ -0,0 +1,54 @@
+/**
+ * Registry of the output formats of gjslint.js.
+ *
+ * Every reporter is a module exporting format(paths, errorRecords, options,
+ * opt_sources), which returns the whole report as a string. The optional
+ * sources by path hold the checked sources not read from disk, like the
+ * source read from stdin.
+ */
+
+var _ = require('underscore');
+
+var checkstyleReporter = require('./checkstylereporter');
+var jsonReporter = require('./jsonreporter');
+var junitReporter = require('./junitreporter');
+var sarifReporter = require('./sarifreporter');
+var textReporter = require('./textreporter');
+
+
+/**
+ * Reporters by their names, as given to the --reporter flag.
+ * @type {Object.<string, {format: function(Array.<string>,
+ *      Array.<ErrorRecord>, Options, Object.<string, string>=): string}>}
+ */
+var Reporters = {
+    text: textReporter,
+    json: jsonReporter,
+    checkstyle: checkstyleReporter,
+    junit: junitReporter,
+    sarif: sarifReporter
+};
+
+
+/**
+ * Returns names of all known reporters.
+ * @return {Array.<string>} Names of reporters.
+ */
+var getNames = function() {
+    return _.keys(Reporters);
+};
+
+
+/**
+ * Returns reporter by its name.
+ * @param {string} name Name of the reporter.
+ * @return {?Object} The reporter or null if there is no such reporter.
+ */
+var getReporter = function(name) {
+    return _.has(Reporters, name) ? Reporters[name] : null;
+};
+
+
+exports.Reporters = Reporters;
+exports.getNames = getNames;
+exports.getReporter = getReporter;
@@ -1,5 +1,6 @@
 /**
- * Contains logic for sorting goog.provide and goog.require statements.
+ * Contains logic for sorting goog.provide and goog.require statements and
+ * checking the order of import declarations.
  *
  * Closurized JavaScript files use goog.provide and goog.require statements at
  * the top of the file to manage dependencies. These statements should be
@@ -72,6 +73,103 @@ RequireProvideSorter.prototype.checkRequires = function(token) {
 };
 
 
+/**
+ * Checks alphabetization of import declarations.
+ *
+ * Iterates over the import declarations at the top of the given token stream
+ * and checks that they occur in alphabetical order by the imported module.
+ * A side-effect import, as in "import './polyfill';", runs its module where it
+ * stands, so it is not sorted and the declarations on either side of it are
+ * checked separately.
+ * @param {Token} token A token in the token stream before any import
+ *      declarations.
+ * @return {?Token} The first import token of the first unsorted block of
+ *      import declarations. Null is returned if all import declarations are
+ *      already sorted.
+ */
+RequireProvideSorter.prototype.checkImports = function(token) {
+    var unsortedBlock = _.find(this._getImportBlocks(token),
+            function(importTokens) {
+        var importStrings = this._getRequireOrProvideTokenStrings(
+                importTokens);
+        var sortedImportStrings = _.map(importStrings, _.identity).sort();
+        return !_.isEqual(importStrings, sortedImportStrings);
+    }, this);
+    return unsortedBlock ? unsortedBlock[0] : null;
+};
+
+
+/**
+ * Sorts goog.provide statements in the given token stream alphabetically.
+ * @param {Token} token The first token in the token stream.
+ */
+RequireProvideSorter.prototype.fixProvides = function(token) {
+    this._fixProvidesOrRequires(
+            this._getRequireOrProvideTokens(token, 'goog.provide'));
+};
+
+
+/**
+ * Sorts goog.require statements in the given token stream alphabetically.
+ * @param {Token} token The first token in the token stream.
+ */
+RequireProvideSorter.prototype.fixRequires = function(token) {
+    this._fixProvidesOrRequires(
+            this._getRequireOrProvideTokens(token, 'goog.require'));
+};
+
+
+/**
+ * Sorts goog.provide or goog.require statements.
+ * @param {Array.<Token>} tokens A list of goog.provide or goog.require tokens
+ *      in the order they appear in the token stream. i.e. the first token in
+ *      this list must be the first goog.provide or goog.require token.
+ * @private
+ */
+RequireProvideSorter.prototype._fixProvidesOrRequires = function(tokens) {
+    var strings = this._getRequireOrProvideTokenStrings(tokens);
+    var sortedStrings = _.map(strings, _.identity).sort();
+
+    // Make a separate pass to remove any blank lines between goog.require/
+    // goog.provide tokens.
+    var firstToken = _.first(tokens);
+    var lastToken = _.last(tokens);
+    var i = lastToken;
+    while (i != firstToken) {
+        if (i.type == Type.BLANK_LINE) {
+            tokenUtil.deleteToken(i);
+        }
+        i = i.previous;
+    }
+
+    // A map from required/provided object name to tokens that make up the line
+    // it was on, including any comments immediately before it or after it on
+    // the same line.
+    var tokensMap = this._getTokensMap(tokens);
+
+    // Iterate over the map removing all tokens.
+    _.each(tokensMap, function(tokensToDelete) {
+        _.each(tokensToDelete, tokenUtil.deleteToken);
+    });
+
+    // Save token to rest of file. Sorted token will be inserted before this.
+    var restOfFile = _.last(tokensMap[_.last(strings)]).next;
+
+    // Re-add all tokens in the map in alphabetical order.
+    var insertAfter = _.first(tokensMap[_.first(strings)]).previous;
+    _.each(sortedStrings, function(string) {
+        _.each(tokensMap[string], function(t) {
+            if (restOfFile) {
+                tokenUtil.insertTokenBefore(t, restOfFile);
+            } else {
+                tokenUtil.insertTokenAfter(t, insertAfter);
+                insertAfter = t;
+            }
+        });
+    });
+};
+
+
 /**
  * Get fixed/sorted order of goog.provide statements.
  * @param {Token} token The first token in the token stream.
@@ -94,6 +192,36 @@ RequireProvideSorter.prototype.getFixedRequireString = function(token) {
 };
 
 
+/**
+ * Get fixed/sorted order of a block of import declarations.
+ *
+ * Unlike goog.require statements, a module may be imported by several
+ * declarations, which keep their relative order.
+ * @param {Token} token The first import token of the block.
+ * @return {string} A string for correct sorted order of the import
+ *      declarations up to the next side-effect import.
+ */
+RequireProvideSorter.prototype.getFixedImportString = function(token) {
+    var importTokens = _.first(this._getImportBlocks(token)) || [];
+    var sortedImportTokens = _.sortBy(importTokens,
+            tokenUtil.getStringAfterToken);
+
+    var newOrder = '';
+    _.each(sortedImportTokens, function(importToken) {
+        var lastToken = tokenUtil.getLastTokenInSameLine(
+                importToken.metadata.context.endToken || importToken);
+        _.each(this._getStatementTokens(importToken, lastToken), function(t) {
+            newOrder += t.string;
+            if (t.isLastInLine()) {
+                newOrder += '\n';
+            }
+        });
+    }, this);
+
+    return newOrder;
+};
+
+
 /**
  * Gets all goog.provide or goog.require tokens in the given token stream.
  * @param {Token} token The first token in the token stream.
@@ -111,11 +239,20 @@ RequireProvideSorter.prototype._getRequireOrProvideTokens = function(token,
             if (token.string == tokenString) {
                 tokens.push(token);
             } else if (!_.contains(['goog.provide', 'goog.require',
-                'goog.setTestOnly'], token.string)) {
-                // These 3 identifiers are at the top of the file. So if any
+                'goog.setTestOnly', 'goog.module',
+                'goog.module.declareLegacyNamespace'], token.string)) {
+                // These identifiers are at the top of the file. So if any
                 // other identifier is encountered, return.
                 break;
             }
+        } else if (token.isVariableKeyword()) {
+            // Skip to the goog.require of an aliased require, as in
+            // "const Foo = goog.require('a.Foo');".
+            var requireToken = tokenUtil.getAliasedRequireToken(token);
+            if (!requireToken || requireToken.string != tokenString) {
+                break;
+            }
+            token = requireToken.previous;
         }
         token = token.next;
     }
@@ -123,6 +260,46 @@ RequireProvideSorter.prototype._getRequireOrProvideTokens = function(token,
 };
 
 
+/**
+ * Gets the import keyword tokens of the import declarations at the top of the
+ * given token stream, split into blocks at side-effect imports.
+ * @param {Token} token The first token in the token stream.
+ * @return {Array.<Array.<Token>>} A list of non-empty blocks of import tokens
+ *      in the order they appear in the token stream. Side-effect imports are
+ *      in no block.
+ * @private
+ */
+RequireProvideSorter.prototype._getImportBlocks = function(token) {
+    var blocks = [];
+    var tokens = [];
+    while (token) {
+        if (token.isKeyword('import')) {
+            var nextCode = tokenUtil.searchExcept(token, Type.NON_CODE_TYPES);
+            if (nextCode && nextCode.isAnyType(Type.STRING_TYPES)) {
+                // A side-effect import ends the block.
+                if (tokens.length) {
+                    blocks.push(tokens);
+                }
+                tokens = [];
+            } else {
+                tokens.push(token);
+            }
+            // Skip the rest of the declaration.
+            token = token.metadata.context.endToken || token;
+        } else if (token.isCode()) {
+            // Import declarations are at the top of the file. So if any other
+            // code is encountered, return.
+            break;
+        }
+        token = token.next;
+    }
+    if (tokens.length) {
+        blocks.push(tokens);
+    }
+    return blocks;
+};
+
+
 /**
  * Gets a list of strings corresponding to the given list of tokens.
  *
@@ -139,7 +316,8 @@ RequireProvideSorter.prototype._getRequireOrProvideTokenStrings =
         function(tokens) {
     var tokenStrings = [];
     _.each(tokens, function(token) {
-        var name = tokenUtil.getStringAfterToken(token);
+        // An empty namespace sorts before all others.
+        var name = tokenUtil.getStringAfterToken(token) || '';
         tokenStrings.push(name);
     });
     return tokenStrings;
@@ -202,31 +380,48 @@ RequireProvideSorter.prototype._getFixedRequireOrProvideString =
 RequireProvideSorter.prototype._getTokensMap = function(tokens) {
     var tokensMap = {};
     _.each(tokens, function(token) {
-        var objectName = tokenUtil.getStringAfterToken(token);
-        // If the previous line starts with a comment, presume that the comment
-        // relates to the goog.require or goog.provide and keep them together
-        // when sorting.
-        var firstToken = token;
-        var previousFirstToken = tokenUtil.getFirstTokenInPreviousLine(
-                firstToken);
-        while (previousFirstToken &&
-                previousFirstToken.isAnyType(Type.COMMENT_TYPES)) {
-            firstToken = previousFirstToken;
-            previousFirstToken = tokenUtil.getFirstTokenInPreviousLine(
-                    firstToken);
-        }
+        var objectName = tokenUtil.getStringAfterToken(token) || '';
+
+        // An aliased goog.require starts with its variable declaration.
+        var firstToken = tokenUtil.getRequireAliasDeclaration(token) || token;
 
         // Find the last token on the line.
         var lastToken = tokenUtil.getLastTokenInSameLine(token);
 
-        var allTokens = this._getTokenList(firstToken, lastToken);
-        tokensMap[objectName] = allTokens;
+        tokensMap[objectName] = this._getStatementTokens(firstToken,
+                lastToken);
     }, this);
 
     return tokensMap;
 };
 
 
+/**
+ * Gets the tokens of a statement along with the comment lines above it.
+ * @param {Token} token The first token of the statement.
+ * @param {Token} lastToken The last token of the statement.
+ * @return {Array.<Token>} A list of all tokens from the first comment line
+ *      above the statement to lastToken.
+ * @private
+ */
+RequireProvideSorter.prototype._getStatementTokens = function(token,
+        lastToken) {
+    // If the previous line starts with a comment, presume that the comment
+    // relates to the statement and keep them together when sorting.
+    var firstToken = token;
+    var previousFirstToken = tokenUtil.getFirstTokenInPreviousLine(
+            firstToken);
+    while (previousFirstToken &&
+            previousFirstToken.isAnyType(Type.COMMENT_TYPES)) {
+        firstToken = previousFirstToken;
+        previousFirstToken = tokenUtil.getFirstTokenInPreviousLine(
+                firstToken);
+    }
+
+    return this._getTokenList(firstToken, lastToken);
+};
+
+
 /**
  * Gets a list of all tokens from first_token to last_token, inclusive.
  * @param {Token} firstToken The first token to get.
@@ -0,0 +1,234 @@
+/**
+ * Cache of found errors, so unchanged files are not checked again.
+ *
+ * Errors of a file are stored with hashes of the file content and of the
+ * options the file was checked with. The whole cache is dropped when the
+ * linter changes, that is its version or any of its sources. Only files
+ * checked in the last run are kept, so entries of removed or renamed files do
+ * not pile up.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+var packageJson = require('../package.json');
+
+var config = require('./config');
+
+
+/**
+ * Default name of the cache file.
+ * @type {string}
+ */
+var CACHE_FILE = '.gjslintcache';
+
+
+/**
+ * Options which change only the way errors are reported, not the errors.
+ * @type {Array.<string>}
+ * @private
+ */
+var _REPORTING_OPTIONS = [
+    'reporter',
+    'output_file',
+    'sarif_fixes',
+    'jobs',
+    'baseline',
+    'write_baseline',
+    'no_cache',
+    'summary',
+    'beep',
+    'time',
+    'watch',
+    'exit_zero',
+    'max_warnings',
+    'stdin',
+    'stdin_filename'
+];
+
+
+/**
+ * Directories with sources of the linter.
+ * @type {Array.<string>}
+ * @private
+ */
+var _SOURCE_DIRS = [__dirname, path.join(__dirname, '..', 'common')];
+
+
+/**
+ * Returns hex digest of the string.
+ * @param {string} string The string.
+ * @return {string} The hash.
+ * @private
+ */
+var _hash = function(string) {
+    return crypto.createHash('sha1').update(string, 'utf8').digest('hex');
+};
+
+
+/**
+ * Returns the version of the linter, which changes with any of its sources.
+ * @return {string} The version.
+ * @private
+ */
+var _getLinterVersion = function() {
+    var hash = crypto.createHash('sha1');
+    _.each(_SOURCE_DIRS, function(dir) {
+        _.each(fs.readdirSync(dir).sort(), function(name) {
+            if (path.extname(name) == '.js') {
+                hash.update(name + '\n', 'utf8');
+                hash.update(fs.readFileSync(path.join(dir, name)));
+            }
+        });
+    });
+
+    return packageJson.version + ':' + hash.digest('hex');
+};
+
+
+/**
+ * Returns the path to the cache file of the directory, which is stored in its
+ * project root, next to the configuration file or package.json.
+ *
+ * @param {string} dir Path to the directory, usually the current one.
+ * @return {string} Path to the cache file, in the directory itself when it is
+ *      in no project.
+ */
+var getCacheFile = function(dir) {
+    dir = path.resolve(dir);
+    return path.join(config.findProjectRoot(dir) || dir, CACHE_FILE);
+};
+
+
+/**
+ * Cache of found errors stored in a file.
+ *
+ * @param {string} filename Path to the cache file.
+ * @param {Options} options Options of the run.
+ * @constructor
+ */
+var ResultCache = function(filename, options) {
+    this._filename = filename;
+    this._options = options;
+    this._version = _getLinterVersion();
+
+    /**
+     * Cached entries, by absolute path of the checked file.
+     * @type {Object.<string, {hash: string, errorRecords:
+     *      Array.<ErrorRecord>}>}
+     * @private
+     */
+    this._files = {};
+
+    /**
+     * Absolute paths of the files got or set in this run, only their entries
+     * are saved.
+     * @type {Object.<string, boolean>}
+     * @private
+     */
+    this._seen = {};
+
+    /**
+     * Hashes of files computed in this run, by absolute path.
+     * @type {Object.<string, string>}
+     * @private
+     */
+    this._hashes = {};
+
+    try {
+        var cache = JSON.parse(fs.readFileSync(filename, {encoding: 'utf8'}));
+        if (cache.version == this._version) {
+            this._files = cache.files;
+        }
+    } catch (e) {
+        // Missing or broken cache is the same as an empty one.
+    }
+};
+
+
+/**
+ * Returns the hash of the file content and the options of the file.
+ * @param {string} filename Absolute path to the file.
+ * @return {?string} The hash or null when the file can't be read.
+ * @private
+ */
+ResultCache.prototype._getHash = function(filename) {
+    if (!_.has(this._hashes, filename)) {
+        try {
+            var content = fs.readFileSync(filename, {encoding: 'utf8'});
+            var options = _.omit(this._options.forFile(filename),
+                    _REPORTING_OPTIONS);
+            this._hashes[filename] = _hash(content) + ':' +
+                    _hash(JSON.stringify(options));
+        } catch (e) {
+            this._hashes[filename] = null;
+        }
+    }
+    return this._hashes[filename];
+};
+
+
+/**
+ * Returns cached records of errors found in the file.
+ *
+ * @param {string} filename Path to the file.
+ * @return {?Array.<ErrorRecord>} The records or null when the file is not
+ *      cached or changed since. The records have the given path.
+ */
+ResultCache.prototype.get = function(filename) {
+    var absolutePath = path.resolve(filename);
+    var entry = this._files[absolutePath];
+    var hash = this._getHash(absolutePath);
+    this._seen[absolutePath] = true;
+
+    if (!entry || !hash || entry.hash != hash) {
+        return null;
+    }
+    return _.map(entry.errorRecords, function(errorRecord) {
+        return _.extend({}, errorRecord, {path: filename});
+    });
+};
+
+
+/**
+ * Stores records of errors found in the file.
+ *
+ * @param {string} filename Path to the file.
+ * @param {Array.<ErrorRecord>} errorRecords The records.
+ */
+ResultCache.prototype.set = function(filename, errorRecords) {
+    filename = path.resolve(filename);
+    var hash = this._getHash(filename);
+    this._seen[filename] = true;
+
+    if (hash) {
+        this._files[filename] = {hash: hash, errorRecords: errorRecords};
+    } else {
+        delete this._files[filename];
+    }
+};
+
+
+/**
+ * Writes the entries of the files seen in this run to the cache file. A cache
+ * which cannot be written, e.g. in a read-only directory, is reported as a
+ * warning and does not fail the run.
+ */
+ResultCache.prototype.save = function() {
+    try {
+        fs.writeFileSync(this._filename, JSON.stringify({
+            version: this._version,
+            files: _.pick(this._files, _.keys(this._seen))
+        }));
+    } catch (e) {
+        console.error('WARNING: Unable to write cache file %s: %s',
+                this._filename, e.message);
+    }
+};
+
+
+exports.CACHE_FILE = CACHE_FILE;
+exports.ResultCache = ResultCache;
+exports.getCacheFile = getCacheFile;
@@ -0,0 +1,896 @@
+/**
+ * Catalog of all errors reported by the linter, with the reasons behind them
+ * and examples, shown by gjslint.js --explain and --list_rules.
+ */
+
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var errorOutput = require('../common/erroroutput');
+var errorCheck = require('./errorcheck');
+var errorFixer = require('./errorfixer');
+var errors = require('./errors');
+
+var Errors = errors.Errors;
+var Rule = errorCheck.Rule;
+
+
+/**
+ * Whether fixjsstyle fixes the error.
+ * @enum {string}
+ */
+var Fixable = {
+    ALWAYS: 'always',
+    SOMETIMES: 'sometimes',
+    NEVER: 'never'
+};
+
+
+/**
+ * Rules by error code.
+ * @type {Object.<number, Object>}
+ * @private
+ */
+var _rules = {};
+
+
+/**
+ * Returns whether fixjsstyle fixes the error.
+ * @param {number} code The error code.
+ * @return {Fixable} Whether the error is fixed.
+ * @private
+ */
+var _getFixable = function(code) {
+    if (_.contains(errorFixer.ALWAYS_FIXABLE_ERRORS, code)) {
+        return Fixable.ALWAYS;
+    } else if (_.contains(errorFixer.SOMETIMES_FIXABLE_ERRORS, code)) {
+        return Fixable.SOMETIMES;
+    }
+    return Fixable.NEVER;
+};
+
+
+/**
+ * Adds the rule of the error to the catalog.
+ * @param {number} code The error code.
+ * @param {{description: string, rationale: string, bad: string,
+ *      good: string, rule: Rule, reported: boolean}} info Description of the
+ *      error, the reason it is reported, code with the error and the same
+ *      code fixed, the optional rule enabling the check and whether the
+ *      linter reports the error at all. Checks without the rule are always
+ *      enabled, errors are reported unless reported is false.
+ * @private
+ */
+var _addRule = function(code, info) {
+    _rules[code] = {
+        code: code,
+        id: errorOutput.formatErrorCode(code),
+        name: errors.getName(code),
+        description: info.description,
+        rationale: info.rationale,
+        bad: info.bad,
+        good: info.good,
+        fixable: _getFixable(code),
+        rule: info.rule || null,
+        reported: info.reported !== false,
+        severity: errors.getDefaultSeverity(code)
+    };
+};
+
+
+// File-fatal errors.
+
+_addRule(Errors.FILE_NOT_FOUND, {
+    description: 'The file to check does not exist or can\'t be read.',
+    rationale: 'A file given to the linter must be checked, a typo in the ' +
+            'path should not pass silently.',
+    bad: 'gjslint.js src/mian.js',
+    good: 'gjslint.js src/main.js'
+});
+
+_addRule(Errors.FILE_DOES_NOT_PARSE, {
+    description: 'The file can\'t be parsed, the rest of it is not checked.',
+    rationale: 'Style checks rely on the structure of the code, they are ' +
+            'meaningless after a syntax error.',
+    bad: 'var x = [1, 2);',
+    good: 'var x = [1, 2];'
+});
+
+
+// Spacing.
+
+_addRule(Errors.EXTRA_SPACE, {
+    description: 'Extra space, e.g. after "(" or at the end of a line.',
+    rationale: 'Consistent spacing keeps the code easy to read and diffs ' +
+            'free of whitespace noise.',
+    bad: 'foo( bar );',
+    good: 'foo(bar);'
+});
+
+_addRule(Errors.MISSING_SPACE, {
+    description: 'Missing space, e.g. around binary operators or after ",".',
+    rationale: 'Operators and arguments separated by spaces are easier to ' +
+            'tell apart.',
+    bad: 'var x=a+b;\nfoo(a,b);',
+    good: 'var x = a + b;\nfoo(a, b);'
+});
+
+_addRule(Errors.EXTRA_LINE, {
+    description: 'Extra blank line, e.g. between a constructor and its ' +
+            'goog.inherits call.',
+    rationale: 'goog.inherits belongs to the constructor and is kept right ' +
+            'after it.',
+    bad: 'my.Foo = function() {\n};\n\ngoog.inherits(my.Foo, my.Bar);',
+    good: 'my.Foo = function() {\n};\ngoog.inherits(my.Foo, my.Bar);'
+});
+
+_addRule(Errors.MISSING_LINE, {
+    description: 'Missing line break, e.g. between a constructor and its ' +
+            'goog.inherits call.',
+    rationale: 'Every statement starts on its own line.',
+    bad: 'my.Foo = function() {\n}; goog.inherits(my.Foo, my.Bar);',
+    good: 'my.Foo = function() {\n};\ngoog.inherits(my.Foo, my.Bar);'
+});
+
+_addRule(Errors.ILLEGAL_TAB, {
+    description: 'Tab character in whitespace or comments.',
+    rationale: 'Tabs are displayed with different widths by different ' +
+            'editors, indentation uses spaces only.',
+    bad: 'if (x) {\n\tfoo();\n}',
+    good: 'if (x) {\n  foo();\n}'
+});
+
+_addRule(Errors.WRONG_INDENTATION, {
+    description: 'The line is not indented as its block requires.',
+    rationale: 'Indentation shows the structure of the code, wrong ' +
+            'indentation hides it.',
+    bad: 'if (x) {\n      foo();\n}',
+    good: 'if (x) {\n  foo();\n}',
+    rule: Rule.INDENTATION
+});
+
+_addRule(Errors.WRONG_BLANK_LINE_COUNT, {
+    description: 'Wrong number of blank lines between top level blocks.',
+    rationale: 'Two blank lines between top level definitions separate them ' +
+            'visually.',
+    bad: 'a.b = function() {\n};\n/** Doc. */\na.c = function() {\n};',
+    good: 'a.b = function() {\n};\n\n\n/** Doc. */\na.c = function() {\n};',
+    rule: Rule.BLANK_LINES_AT_TOP_LEVEL
+});
+
+
+// Semicolons.
+
+_addRule(Errors.MISSING_SEMICOLON, {
+    description: 'Missing semicolon at the end of a statement.',
+    rationale: 'Automatic semicolon insertion has surprising rules, ' +
+            'statements are ended explicitly.',
+    bad: 'var x = 1',
+    good: 'var x = 1;'
+});
+
+_addRule(Errors.MISSING_SEMICOLON_AFTER_FUNCTION, {
+    description: 'Missing semicolon after a function assigned to a variable.',
+    rationale: 'The assignment is a statement and ends with a semicolon, ' +
+            'otherwise the next line may be parsed as a call.',
+    bad: 'a.b = function() {\n}',
+    good: 'a.b = function() {\n};'
+});
+
+_addRule(Errors.ILLEGAL_SEMICOLON_AFTER_FUNCTION, {
+    description: 'Semicolon after a function declaration.',
+    rationale: 'A function declaration is not a statement ending with a ' +
+            'semicolon, the semicolon is an empty statement.',
+    bad: 'function foo() {\n};',
+    good: 'function foo() {\n}'
+});
+
+_addRule(Errors.REDUNDANT_SEMICOLON, {
+    description: 'Semicolon without any statement.',
+    rationale: 'Empty statements are noise and may hide a missing statement.',
+    bad: 'foo();;\nif (x) {\n};',
+    good: 'foo();\nif (x) {\n}'
+});
+
+
+// Miscellaneous.
+
+_addRule(Errors.ILLEGAL_PROTOTYPE_MEMBER_VALUE, {
+    description: 'Prototype member with a non-primitive value.',
+    rationale: 'Objects and arrays on the prototype are shared by all ' +
+            'instances, changes through one instance affect all of them.',
+    bad: 'my.Foo.prototype.items_ = [];',
+    good: '/** @private {Array} */\nmy.Foo.prototype.items_ = null;'
+});
+
+_addRule(Errors.LINE_TOO_LONG, {
+    description: 'The line is longer than --max_line_length characters.',
+    rationale: 'Long lines are hard to read and to compare side by side.',
+    bad: 'var message = \'A very long message which goes on and on past ' +
+            'the limit of the line.\';',
+    good: 'var message = \'A very long message which goes on and on \' +\n' +
+            '    \'past the limit of the line.\';'
+});
+
+_addRule(Errors.LINE_STARTS_WITH_OPERATOR, {
+    description: 'A continuation line starts with a binary operator.',
+    rationale: 'An operator at the end of the line shows that the ' +
+            'expression continues and prevents semicolon insertion.',
+    bad: 'var x = a\n    + b;',
+    good: 'var x = a +\n    b;'
+});
+
+_addRule(Errors.COMMA_AT_END_OF_LITERAL, {
+    description: 'Comma after the last item of an array or object literal.',
+    rationale: 'Old browsers fail on it or add an undefined item to arrays.',
+    bad: 'var x = [1, 2,];',
+    good: 'var x = [1, 2];'
+});
+
+_addRule(Errors.MULTI_LINE_STRING, {
+    description: 'String continued on the next line with a backslash.',
+    rationale: 'Whitespace after the backslash breaks the code and the ' +
+            'leading whitespace of the next line becomes part of the string. ' +
+            'Template strings may span lines.',
+    bad: 'var x = \'a \\\n    b\';',
+    good: 'var x = \'a \' +\n    \'b\';'
+});
+
+_addRule(Errors.UNNECESSARY_DOUBLE_QUOTED_STRING, {
+    description: 'Double-quoted string without single quotes in it.',
+    rationale: 'Single quotes are used consistently, so HTML with double ' +
+            'quoted attributes can be written without escaping.',
+    bad: 'var x = "text";',
+    good: 'var x = \'text\';'
+});
+
+_addRule(Errors.UNUSED_PRIVATE_MEMBER, {
+    description: 'Private member which is never used.',
+    rationale: 'Private members can only be used in the file, an unused ' +
+            'one is dead code.',
+    bad: '/** @constructor */\nmy.Foo = function() {\n' +
+            '  /** @private */\n  this.unused_ = 1;\n};',
+    good: '/** @constructor */\nmy.Foo = function() {\n' +
+            '  /** @private */\n  this.used_ = 1;\n};\n\n\n' +
+            '/** @return {number} The value. */\n' +
+            'my.Foo.prototype.get = function() {\n  return this.used_;\n};',
+    rule: Rule.UNUSED_PRIVATE_MEMBERS
+});
+
+_addRule(Errors.UNUSED_LOCAL_VARIABLE, {
+    description: 'Local variable which is never used.',
+    rationale: 'An unused variable is dead code or a sign of a typo in its ' +
+            'use.',
+    bad: 'function foo() {\n  var unused = 1;\n  return 2;\n}',
+    good: 'function foo() {\n  return 2;\n}',
+    rule: Rule.UNUSED_LOCAL_VARIABLES
+});
+
+
+// Requires, provides.
+
+_addRule(Errors.GOOG_REQUIRES_NOT_ALPHABETIZED, {
+    description: 'goog.require statements are not sorted.',
+    rationale: 'Sorted requires are easy to scan and merge without conflicts.',
+    bad: 'goog.require(\'goog.dom\');\ngoog.require(\'goog.array\');',
+    good: 'goog.require(\'goog.array\');\ngoog.require(\'goog.dom\');'
+});
+
+_addRule(Errors.GOOG_PROVIDES_NOT_ALPHABETIZED, {
+    description: 'goog.provide statements are not sorted.',
+    rationale: 'Sorted provides are easy to scan and merge without ' +
+            'conflicts.',
+    bad: 'goog.provide(\'my.b\');\ngoog.provide(\'my.a\');',
+    good: 'goog.provide(\'my.a\');\ngoog.provide(\'my.b\');'
+});
+
+_addRule(Errors.MISSING_GOOG_REQUIRE, {
+    description: 'A namespace from --closurized_namespaces is used without ' +
+            'goog.require.',
+    rationale: 'The compiler orders files by their requires, a missing one ' +
+            'may load the dependency too late.',
+    bad: 'goog.provide(\'my.Foo\');\n\nmy.Foo.el = goog.dom.getElement(\'x\');',
+    good: 'goog.provide(\'my.Foo\');\n\ngoog.require(\'goog.dom\');\n\n' +
+            'my.Foo.el = goog.dom.getElement(\'x\');'
+});
+
+_addRule(Errors.MISSING_GOOG_PROVIDE, {
+    description: 'A namespace defined in the file is not provided.',
+    rationale: 'Other files can only require namespaces which are provided.',
+    bad: 'my.Foo = function() {\n};',
+    good: 'goog.provide(\'my.Foo\');\n\n\nmy.Foo = function() {\n};'
+});
+
+_addRule(Errors.EXTRA_GOOG_REQUIRE, {
+    description: 'goog.require of a namespace which is not used.',
+    rationale: 'Unused requires add dependencies and code to the build.',
+    bad: 'goog.require(\'goog.array\');\n\nmy.x = 1;',
+    good: 'my.x = 1;'
+});
+
+_addRule(Errors.EXTRA_GOOG_PROVIDE, {
+    description: 'goog.provide of a namespace which is not defined in the ' +
+            'file.',
+    rationale: 'Files requiring the namespace would get nothing.',
+    bad: 'goog.provide(\'my.Bar\');\ngoog.provide(\'my.Foo\');\n\n\n' +
+            'my.Foo = function() {\n};',
+    good: 'goog.provide(\'my.Foo\');\n\n\nmy.Foo = function() {\n};'
+});
+
+
+// JsDoc.
+
+_addRule(Errors.INVALID_JSDOC_TAG, {
+    description: 'Unknown JsDoc tag, e.g. @returns instead of @return.',
+    rationale: 'The compiler ignores unknown tags, so their meaning is lost. ' +
+            'Project specific tags are allowed by --custom_jsdoc_tags.',
+    bad: '/** @returns {number} The count. */',
+    good: '/** @return {number} The count. */'
+});
+
+_addRule(Errors.INVALID_USE_OF_DESC_TAG, {
+    description: '@desc used on something else than a message.',
+    rationale: '@desc describes goog.getMsg messages for translators only.',
+    bad: '/** @desc The counter. */\nmy.count = 0;',
+    good: '/** @desc Greeting shown on the home page. */\n' +
+            'var MSG_HELLO = goog.getMsg(\'Hello\');'
+});
+
+_addRule(Errors.NO_BUG_NUMBER_AFTER_BUG_TAG, {
+    description: '@bug tag without a bug number.',
+    rationale: 'The tag links the code to a bug, which needs its number.',
+    bad: '/** @bug Fails on Safari. */',
+    good: '/** @bug 1234 */'
+});
+
+_addRule(Errors.MISSING_PARAMETER_DOCUMENTATION, {
+    description: 'A function parameter has no @param tag.',
+    rationale: 'The compiler checks types only of documented parameters. ' +
+            'Disabled by --jsdoc false.',
+    bad: '/**\n * @param {number} a First.\n */\nmy.add = function(a, b) {\n};',
+    good: '/**\n * @param {number} a First.\n * @param {number} b Second.\n' +
+            ' */\nmy.add = function(a, b) {\n};'
+});
+
+_addRule(Errors.EXTRA_PARAMETER_DOCUMENTATION, {
+    description: '@param tag of a parameter the function does not have.',
+    rationale: 'Documentation of removed parameters misleads the reader.',
+    bad: '/**\n * @param {number} a First.\n * @param {number} b Second.\n' +
+            ' */\nmy.inc = function(a) {\n};',
+    good: '/**\n * @param {number} a First.\n */\nmy.inc = function(a) {\n};'
+});
+
+_addRule(Errors.WRONG_PARAMETER_DOCUMENTATION, {
+    description: '@param tags do not match the parameters of the function.',
+    rationale: 'Types of parameters are matched by name, a renamed or ' +
+            'reordered parameter must be documented the same way.',
+    bad: '/**\n * @param {number} b Count.\n */\nmy.inc = function(a) {\n};',
+    good: '/**\n * @param {number} a Count.\n */\nmy.inc = function(a) {\n};'
+});
+
+_addRule(Errors.MISSING_JSDOC_TAG_TYPE, {
+    description: 'JsDoc tag without a type.',
+    rationale: 'The compiler needs the type to check the code.',
+    bad: '/** @param count The count. */',
+    good: '/** @param {number} count The count. */'
+});
+
+_addRule(Errors.MISSING_JSDOC_TAG_DESCRIPTION, {
+    description: 'JsDoc tag such as @deprecated or @define without a ' +
+            'description.',
+    rationale: 'The tag alone does not say why, e.g. why the code is ' +
+            'deprecated and what to use instead.',
+    bad: '/** @deprecated */\nmy.run = function() {\n};',
+    good: '/** @deprecated Use my.start instead. */\n' +
+            'my.run = function() {\n};'
+});
+
+_addRule(Errors.MISSING_JSDOC_PARAM_NAME, {
+    description: '@param tag without a parameter name.',
+    rationale: 'Parameters are documented by name.',
+    bad: '/** @param {number} */',
+    good: '/** @param {number} count The count. */'
+});
+
+_addRule(Errors.OUT_OF_ORDER_JSDOC_TAG_TYPE, {
+    description: 'The type is not right after the tag.',
+    rationale: 'The compiler expects the type right after the tag.',
+    bad: '/** @param count {number} The count. */',
+    good: '/** @param {number} count The count. */'
+});
+
+_addRule(Errors.MISSING_RETURN_DOCUMENTATION, {
+    description: 'A function returning a value has no @return tag.',
+    rationale: 'The compiler checks the type of the returned value only ' +
+            'when it is documented. Disabled by --jsdoc false.',
+    bad: '/** Doubles. */\nmy.double = function(x) {\n  return 2 * x;\n};',
+    good: '/**\n * @param {number} x The number.\n * @return {number} ' +
+            'Doubled number.\n */\nmy.double = function(x) {\n' +
+            '  return 2 * x;\n};'
+});
+
+_addRule(Errors.UNNECESSARY_RETURN_DOCUMENTATION, {
+    description: '@return tag on a function which returns nothing.',
+    rationale: 'The documentation must match the code, callers would use an ' +
+            'undefined value.',
+    bad: '/** @return {number} The count. */\nmy.reset = function() {\n' +
+            '  my.count = 0;\n};',
+    good: '/** Resets the count. */\nmy.reset = function() {\n' +
+            '  my.count = 0;\n};'
+});
+
+_addRule(Errors.MISSING_BRACES_AROUND_TYPE, {
+    description: 'Type in a JsDoc tag is not surrounded by braces.',
+    rationale: 'The compiler recognizes only types in braces.',
+    bad: '/** @type number */',
+    good: '/** @type {number} */',
+    rule: Rule.BRACES_AROUND_TYPE
+});
+
+_addRule(Errors.MISSING_MEMBER_DOCUMENTATION, {
+    description: 'A member has no JsDoc.',
+    rationale: 'Public API is documented, so it can be used without ' +
+            'reading its code. Disabled by --jsdoc false.',
+    bad: 'my.Foo.prototype.run = function() {\n};',
+    good: '/**\n * Runs the task.\n */\nmy.Foo.prototype.run = function() {\n};'
+});
+
+_addRule(Errors.MISSING_PRIVATE, {
+    description: 'A member ending with "_" has no @private tag.',
+    rationale: 'The compiler enforces visibility only of members marked ' +
+            '@private. Disabled by --jsdoc false.',
+    bad: '/** @type {number} */\nmy.Foo.prototype.count_ = 0;',
+    good: '/** @private {number} */\nmy.Foo.prototype.count_ = 0;'
+});
+
+_addRule(Errors.EXTRA_PRIVATE, {
+    description: 'A member marked @private does not end with "_".',
+    rationale: 'The trailing underscore shows at the call site that a ' +
+            'member is private.',
+    bad: '/** @private {number} */\nmy.Foo.prototype.count = 0;',
+    good: '/** @private {number} */\nmy.Foo.prototype.count_ = 0;'
+});
+
+_addRule(Errors.INVALID_OVERRIDE_PRIVATE, {
+    description: 'A private member is marked @override.',
+    rationale: 'Private members are not visible to subclasses, so they ' +
+            'can\'t be overridden.',
+    bad: '/** @override @private */\nmy.Foo.prototype.run_ = function() {\n};',
+    good: '/** @override */\nmy.Foo.prototype.run = function() {\n};'
+});
+
+_addRule(Errors.INVALID_INHERIT_DOC_PRIVATE, {
+    description: 'A private member is marked @inheritDoc.',
+    rationale: 'Private members are not inherited, so there is no ' +
+            'documentation to inherit.',
+    bad: '/** @inheritDoc */\nmy.Foo.prototype.run_ = function() {\n};',
+    good: '/** @inheritDoc */\nmy.Foo.prototype.run = function() {\n};'
+});
+
+_addRule(Errors.MISSING_JSDOC_TAG_THIS, {
+    description: 'A function referencing "this" outside of a method has no ' +
+            '@this tag.',
+    rationale: 'The compiler needs to know the type of "this". Disabled by ' +
+            '--jsdoc false.',
+    bad: '/** Clears the list. */\nmy.clear = function() {\n' +
+            '  this.items = [];\n};',
+    good: '/**\n * Clears the list.\n * @this {my.List}\n */\n' +
+            'my.clear = function() {\n  this.items = [];\n};'
+});
+
+_addRule(Errors.UNNECESSARY_BRACES_AROUND_INHERIT_DOC, {
+    description: '@inheritDoc written in braces.',
+    rationale: '@inheritDoc is a block tag, the braces make it inline.',
+    bad: '/** {@inheritDoc} */',
+    good: '/** @inheritDoc */',
+    rule: Rule.NO_BRACES_AROUND_INHERIT_DOC
+});
+
+_addRule(Errors.INVALID_AUTHOR_TAG_DESCRIPTION, {
+    description: '@author tag not in the form "email (Name)".',
+    rationale: 'A consistent form lets tools find the author.',
+    bad: '/** @author Your Name (foo@somewhere.com) */',
+    good: '/** @author foo@somewhere.com (Your Name) */',
+    rule: Rule.WELL_FORMED_AUTHOR
+});
+
+_addRule(Errors.JSDOC_PREFER_QUESTION_TO_PIPE_NULL, {
+    description: 'Type written as "Type|null" instead of "?Type".',
+    rationale: '"?Type" is the standard short form of a nullable type.',
+    bad: '/** @type {Element|null} */',
+    good: '/** @type {?Element} */'
+});
+
+_addRule(Errors.JSDOC_ILLEGAL_QUESTION_WITH_PIPE, {
+    description: '"?" used with a union type.',
+    rationale: 'It is ambiguous whether "?" applies to the first type or ' +
+            'to the whole union.',
+    bad: '/** @type {?number|string} */',
+    good: '/** @type {?(number|string)} */',
+    reported: false
+});
+
+_addRule(Errors.JSDOC_MISSING_OPTIONAL_TYPE, {
+    description: 'The type of an optional parameter does not end with "=".',
+    rationale: 'The compiler knows a parameter is optional only from the ' +
+            '"=" in its type.',
+    bad: '/** @param {number} opt_count The count. */',
+    good: '/** @param {number=} opt_count The count. */',
+    rule: Rule.OPTIONAL_TYPE_MARKER
+});
+
+_addRule(Errors.JSDOC_MISSING_OPTIONAL_PREFIX, {
+    description: 'The name of an optional parameter does not start with ' +
+            '"opt_".',
+    rationale: 'The prefix shows at the call site that the parameter may ' +
+            'be omitted.',
+    bad: '/** @param {number=} count The count. */',
+    good: '/** @param {number=} opt_count The count. */',
+    rule: Rule.OPTIONAL_TYPE_MARKER
+});
+
+_addRule(Errors.JSDOC_MISSING_VAR_ARGS_TYPE, {
+    description: 'The type of var_args does not start with "...".',
+    rationale: 'The compiler knows a function takes any number of arguments ' +
+            'only from the "..." in the type.',
+    bad: '/** @param {number} var_args The numbers. */',
+    good: '/** @param {...number} var_args The numbers. */',
+    rule: Rule.VARIABLE_ARG_MARKER
+});
+
+_addRule(Errors.JSDOC_MISSING_VAR_ARGS_NAME, {
+    description: 'A variable length parameter is not named var_args.',
+    rationale: 'The name shows the function takes any number of arguments.',
+    bad: '/** @param {...number} numbers The numbers. */',
+    good: '/** @param {...number} var_args The numbers. */',
+    rule: Rule.VARIABLE_ARG_MARKER
+});
+
+_addRule(Errors.INCORRECT_SUPPRESS_SYNTAX, {
+    description: '@suppress tag without the type of the suppressed warnings.',
+    rationale: 'The compiler ignores malformed suppressions, so warnings ' +
+            'come back.',
+    bad: '/** @suppress */',
+    good: '/** @suppress {visibility} */'
+});
+
+_addRule(Errors.INVALID_SUPPRESS_TYPE, {
+    description: '@suppress of an unknown warning type.',
+    rationale: 'A misspelled type suppresses nothing.',
+    bad: '/** @suppress {visibilty} */',
+    good: '/** @suppress {visibility} */'
+});
+
+_addRule(Errors.UNNECESSARY_SUPPRESS, {
+    description: '@suppress {underscore} on a member marked @private.',
+    rationale: 'Private members may end with "_", there is nothing to ' +
+            'suppress.',
+    bad: '/**\n * @private\n * @suppress {underscore}\n */\n' +
+            'my.Foo.prototype.run_ = function() {\n};',
+    good: '/** @private */\nmy.Foo.prototype.run_ = function() {\n};'
+});
+
+_addRule(Errors.UNNECESSARY_DISABLE_DIRECTIVE, {
+    description: 'gjslint-disable comment that disables no errors. ' +
+            'Reported with --report_unused_directives.',
+    rationale: 'Stale directives would hide errors introduced later.',
+    bad: '// gjslint-disable-next-line LINE_TOO_LONG\nvar x = 1;',
+    good: 'var x = 1;'
+});
+
+_addRule(Errors.INVALID_DISABLE_DIRECTIVE, {
+    description: 'gjslint-disable comment naming an unknown error.',
+    rationale: 'A misspelled error disables nothing.',
+    bad: '// gjslint-disable-line LINE_TOO_LNG',
+    good: '// gjslint-disable-line LINE_TOO_LONG'
+});
+
+
+// File ending.
+
+_addRule(Errors.FILE_MISSING_NEWLINE, {
+    description: 'The file does not end with a newline.',
+    rationale: 'Tools concatenating and diffing files expect every line to ' +
+            'end with a newline.',
+    bad: 'var x = 1;',
+    good: 'var x = 1;\n'
+});
+
+_addRule(Errors.FILE_IN_BLOCK, {
+    description: 'The file ends inside a string, comment or regular ' +
+            'expression.',
+    rationale: 'An unterminated literal is a syntax error.',
+    bad: 'var x = 1;\n/* Unfinished comment',
+    good: 'var x = 1;\n/* Finished comment */'
+});
+
+
+// Interfaces.
+
+_addRule(Errors.INTERFACE_CONSTRUCTOR_CANNOT_HAVE_PARAMS, {
+    description: 'An @interface constructor has parameters.',
+    rationale: 'Interfaces are never instantiated, so their constructor ' +
+            'takes no arguments.',
+    bad: '/** @interface */\nmy.Runnable = function(task) {\n};',
+    good: '/** @interface */\nmy.Runnable = function() {\n};'
+});
+
+_addRule(Errors.INTERFACE_METHOD_CANNOT_HAVE_CODE, {
+    description: 'A method of an @interface has code.',
+    rationale: 'Interfaces only declare methods, the implementations ' +
+            'provide the code.',
+    bad: '/** @interface */\nmy.Runnable = function() {\n};\n\n\n' +
+            '/** Runs. */\nmy.Runnable.prototype.run = function() {\n' +
+            '  this.start();\n};',
+    good: '/** @interface */\nmy.Runnable = function() {\n};\n\n\n' +
+            '/** Runs. */\nmy.Runnable.prototype.run = function() {\n};'
+});
+
+
+// Comments.
+
+_addRule(Errors.MISSING_END_OF_SCOPE_COMMENT, {
+    description: 'The end of goog.scope has no comment.',
+    rationale: 'The body of goog.scope is not indented, the comment shows ' +
+            'where it ends.',
+    bad: 'goog.scope(function() {\nvar dom = goog.dom;\n});',
+    good: 'goog.scope(function() {\nvar dom = goog.dom;\n});  // goog.scope',
+    rule: Rule.INDENTATION
+});
+
+_addRule(Errors.MALFORMED_END_OF_SCOPE_COMMENT, {
+    description: 'The comment at the end of goog.scope is not ' +
+            '"// goog.scope".',
+    rationale: 'The exact comment lets tools find the end of the scope.',
+    bad: 'goog.scope(function() {\nvar dom = goog.dom;\n});  // end goog.scope',
+    good: 'goog.scope(function() {\nvar dom = goog.dom;\n});  // goog.scope',
+    rule: Rule.INDENTATION
+});
+
+
+// goog.scope - Namespace aliasing.
+
+_addRule(Errors.INVALID_USE_OF_GOOG_SCOPE, {
+    description: 'goog.scope called outside of the global scope.',
+    rationale: 'Aliases of goog.scope are resolved by the compiler only at ' +
+            'the top level.',
+    bad: 'my.init = function() {\n  goog.scope(function() {\n  });\n};',
+    good: 'goog.scope(function() {\n});  // goog.scope'
+});
+
+_addRule(Errors.EXTRA_GOOG_SCOPE_USAGE, {
+    description: 'More than one goog.scope call in the file.',
+    rationale: 'One scope per file keeps the aliases in one place.',
+    bad: 'goog.scope(function() {\n});  // goog.scope\n\n' +
+            'goog.scope(function() {\n});  // goog.scope',
+    good: 'goog.scope(function() {\n});  // goog.scope'
+});
+
+
+// goog.module.
+
+_addRule(Errors.INVALID_USE_OF_GOOG_MODULE, {
+    description: 'goog.module or goog.module.declareLegacyNamespace is not ' +
+            'at the top of the file.',
+    rationale: 'The module loader expects goog.module as the first ' +
+            'statement, directly followed by declareLegacyNamespace.',
+    bad: 'goog.module(\'my.foo\');\nconst Bar = goog.require(\'my.Bar\');\n' +
+            'goog.module.declareLegacyNamespace();',
+    good: 'goog.module(\'my.foo\');\ngoog.module.declareLegacyNamespace();\n' +
+            'const Bar = goog.require(\'my.Bar\');'
+});
+
+_addRule(Errors.INVALID_GOOG_MODULE_EXPORTS, {
+    description: 'A goog.module assigns its namespace instead of exports, ' +
+            'or assigns exports outside of the top level.',
+    rationale: 'The namespace of a goog.module is only defined by its ' +
+            'exports, which are assigned once when the module loads.',
+    bad: 'goog.module(\'my.foo\');\n\nmy.foo.x = 1;',
+    good: 'goog.module(\'my.foo\');\n\nexports.x = 1;'
+});
+
+
+// Imports.
+
+_addRule(Errors.IMPORTS_NOT_ALPHABETIZED, {
+    description: 'Import declarations are not sorted by module.',
+    rationale: 'Sorted imports are easy to scan and merge without conflicts.',
+    bad: 'import {Sprite} from \'./sprite\';\n' +
+            'import {Bitmap} from \'./bitmap\';',
+    good: 'import {Bitmap} from \'./bitmap\';\n' +
+            'import {Sprite} from \'./sprite\';'
+});
+
+_addRule(Errors.UNUSED_IMPORT, {
+    description: 'An imported binding is not used.',
+    rationale: 'Unused imports add dependencies to the build.',
+    bad: 'import {Sprite} from \'./sprite\';\n\nvar x = 1;',
+    good: 'var x = 1;'
+});
+
+
+// ActionScript specific errors, never reported for JavaScript.
+
+_addRule(Errors.FUNCTION_MISSING_RETURN_TYPE, {
+    description: 'ActionScript function without a return type.',
+    rationale: 'An untyped function returns *, the compiler can\'t check ' +
+            'how callers use its result.',
+    bad: 'function count() {\n}',
+    good: 'function count():int {\n}',
+    reported: false
+});
+
+_addRule(Errors.PARAMETER_MISSING_TYPE, {
+    description: 'ActionScript parameter without a type.',
+    rationale: 'An untyped parameter accepts any value, wrong arguments ' +
+            'are only found at run time.',
+    bad: 'function add(a):int {\n}',
+    good: 'function add(a:int):int {\n}',
+    reported: false
+});
+
+_addRule(Errors.VAR_MISSING_TYPE, {
+    description: 'ActionScript variable without a type.',
+    rationale: 'Accesses to an untyped variable are looked up at run time ' +
+            'and are slower and not checked by the compiler.',
+    bad: 'var count = 0;',
+    good: 'var count:int = 0;',
+    reported: false
+});
+
+_addRule(Errors.PARAMETER_MISSING_DEFAULT_VALUE, {
+    description: 'Optional ActionScript parameter without a default value.',
+    rationale: 'Parameters after one with a default value must have one too.',
+    bad: 'function add(a:int = 0, b:int):int {\n}',
+    good: 'function add(a:int = 0, b:int = 0):int {\n}',
+    reported: false
+});
+
+_addRule(Errors.IMPORT_CONTAINS_WILDCARD, {
+    description: 'ActionScript import with a wildcard.',
+    rationale: 'Explicit imports show which classes the file depends on.',
+    bad: 'import flash.display.*;',
+    good: 'import flash.display.Sprite;',
+    reported: false
+});
+
+_addRule(Errors.INVALID_TRACE_SEVERITY_LEVEL, {
+    description: 'Unknown severity level of an ActionScript trace.',
+    rationale: 'Logs are filtered by known levels only.',
+    bad: 'trace(\'loaded\', \'verbose\');',
+    good: 'trace(\'loaded\', \'info\');',
+    reported: false
+});
+
+_addRule(Errors.MISSING_TRACE_SEVERITY_LEVEL, {
+    description: 'ActionScript trace without a severity level.',
+    rationale: 'Logs are filtered by the level.',
+    bad: 'trace(\'loaded\');',
+    good: 'trace(\'loaded\', \'info\');',
+    reported: false
+});
+
+_addRule(Errors.MISSING_TRACE_MESSAGE, {
+    description: 'ActionScript trace without a message.',
+    rationale: 'An empty log line tells nothing.',
+    bad: 'trace();',
+    good: 'trace(\'loaded\', \'info\');',
+    reported: false
+});
+
+_addRule(Errors.REMOVE_TRACE_BEFORE_SUBMIT, {
+    description: 'ActionScript debugging trace left in the code.',
+    rationale: 'Debugging output is removed before the code is submitted.',
+    bad: 'trace(\'here\');\nstart();',
+    good: 'start();',
+    reported: false
+});
+
+_addRule(Errors.REMOVE_COMMENT_BEFORE_SUBMIT, {
+    description: 'ActionScript comment marked to be removed before submit.',
+    rationale: 'Temporary comments are removed before the code is ' +
+            'submitted.',
+    bad: '// REMOVE BEFORE SUBMIT: debugging.\nstart();',
+    good: 'start();',
+    reported: false
+});
+
+
+/**
+ * Returns the rule of the error.
+ *
+ * @param {string|number} code The error code or its name, e.g. 233, '0233'
+ *      or 'JSDOC_MISSING_OPTIONAL_PREFIX'.
+ * @return {?Object} The rule or null for an unknown error.
+ */
+var getRule = function(code) {
+    code = _.isNumber(code) ? code : errors.parseCode(code);
+    return _rules[code] || null;
+};
+
+
+/**
+ * Returns the rules of all errors.
+ * @return {Array.<Object>} The rules sorted by error code.
+ */
+var getRules = function() {
+    return _.sortBy(_.values(_rules), 'code');
+};
+
+
+/**
+ * Returns the description of how the rule is enabled.
+ * @param {Object} rule The rule.
+ * @return {string} The description.
+ * @private
+ */
+var _formatEnabledBy = function(rule) {
+    if (!rule.reported) {
+        return 'nothing, the error is never reported';
+    } else if (!rule.rule) {
+        return 'always checked';
+    }
+
+    var flags = '--jslint_error ' + rule.rule;
+    if (_.contains(Rule.CLOSURE_RULES, rule.rule)) {
+        flags = '--strict or ' + flags;
+    }
+    return flags;
+};
+
+
+/**
+ * Indents the code example.
+ * @param {string} code The code.
+ * @return {string} The indented code.
+ * @private
+ */
+var _indent = function(code) {
+    return _.map(code.split('\n'), function(line) {
+        return '    ' + line;
+    }).join('\n');
+};
+
+
+/**
+ * Formats the rule for gjslint.js --explain.
+ * @param {Object} rule The rule.
+ * @return {string} The explanation.
+ */
+var formatRule = function(rule) {
+    return [
+        _s.sprintf('%s %s', rule.id, rule.name),
+        rule.description,
+        '',
+        'Severity: ' + rule.severity,
+        'Fixable: ' + rule.fixable,
+        'Enabled by: ' + _formatEnabledBy(rule),
+        '',
+        rule.rationale,
+        '',
+        'Bad:',
+        _indent(rule.bad),
+        '',
+        'Good:',
+        _indent(rule.good)
+    ].join('\n');
+};
+
+
+/**
+ * Formats the list of all rules for gjslint.js --list_rules.
+ * @return {string} One line per rule.
+ */
+var formatRuleList = function() {
+    return _.map(getRules(), function(rule) {
+        return _s.sprintf('%s  %-40s %s', rule.id, rule.name,
+                rule.description);
+    }).join('\n');
+};
+
+
+exports.Fixable = Fixable;
+exports.formatRule = formatRule;
+exports.formatRuleList = formatRuleList;
+exports.getRule = getRule;
+exports.getRules = getRules;
@@ -3,23 +3,28 @@
  */
 
 var fs = require('fs');
-var program = require('commander');
+var path = require('path');
 var _ = require('underscore');
 var _s = require('underscore.string');
 
 var error = require('../common/error');
+var errorAccumulator = require('../common/erroraccumulator');
 var htmlUtil = require('../common/htmlutil');
 var tokens = require('../common/tokens');
 
+var changedLines = require('./changedlines');
 var checker = require('./checker');
+var disableDirectives = require('./disabledirectives');
 var ecmaMetadataPass = require('./ecmametadatapass');
+var errorRecord = require('./errorrecord');
 var errors = require('./errors');
 var javascriptStateTracker = require('./javascriptstatetracker');
 var javascriptTokenizer = require('./javascripttokenizer');
+var options = require('./options');
 
 
 var isHtml = function(filename) {
-    return _s.endsWith(filename, '.html') || _s.endsWith('.html');
+    return _s.endsWith(filename, '.html') || _s.endsWith(filename, '.htm');
 };
 
 
@@ -37,8 +42,8 @@ var getLastNonWhiteSpaceToken = function(startToken) {
     var retToken = null;
 
     _.each(startToken.directIterator(), function(token) {
-        if (token.type == tokens.TokenType.WHITESPACE ||
-                token.type == tokens.TokenType.BLANK_LINE) {
+        if (token.type != tokens.TokenType.WHITESPACE &&
+                token.type != tokens.TokenType.BLANK_LINE) {
             retToken = token;
         }
     });
@@ -90,7 +95,9 @@ var runMetadataPass = function(startToken, metadataPass, errorHandler,
  * @return {boolean}
  */
 var isLimitedDocCheck = function(filename, limitedDocFiles) {
-    return _.contains(limitedDocFiles, filename);
+    return _.some(limitedDocFiles, function(suffix) {
+        return _s.endsWith(filename, suffix);
+    });
 };
 
 
@@ -101,29 +108,39 @@ var isLimitedDocCheck = function(filename, limitedDocFiles) {
  * @param {ErrorHandler} errorHandler The error handler to report errors to.
  * @param {boolean} limitedDocChecks Whether this is a limited-doc file.
  * @param {boolean} isHtml Whether this is an HTML file.
+ * @param {Object} fileOptions Values of the options of the checked file.
  * @param {Token} opt_stopToken Last token of valid JavaScript.
  */
 var runChecker = function(startToken, errorHandler, limitedDocChecks, isHtml,
-                          opt_stopToken) {
+                          fileOptions, opt_stopToken) {
     var stateTracker = new javascriptStateTracker.JavaScriptStateTracker();
 
     var styleChecker = new checker.JavaScriptStyleChecker(stateTracker,
-            errorHandler);
+            errorHandler, fileOptions);
 
-    styleChecker.check(startToken, isHtml, limitedDocChecks, opt_stopToken);
+    styleChecker.check(startToken, limitedDocChecks, isHtml, opt_stopToken);
 };
 
 /**
  * Tokenize, run passes, and check the given file.
  *
+ * The file is checked with the options of its configuration files applied,
+ * errors disabled by comment directives are not reported.
+ *
  * @param {string} filename The path of the file to check.
  * @param {ErrorHandler} errorHandler The error handler to report errors to.
  * @param {?string} opt_source A file-like object with the file source.
  *      If omitted, the file will be read from the filename path.
+ * @param {Options} opt_options Options of the run, defaults to the default
+ *      options.
  */
-var run = function(filename, errorHandler, opt_source) {
+var run = function(filename, errorHandler, opt_source, opt_options) {
+    var fileOptions = (opt_options || options.create()).forFile(filename);
+    errorHandler = new disableDirectives.DirectiveFilter(errorHandler,
+            fileOptions);
+
     var source = opt_source;
-    if (!opt_source) {
+    if (opt_source == null) {
         try {
             source = fs.readFileSync(filename, {encoding: 'utf8'});
         } catch (e) {
@@ -157,13 +174,65 @@ var run = function(filename, errorHandler, opt_source) {
             filename);
 
     var limitedDocCheck = isLimitedDocCheck(filename,
-            program.limited_doc_files);
+            fileOptions.limited_doc_files);
 
     runChecker(token.start, errorHandler, limitedDocCheck, isHtml(filename),
-            errorToken);
+            fileOptions, errorToken);
 
     errorHandler.finishFile();
 };
 
 
+/**
+ * Sorts the errors by their position in the file.
+ *
+ * Errors found when the file is finished, like unused imports and errors in
+ * disable directives, move to their position. Errors at the same position
+ * keep their order, errors reported for the whole file stay at its end.
+ * @param {Array.<Error>} errs Errors of the file, in the order reported.
+ * @return {Array.<Error>} The errors in the new order.
+ */
+var sortErrors = function(errs) {
+    var hasToken = function(err) {
+        return err.token;
+    };
+
+    return _.filter(errs, hasToken).sort(error.Error.compare).concat(
+            _.reject(errs, hasToken));
+};
+
+
+/**
+ * Checks the file and returns records of found errors.
+ *
+ * When --changed_since or --diff is given, only errors on the changed lines
+ * of the file are returned.
+ *
+ * @param {string} filename The path of the file to check.
+ * @param {Options} opt_options Options of the run, defaults to the default
+ *      options.
+ * @param {?string} opt_source The file source. If omitted, the file will be
+ *      read from the filename path.
+ * @return {Array.<ErrorRecord>} A list of errorRecord.ErrorRecords for any
+ *      found errors.
+ */
+var checkPath = function(filename, opt_options, opt_source) {
+    var runOptions = opt_options || options.create();
+    var errorHandler = new errorAccumulator.ErrorAccumulator();
+    run(filename, errorHandler, opt_source, runOptions);
+
+    var errs = sortErrors(errorHandler.getErrors());
+    var changed = changedLines.getChangedLines(runOptions);
+    if (changed) {
+        errs = changedLines.filterErrors(errs,
+                changed[path.resolve(filename)] || []);
+    }
+
+    return _.map(errs, function(err) {
+        return errorRecord.makeErrorRecord(filename, err, runOptions);
+    });
+};
+
+
+exports.checkPath = checkPath;
 exports.run = run;
@@ -0,0 +1,201 @@
+/**
+ * Formats error records as SARIF 2.1.0 log, understood by code scanning
+ * tools.
+ */
+
+var path = require('path');
+var _ = require('underscore');
+
+var errorOutput = require('../common/erroroutput');
+var errors = require('./errors');
+var ruleCatalog = require('./rulecatalog');
+var singleErrorFixer = require('./singleerrorfixer');
+
+
+/**
+ * Codes of all errors in the order of rules in the log.
+ * @type {Array.<number>}
+ * @private
+ */
+var _CODES = _.sortBy(_.values(errors.Errors), _.identity);
+
+
+/**
+ * SARIF levels by severity.
+ * @type {Object.<errors.Severity, string>}
+ * @private
+ */
+var _LEVELS = {
+    error: 'error',
+    warning: 'warning',
+    info: 'note'
+};
+
+
+/**
+ * Builds the rule descriptor of the error code.
+ * @param {number} code The error code.
+ * @return {Object} The reportingDescriptor object.
+ * @private
+ */
+var _formatRule = function(code) {
+    var rule = ruleCatalog.getRule(code);
+    return {
+        id: rule.id,
+        name: rule.name,
+        shortDescription: {text: rule.description},
+        fullDescription: {text: rule.rationale},
+        defaultConfiguration: {level: _LEVELS[rule.severity]},
+        help: {text: ruleCatalog.formatRule(rule)},
+        properties: {
+            fixable: rule.fixable,
+            jslintError: rule.rule
+        }
+    };
+};
+
+
+/**
+ * Converts the path to a URI reference relative to the current directory.
+ * @param {string} filename The path.
+ * @return {string} The URI.
+ * @private
+ */
+var _getUri = function(filename) {
+    return encodeURI(path.relative(process.cwd(), filename).
+            split(path.sep).join('/'));
+};
+
+
+/**
+ * Builds the SARIF fixes of the record.
+ *
+ * Fixes are included only with --sarif_fixes, as computing one runs the fixer
+ * on the whole file.
+ * @param {ErrorRecord} record The error record.
+ * @param {Options} options Options of the run.
+ * @param {Object.<string, string>} sources Checked sources by path, for
+ *      files not read from disk.
+ * @return {Array.<Object>} The fix objects, empty when the error can't be
+ *      fixed or fixes are not included.
+ * @private
+ */
+var _formatFixes = function(record, options, sources) {
+    if (!options.get('sarif_fixes')) {
+        return [];
+    }
+
+    var fix = singleErrorFixer.computeFix(record,
+            _.has(sources, record.path) ? sources[record.path] : null,
+            options);
+    if (!fix) {
+        return [];
+    }
+
+    return [{
+        description: {text: 'Fix: ' + record.message},
+        artifactChanges: [{
+            artifactLocation: {uri: _getUri(record.path)},
+            replacements: [{
+                deletedRegion: {
+                    startLine: fix.startLine,
+                    startColumn: fix.startColumn,
+                    endLine: fix.endLine,
+                    endColumn: fix.endColumn
+                },
+                insertedContent: {text: fix.text}
+            }]
+        }]
+    }];
+};
+
+
+/**
+ * Builds the SARIF result of the record.
+ * @param {ErrorRecord} record The error record.
+ * @param {Options} options Options of the run.
+ * @param {Object.<string, string>} sources Checked sources by path, for
+ *      files not read from disk.
+ * @return {Object} The result object.
+ * @private
+ */
+var _formatResult = function(record, options, sources) {
+    var physicalLocation = {
+        artifactLocation: {uri: _getUri(record.path)}
+    };
+    if (record.line != null) {
+        physicalLocation.region = {
+            startLine: record.line,
+            startColumn: record.column,
+            endLine: record.endLine,
+            endColumn: record.endColumn
+        };
+    }
+
+    var result = {
+        ruleId: errorOutput.formatErrorCode(record.code),
+        ruleIndex: _.indexOf(_CODES, record.code),
+        level: _LEVELS[record.severity],
+        message: {text: record.message},
+        locations: [{physicalLocation: physicalLocation}]
+    };
+
+    var fixes = _formatFixes(record, options, sources);
+    if (fixes.length) {
+        result.fixes = fixes;
+    }
+
+    return result;
+};
+
+
+/**
+ * Builds the SARIF log.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @param {Options} options Options of the run.
+ * @param {Object.<string, string>=} opt_sources Checked sources by path, for
+ *      files not read from disk like the source read from stdin.
+ * @return {Object} The log.
+ */
+var getLog = function(paths, errorRecords, options, opt_sources) {
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'gjslint',
+                    informationUri:
+                            'https://github.com/Jauhen/closure-linter',
+                    rules: _.map(_CODES, _formatRule)
+                }
+            },
+            artifacts: _.map(paths, function(filename) {
+                return {location: {uri: _getUri(filename)}};
+            }),
+            results: _.map(errorRecords, function(record) {
+                return _formatResult(record, options, opt_sources || {});
+            })
+        }]
+    };
+};
+
+
+/**
+ * Formats the SARIF log as JSON.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @param {Options} options Options of the run.
+ * @param {Object.<string, string>=} opt_sources Checked sources by path, for
+ *      files not read from disk like the source read from stdin.
+ * @return {string} The JSON document.
+ */
+var format = function(paths, errorRecords, options, opt_sources) {
+    return JSON.stringify(getLog(paths, errorRecords, options, opt_sources),
+            null, 2);
+};
+
+
+exports.format = format;
+exports.getLog = getLog;
@@ -0,0 +1,146 @@
+/**
+ * Computes the change fixing a single error, without touching the file the
+ * error was found in.
+ */
+
+var fs = require('fs');
+var _ = require('underscore');
+
+var errorFixer = require('./errorfixer');
+var runner = require('./runner');
+
+
+/**
+ * Error fixer that fixes only the error described by the given record, all
+ * other errors are left untouched.
+ *
+ * @param {ErrorRecord} record The record of the error to fix.
+ * @param {{write: function(string)}} externalFile The fixed file content is
+ *      written to it.
+ * @param {string} source The source of the file the error was found in.
+ * @param {Options} opt_options Options of the run.
+ * @constructor
+ */
+var SingleErrorFixer = function(record, externalFile, source, opt_options) {
+    errorFixer.ErrorFixer.call(this, externalFile, opt_options);
+    this._record = record;
+    this._source = source;
+};
+
+_.extend(SingleErrorFixer.prototype, errorFixer.ErrorFixer.prototype);
+
+
+/**
+ * Fixes the error if it is the one described by the record.
+ * @param {Error} error The error object.
+ */
+SingleErrorFixer.prototype.handleError = function(error) {
+    var location = error.token ? error.getLocation() : null;
+    if (error.code == this._record.code && location &&
+            location.line == this._record.line &&
+            location.column == this._record.column) {
+        errorFixer.ErrorFixer.prototype.handleError.call(this, error);
+    }
+};
+
+
+/**
+ * Returns the source the error was found in, which may differ from the file
+ * on disk.
+ * @return {string} The file content.
+ * @protected
+ */
+SingleErrorFixer.prototype.getOriginalSource = function() {
+    return this._source;
+};
+
+
+/**
+ * Converts an offset in the text to 1-based line and column.
+ * @param {string} text The text.
+ * @param {number} offset The offset.
+ * @return {{line: number, column: number}} The location.
+ * @private
+ */
+var _getLocation = function(text, offset) {
+    var lines = text.substr(0, offset).split('\n');
+    return {
+        line: lines.length,
+        column: _.last(lines).length + 1
+    };
+};
+
+
+/**
+ * Computes the change fixing the error of the record.
+ *
+ * The change is the smallest region of the original file to be replaced and
+ * the text to replace it with.
+ * @param {ErrorRecord} record The record of the error to fix.
+ * @param {?string} opt_source The file source. If omitted, the file will be
+ *      read from the record path.
+ * @param {Options} opt_options Options of the run.
+ * @return {?{startLine: number, startColumn: number, endLine: number,
+ *      endColumn: number, text: string}} The change or null if the fixer
+ *      can't fix the error.
+ */
+var computeFix = function(record, opt_source, opt_options) {
+    if (!record.fixable || record.line == null) {
+        return null;
+    }
+
+    var source = opt_source;
+    if (opt_source == null) {
+        try {
+            source = fs.readFileSync(record.path, {encoding: 'utf8'});
+        } catch (e) {
+            return null;
+        }
+    }
+
+    var fixed = null;
+    var externalFile = {
+        write: function(output) {
+            fixed = output;
+        }
+    };
+    runner.run(record.path,
+            new SingleErrorFixer(record, externalFile, source, opt_options),
+            source, opt_options);
+
+    if (fixed == null) {
+        return null;
+    }
+
+    // The fixer always ends the last line with a newline.
+    if (source[source.length - 1] != '\n' &&
+            fixed[fixed.length - 1] == '\n') {
+        fixed = fixed.slice(0, -1);
+    }
+
+    var maxLength = Math.min(source.length, fixed.length);
+    var prefix = 0;
+    while (prefix < maxLength && source[prefix] == fixed[prefix]) {
+        prefix++;
+    }
+    var suffix = 0;
+    while (suffix < maxLength - prefix &&
+            source[source.length - suffix - 1] ==
+                    fixed[fixed.length - suffix - 1]) {
+        suffix++;
+    }
+
+    var start = _getLocation(source, prefix);
+    var end = _getLocation(source, source.length - suffix);
+    return {
+        startLine: start.line,
+        startColumn: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        text: fixed.substring(prefix, fixed.length - suffix)
+    };
+};
+
+
+exports.SingleErrorFixer = SingleErrorFixer;
+exports.computeFix = computeFix;
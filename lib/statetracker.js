@@ -5,10 +5,12 @@
 var _ = require('underscore');
 var _s = require('underscore.string');
 
+var ecmaMetaDataPass = require('./ecmametadatapass');
 var javascriptTokens = require('./javascripttokens');
 var javascriptTokenizer = require('./javascripttokenizer');
 var tokenUtil = require('./tokenutil');
 
+var EcmaContext = ecmaMetaDataPass.EcmaContext;
 var Type = javascriptTokens.JavaScriptTokenType;
 
 
@@ -554,8 +556,23 @@ DocComment.prototype.getTargetToken = function() {
             return token;
         }
 
+        // Handles the case of a comment on "static foo() {}" in a class body.
+        if (token.type == Type.KEYWORD && _.contains(
+                javascriptTokenizer.JavaScriptTokenizer.
+                        CLASS_MEMBER_MODIFIER_LIST, token.string)) {
+            token = token.next;
+            continue;
+        }
+
+        // Handles the case of a comment on "export function foo() {}" or
+        // "export default class Foo {}".
+        if (token.isKeyword('export') || token.isKeyword('default')) {
+            token = token.next;
+            continue;
+        }
+
         // Handles the case of a comment on "var foo = ...'
-        if (token.isKeyword('var')) {
+        if (token.isVariableKeyword()) {
             var nextCodeToken = tokenUtil.customSearch(token, function(t) {
                 return !_.contains(Type.NON_CODE_TYPES, t.type);
             });
@@ -580,6 +597,19 @@ DocComment.prototype.getTargetToken = function() {
             return null;
         }
 
+        // Handles the case of a comment on "class Foo {}".
+        if (token.isKeyword('class')) {
+            var nextCodeToken = tokenUtil.customSearch(token, function(t) {
+                return !_.contains(Type.NON_CODE_TYPES, t.type);
+            });
+
+            if (nextCodeToken && nextCodeToken.isType(Type.IDENTIFIER)) {
+                return nextCodeToken;
+            }
+
+            return null;
+        }
+
         // Skip types will end the search.
         if (!_.contains(SKIP_TYPES, token.type)) {
             return null;
@@ -690,6 +720,12 @@ var JsFunction = function(blockDepth, isAssigned, doc, name) {
     this.hasReturn = false;
     this.hasThrow = false;
     this.hasThis = false;
+    /**
+     * Whether the function is an arrow function, which shares "this" with
+     * the enclosing function.
+     * @type {boolean}
+     */
+    this.isArrow = false;
     this.name = name;
     this.doc = doc;
     this.startToken = null;
@@ -1152,9 +1188,7 @@ StateTracker.prototype.handleToken = function(token, lastNonSpaceToken) {
         }
 
         var name = '';
-        var isAssigned = !!lastCode && (lastCode.isOperator('=') ||
-                lastCode.isOperator('||') || lastCode.isOperator('&&') ||
-                (lastCode.isOperator(':') && !this.inObjectLiteral()));
+        var isAssigned = this._isAssignedAfter(lastCode);
 
         if (isAssigned) {
             // TODO(robbyw): This breaks for x[2] = ...
@@ -1189,14 +1223,35 @@ StateTracker.prototype.handleToken = function(token, lastNonSpaceToken) {
         var jsFunction = new JsFunction(
                 this._blockDepth, isAssigned, doc, name);
         jsFunction.startToken = token;
+        this._pushFunction(jsFunction);
+
+    } else if (type == Type.FUNCTION_NAME && !tokenUtil.searchExcept(token,
+            Type.NON_CODE_TYPES, null, true).isAnyType(
+                    [Type.FUNCTION_DECLARATION, Type.FUNCTION_NAME])) {
+        // A method in a class body.
+        jsFunction = new JsFunction(this._blockDepth, false,
+                this._parentDepth ? null : this._docComment,
+                this._getMethodName(token));
+        jsFunction.isConstructor = jsFunction.isConstructor ||
+                token.string == 'constructor';
+        jsFunction.startToken = token;
+        this._pushFunction(jsFunction);
+
+    } else if (token.isOperator('=>') && tokenUtil.searchExcept(token,
+            Type.NON_CODE_TYPES).isType(Type.START_BLOCK)) {
+        // An arrow function with a block body.  Its parameters are not
+        // tracked.
+        var params = token.metadata.lastCode;
+        if (params.type == Type.END_PAREN) {
+            params = params.metadata.context.startToken;
+        }
 
-        this._functionStack.push(jsFunction);
-        this._functionsByName[name] = jsFunction;
-
-        // Add a delimiter in stack for scope variables to define start of
-        // function. This helps in popping variables of this function when
-        // function declaration ends.
-        this._variablesInScope.push('');
+        this._cumulativeParams = null;
+        jsFunction = new JsFunction(this._blockDepth,
+                this._isAssignedAfter(params.metadata.lastCode), null, '');
+        jsFunction.isArrow = true;
+        jsFunction.startToken = token;
+        this._pushFunction(jsFunction);
 
     } else if (type == Type.START_PARAMETERS) {
         this._cumulativeParams = '';
@@ -1221,7 +1276,11 @@ StateTracker.prototype.handleToken = function(token, lastNonSpaceToken) {
             jsFunction.hasThrow = true;
         }
 
-    } else if (type == Type.KEYWORD && token.string == 'var') {
+    } else if (token.isKeyword('import')) {
+        this._variablesInScope = this._variablesInScope.concat(
+                _.pluck(tokenUtil.getImportBindings(token), 'string'));
+
+    } else if (token.isVariableKeyword()) {
         jsFunction = this.getFunction();
         nextToken = tokenUtil.search(token,
                 [Type.IDENTIFIER, Type.SIMPLE_LVALUE]);
@@ -1270,14 +1329,100 @@ StateTracker.prototype.handleToken = function(token, lastNonSpaceToken) {
  */
 StateTracker.prototype._handleIdentifier = function(identifier, isAssignment) {
     if (identifier == 'this' || _s.startsWith(identifier, 'this.')) {
-        var jsFunction = this.getFunction();
-        if (jsFunction) {
+        // Arrow functions reference "this" of the enclosing function.
+        var index = this._functionStack.length - 1;
+        while (index >= 0) {
+            var jsFunction = this._functionStack[index--];
             jsFunction.hasThis = true;
+            if (!jsFunction.isArrow) {
+                break;
+            }
         }
     }
 };
 
 
+/**
+ * Returns whether a function following the given code token is assigned.
+ * @param {Token} lastCode The last code token before the function.
+ * @return {boolean} Whether the function is assigned.
+ * @private
+ */
+StateTracker.prototype._isAssignedAfter = function(lastCode) {
+    if (lastCode && lastCode.isKeyword('async')) {
+        lastCode = lastCode.metadata.lastCode;
+    }
+    return !!lastCode && (lastCode.isOperator('=') ||
+            lastCode.isOperator('||') || lastCode.isOperator('&&') ||
+            (lastCode.isOperator(':') && !this.inObjectLiteral()));
+};
+
+
+/**
+ * Starts tracking a function whose body is the next block.
+ * @param {JsFunction} jsFunction The function.
+ * @private
+ */
+StateTracker.prototype._pushFunction = function(jsFunction) {
+    this._functionStack.push(jsFunction);
+    this._functionsByName[jsFunction.name] = jsFunction;
+
+    // Add a delimiter in stack for scope variables to define start of
+    // function. This helps in popping variables of this function when
+    // function declaration ends.
+    this._variablesInScope.push('');
+};
+
+
+/**
+ * Returns the name of a class method, qualified like the name of a function
+ * assigned to the class or its prototype, e.g. 'Foo.prototype.bar' or
+ * 'Foo.create' for static methods.  The constructor is named after the class.
+ * @param {Token} token The FUNCTION_NAME token of the method.
+ * @return {string} The name of the method.
+ * @private
+ */
+StateTracker.prototype._getMethodName = function(token) {
+    var context = token.metadata.context;
+    while (context && context.type != EcmaContext.Type.CLASS) {
+        context = context.parent;
+    }
+    if (!context) {
+        return token.string;
+    }
+
+    // The class is named after the class keyword, or by the assignment of an
+    // anonymous class expression.
+    var className = '';
+    var classToken = context.startToken;
+    var nameToken = tokenUtil.searchExcept(classToken, Type.NON_CODE_TYPES);
+    var lastCode = tokenUtil.searchExcept(classToken, Type.NON_CODE_TYPES,
+            null, true);
+    if (nameToken.type == Type.IDENTIFIER) {
+        className = nameToken.string;
+    } else if (lastCode && lastCode.isOperator('=')) {
+        var lvalue = tokenUtil.search(lastCode, [Type.SIMPLE_LVALUE], null,
+                true);
+        className = lvalue ? lvalue.values[1] : '';
+    }
+
+    if (token.string == 'constructor') {
+        return className;
+    }
+
+    var isStatic = false;
+    var modifier = tokenUtil.searchExcept(token, Type.NON_CODE_TYPES, null,
+            true);
+    while (modifier.type == Type.KEYWORD) {
+        isStatic = isStatic || modifier.string == 'static';
+        modifier = tokenUtil.searchExcept(modifier, Type.NON_CODE_TYPES, null,
+                true);
+    }
+
+    return className + (isStatic ? '.' : '.prototype.') + token.string;
+};
+
+
 /**
  * Handle updating state after a token has been checked.
  *
@@ -1298,6 +1443,12 @@ StateTracker.prototype.handleAfterToken = function(token) {
         this._docComment = null;
         this._lastComment = null;
 
+    } else if (type == Type.START_BLOCK &&
+            token.metadata.context.parent.type == EcmaContext.Type.CLASS) {
+        // The documentation of the class does not apply to its members.
+        this._docComment = null;
+        this._lastComment = null;
+
     } else if (type == Type.END_BLOCK) {
         this._docComment = null;
         this._lastComment = null;
@@ -0,0 +1,110 @@
+/**
+ * Formats error records as human readable text, the default output of
+ * gjslint.js.
+ */
+
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+
+/**
+ * Formats the separator printed before errors of a file.
+ * @param {string} path Path to the file.
+ * @return {string} The separator line.
+ * @private
+ */
+var _formatFileSeparator = function(path) {
+    return _s.sprintf('----- FILE  :  %s -----', path);
+};
+
+
+/**
+ * Formats error records strings in the expected format.
+ *
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @param {boolean} unixMode Whether errors are in standard unix format.
+ * @return {Array.<string>} Output lines.
+ * @private
+ */
+var _formatErrorRecords = function(errorRecords, unixMode) {
+    var currentPath = null;
+    var lines = [];
+
+    _.each(errorRecords, function(record) {
+        if (currentPath != record.path) {
+            currentPath = record.path;
+            if (!unixMode) {
+                lines.push(_formatFileSeparator(currentPath));
+            }
+        }
+        lines.push(record.errorString);
+    });
+
+    return lines;
+};
+
+
+/**
+ * Formats a summary of the number of errors and files.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @return {string} The summary line.
+ * @private
+ */
+var _formatSummary = function(paths, errorRecords) {
+    var errorCount = errorRecords.length;
+    var pathCount = paths.length;
+
+    if (errorCount == 0) {
+        return _s.sprintf('%d files checked, no errors found.', pathCount);
+    }
+
+    var errorPaths = _.uniq(_.map(errorRecords, function(e) {
+        return e.path;
+    }));
+
+    var errorPathsCount = errorPaths.length;
+    var noErrorPathsCount = pathCount - errorPathsCount;
+
+    return _s.sprintf('Found %d errors in %d files (%d files OK).',
+            errorCount, errorPathsCount, noErrorPathsCount);
+};
+
+
+/**
+ * Formats the errors followed by the summary.
+ * @param {Array.<string>} paths Checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of all found errors.
+ * @param {Options} options Options of the run.
+ * @return {string} The report.
+ */
+var format = function(paths, errorRecords, options) {
+    var lines = _formatErrorRecords(errorRecords, options.get('unix_mode'));
+    lines.push(_formatSummary(paths, errorRecords));
+    return lines.join('\n');
+};
+
+
+/**
+ * Formats the errors of the changed paths followed by the summary of all
+ * paths.
+ * @param {Array.<string>} changedPaths Checked again paths.
+ * @param {Array.<string>} paths All checked paths.
+ * @param {Array.<ErrorRecord>} errorRecords Records of errors found in all
+ *      paths.
+ * @param {Options} options Options of the run.
+ * @return {string} The report.
+ */
+var formatUpdate = function(changedPaths, paths, errorRecords, options) {
+    var changedRecords = _.filter(errorRecords, function(record) {
+        return _.contains(changedPaths, record.path);
+    });
+
+    var lines = _formatErrorRecords(changedRecords, options.get('unix_mode'));
+    lines.push(_formatSummary(paths, errorRecords));
+    return lines.join('\n');
+};
+
+
+exports.format = format;
+exports.formatUpdate = formatUpdate;
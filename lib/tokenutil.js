@@ -179,10 +179,11 @@ var getIdentifierForToken = function(token) {
         return token.string;
     }
 
-    // A "var foo" declaration (if the previous token is 'var').
+    // A "var foo" declaration (if the previous token is 'var', 'let' or
+    // 'const').
     var previousCodeToken = getPreviousCodeToken(token);
 
-    if (previousCodeToken && previousCodeToken.isKeyword('var')) {
+    if (previousCodeToken && previousCodeToken.isVariableKeyword()) {
         return token.string;
     }
 
@@ -297,6 +298,85 @@ var getStringAfterToken = function(token) {
 };
 
 
+/**
+ * Returns the local bindings declared by an import declaration.
+ *
+ * For example, the bindings of
+ *   import foo, {bar, baz as qux} from 'x';
+ * are the foo, bar and qux identifiers.
+ * @param {Token} token The import keyword token.
+ * @return {Array.<Token>} The identifier tokens of the bindings, in order.
+ */
+var getImportBindings = function(token) {
+    var bindings = [];
+    var endTypes = [Type.SEMICOLON].concat(Type.STRING_TYPES);
+    for (var t = token.next; t && !_.contains(endTypes, t.type); t = t.next) {
+        if (t.type != Type.IDENTIFIER || _.contains(['as', 'from'], t.string)) {
+            continue;
+        }
+
+        // The imported name of "bar as qux" is not bound locally.
+        var nextCode = searchExcept(t, Type.NON_CODE_TYPES);
+        if (!nextCode || nextCode.string != 'as') {
+            bindings.push(t);
+        }
+    }
+    return bindings;
+};
+
+
+/**
+ * Returns the goog.require token of a variable declaration aliasing it, as in
+ *   const Foo = goog.require('a.Foo');
+ * @param {Token} token A variable keyword token.
+ * @return {?Token} The goog.require token, or null if the variable is not
+ *      assigned a goog.require call.
+ */
+var getAliasedRequireToken = function(token) {
+    var context = token.metadata.context;
+    var assignment = customSearch(token, function(t) {
+        return t.isOperator('=') && t.metadata.context == context;
+    }, function(t) {
+        return t == context.endToken;
+    });
+    var requireToken = assignment && searchExcept(assignment,
+            Type.NON_CODE_TYPES);
+    if (requireToken && requireToken.string == 'goog.require') {
+        return requireToken;
+    }
+    return null;
+};
+
+
+/**
+ * Returns the variable declaration which aliases a goog.require.
+ * @param {Token} token A goog.require token.
+ * @return {?Token} The variable keyword token of the declaration, or null if
+ *      the goog.require is not aliased.
+ */
+var getRequireAliasDeclaration = function(token) {
+    var declaration = token.metadata.context.startToken;
+    if (declaration && declaration.isVariableKeyword() &&
+            getAliasedRequireToken(declaration) == token) {
+        return declaration;
+    }
+    return null;
+};
+
+
+/**
+ * Returns the identifiers referred to by the type of a JsDoc flag.
+ * @param {Token} token A DOC_FLAG token.
+ * @return {Array.<string>} The identifiers in the type, for example
+ *      ['Array', 'my.Foo'] for {Array.<my.Foo>}.
+ */
+var getDocFlagTypeIdentifiers = function(token) {
+    var type = token.attachedObject.type;
+    return (type && type.match(/[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/g)) ||
+            [];
+};
+
+
 /**
  * Returns the first token in an identifier.
  *
@@ -408,6 +488,274 @@ var getTokenRange = function(startToken, endToken) {
     return null;
 };
 
+/**
+ * Returns a shallow copy of token metadata keeping its prototype.
+ * @param {?EcmaMetaData} metadata Metadata to copy.
+ * @return {?EcmaMetaData} The copy.
+ */
+var copyMetadata = function(metadata) {
+    if (!metadata) {
+        return metadata;
+    }
+    return _.extend(Object.create(Object.getPrototypeOf(metadata)), metadata);
+};
+
+
+/**
+ * Deletes the given token from the linked list.
+ * @param {Token} token The token to delete.
+ */
+var deleteToken = function(token) {
+    // When deleting a token, we do not update the deleted token itself to make
+    // sure the previous and next pointers are still pointing to tokens which
+    // are not deleted.  Also it is very hard to keep track of all previously
+    // deleted tokens to update them when their pointers become invalid.  So we
+    // add this flag that any token linked list iteration logic can skip
+    // deleted node safely when its current token is deleted.
+    token.isDeleted = true;
+    if (token.previous) {
+        token.previous.next = token.next;
+    }
+
+    if (token.next) {
+        token.next.previous = token.previous;
+
+        var followingToken = token.next;
+        while (followingToken && followingToken.metadata &&
+                followingToken.metadata.lastCode == token) {
+            followingToken.metadata.lastCode = token.metadata.lastCode;
+            followingToken = followingToken.next;
+        }
+    }
+};
+
+
+/**
+ * Deletes a blank line and updates the line numbers of all subsequent lines.
+ * @param {Token} token The blank line token to delete.
+ */
+var deleteBlankLine = function(token) {
+    deleteToken(token);
+
+    var nextToken = token.next;
+    while (nextToken) {
+        nextToken.lineNumber--;
+        nextToken = nextToken.next;
+    }
+};
+
+
+/**
+ * Deletes the given number of tokens starting with the given token.
+ * @param {Token} token The token to start deleting at.
+ * @param {number} tokenCount The total number of tokens to delete.
+ */
+var deleteTokens = function(token, tokenCount) {
+    _.each(_.range(1, tokenCount), function() {
+        deleteToken(token.next);
+    });
+    deleteToken(token);
+};
+
+
+/**
+ * Insert newToken before token.
+ * @param {Token} newToken A token to be added to the stream.
+ * @param {Token} token A token already in the stream.
+ */
+var insertTokenBefore = function(newToken, token) {
+    newToken.next = token;
+    newToken.previous = token.previous;
+
+    newToken.metadata = copyMetadata(token.metadata);
+
+    if (newToken.isCode() && token.metadata) {
+        var oldLastCode = token.metadata.lastCode;
+        var followingToken = token;
+        while (followingToken && followingToken.metadata &&
+                followingToken.metadata.lastCode == oldLastCode) {
+            followingToken.metadata.lastCode = newToken;
+            followingToken = followingToken.next;
+        }
+    }
+
+    token.previous = newToken;
+    if (newToken.previous) {
+        newToken.previous.next = newToken;
+    }
+
+    if (newToken.startIndex == null) {
+        if (newToken.lineNumber == token.lineNumber) {
+            newToken.startIndex = token.startIndex;
+        } else {
+            var previousToken = newToken.previous;
+            if (previousToken) {
+                newToken.startIndex = previousToken.startIndex +
+                        previousToken.string.length;
+            } else {
+                newToken.startIndex = 0;
+            }
+        }
+
+        var iterator = newToken.next;
+        while (iterator && iterator.lineNumber == newToken.lineNumber) {
+            iterator.startIndex += newToken.string.length;
+            iterator = iterator.next;
+        }
+    }
+};
+
+
+/**
+ * Insert newToken after token.
+ * @param {Token} newToken A token to be added to the stream.
+ * @param {Token} token A token already in the stream.
+ */
+var insertTokenAfter = function(newToken, token) {
+    newToken.previous = token;
+    newToken.next = token.next;
+
+    newToken.metadata = copyMetadata(token.metadata);
+
+    if (token.isCode() && newToken.metadata) {
+        newToken.metadata.lastCode = token;
+    }
+
+    if (newToken.isCode()) {
+        var followingToken = token.next;
+        while (followingToken && followingToken.metadata &&
+                followingToken.metadata.lastCode == token) {
+            followingToken.metadata.lastCode = newToken;
+            followingToken = followingToken.next;
+        }
+    }
+
+    token.next = newToken;
+    if (newToken.next) {
+        newToken.next.previous = newToken;
+    }
+
+    if (newToken.startIndex == null) {
+        if (newToken.lineNumber == token.lineNumber) {
+            newToken.startIndex = token.startIndex + token.string.length;
+        } else {
+            newToken.startIndex = 0;
+        }
+
+        var iterator = newToken.next;
+        while (iterator && iterator.lineNumber == newToken.lineNumber) {
+            iterator.startIndex += newToken.string.length;
+            iterator = iterator.next;
+        }
+    }
+};
+
+
+/**
+ * Insert multiple tokens after token.
+ * @param {Array.<Token>} newTokens An array of tokens to be added to the
+ *      stream.
+ * @param {Token} token A token already in the stream.
+ */
+var insertTokensAfter = function(newTokens, token) {
+    var currentToken = token;
+    _.each(newTokens, function(newToken) {
+        insertTokenAfter(newToken, currentToken);
+        currentToken = newToken;
+    });
+};
+
+
+/**
+ * Inserts a space token after the given token.
+ * @param {Token} token The token to insert a space token after.
+ */
+var insertSpaceTokenAfter = function(token) {
+    var spaceToken = new javascriptTokens.JavaScriptToken(' ', Type.WHITESPACE,
+            token.line, token.lineNumber);
+    insertTokenAfter(spaceToken, token);
+};
+
+
+/**
+ * Inserts a blank line after the given token.
+ * @param {Token} token The token to insert a blank line after.
+ */
+var insertBlankLineAfter = function(token) {
+    var blankToken = new javascriptTokens.JavaScriptToken('', Type.BLANK_LINE,
+            '', token.lineNumber + 1);
+    insertLineAfter(token, [blankToken]);
+};
+
+
+/**
+ * Inserts a blank line before the given token.
+ * @param {Token} token The first token of the line to insert a blank line
+ *      before.
+ */
+var insertBlankLineBefore = function(token) {
+    var blankToken = new javascriptTokens.JavaScriptToken('', Type.BLANK_LINE,
+            '', token.lineNumber);
+    insertLineBefore(token, [blankToken]);
+};
+
+
+/**
+ * Inserts a new line consisting of newTokens after the given token.
+ * @param {Token} token The token to insert after.
+ * @param {Array.<Token>} newTokens The tokens that will make up the new line.
+ */
+var insertLineAfter = function(token, newTokens) {
+    insertTokensAfter(newTokens, token);
+
+    // Update all subsequent line numbers.
+    var nextToken = _.last(newTokens).next;
+    while (nextToken) {
+        nextToken.lineNumber++;
+        nextToken = nextToken.next;
+    }
+};
+
+
+/**
+ * Inserts a new line consisting of newTokens before the given token.
+ * @param {Token} token The first token of the line to insert before.
+ * @param {Array.<Token>} newTokens The tokens that will make up the new line,
+ *      numbered with the line number of token.
+ */
+var insertLineBefore = function(token, newTokens) {
+    // Update the line numbers of this and all subsequent lines.
+    var nextToken = token;
+    while (nextToken) {
+        nextToken.lineNumber++;
+        nextToken = nextToken.next;
+    }
+
+    _.each(newTokens, function(newToken) {
+        insertTokenBefore(newToken, token);
+    });
+};
+
+
+/**
+ * Splits the token into two tokens at position.
+ * @param {Token} token The token to split.
+ * @param {number} position The position to split at. Will be the beginning of
+ *      second token.
+ * @return {Token} The new second token.
+ */
+var splitToken = function(token, position) {
+    var newString = token.string.substr(position);
+    token.string = token.string.substr(0, position);
+
+    var newToken = new javascriptTokens.JavaScriptToken(newString, token.type,
+            token.line, token.lineNumber);
+    insertTokenAfter(newToken, token);
+
+    return newToken;
+};
+
+
 /**
  * Whether the token represents a "dot" operator (foo.bar).
  * @param {Token} token
@@ -421,13 +769,30 @@ var isDot = function(token) {
 exports.googScopeOrNoneFromStartBlock = googScopeOrNoneFromStartBlock;
 exports.compare = compare;
 exports.customSearch = customSearch;
+exports.deleteBlankLine = deleteBlankLine;
+exports.deleteToken = deleteToken;
+exports.deleteTokens = deleteTokens;
+exports.getAliasedRequireToken = getAliasedRequireToken;
 exports.getAllTokensInSameLine = getAllTokensInSameLine;
+exports.getDocFlagTypeIdentifiers = getDocFlagTypeIdentifiers;
 exports.getFirstTokenInPreviousLine = getFirstTokenInPreviousLine;
+exports.getFirstTokenInSameLine = getFirstTokenInSameLine;
+exports.getImportBindings = getImportBindings;
 exports.getIdentifierStart = getIdentifierStart;
 exports.getLastTokenInSameLine = getLastTokenInSameLine;
+exports.getRequireAliasDeclaration = getRequireAliasDeclaration;
 exports.getStringAfterToken = getStringAfterToken;
 exports.getTokenRange = getTokenRange;
+exports.insertBlankLineAfter = insertBlankLineAfter;
+exports.insertBlankLineBefore = insertBlankLineBefore;
+exports.insertLineAfter = insertLineAfter;
+exports.insertLineBefore = insertLineBefore;
+exports.insertSpaceTokenAfter = insertSpaceTokenAfter;
+exports.insertTokenAfter = insertTokenAfter;
+exports.insertTokenBefore = insertTokenBefore;
+exports.insertTokensAfter = insertTokensAfter;
 exports.search = search;
 exports.searchExcept = searchExcept;
 exports.searchUntil = searchUntil;
+exports.splitToken = splitToken;
 exports.getIdentifierForToken = getIdentifierForToken;
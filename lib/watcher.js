@@ -0,0 +1,266 @@
+/**
+ * Watches the checked files for changes, so they are checked again.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+var fileFlags = require('../common/simplefileflags');
+
+
+/**
+ * Time to wait for more changes before reporting them, in milliseconds.
+ * Editors often write a file in several steps.
+ * @type {number}
+ */
+var DELAY = 100;
+
+
+/**
+ * Returns the stats of the file.
+ * @param {string} filename Path to the file.
+ * @return {?fs.Stats} The stats, null when the file does not exist, e.g.
+ *      when it was removed right after it changed.
+ * @private
+ */
+var _stat = function(filename) {
+    try {
+        return fs.statSync(filename);
+    } catch (e) {
+        if (e.code == 'ENOENT') {
+            return null;
+        }
+        throw e;
+    }
+};
+
+
+/**
+ * Watches the directories of the checked files. A directory watcher reports
+ * changes of the files in the directory as well as created, renamed and
+ * removed files, so saves through a temporary file are noticed too.
+ *
+ * Only the directories of the checked files are watched, never .git ones.
+ * Files created in them under one of the roots are checked too, other files
+ * are not.
+ *
+ * @param {Array.<string>} paths Paths to the checked files, relative ones are
+ *      resolved against the current directory.
+ * @param {Array.<string>} roots Paths to the directories given by the user,
+ *      e.g. the --recurse root, new files in which are checked.
+ * @param {Array.<string>} suffixes Suffixes of files to check.
+ * @param {Options} options Options of the run.
+ * @constructor
+ */
+var Watcher = function(paths, roots, suffixes, options) {
+    this._paths = _.map(paths, function(filename) {
+        return path.resolve(filename);
+    }).sort();
+    // A given file removed and created again is checked again.
+    this._givenPaths = this._paths;
+    this._roots = _.map(roots, function(dir) {
+        return path.resolve(dir);
+    });
+    this._suffixes = suffixes;
+    this._options = options;
+
+    /**
+     * Absolute paths to the files which existed in the watched directories
+     * when they were first watched, or were seen since.
+     * @type {Object.<string, boolean>}
+     * @private
+     */
+    this._knownFiles = {};
+
+    /**
+     * Watchers by absolute path of the watched directory.
+     * @type {Object.<string, fs.FSWatcher>}
+     * @private
+     */
+    this._watchers = {};
+
+    /**
+     * Paths changed since the changes were last reported.
+     * @type {Array.<string>}
+     * @private
+     */
+    this._pendingPaths = [];
+
+    this._timeout = null;
+    this._callback = null;
+};
+
+
+/**
+ * Returns the checked files.
+ * @return {Array.<string>} Sorted absolute paths to the files.
+ */
+Watcher.prototype.getPaths = function() {
+    return this._paths;
+};
+
+
+/**
+ * Starts watching the directories of the checked files.
+ *
+ * @param {function(Array.<string>, Array.<string>)} callback Called with
+ *      the paths of changed or created files and the paths of removed files.
+ */
+Watcher.prototype.start = function(callback) {
+    this._callback = callback;
+
+    _.each(_.uniq(_.map(this._paths, path.dirname)), this._watch, this);
+
+    // Files already there when watching starts are not created later.
+    _.each(_.keys(this._watchers), function(dir) {
+        var files;
+        try {
+            files = fs.readdirSync(dir);
+        } catch (e) {
+            if (e.code == 'ENOENT') {
+                return;
+            }
+            throw e;
+        }
+        _.each(files, function(file) {
+            this._knownFiles[path.join(dir, file)] = true;
+        }, this);
+    }, this);
+};
+
+
+/**
+ * Stops watching.
+ */
+Watcher.prototype.close = function() {
+    _.invoke(this._watchers, 'close');
+    this._watchers = {};
+    clearTimeout(this._timeout);
+};
+
+
+/**
+ * Watches the directory.
+ * @param {string} dir Absolute path to the directory.
+ * @private
+ */
+Watcher.prototype._watch = function(dir) {
+    if (_.has(this._watchers, dir) ||
+            _.contains(dir.split(path.sep), '.git')) {
+        return;
+    }
+
+    var watcher;
+    try {
+        watcher = fs.watch(dir, _.bind(function(event, filename) {
+            if (filename) {
+                this._onChange(path.join(dir, filename));
+            }
+        }, this));
+    } catch (e) {
+        // The directory was removed before it was watched.
+        if (e.code == 'ENOENT') {
+            return;
+        }
+        throw e;
+    }
+
+    // The directory was removed.
+    watcher.on('error', _.bind(function() {
+        watcher.close();
+        delete this._watchers[dir];
+    }, this));
+
+    this._watchers[dir] = watcher;
+};
+
+
+/**
+ * Returns whether the path is under one of the roots.
+ * @param {string} filename Absolute path.
+ * @return {boolean} Whether the path is under a root.
+ * @private
+ */
+Watcher.prototype._isUnderRoot = function(filename) {
+    return _.some(this._roots, function(dir) {
+        return filename.indexOf(dir + path.sep) == 0;
+    });
+};
+
+
+/**
+ * Returns whether the file is checked, i.e. it has a checked suffix and is
+ * not excluded.
+ * @param {string} filename Absolute path to the file.
+ * @return {boolean} Whether the file is checked.
+ * @private
+ */
+Watcher.prototype._isChecked = function(filename) {
+    try {
+        return !!fileFlags.getFileListForPaths([filename], this._suffixes,
+                this._options).length;
+    } catch (e) {
+        // The configuration of the file is broken, checking the file
+        // reports it.
+        return true;
+    }
+};
+
+
+/**
+ * Records the change of the path and schedules reporting of the changes.
+ * @param {string} filename Absolute path to the changed file or directory.
+ * @private
+ */
+Watcher.prototype._onChange = function(filename) {
+    this._pendingPaths = _.union(this._pendingPaths, [filename]);
+
+    clearTimeout(this._timeout);
+    this._timeout = setTimeout(_.bind(this._reportChanges, this), DELAY);
+};
+
+
+/**
+ * Reports the changed paths to the callback.
+ * @private
+ */
+Watcher.prototype._reportChanges = function() {
+    var changedPaths = [];
+    var removedPaths = [];
+
+    _.each(this._pendingPaths, function(filename) {
+        var stats = _stat(filename);
+        if (!stats) {
+            delete this._knownFiles[filename];
+            if (_.contains(this._paths, filename)) {
+                removedPaths.push(filename);
+            }
+            return;
+        }
+
+        var created = !_.has(this._knownFiles, filename);
+        this._knownFiles[filename] = true;
+        if (!stats.isFile()) {
+            return;
+        }
+
+        if (_.contains(this._paths, filename) ||
+                _.contains(this._givenPaths, filename) ||
+                created && this._isUnderRoot(filename) &&
+                this._isChecked(filename)) {
+            changedPaths.push(filename);
+        }
+    }, this);
+
+    this._pendingPaths = [];
+    this._paths = _.union(_.difference(this._paths, removedPaths),
+            changedPaths).sort();
+
+    if (changedPaths.length || removedPaths.length) {
+        this._callback(changedPaths.sort(), removedPaths.sort());
+    }
+};
+
+
+exports.Watcher = Watcher;
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Errors in ES2015+ declarations: let, const, classes, arrow
+ * and async functions, generators and for-of loops.
+ */
+
+let count = 0;
+const LIMIT = 10;
+let total = 1 ; // EXTRA_SPACE
+const MAX = 20 // MISSING_SEMICOLON
+
+
+/**
+ * A shape.
+ */
+class Shape {
+  /**
+   * @param {string} name The name.
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {number} x The horizontal offset.
+   * @param {number} y The vertical offset.
+   */
+  move(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * @param {number} x The horizontal offset.
+   * @param {number} z The depth.
+   */
+  moveTo(x, y) { // WRONG_PARAMETER_DOCUMENTATION
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * @return {string} The name.
+   */
+  get label() {
+    return this.name;
+  }
+
+  /**
+   * @param {string} label The name.
+   */
+  set label(label) {
+    this.name = label;
+  }
+
+  /**
+   * @param {string} name The name.
+   * @return {!Shape} The shape.
+   */
+  static create(name) {
+    return new Shape(name);
+  }
+
+  /**
+   * @param {!Promise} ready Resolved when the shape may be drawn.
+   */
+  async draw(ready) {
+    await ready;
+  }
+
+  /**
+   * Yields the corners.
+   */
+  *corners() {
+    yield 4;
+  }
+
+  /**
+   * Yields the names.
+   */
+  static *names() {
+    yield 'shape';
+  }
+
+  /**
+   * Yields the loaded shapes.
+   */
+  async *load() {
+    yield 'shape';
+  }
+}
+
+
+var Point = class {
+  /**
+   * @param {number} x The horizontal position.
+   */
+  constructor(x) {
+    this.x = x;
+  }
+};
+var Empty = class {
+} // MISSING_SEMICOLON
+exports = class extends Shape {
+};
+var attrs = {class: 'big', default: 1};
+var sequences = {
+  *numbers() {
+    yield 1;
+  },
+  async load() {
+    await ready;
+  },
+  async *pages() {
+    yield 1;
+  }
+};
+if (attrs) {
+  draw(attrs);
+}
+
+
+var square = (x) => x * x;
+var double = x => 2 * x;
+var noop = () => {};
+var add = (a, b) => {
+  return a + b;
+};
+var sub = (a, b)=> a - b; // MISSING_SPACE
+var load = async (url) => {
+  return await fetch(url);
+};
+var wait = async ms => ms;
+
+
+/**
+ * @param {!Array.<number>} items The items.
+ */
+async function sum(items) {
+  for (const item of items) {
+    count += item;
+  }
+  for (let [key, value] of pairs) {
+    total += key * value;
+  }
+  for (const {x} of points) {
+    total += x;
+  }
+  for (const item of[1, 2]) { // MISSING_SPACE
+    total += item;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Errors in ES module import and export declarations.
+ */
+
+import {Layer as Sprite} from './sprite';
+import './polyfill';
+// +1: IMPORTS_NOT_ALPHABETIZED
+import {Bitmap} from './bitmap';
+import * as colors from './colors';
+import Canvas from './canvas';
+import {Unused} from './unused'; // UNUSED_IMPORT
+
+
+/**
+ * @param {!Bitmap} bitmap The bitmap.
+ * @return {!Canvas} The canvas.
+ */
+export function draw(bitmap) {
+  return new Canvas(bitmap, colors.BLACK);
+}
+
+
+/**
+ * @param {!Sprite} sprite The sprite.
+ * @param {number} y The vertical offset.
+ */
+export function move(sprite, x) { // WRONG_PARAMETER_DOCUMENTATION
+  sprite.x = x;
+}
+
+
+/**
+ * A layer of sprites.
+ */
+export default class Stage {
+  /**
+   * @param {string} name The name.
+   */
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+
+/**
+ * The default size.
+ * @type {number}
+ */
+export const SIZE = 10;
+
+export {draw as paint};
+export {Canvas} from './canvas';
+export * from './colors';
+var x = 1 ; // EXTRA_SPACE
+
+// Imports are hoisted, so these bindings are used.
+var hoisted = new Later(Earlier);
+import {Later} from './later';
+import {Earlier} from './earlier';
@@ -17,6 +17,8 @@
  * @author robbyw@google.com (Robby Walker)
  * @author  robbyw@google.com  (Robby Walker)
  * @author robbyw@google.com(Robby Walker)
+ * @author Robby Walker (robbyw@google.com)
+ * @author Robby (robbyw@google.com)
  * @author robbyw@google.com
  * @author robbyw@google.com Robby
  */
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Errors in goog.module files.
+ */
+
+goog.module('dummy.module');
+goog.provide('dummy.module.Legacy'); // INVALID_USE_OF_GOOG_MODULE
+goog.module.declareLegacyNamespace(); // INVALID_USE_OF_GOOG_MODULE
+
+const Bar = goog.require('dummy.Bar');
+goog.require('dummy.Lazy');
+const {baz} = goog.require('dummy.baz');
+goog.require('dummy.sideEffect');
+
+
+/**
+ * @return {number} The sum.
+ */
+exports.sum = function() {
+  return Bar.x + baz() + goog.module.get('dummy.Lazy').y +
+      goog.module.get('dummy.NotRequired').z;
+};
+
+
+/**
+ * Assigns the exports too late.
+ */
+exports.init = function() {
+  exports.late = 1; // INVALID_GOOG_MODULE_EXPORTS
+};
+
+
+/** @type {number} */
+dummy.module.value = 1; // INVALID_GOOG_MODULE_EXPORTS
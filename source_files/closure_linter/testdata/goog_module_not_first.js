@@ -0,0 +1,10 @@
+/**
+ * @fileoverview A goog.module declaration which is not the first statement.
+ */
+
+var x = 1;
+goog.module('dummy.notFirst'); // INVALID_USE_OF_GOOG_MODULE
+
+
+/** @type {number} */
+exports.x = x;
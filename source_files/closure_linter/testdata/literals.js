@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Errors around ES2015+ numeric and regular expression
+ * literals, Unicode identifiers, operators and for-await loops.
+ */
+
+var binary = 0b1010 + 0B11;
+var octal = 0o17 + 0O7;
+var hex = 0xFF + 0x1_0;
+var separated = 1_000_000 + 1_000.5 + 1e1_0 + .5_5;
+var big = 10n + 0x1Fn + 0b1n + 0o7n;
+var exponent = 1.5e-3 * 2E+10;
+var sticky = /a+/y.test('aa');
+var unicode = /\u{1F600}/u;
+var indices = /a(?<name>b)/dg;
+var café = 1;
+var π = 3.14;
+var ünïcode = café + π;
+var $élan = ünïcode;
+var noSpace = 0b1+1; // MISSING_SPACE, MISSING_SPACE
+var spaced = big ; // EXTRA_SPACE
+var beforeRegex = 'a'.replace(/a/u,'b'); // MISSING_SPACE
+var añadir=1; // MISSING_SPACE, MISSING_SPACE
+var chained = big?.x ?? hex?.[0] ?? big?.toString();
+var conditional = big ? .5 : 1;
+var power = 2 ** 10;
+power **= 2;
+chained ??= 1;
+chained ||= 2;
+chained &&= 3;
+var noSpacePower = 2**10; // MISSING_SPACE, MISSING_SPACE
+chained??=1; // MISSING_SPACE, MISSING_SPACE
+
+
+/**
+ * @param {!AsyncIterable.<number>} items The items.
+ */
+async function sum(items) {
+  for await (const item of items) {
+    power += item;
+  }
+  for await (const item of items) power += item;
+}
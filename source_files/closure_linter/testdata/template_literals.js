@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Errors in and around ES2015 template literals.
+ */
+
+var name = 'x';
+var greeting = `Hello ${name}!`;
+var empty = ``;
+var multiLine = `first line
+second line ${name}
+third line`;
+var nested = `a ${`b ${name} c`} d`;
+var withObject = `${JSON.stringify({a: {b: 1}})}`;
+var withArray = `${[1, 2].map(function(x) {
+  return x * 2;
+})}`;
+var tagged = String.raw`\n${name}`;
+var notSpaced = `${name +'y'}`; // MISSING_SPACE
+var doubleQuoted = `${"y"}`; // UNNECESSARY_DOUBLE_QUOTED_STRING
+// +1: MULTI_LINE_STRING
+var continued = 'first \
+second';
+var missing = `${name}` // MISSING_SEMICOLON
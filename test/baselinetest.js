@@ -0,0 +1,97 @@
+/**
+ * Tests for the baseline files recording existing errors.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+var baseline = require('../lib/baseline');
+var options = require('../lib/options');
+var runner = require('../lib/runner');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Tests that errors recorded in the baseline stay old when lines are added
+ * above them, and that other errors are new.
+ */
+exports.testMarkNewErrors = function() {
+    testUtil.withTempDir(function(dir) {
+        var baselineFile = path.join(dir, 'baseline.json');
+        var filename = path.join(dir, 'a.js');
+        var runOptions = options.create();
+
+        fs.writeFileSync(filename, 'var x = 1 ;\nvar y = "y";\n');
+        baseline.write(baselineFile, runner.checkPath(filename, runOptions));
+
+        fs.writeFileSync(filename,
+                'var w = 1 ;\n\nvar x = 1 ;\nvar y = "y";\n');
+        var errorRecords = runner.checkPath(filename, runOptions);
+        baseline.markNewErrors(baselineFile, errorRecords);
+
+        assert.deepEqual(_.map(errorRecords, function(record) {
+            return [record.line, record.name, record.newError];
+        }), [
+            [1, 'EXTRA_SPACE', true],
+            [3, 'EXTRA_SPACE', false],
+            [4, 'UNNECESSARY_DOUBLE_QUOTED_STRING', false]
+        ]);
+    });
+};
+
+
+/**
+ * Tests that every recorded error matches one error at most.
+ */
+exports.testRecordedCount = function() {
+    testUtil.withTempDir(function(dir) {
+        var baselineFile = path.join(dir, 'baseline.json');
+        var filename = path.join(dir, 'a.js');
+        var runOptions = options.create();
+
+        fs.writeFileSync(filename, 'var x = 1 ;\n');
+        baseline.write(baselineFile, runner.checkPath(filename, runOptions));
+
+        fs.writeFileSync(filename, 'var x = 1 ;\nvar x = 1 ;\n');
+        var errorRecords = runner.checkPath(filename, runOptions);
+        baseline.markNewErrors(baselineFile, errorRecords);
+
+        assert.deepEqual(_.pluck(errorRecords, 'newError'), [false, true]);
+    });
+};
+
+
+/**
+ * Tests that baseline files of another format version are rejected.
+ */
+exports.testUnsupportedVersion = function() {
+    testUtil.withTempDir(function(dir) {
+        var baselineFile = path.join(dir, 'baseline.json');
+        fs.writeFileSync(baselineFile,
+                JSON.stringify({version: 2, files: {}}));
+
+        assert.throws(function() {
+            baseline.markNewErrors(baselineFile, []);
+        }, /Unsupported version 2 of baseline file/);
+    });
+};
+
+
+/**
+ * Tests that baseline files without the recorded files are rejected.
+ */
+exports.testMalformedBaseline = function() {
+    testUtil.withTempDir(function(dir) {
+        var baselineFile = path.join(dir, 'baseline.json');
+        _.each(['{"version": 1}', 'null', '{"version": 1, "files": []}'],
+                function(content) {
+            fs.writeFileSync(baselineFile, content);
+            assert.throws(function() {
+                baseline.markNewErrors(baselineFile, []);
+            }, /^Error: Cannot read baseline file .*baseline\.json: /);
+        });
+    });
+};
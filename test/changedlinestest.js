@@ -0,0 +1,178 @@
+/**
+ * Tests for the lines changed relative to a git revision or in a diff.
+ */
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+var error = require('../common/error');
+
+var changedLines = require('../lib/changedlines');
+var errors = require('../lib/errors');
+var javascriptTokens = require('../lib/javascripttokens');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Tests the added and modified lines of a unified diff.
+ */
+exports.testParseDiff = function() {
+    var diff = [
+        'diff --git a/lib/a.js b/lib/a.js',
+        '--- a/lib/a.js',
+        '+++ b/lib/a.js',
+        '@@ -2 +2,2 @@ var a;',
+        '-var b;',
+        '+var b = 1;',
+        '+var c;',
+        '@@ -10,2 +11,0 @@',
+        '-var d;',
+        '-var e;',
+        '@@ -20 +19,3 @@',
+        ' var f;',
+        '+var g;',
+        ' var h;',
+        'diff --git a/b.js b/b.js',
+        'deleted file mode 100644',
+        '--- a/b.js',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-var b;'
+    ].join('\n');
+
+    var expected = {};
+    expected[path.resolve('/base/lib/a.js')] = [2, 3, 20];
+    assert.deepEqual(changedLines.parseDiff(diff, '/base'), expected);
+};
+
+
+/**
+ * Tests that added and removed lines looking like file headers are counted
+ * as lines of their hunk.
+ */
+exports.testParseDiffHeaderLikeLines = function() {
+    var diff = [
+        '--- a/a.js',
+        '+++ b/a.js',
+        '@@ -1,3 +1,3 @@',
+        ' var a;',
+        '--- removed',
+        '+++ added',
+        ' var b;',
+        '@@ -8 +8 @@',
+        '-var c;',
+        '+var d;'
+    ].join('\n');
+
+    var expected = {};
+    expected[path.resolve('/base/a.js')] = [2, 8];
+    assert.deepEqual(changedLines.parseDiff(diff, '/base'), expected);
+};
+
+
+/**
+ * Tests that only errors on the changed lines and file errors are kept.
+ */
+exports.testFilterErrors = function() {
+    var makeError = function(lineNumber) {
+        var token = new javascriptTokens.JavaScriptToken('x',
+                javascriptTokens.JavaScriptTokenType.IDENTIFIER, 'x',
+                lineNumber);
+        return new error.Error(errors.Errors.EXTRA_SPACE, 'Extra space',
+                token);
+    };
+    var fileError = new error.Error(errors.Errors.FILE_NOT_FOUND,
+            'File not found.');
+    var errs = [makeError(1), makeError(2), makeError(3), fileError];
+
+    assert.deepEqual(changedLines.filterErrors(errs, [2, 3]),
+            [errs[1], errs[2], fileError]);
+};
+
+
+/**
+ * Runs git in the directory.
+ * @param {string} dir The directory.
+ * @param {Array.<string>} args The arguments.
+ * @private
+ */
+var _git = function(dir, args) {
+    var identity = ['-c', 'user.name=gjslint',
+        '-c', 'user.email=gjslint@example.com'];
+    childProcess.execFileSync('git', identity.concat(args),
+            {cwd: dir, stdio: 'ignore'});
+};
+
+
+/**
+ * Returns the lines changed since HEAD in the directory.
+ * @param {string} dir The directory.
+ * @return {Object.<string, Array.<number>>} The changed lines.
+ * @private
+ */
+var _getChangedSinceHead = function(dir) {
+    var cwd = process.cwd();
+    process.chdir(dir);
+    try {
+        return changedLines.getChangedSince('HEAD');
+    } finally {
+        process.chdir(cwd);
+    }
+};
+
+
+/**
+ * Tests lines changed since a revision, including untracked files.
+ */
+exports.testGetChangedSince = function() {
+    testUtil.withTempDir(function(dir) {
+        var git = _.partial(_git, dir);
+
+        git(['init', '-q']);
+        fs.writeFileSync(path.join(dir, '.gitignore'), 'ignored.js\n');
+        fs.writeFileSync(path.join(dir, 'tracked.js'), 'var a;\nvar b;\n');
+        git(['add', '.']);
+        git(['commit', '-q', '-m', 'Initial commit']);
+
+        fs.writeFileSync(path.join(dir, 'tracked.js'), 'var a;\nvar c;\n');
+        fs.mkdirSync(path.join(dir, 'lib'));
+        fs.writeFileSync(path.join(dir, 'lib', 'new.js'), 'var d;\nvar e;');
+        fs.writeFileSync(path.join(dir, 'ignored.js'), 'var f;\n');
+
+        var expected = {};
+        expected[path.join(dir, 'tracked.js')] = [2];
+        expected[path.join(dir, 'lib', 'new.js')] = [1, 2];
+        assert.deepEqual(_getChangedSinceHead(path.join(dir, 'lib')),
+                expected);
+    });
+};
+
+
+/**
+ * Tests that the diff prefixes configured by the user do not change the
+ * paths of changed files.
+ */
+exports.testGetChangedSinceConfiguredPrefix = function() {
+    testUtil.withTempDir(function(dir) {
+        var git = _.partial(_git, dir);
+
+        git(['init', '-q']);
+        fs.writeFileSync(path.join(dir, 'tracked.js'), 'var a;\nvar b;\n');
+        git(['add', '.']);
+        git(['commit', '-q', '-m', 'Initial commit']);
+        fs.writeFileSync(path.join(dir, 'tracked.js'), 'var a;\nvar c;\n');
+
+        var expected = {};
+        expected[path.join(dir, 'tracked.js')] = [2];
+
+        git(['config', 'diff.mnemonicPrefix', 'true']);
+        assert.deepEqual(_getChangedSinceHead(dir), expected);
+
+        git(['config', 'diff.noprefix', 'true']);
+        assert.deepEqual(_getChangedSinceHead(dir), expected);
+    });
+};
@@ -0,0 +1,63 @@
+/**
+ * Tests for the worker process checking files for gjslint.js --jobs.
+ */
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var path = require('path');
+var _ = require('underscore');
+
+var options = require('../lib/options');
+var runner = require('../lib/runner');
+
+
+/**
+ * Directory of the annotated files.
+ * @type {string}
+ */
+var TESTDATA_DIR = path.join(__dirname, '..', 'source_files',
+        'closure_linter', 'testdata');
+
+
+/**
+ * Tests that the worker replies to every path with the errors found in it,
+ * checked with the options it was sent first, and exits when disconnected.
+ * @param {function(Error=)} done Called when the test is done.
+ */
+exports.testMessages = function(done) {
+    var runOptions = options.create({strict: true});
+    var paths = [path.join(TESTDATA_DIR, 'spaces.js'),
+        path.join(TESTDATA_DIR, 'missing.js')];
+    var messages = [];
+
+    var worker = childProcess.fork(
+            path.join(__dirname, '..', 'lib', 'checkworker.js'));
+    worker.on('message', function(message) {
+        messages.push(message);
+        if (messages.length == paths.length) {
+            worker.disconnect();
+        }
+    });
+    worker.on('exit', function(code, signal) {
+        try {
+            assert.equal(code, 0);
+            assert.equal(signal, null);
+            assert.deepEqual(messages, _.map(paths, function(path) {
+                return {
+                    path: path,
+                    errorRecords: JSON.parse(JSON.stringify(
+                            runner.checkPath(path, runOptions)))
+                };
+            }));
+        } catch (e) {
+            done(e);
+            return;
+        }
+        done();
+    });
+
+    worker.send({options: runOptions.toJSON()});
+    _.each(paths, function(path) {
+        worker.send({path: path});
+    });
+};
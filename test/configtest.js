@@ -0,0 +1,160 @@
+/**
+ * Tests for the project configuration files.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var _ = require('underscore');
+
+var config = require('../lib/config');
+var options = require('../lib/options');
+var runner = require('../lib/runner');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Writes the files, creating their directories.
+ * @param {string} dir The base directory.
+ * @param {Object.<string, Object|string>} files Contents of the files, JSON
+ *      objects or text, by path relative to the directory.
+ * @private
+ */
+var _writeFiles = function(dir, files) {
+    _.each(files, function(content, filename) {
+        filename = path.join(dir, filename);
+        fs.mkdirSync(path.dirname(filename), {recursive: true});
+        fs.writeFileSync(filename, _.isString(content) ? content :
+                JSON.stringify(content));
+    });
+};
+
+
+/**
+ * Tests that nearer configurations override the ones found upward.
+ */
+exports.testNestedOverride = function() {
+    testUtil.withTempDir(function(dir) {
+        _writeFiles(dir, {
+            '.gjslintrc': {root: true, strict: true, max_line_length: 100},
+            'sub/.gjslintrc': {max_line_length: 120, disable: '0110'}
+        });
+
+        assert.deepEqual(config.getDirectoryConfig(path.join(dir, 'sub')),
+                {strict: true, max_line_length: 120, disable: ['0110']});
+        assert.deepEqual(config.getDirectoryConfig(dir),
+                {strict: true, max_line_length: 100});
+    });
+};
+
+
+/**
+ * Tests that the search stops at a configuration with "root": true.
+ */
+exports.testRoot = function() {
+    testUtil.withTempDir(function(dir) {
+        _writeFiles(dir, {
+            '.gjslintrc': {root: true, strict: true},
+            'sub/.gjslintrc': {root: true, jsdoc: false}
+        });
+
+        assert.deepEqual(config.getDirectoryConfig(path.join(dir, 'sub')),
+                {jsdoc: false});
+    });
+};
+
+
+/**
+ * Tests the configuration under the "gjslint" key of package.json, and that
+ * a package.json without it is skipped.
+ */
+exports.testPackageJson = function() {
+    testUtil.withTempDir(function(dir) {
+        _writeFiles(dir, {
+            'package.json': {name: 'a', gjslint: {root: true, strict: true}},
+            'sub/package.json': {name: 'b'},
+            'sub/sub/package.json': {name: 'c', gjslint: {jsdoc: false}}
+        });
+
+        assert.deepEqual(config.getDirectoryConfig(dir), {strict: true});
+        assert.deepEqual(config.getDirectoryConfig(path.join(dir, 'sub')),
+                {strict: true});
+        assert.deepEqual(
+                config.getDirectoryConfig(path.join(dir, 'sub', 'sub')),
+                {strict: true, jsdoc: false});
+    });
+};
+
+
+/**
+ * Tests that a malformed package.json is skipped with a warning.
+ */
+exports.testMalformedPackageJson = function() {
+    testUtil.withTempDir(function(dir) {
+        _writeFiles(dir, {
+            '.gjslintrc': {root: true, strict: true},
+            'sub/package.json': '{"name": '
+        });
+
+        var consoleError = console.error;
+        var warnings = [];
+        console.error = function() {
+            warnings.push(util.format.apply(util, arguments));
+        };
+        try {
+            assert.deepEqual(config.getDirectoryConfig(path.join(dir, 'sub')),
+                    {strict: true});
+        } finally {
+            console.error = consoleError;
+        }
+
+        assert.equal(warnings.length, 1);
+        assert.ok(/^WARNING: Skipping .*package\.json: /.test(warnings[0]));
+    });
+};
+
+
+/**
+ * Tests that malformed and invalid configuration files are rejected.
+ */
+exports.testInvalidConfig = function() {
+    testUtil.withTempDir(function(dir) {
+        _writeFiles(dir, {
+            'malformed/.gjslintrc': '{"strict": ',
+            'unknown/.gjslintrc': {root: true, bogus: 1},
+            'disable/.gjslintrc': {root: true, disable: ['BOGUS']}
+        });
+
+        assert.throws(function() {
+            config.getDirectoryConfig(path.join(dir, 'malformed'));
+        }, /^Error: Invalid configuration file .*\.gjslintrc: /);
+        assert.throws(function() {
+            config.getDirectoryConfig(path.join(dir, 'malformed'));
+        }, config.ConfigError);
+        assert.throws(function() {
+            config.getDirectoryConfig(path.join(dir, 'unknown'));
+        }, /Unknown option "bogus" in .*\.gjslintrc/);
+        assert.throws(function() {
+            config.getDirectoryConfig(path.join(dir, 'disable'));
+        }, /Invalid configuration file .*\.gjslintrc: Invalid error "BOGUS"/);
+    });
+};
+
+
+/**
+ * Tests that errors disabled by their names are not reported.
+ */
+exports.testDisableByName = function() {
+    testUtil.withTempDir(function(dir) {
+        _writeFiles(dir, {
+            '.gjslintrc': {root: true, disable: ['EXTRA_SPACE']},
+            'a.js': 'var a = 1 ;\nvar b = "b";\n'
+        });
+
+        assert.deepEqual(_.pluck(runner.checkPath(path.join(dir, 'a.js'),
+                options.create()), 'name'),
+                ['UNNECESSARY_DOUBLE_QUOTED_STRING']);
+    });
+};
@@ -0,0 +1,105 @@
+/**
+ * Tests for the comment directives disabling errors.
+ */
+
+var assert = require('assert');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var options = require('../lib/options');
+var runner = require('../lib/runner');
+
+
+/**
+ * Checks the source and returns the found errors.
+ * @param {Array.<string>} lines Lines of the source.
+ * @param {Object} opt_values Values of the options.
+ * @return {Array.<string>} The errors in the reported order, e.g.
+ *      "2: EXTRA_SPACE".
+ * @private
+ */
+var _check = function(lines, opt_values) {
+    var errorRecords = runner.checkPath('directives.js',
+            options.create(opt_values), lines.join('\n') + '\n');
+    return _.map(errorRecords, function(record) {
+        return _s.sprintf('%d: %s', record.line, record.name);
+    });
+};
+
+
+/**
+ * Tests directives disabling errors on a single line.
+ */
+exports.testDisableLine = function() {
+    assert.deepEqual(_check([
+        'var a = 1 ; // gjslint-disable-line',
+        'var b = 1 ;',
+        '// gjslint-disable-next-line EXTRA_SPACE',
+        'var c = 1 ;',
+        'var d = 1 ; // gjslint-disable-line 0110'
+    ]), ['2: EXTRA_SPACE', '5: EXTRA_SPACE']);
+};
+
+
+/**
+ * Tests disabling errors until they are enabled again.
+ */
+exports.testDisableEnable = function() {
+    assert.deepEqual(_check([
+        '// gjslint-disable',
+        'var a = 1 ;',
+        '/* gjslint-enable 0001 */',
+        'var b = 1 ;',
+        'var c = "c";',
+        '// gjslint-enable',
+        'var d = "d";'
+    ]), ['4: EXTRA_SPACE', '7: UNNECESSARY_DOUBLE_QUOTED_STRING']);
+};
+
+
+/**
+ * Tests disabling errors in the whole file, wherever the directive is.
+ */
+exports.testDisableFile = function() {
+    assert.deepEqual(_check([
+        'var a = 1 ;',
+        'var b = "b";',
+        '// gjslint-disable-file EXTRA_SPACE'
+    ]), ['2: UNNECESSARY_DOUBLE_QUOTED_STRING']);
+};
+
+
+/**
+ * Tests that unknown errors in directives are reported.
+ */
+exports.testInvalidDirective = function() {
+    assert.deepEqual(_check([
+        '// gjslint-disable-next-line 0001, bogus',
+        'var a = 1 ;'
+    ]), ['1: INVALID_DISABLE_DIRECTIVE']);
+};
+
+
+/**
+ * Tests that directives disabling no errors are reported when asked for, in
+ * their position among the other errors.
+ */
+exports.testUnnecessaryDirective = function() {
+    var lines = [
+        'var a = 1 ;',
+        '// gjslint-disable-next-line 0001',
+        'var b = 1;',
+        'var c = 1 ;',
+        'var d = 1 ; // gjslint-disable-line 0110'
+    ];
+
+    assert.deepEqual(_check(lines),
+            ['1: EXTRA_SPACE', '4: EXTRA_SPACE', '5: EXTRA_SPACE']);
+    assert.deepEqual(_check(lines, {report_unused_directives: true}), [
+        '1: EXTRA_SPACE',
+        '2: UNNECESSARY_DISABLE_DIRECTIVE',
+        '4: EXTRA_SPACE',
+        '5: EXTRA_SPACE',
+        '5: UNNECESSARY_DISABLE_DIRECTIVE'
+    ]);
+};
@@ -0,0 +1,170 @@
+/**
+ * Test case that runs the linter on a file, matching errors against
+ * annotations.
+ *
+ * The linter is run on the given file, accumulating all errors. The list of
+ * errors is then matched against those annotated in the file. An annotation
+ * is a comment listing names of errors, e.g. "// MISSING_SPACE". It applies to
+ * its own line, unless it starts with a line number, e.g. "// 12: EXTRA_SPACE"
+ * or a relative one, e.g. "// +1: EXTRA_SPACE, MISSING_SEMICOLON".
+ *
+ * Every found error must also be located within the token it is reported on.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var errorAccumulator = require('../common/erroraccumulator');
+
+var errors = require('../lib/errors');
+var runner = require('../lib/runner');
+
+
+/**
+ * Matches a //, followed by an optional line number with a +/-, followed by a
+ * list of error names.
+ * @type {RegExp}
+ */
+var EXPECTED_RE = RegExp(
+    '\\s*//\\s*(?:([+-]?[0-9]+):)?' +
+    '\\s*([A-Z][A-Z_]+(?:,\\s*[A-Z][A-Z_]+)*)');
+
+
+/**
+ * Formats an error for comparison.
+ * @param {number} line The line of the error.
+ * @param {string} name The name of the error.
+ * @return {string} The error, e.g. "12: EXTRA_SPACE".
+ * @private
+ */
+var _formatMessage = function(line, name) {
+    return _s.sprintf('%d: %s', line, name);
+};
+
+
+/**
+ * Parses the source and gets a sorted list of expected errors.
+ * @param {string} source The annotated source.
+ * @return {Array.<string>} The expected errors.
+ */
+var getExpectedMessages = function(source) {
+    var messages = [];
+    _.each(source.split('\n'), function(lineString, i) {
+        var match = EXPECTED_RE.exec(lineString);
+        if (!match) {
+            return;
+        }
+
+        var line = i + 1;
+        if (match[1] && /^[+-]/.test(match[1])) {
+            line += parseInt(match[1], 10);
+        } else if (match[1]) {
+            line = parseInt(match[1], 10);
+        }
+
+        _.each(match[2].split(','), function(name) {
+            name = _s.trim(name);
+            // Ignore a spurious message from the license preamble.
+            if (name != 'WITHOUT') {
+                messages.push(_formatMessage(line, name));
+            }
+        });
+    });
+
+    return messages.sort();
+};
+
+
+/**
+ * Runs the linter on the file.
+ * @param {string} filename Path to the file.
+ * @param {Options} runOptions Options of the run.
+ * @return {Array.<Error>} The found errors.
+ * @private
+ */
+var _getErrors = function(filename, runOptions) {
+    var errorHandler = new errorAccumulator.ErrorAccumulator();
+    runner.run(filename, errorHandler, null, runOptions);
+    return errorHandler.getErrors();
+};
+
+
+/**
+ * Formats the errors for comparison.
+ * @param {Array.<Error>} errs The errors.
+ * @return {Array.<string>} The sorted errors.
+ * @private
+ */
+var _formatMessages = function(errs) {
+    return _.map(errs, function(error) {
+        return _formatMessage(error.token ? error.token.lineNumber : 0,
+                errors.getName(error.code));
+    }).sort();
+};
+
+
+/**
+ * Runs the linter on the file and gets a sorted list of found errors.
+ * @param {string} filename Path to the file.
+ * @param {Options} runOptions Options of the run.
+ * @return {Array.<string>} The found errors.
+ */
+var getMessages = function(filename, runOptions) {
+    return _formatMessages(_getErrors(filename, runOptions));
+};
+
+
+/**
+ * Asserts that the errors are located within the tokens they are reported
+ * on.
+ * @param {string} filename Path to the file.
+ * @param {Array.<Error>} errs The errors found in the file.
+ * @private
+ */
+var _assertLocations = function(filename, errs) {
+    _.each(errs, function(error) {
+        if (!error.token) {
+            return;
+        }
+
+        var token = error.token;
+        var location = error.getLocation();
+        var start = token.startIndex + 1;
+        assert.ok(location.line == token.lineNumber &&
+                location.endLine == token.lineNumber &&
+                start <= location.column &&
+                location.column <= location.endColumn &&
+                location.endColumn <= start + token.string.length,
+                _s.sprintf('%s in %s is located at %d:%d-%d, outside of ' +
+                        'its token "%s" at %d:%d.', errors.getName(error.code),
+                        filename, location.line, location.column,
+                        location.endColumn, token.string, token.lineNumber,
+                        start));
+    });
+};
+
+
+/**
+ * Asserts that the errors found in the file are exactly those annotated and
+ * located within their tokens.
+ * @param {string} filename Path to the file.
+ * @param {Options} runOptions Options of the run.
+ */
+var assertAnnotatedErrors = function(filename, runOptions) {
+    var expected = getExpectedMessages(fs.readFileSync(filename, 'utf8'));
+    var errs = _getErrors(filename, runOptions);
+    var messages = _formatMessages(errs);
+    assert.deepEqual(messages, expected, _s.sprintf(
+            'Errors found in %s do not match the annotations.\n' +
+            'Missing: %s\nUnexpected: %s', filename,
+            _.difference(expected, messages).join(', '),
+            _.difference(messages, expected).join(', ')));
+    _assertLocations(filename, errs);
+};
+
+
+exports.assertAnnotatedErrors = assertAnnotatedErrors;
+exports.getExpectedMessages = getExpectedMessages;
+exports.getMessages = getMessages;
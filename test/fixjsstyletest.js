@@ -0,0 +1,544 @@
+/**
+ * Tests for the auto-fixer, fixing the testdata files and small snippets and
+ * comparing the result with the expected source.
+ */
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var assert = require('assert');
+
+var errorFixer = require('../lib/errorfixer');
+var options = require('../lib/options');
+var runner = require('../lib/runner');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Path to the command line script.
+ * @type {string}
+ */
+var FIXJSSTYLE = path.join(__dirname, '..', 'fixjsstyle.js');
+
+
+/**
+ * Directory of the testdata files.
+ * @type {string}
+ */
+var TESTDATA_DIR = path.join(__dirname, '..', 'source_files',
+        'closure_linter', 'testdata');
+
+
+/**
+ * Options of the run.
+ * @type {Options}
+ */
+var OPTIONS = options.create({
+    strict: true,
+    closurized_namespaces: ['goog', 'dummy'],
+    limited_doc_files: ['dummy.js', 'externs.js']
+});
+
+
+/**
+ * Fake header of a JavaScript file.
+ * @type {Array.<string>}
+ */
+var HEADER = [
+    '// Copyright 2011 Google Inc. All Rights Reserved.',
+    '',
+    '/**',
+    ' * @fileoverview Fake file overview.',
+    ' * @author fake@google.com (Fake Person)',
+    ' */',
+    ''
+];
+
+
+/**
+ * Runs the fixer on the file or source and returns the fixed source.
+ * @param {string} filename Path to the file.
+ * @param {?string} source Source to fix instead of reading the file.
+ * @return {string} The fixed source.
+ * @private
+ */
+var _fix = function(filename, source) {
+    var output = '';
+    var externalFile = {
+        write: function(data) {
+            output += data;
+        }
+    };
+    runner.run(filename, new errorFixer.ErrorFixer(externalFile, OPTIONS),
+            source, OPTIONS);
+    return output;
+};
+
+
+/**
+ * Asserts that the fixer corrects the original lines to the expected ones.
+ * @param {Array.<string>} original Lines of the source to fix.
+ * @param {Array.<string>} expected Lines of the expected fixed source.
+ * @param {boolean} opt_excludeHeader Whether to leave out the fake header
+ *      otherwise added to both.
+ * @private
+ */
+var _assertFixes = function(original, expected, opt_excludeHeader) {
+    if (!opt_excludeHeader) {
+        original = HEADER.concat(original);
+        expected = HEADER.concat(expected);
+    }
+
+    assert.equal(_fix('testing.js', original.join('\n') + '\n'),
+            expected.join('\n') + '\n');
+};
+
+
+/**
+ * Tests fixing the testdata files.
+ */
+exports.testFixJsStyle = function() {
+    var testCases = [
+        ['fixjsstyle.in.js', 'fixjsstyle.out.js'],
+        ['indentation.js', 'fixjsstyle.indentation.out.js'],
+        ['fixjsstyle.html.in.html', 'fixjsstyle.html.out.html']
+    ];
+    testCases.forEach(function(testCase) {
+        assert.equal(_fix(path.join(TESTDATA_DIR, testCase[0]), null),
+                fs.readFileSync(path.join(TESTDATA_DIR, testCase[1]), 'utf8'),
+                testCase[0] + ' is not fixed as expected.');
+    });
+};
+
+
+/**
+ * Tests handling of unsorted goog.require statements without header.
+ */
+exports.testUnsortedRequires = function() {
+    var original = [
+        'goog.require(\'dummy.aa\');',
+        'goog.require(\'dummy.Cc\');',
+        'goog.require(\'dummy.Dd\');',
+        '',
+        'function a() {',
+        '  dummy.aa.i = 1;',
+        '  dummy.Cc.i = 1;',
+        '  dummy.Dd.i = 1;',
+        '}'
+    ];
+    var expected = [
+        'goog.require(\'dummy.Cc\');',
+        'goog.require(\'dummy.Dd\');',
+        'goog.require(\'dummy.aa\');',
+        '',
+        'function a() {',
+        '  dummy.aa.i = 1;',
+        '  dummy.Cc.i = 1;',
+        '  dummy.Dd.i = 1;',
+        '}'
+    ];
+
+    _assertFixes(original, expected, true);
+};
+
+
+/**
+ * Tests handling of missing extra and unsorted goog.require statements.
+ */
+exports.testMissingExtraAndUnsortedRequires = function() {
+    var original = [
+        'goog.require(\'dummy.aa\');',
+        'goog.require(\'dummy.Cc\');',
+        'goog.require(\'dummy.Dd\');',
+        '',
+        'var x = new dummy.Bb();',
+        'dummy.Cc.someMethod();',
+        'dummy.aa.someMethod();'
+    ];
+    var expected = [
+        'goog.require(\'dummy.Bb\');',
+        'goog.require(\'dummy.Cc\');',
+        'goog.require(\'dummy.aa\');',
+        '',
+        'var x = new dummy.Bb();',
+        'dummy.Cc.someMethod();',
+        'dummy.aa.someMethod();'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests handling of unsorted goog.provide statements without header.
+ */
+exports.testUnsortedProvides = function() {
+    var original = [
+        'goog.provide(\'dummy.aa\');',
+        'goog.provide(\'dummy.Cc\');',
+        'goog.provide(\'dummy.Dd\');',
+        '',
+        'dummy.aa = function() {};dummy.Cc = function() {};' +
+                'dummy.Dd = function() {};'
+    ];
+    var expected = [
+        'goog.provide(\'dummy.Cc\');',
+        'goog.provide(\'dummy.Dd\');',
+        'goog.provide(\'dummy.aa\');',
+        '',
+        'dummy.aa = function() {};dummy.Cc = function() {};' +
+                'dummy.Dd = function() {};'
+    ];
+
+    _assertFixes(original, expected, true);
+};
+
+
+/**
+ * Tests handling of missing extra and unsorted goog.provide statements.
+ */
+exports.testMissingExtraAndUnsortedProvides = function() {
+    var original = [
+        'goog.provide(\'dummy.aa\');',
+        'goog.provide(\'dummy.Cc\');',
+        'goog.provide(\'dummy.Dd\');',
+        '',
+        'dummy.Cc = function() {};',
+        'dummy.Bb = function() {};',
+        'dummy.aa.someMethod = function();'
+    ];
+    var expected = [
+        'goog.provide(\'dummy.Bb\');',
+        'goog.provide(\'dummy.Cc\');',
+        'goog.provide(\'dummy.aa\');',
+        '',
+        'dummy.Cc = function() {};',
+        'dummy.Bb = function() {};',
+        'dummy.aa.someMethod = function();'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests positioning of missing requires without existing requires.
+ */
+exports.testNoRequires = function() {
+    var original = [
+        'goog.provide(\'dummy.Something\');',
+        '',
+        'dummy.Something = function() {};',
+        '',
+        'var x = new dummy.Bb();'
+    ];
+    var expected = [
+        'goog.provide(\'dummy.Something\');',
+        '',
+        'goog.require(\'dummy.Bb\');',
+        '',
+        'dummy.Something = function() {};',
+        '',
+        'var x = new dummy.Bb();'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests that missing requires of a goog.module are not inserted between its
+ * aliased requires.
+ */
+exports.testMissingRequireInModule = function() {
+    var original = [
+        'goog.module(\'dummy.module\');',
+        '',
+        'const Bb = goog.require(\'dummy.Bb\');',
+        'const Cc = goog.require(\'dummy.Cc\');',
+        '',
+        'exports.x = new Bb(new Cc(dummy.Missing)) ;'
+    ];
+    var expected = [
+        'goog.module(\'dummy.module\');',
+        '',
+        'const Bb = goog.require(\'dummy.Bb\');',
+        'const Cc = goog.require(\'dummy.Cc\');',
+        '',
+        'exports.x = new Bb(new Cc(dummy.Missing));'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests positioning of missing provides without existing provides.
+ */
+exports.testNoProvides = function() {
+    var original = [
+        'goog.require(\'dummy.Bb\');',
+        '',
+        'dummy.Something = function() {};',
+        '',
+        'var x = new dummy.Bb();'
+    ];
+    var expected = [
+        'goog.provide(\'dummy.Something\');',
+        '',
+        'goog.require(\'dummy.Bb\');',
+        '',
+        'dummy.Something = function() {};',
+        '',
+        'var x = new dummy.Bb();'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests that autofix output is correct when first token is deleted.
+ */
+exports.testOutputOkayWhenFirstTokenIsDeleted = function() {
+    var original = [
+        '"use strict";'
+    ];
+    var expected = [
+        '\'use strict\';'
+    ];
+
+    _assertFixes(original, expected, true);
+};
+
+
+/**
+ * Tests handling a typical end-of-scope indentation fix.
+ */
+exports.testGoogScopeIndentation = function() {
+    var original = [
+        'goog.scope(function() {',
+        '  // TODO(brain): Take over the world.',
+        '});  // goog.scope'
+    ];
+    var expected = [
+        'goog.scope(function() {',
+        '// TODO(brain): Take over the world.',
+        '});  // goog.scope'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests handling a missing comment at end of goog.scope.
+ */
+exports.testMissingEndOfScopeComment = function() {
+    var original = [
+        'goog.scope(function() {',
+        '});'
+    ];
+    var expected = [
+        'goog.scope(function() {',
+        '});  // goog.scope'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests handling an irrelevant comment at end of goog.scope.
+ */
+exports.testMissingEndOfScopeCommentWithOtherComment = function() {
+    var original = [
+        'goog.scope(function() {',
+        '});  // I don\'t belong here!'
+    ];
+    var expected = [
+        'goog.scope(function() {',
+        '});  // goog.scope'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests handling a malformed comment at end of goog.scope.
+ */
+exports.testMalformedEndOfScopeComment = function() {
+    var original = [
+        'goog.scope(function() {',
+        '});  // goog.scope FTW'
+    ];
+    var expected = [
+        'goog.scope(function() {',
+        '});  // goog.scope'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests handling case where script ends with identifier.
+ */
+exports.testEndsWithIdentifier = function() {
+    var original = [
+        'goog.provide(\'xyz\');',
+        '',
+        'abc'
+    ];
+    var expected = [
+        'goog.provide(\'xyz\');',
+        '',
+        'abc;'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests handling files starting with semicolon.
+ */
+exports.testFileStartsWithSemicolon = function() {
+    var original = [
+        ';goog.provide(\'xyz\');',
+        '',
+        'abc;'
+    ];
+    var expected = [
+        'goog.provide(\'xyz\');',
+        '',
+        'abc;'
+    ];
+
+    _assertFixes(original, expected, true);
+};
+
+
+/**
+ * Tests handling code starting with semicolon after comments.
+ */
+exports.testCodeStartsWithSemicolon = function() {
+    var original = [
+        ';goog.provide(\'xyz\');',
+        '',
+        'abc;'
+    ];
+    var expected = [
+        'goog.provide(\'xyz\');',
+        '',
+        'abc;'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests positioning of missing provides and requires in a file with neither.
+ */
+exports.testNoRequiresOrProvides = function() {
+    var original = [
+        '/**',
+        ' * @constructor',
+        ' */',
+        'dummy.Something = function() {};',
+        '',
+        'var x = new dummy.Bb();'
+    ];
+
+    var expected = [
+        'goog.provide(\'dummy.Something\');',
+        '',
+        'goog.require(\'dummy.Bb\');',
+        '',
+        '',
+        '',
+        '/**',
+        ' * @constructor',
+        ' */',
+        'dummy.Something = function() {};',
+        '',
+        'var x = new dummy.Bb();'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests adding blank lines before a constructor that starts the file.
+ */
+exports.testConstructorStartsFile = function() {
+    var original = [
+        '/**',
+        ' * @constructor',
+        ' */',
+        'var Something = function() {};'
+    ];
+
+    var expected = [
+        '',
+        '',
+        '',
+        '/**',
+        ' * @constructor',
+        ' */',
+        'var Something = function() {};'
+    ];
+
+    _assertFixes(original, expected, true);
+};
+
+
+/**
+ * Tests adding a missing semicolon at the end of an implied block.
+ */
+exports.testMissingSemicolonClosingImpliedBlock = function() {
+    var original = [
+        'if (x)',
+        '  y = 8'
+    ];
+
+    var expected = [
+        'if (x)',
+        '  y = 8;'
+    ];
+
+    _assertFixes(original, expected);
+};
+
+
+/**
+ * Tests that the command line accepts the flags of gjslint.js, ignoring the
+ * reporting ones and rejecting the unsupported ones.
+ */
+exports.testCommandLineFlags = function() {
+    testUtil.withTempDir(function(dir) {
+        var filename = path.join(dir, 'a.js');
+        fs.writeFileSync(filename, 'var x = 1 ;\n');
+
+        var run = function(args) {
+            return childProcess.spawnSync(process.execPath,
+                    [FIXJSSTYLE].concat(args, [filename]), {encoding: 'utf8'});
+        };
+
+        var result = run(['--watch']);
+        assert.equal(result.status, 1);
+        assert.equal(result.stderr, 'fixjsstyle does not support --watch.\n');
+        assert.equal(fs.readFileSync(filename, 'utf8'), 'var x = 1 ;\n');
+
+        result = run(['--no_cache', '--jobs', '2', '--reporter', 'json',
+                '--baseline', 'baseline.json']);
+        assert.equal(result.status, 0);
+        assert.equal(result.stderr.split('\n')[0],
+                'WARNING: fixjsstyle ignores --reporter, --baseline.');
+        assert.equal(fs.readFileSync(filename, 'utf8'), 'var x = 1;\n');
+    });
+};
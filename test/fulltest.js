@@ -0,0 +1,111 @@
+/**
+ * Full regression-type tests for gjslint.
+ *
+ * Tests every error that can be thrown by gjslint, matching errors found in
+ * the testdata files against their annotations.
+ */
+
+var path = require('path');
+var _ = require('underscore');
+
+var options = require('../lib/options');
+
+var fileTestCase = require('./filetestcase');
+
+
+/**
+ * Directory of the annotated files.
+ * @type {string}
+ */
+var TESTDATA_DIR = path.join(__dirname, '..', 'source_files',
+        'closure_linter', 'testdata');
+
+
+/**
+ * Files checked with the strict rules.
+ * @type {Array.<string>}
+ */
+var TEST_FILES = [
+    'all_js_wrapped.js',
+    'blank_lines.js',
+    'ends_with_block.js',
+    'es6.js',
+    'es_module.js',
+    'externs.js',
+    'externs_jsdoc.js',
+    'goog_module.js',
+    'goog_module_not_first.js',
+    'goog_scope.js',
+    'html_parse_error.html',
+    'indentation.js',
+    'interface.js',
+    'jsdoc.js',
+    'limited_doc_checks.js',
+    'literals.js',
+    'minimal.js',
+    'other.js',
+    'provide_blank.js',
+    'provide_extra.js',
+    'provide_missing.js',
+    'require_all_caps.js',
+    'require_blank.js',
+    'require_extra.js',
+    'require_function.js',
+    'require_function_missing.js',
+    'require_function_through_both.js',
+    'require_function_through_namespace.js',
+    'require_interface.js',
+    'require_interface_base.js',
+    'require_lower_case.js',
+    'require_missing.js',
+    'require_numeric.js',
+    'require_provide_blank.js',
+    'require_provide_missing.js',
+    'require_provide_ok.js',
+    'semicolon_missing.js',
+    'simple.html',
+    'spaces.js',
+    'template_literals.js',
+    'tokenizer.js',
+    'unparseable.js',
+    'unused_local_variables.js',
+    'unused_private_members.js',
+    'utf8.html'
+];
+
+
+/**
+ * Files checked without the strict rules.
+ * @type {Array.<string>}
+ */
+var NOT_STRICT_TEST_FILES = [
+    'not_strict.js'
+];
+
+
+/**
+ * Options of the run, the strict rules are added for TEST_FILES.
+ * @type {Object}
+ */
+var OPTIONS = {
+    custom_jsdoc_tags: ['customtag', 'requires'],
+    closurized_namespaces: ['goog', 'dummy'],
+    limited_doc_files: ['externs.js', 'dummy.js', 'limited_doc_checks.js']
+};
+
+
+_.each(TEST_FILES, function(filename) {
+    exports['test ' + filename] = function() {
+        fileTestCase.assertAnnotatedErrors(path.join(TESTDATA_DIR, filename),
+                options.create(_.extend({strict: true, jslint_error: ['all']},
+                        OPTIONS)));
+    };
+});
+
+
+_.each(NOT_STRICT_TEST_FILES, function(filename) {
+    exports['test ' + filename] = function() {
+        fileTestCase.assertAnnotatedErrors(path.join(TESTDATA_DIR, filename),
+                options.create(OPTIONS));
+    };
+});
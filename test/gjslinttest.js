@@ -0,0 +1,201 @@
+/**
+ * Tests for the gjslint.js command line.
+ */
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Path to the command line script.
+ * @type {string}
+ */
+var GJSLINT = path.join(__dirname, '..', 'gjslint.js');
+
+
+/**
+ * Runs gjslint.js in the directory.
+ * @param {string} dir The working directory.
+ * @param {Array.<string>} args The arguments.
+ * @return {{status: number, stdout: string, stderr: string}} The exit
+ *      status and output.
+ * @private
+ */
+var _run = function(dir, args) {
+    return childProcess.spawnSync(process.execPath,
+            [GJSLINT, '--no_cache'].concat(args),
+            {cwd: dir, encoding: 'utf8'});
+};
+
+
+/**
+ * Tests that errors recorded in the baseline do not fail the check, and that
+ * errors not recorded in it do.
+ */
+exports.testBaselineExitStatus = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var x = 1 ;\n');
+        assert.equal(_run(dir, ['a.js']).status, 3);
+        assert.equal(_run(dir,
+                ['--write_baseline', 'baseline.json', 'a.js']).status, 3);
+        assert.equal(_run(dir,
+                ['--baseline', 'baseline.json', 'a.js']).status, 0);
+
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var x = 1 ;\nvar y = 2 ;\n');
+        assert.equal(_run(dir,
+                ['--baseline', 'baseline.json', 'a.js']).status, 3);
+    });
+};
+
+
+/**
+ * Tests that a baseline file which cannot be read fails the run.
+ */
+exports.testMissingBaseline = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var x = 1;\n');
+
+        var result = _run(dir, ['--baseline', 'missing.json', 'a.js']);
+        assert.equal(result.status, 4);
+        assert.ok(/^Cannot read baseline file missing\.json: ENOENT/.test(
+                result.stderr));
+    });
+};
+
+
+/**
+ * Tests that files checked in worker processes are reported in the order of
+ * a check in one process.
+ */
+exports.testJobsOrder = function() {
+    testUtil.withTempDir(function(dir) {
+        var args = [];
+        _.times(5, function(i) {
+            var filename = 'file' + i + '.js';
+            fs.writeFileSync(path.join(dir, filename),
+                    new Array(i + 2).join('var x = 1 ;\n'));
+            args.push(filename);
+        });
+
+        var serial = _run(dir, args);
+        var parallel = _run(dir, ['--jobs', '3'].concat(args));
+        assert.equal(parallel.status, serial.status);
+        assert.equal(parallel.stdout, serial.stdout);
+        assert.ok(serial.stdout.indexOf('file4.js') >
+                serial.stdout.indexOf('file0.js'));
+    });
+};
+
+
+/**
+ * Tests that fixes in the sarif report of the source read from stdin are
+ * computed from that source, not from the file of its path.
+ */
+exports.testStdinSarifFixes = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var x = 1;\n');
+        var result = childProcess.spawnSync(process.execPath, [GJSLINT,
+            '--stdin', '--stdin_filename', 'a.js', '--reporter', 'sarif',
+            '--sarif_fixes'], {cwd: dir, encoding: 'utf8',
+            input: 'var x = 1 ;\n'});
+
+        var results = JSON.parse(result.stdout).runs[0].results;
+        assert.equal(result.status, 3);
+        assert.equal(results.length, 1);
+        assert.deepEqual(results[0].fixes[0].artifactChanges[0].replacements,
+                [{
+                    deletedRegion: {
+                        startLine: 1,
+                        startColumn: 10,
+                        endLine: 1,
+                        endColumn: 11
+                    },
+                    insertedContent: {text: ''}
+                }]);
+    });
+};
+
+
+/**
+ * Tests the bits of the exit status and --exit_zero.
+ */
+exports.testExitStatus = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, 'ok.js'), 'var x = 1;\n');
+        fs.writeFileSync(path.join(dir, 'error.js'), 'var x = 1 ;\n');
+
+        assert.equal(_run(dir, ['ok.js']).status, 0);
+        // ERRORS | NEW_ERRORS, all errors are new without a baseline.
+        assert.equal(_run(dir, ['error.js']).status, 3);
+        // ERRORS | NEW_ERRORS | FAILURE for a missing file.
+        assert.equal(_run(dir, ['missing.js']).status, 7);
+        // FAILURE only, when the linter can't run.
+        assert.equal(_run(dir, ['--reporter', 'bogus', 'ok.js']).status, 4);
+        assert.equal(_run(dir, ['--exit_zero', 'error.js']).status, 0);
+        assert.equal(_run(dir, ['--exit_zero', 'missing.js']).status, 0);
+    });
+};
+
+
+/**
+ * Tests that an invalid configuration file fails the run with its message,
+ * also when the files are checked in worker processes.
+ */
+exports.testInvalidConfig = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, '.gjslintrc'), '{"strict": ');
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var x = 1;\n');
+
+        _.each([['a.js'], ['--jobs', '2', 'a.js']], function(args) {
+            var result = _run(dir, args);
+            assert.equal(result.status, 4);
+            assert.ok(/^Invalid configuration file .*\.gjslintrc: /.test(
+                    result.stderr));
+        });
+    });
+};
+
+
+/**
+ * Tests that stdin cannot be checked together with files or watched.
+ */
+exports.testStdinUsage = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var x = 1;\n');
+
+        var result = _run(dir, ['-', 'a.js']);
+        assert.equal(result.status, 4);
+        assert.equal(result.stderr,
+                '--stdin cannot be combined with file arguments.\n');
+
+        result = _run(dir, ['--stdin', '--watch']);
+        assert.equal(result.status, 4);
+        assert.equal(result.stderr,
+                '--stdin cannot be combined with --watch.\n');
+    });
+};
+
+
+/**
+ * Tests that warnings fail the check only when there are more of them than
+ * --max_warnings allows.
+ */
+exports.testMaxWarnings = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, 'warning.js'),
+                'var x = \'' + new Array(80).join('x') + '\';\n');
+
+        assert.equal(_run(dir, ['warning.js']).status, 0);
+        assert.equal(_run(dir, ['--max_warnings', '1', 'warning.js']).status,
+                0);
+        assert.equal(_run(dir, ['--max_warnings', '0', 'warning.js']).status,
+                1);
+        assert.equal(_run(dir, ['--max_warnings', '0', '--exit_zero',
+            'warning.js']).status, 0);
+    });
+};
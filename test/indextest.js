@@ -0,0 +1,96 @@
+/**
+ * Tests for the programmatic interface of the linter.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var _ = require('underscore');
+
+var closureLinter = require('../index');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Tests checking source code with options.
+ */
+exports.testLintText = function() {
+    var source = 'var a = 1 ;\nvar b = "b";\n';
+
+    var errorRecords = closureLinter.lintText(source, 'a.js');
+    assert.deepEqual(_.map(errorRecords, function(record) {
+        return [record.path, record.line, record.code];
+    }), [
+        ['a.js', 1, closureLinter.Errors.EXTRA_SPACE],
+        ['a.js', 2, closureLinter.Errors.UNNECESSARY_DOUBLE_QUOTED_STRING]
+    ]);
+
+    errorRecords = closureLinter.lintText(source, 'a.js',
+            {disable: ['EXTRA_SPACE']});
+    assert.deepEqual(_.pluck(errorRecords, 'name'),
+            ['UNNECESSARY_DOUBLE_QUOTED_STRING']);
+};
+
+
+/**
+ * Tests that unknown options are rejected.
+ */
+exports.testUnknownOption = function() {
+    assert.throws(function() {
+        closureLinter.lintText('var a = 1;\n', 'a.js', {bogus: true});
+    }, /Unknown option "bogus"/);
+    assert.throws(function() {
+        closureLinter.lintFiles([], {reporter: 'json'});
+    }, /Unknown option "reporter"/);
+};
+
+
+/**
+ * Tests checking the files found in a directory.
+ */
+exports.testLintFiles = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.mkdirSync(path.join(dir, 'sub'));
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var a = 1 ;\n');
+        fs.writeFileSync(path.join(dir, 'sub', 'b.js'), 'var b = "b";\n');
+        fs.writeFileSync(path.join(dir, 'c.txt'), 'var c = 1 ;\n');
+
+        var errorRecords = closureLinter.lintFiles([dir]);
+        assert.deepEqual(_.map(errorRecords, function(record) {
+            return [path.relative(dir, record.path), record.name];
+        }), [
+            ['a.js', 'EXTRA_SPACE'],
+            [path.join('sub', 'b.js'), 'UNNECESSARY_DOUBLE_QUOTED_STRING']
+        ]);
+    });
+};
+
+
+/**
+ * Tests that excluded files are skipped without writing to stderr.
+ */
+exports.testLintFilesExcluded = function() {
+    testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, 'a.js'), 'var a = 1 ;\n');
+        fs.writeFileSync(path.join(dir, 'b.js'), 'var b = 1 ;\n');
+
+        var consoleError = console.error;
+        var messages = [];
+        console.error = function() {
+            messages.push(util.format.apply(util, arguments));
+        };
+        try {
+            var errorRecords = closureLinter.lintFiles([dir],
+                    {exclude_files: ['b.js']});
+        } finally {
+            console.error = consoleError;
+        }
+
+        assert.deepEqual(_.map(errorRecords, function(record) {
+            return path.relative(dir, record.path);
+        }), ['a.js']);
+        assert.deepEqual(messages, []);
+    });
+};
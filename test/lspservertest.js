@@ -0,0 +1,213 @@
+/**
+ * Tests for the language server publishing errors as editor diagnostics.
+ */
+
+var assert = require('assert');
+var stream = require('stream');
+var _ = require('underscore');
+
+var lspServer = require('../lib/lspserver');
+var options = require('../lib/options');
+
+
+/**
+ * URI of the edited document.
+ * @type {string}
+ */
+var URI = 'file:///src/edited%20file.js';
+
+
+/**
+ * Frames the message with its Content-Length header.
+ * @param {Object|string} message The message, or its malformed content.
+ * @return {string} The framed message.
+ * @private
+ */
+var _frame = function(message) {
+    var content = _.isString(message) ? message :
+            JSON.stringify(_.extend({jsonrpc: '2.0'}, message));
+    return 'Content-Length: ' + Buffer.byteLength(content) + '\r\n\r\n' +
+            content;
+};
+
+
+/**
+ * Sends the messages to a new server and returns the messages it sent back.
+ * @param {Array.<Object|string>} messages The messages.
+ * @param {function(Array.<Object>)} callback Called with the sent messages.
+ * @private
+ */
+var _run = function(messages, callback) {
+    var input = new stream.PassThrough();
+    var output = '';
+    new lspServer.LspServer(input, {
+        write: function(data) {
+            output += data;
+        }
+    }, options.create()).start();
+
+    // A message split between chunks is parsed once it is complete.
+    var data = _.map(messages, _frame).join('');
+    input.write(data.substr(0, 30));
+    input.write(data.substr(30));
+
+    setImmediate(function() {
+        callback(_.map(_.rest(output.split(/Content-Length: \d+\r\n\r\n/)),
+                JSON.parse));
+    });
+};
+
+
+/**
+ * Runs the assertions, passing their failure to the callback of the test.
+ * @param {function(Error=)} done The callback of the test.
+ * @param {Function} assertions The assertions.
+ * @private
+ */
+var _check = function(done, assertions) {
+    try {
+        assertions();
+    } catch (e) {
+        done(e);
+        return;
+    }
+    done();
+};
+
+
+/**
+ * Tests the diagnostics published for an open and a changed document.
+ * @param {function(Error=)} done Called when the test is done.
+ */
+exports.testDiagnostics = function(done) {
+    _run([
+        {id: 1, method: 'initialize', params: {}},
+        {method: 'textDocument/didOpen', params: {
+            textDocument: {uri: URI, text: 'var x = 1 ;\n'}
+        }},
+        {method: 'textDocument/didChange', params: {
+            textDocument: {uri: URI},
+            contentChanges: [{text: 'var x = 1;\n'}]
+        }},
+        {method: 'textDocument/didClose', params: {textDocument: {uri: URI}}}
+    ], function(messages) {
+        _check(done, function() {
+            assert.equal(messages.length, 4);
+            assert.deepEqual(messages[0].result.capabilities,
+                    {textDocumentSync: 1, codeActionProvider: true});
+            assert.deepEqual(messages[1], {
+                jsonrpc: '2.0',
+                method: 'textDocument/publishDiagnostics',
+                params: {uri: URI, diagnostics: [{
+                    range: {
+                        start: {line: 0, character: 9},
+                        end: {line: 0, character: 10}
+                    },
+                    severity: 1,
+                    code: '0001',
+                    source: 'gjslint',
+                    message: 'Extra space before ";"'
+                }]}
+            });
+            assert.deepEqual(messages[2].params.diagnostics, []);
+            assert.deepEqual(messages[3].params.diagnostics, []);
+        });
+    });
+};
+
+
+/**
+ * Tests the quick fixes of the errors on the lines of the range.
+ * @param {function(Error=)} done Called when the test is done.
+ */
+exports.testCodeAction = function(done) {
+    var range = {start: {line: 1, character: 0}, end: {line: 1, character: 0}};
+    _run([
+        {method: 'textDocument/didOpen', params: {
+            textDocument: {uri: URI, text: 'var x = 1 ;\nvar y = "y";\n'}
+        }},
+        {id: 1, method: 'textDocument/codeAction', params: {
+            textDocument: {uri: URI},
+            range: range
+        }},
+        {id: 2, method: 'textDocument/codeAction', params: {
+            textDocument: {uri: 'file:///src/closed.js'},
+            range: range
+        }}
+    ], function(messages) {
+        _check(done, function() {
+            var actions = messages[1].result;
+            assert.equal(actions.length, 1);
+            assert.equal(actions[0].kind, 'quickfix');
+            assert.equal(actions[0].diagnostics[0].code, '0131');
+            assert.deepEqual(actions[0].edit.changes[URI], [{
+                range: {
+                    start: {line: 1, character: 8},
+                    end: {line: 1, character: 11}
+                },
+                newText: '\'y\''
+            }]);
+            assert.deepEqual(messages[2], {jsonrpc: '2.0', id: 2, result: []});
+        });
+    });
+};
+
+
+/**
+ * Tests that an error located at the beginning of its line covers the whole
+ * line.
+ * @param {function(Error=)} done Called when the test is done.
+ */
+exports.testDiagnosticAtBeginning = function(done) {
+    _run([
+        {method: 'textDocument/didOpen', params: {
+            textDocument: {uri: URI, text: [
+                'goog.provide(\'x.y\');',
+                '',
+                'goog.require(\'goog.b\');',
+                'goog.require(\'goog.a\');',
+                ''
+            ].join('\n')}
+        }}
+    ], function(messages) {
+        _check(done, function() {
+            var diagnostic = _.findWhere(messages[0].params.diagnostics,
+                    {code: '0140'});
+            assert.deepEqual(diagnostic.range, {
+                start: {line: 2, character: 0},
+                end: {line: 3, character: 0}
+            });
+        });
+    });
+};
+
+
+/**
+ * Tests the errors sent for malformed messages and unknown requests.
+ * @param {function(Error=)} done Called when the test is done.
+ */
+exports.testErrors = function(done) {
+    _run([
+        '{"jsonrpc": ',
+        {id: 1, method: 'textDocument/hover', params: {}},
+        {method: 'textDocument/didSave', params: {}}
+    ], function(messages) {
+        _check(done, function() {
+            assert.equal(messages.length, 2);
+            assert.equal(messages[0].id, null);
+            assert.equal(messages[0].error.code, -32700);
+            assert.equal(messages[1].id, 1);
+            assert.equal(messages[1].error.code, -32601);
+        });
+    });
+};
+
+
+/**
+ * Tests the paths of document URIs.
+ */
+exports.testUriToPath = function() {
+    assert.equal(lspServer.uriToPath(URI), '/src/edited file.js');
+    assert.equal(lspServer.uriToPath('untitled:Untitled-1'),
+            'untitled:Untitled-1');
+};
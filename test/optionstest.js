@@ -0,0 +1,108 @@
+/**
+ * Tests for the options of a run, made from command line flags or values
+ * given programmatically.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var commander = require('commander');
+
+var flags = require('../lib/flags');
+var options = require('../lib/options');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Parses the command line arguments with the linter flags.
+ * @param {Array.<string>} args The arguments.
+ * @return {Command} The parsed program.
+ * @private
+ */
+var _parse = function(args) {
+    return flags.defineFlags(new commander.Command()).
+            parse(['node', 'gjslint.js'].concat(args));
+};
+
+
+/**
+ * Tests that only flags given on the command line of the program are given.
+ */
+exports.testFlagsGiven = function() {
+    var program = _parse(['--strict', '-M', '100', 'a.js']);
+    var otherProgram = _parse(['--unix_mode', 'a.js']);
+
+    assert.ok(flags.isFlagGiven(program, 'strict'));
+    assert.ok(flags.isFlagGiven(program, 'max_line_length'));
+    assert.ok(!flags.isFlagGiven(program, 'unix_mode'));
+    assert.ok(!flags.isFlagGiven(program, 'jsdoc'));
+    assert.ok(flags.isFlagGiven(otherProgram, 'unix_mode'));
+    assert.ok(!flags.isFlagGiven(otherProgram, 'strict'));
+};
+
+
+/**
+ * Tests that given flags override configuration files, defaults don't.
+ */
+exports.testFromProgram = function() {
+    var runOptions = options.fromProgram(_parse(['-M', '100', 'a.js']));
+    var fileOptions = testUtil.withTempDir(function(dir) {
+        fs.writeFileSync(path.join(dir, '.gjslintrc'), JSON.stringify(
+                {root: true, strict: true, max_line_length: 120}));
+        return runOptions.forFile(path.join(dir, 'a.js'));
+    });
+
+    assert.equal(runOptions.get('max_line_length'), 100);
+    assert.ok(!runOptions.get('strict'));
+    assert.equal(fileOptions.max_line_length, 100);
+    assert.equal(fileOptions.strict, true);
+};
+
+
+/**
+ * Tests options given programmatically.
+ */
+exports.testCreate = function() {
+    var runOptions = options.create({disable: '0110,0001', strict: true});
+
+    assert.deepEqual(runOptions.get('disable'), ['0110', '0001']);
+    assert.equal(runOptions.get('strict'), true);
+    assert.equal(runOptions.get('max_line_length'), 80);
+    assert.throws(function() {
+        options.create({bogus: true});
+    }, /Unknown option "bogus"/);
+};
+
+
+/**
+ * Tests that invalid severities are rejected when the options are created.
+ */
+exports.testInvalidSeverity = function() {
+    var runOptions = options.create({severity: '0110:info,E:0001:error'});
+    assert.deepEqual(runOptions.get('severity'), ['0110:info', 'E:0001:error']);
+
+    assert.throws(function() {
+        options.create({severity: '0010:bogus'});
+    }, /Invalid severity "0010:bogus"/);
+    assert.throws(function() {
+        options.fromProgram(_parse(['--severity', 'BOGUS:info', 'a.js']));
+    }, /Invalid severity "BOGUS:info"/);
+};
+
+
+/**
+ * Tests that disabled errors may be given by name, and that unknown errors
+ * are rejected when the options are created.
+ */
+exports.testInvalidDisable = function() {
+    var runOptions = options.create({disable: 'LINE_TOO_LONG,0001'});
+    assert.deepEqual(runOptions.get('disable'), ['LINE_TOO_LONG', '0001']);
+
+    assert.throws(function() {
+        options.create({disable: 'BOGUS'});
+    }, /Invalid error "BOGUS", expected an error code or name/);
+    assert.throws(function() {
+        options.fromProgram(_parse(['--disable', '9999', 'a.js']));
+    }, /Invalid error "9999"/);
+};
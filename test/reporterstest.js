@@ -0,0 +1,186 @@
+/**
+ * Tests for the reporters of gjslint.js, formatting records of errors found
+ * in a small file.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var options = require('../lib/options');
+var reporters = require('../lib/reporters');
+var runner = require('../lib/runner');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Source with an error and a warning, both fixable.
+ * @type {string}
+ */
+var SOURCE = 'var x = 1 ;\nvar y = "a";\n';
+
+
+/**
+ * Checks SOURCE written to a temporary file and formats the found errors.
+ *
+ * The report lists the file and a file without errors.
+ * @param {string} name Name of the reporter.
+ * @param {Object} opt_values Values of options of the reporter, e.g.
+ *      sarif_fixes.
+ * @return {{path: string, report: string}} Path to the checked file and the
+ *      report.
+ * @private
+ */
+var _format = function(name, opt_values) {
+    var json = options.create().toJSON();
+    var runOptions = options.fromJSON({
+        values: _.extend(json.values, opt_values),
+        givenNames: json.givenNames
+    });
+
+    return testUtil.withTempDir(function(dir) {
+        var filename = path.join(dir, 'reported.js');
+        var okFilename = path.join(dir, 'ok.js');
+        fs.writeFileSync(filename, SOURCE);
+
+        var errorRecords = runner.checkPath(filename, runOptions);
+        return {
+            path: filename,
+            report: reporters.getReporter(name).format(
+                    [filename, okFilename], errorRecords, runOptions)
+        };
+    });
+};
+
+
+/**
+ * Tests that unknown reporters are not found.
+ */
+exports.testGetReporter = function() {
+    assert.deepEqual(reporters.getNames(),
+            ['text', 'json', 'checkstyle', 'junit', 'sarif']);
+    assert.equal(reporters.getReporter('xml'), null);
+};
+
+
+/**
+ * Tests the default text report, also in UNIX format.
+ */
+exports.testText = function() {
+    var result = _format('text');
+
+    assert.equal(result.report, [
+        '----- FILE  :  ' + result.path + ' -----',
+        'Line 1, Column 10, E:0001: Extra space before ";"',
+        'Line 2, Column 9, W:0131: Single-quoted string preferred over ' +
+                'double-quoted string.',
+        'Found 2 errors in 1 files (1 files OK).'
+    ].join('\n'));
+
+    result = _format('text', {unix_mode: true});
+    assert.equal(result.report, [
+        result.path + ':1:10:(0001) Extra space before ";"',
+        result.path + ':2:9:(0131) Single-quoted string preferred over ' +
+                'double-quoted string.',
+        'Found 2 errors in 1 files (1 files OK).'
+    ].join('\n'));
+};
+
+
+/**
+ * Tests the structured errors and rules of the JSON report.
+ */
+exports.testJson = function() {
+    var result = _format('json');
+    var report = JSON.parse(result.report);
+
+    assert.equal(report.fileCount, 2);
+    assert.equal(report.errorCount, 2);
+    assert.deepEqual(report.files[0].errors[0], {
+        code: 1,
+        name: 'EXTRA_SPACE',
+        severity: 'error',
+        message: 'Extra space before ";"',
+        line: 1,
+        column: 10,
+        endLine: 1,
+        endColumn: 11,
+        fixable: true
+    });
+    assert.equal(report.files[1].errors.length, 0);
+    assert.deepEqual(_.keys(report.rules), ['1', '131']);
+    assert.equal(report.rules[131].severity, 'warning');
+};
+
+
+/**
+ * Tests the checkstyle report.
+ */
+exports.testCheckstyle = function() {
+    var report = _format('checkstyle').report;
+
+    assert.ok(_s.include(report, '<error line="1" column="10" ' +
+            'severity="error" message="Extra space before &quot;;&quot;" ' +
+            'source="EXTRA_SPACE"/>'), report);
+    assert.ok(/<file name="[^"]*ok\.js"\/>/.test(report), report);
+};
+
+
+/**
+ * Tests the JUnit report, with a test case per file.
+ */
+exports.testJunit = function() {
+    var report = _format('junit').report;
+
+    assert.ok(_s.include(report, '<testsuite name="gjslint" tests="2" ' +
+            'failures="1" errors="0">'), report);
+    assert.ok(_s.include(report, '<failure message="2 errors" ' +
+            'type="gjslint">Line 1, Column 10, E:0001'), report);
+};
+
+
+/**
+ * Tests the results of the SARIF log, without fixes by default.
+ */
+exports.testSarif = function() {
+    var log = JSON.parse(_format('sarif').report);
+    var run = log.runs[0];
+
+    assert.equal(log.version, '2.1.0');
+    assert.equal(run.artifacts.length, 2);
+    assert.equal(run.results.length, 2);
+
+    var result = run.results[1];
+    assert.equal(result.ruleId, '0131');
+    assert.equal(run.tool.driver.rules[result.ruleIndex].name,
+            'UNNECESSARY_DOUBLE_QUOTED_STRING');
+    assert.equal(result.level, 'warning');
+    assert.deepEqual(result.locations[0].physicalLocation.region,
+            {startLine: 2, startColumn: 9, endLine: 2, endColumn: 10});
+    assert.ok(!_.has(result, 'fixes'));
+};
+
+
+/**
+ * Tests the fixes of the SARIF log, which fix only their own error.
+ */
+exports.testSarifFixes = function() {
+    var results = JSON.parse(_format('sarif', {sarif_fixes: true}).report).
+            runs[0].results;
+
+    var replacements = _.map(results, function(result) {
+        return result.fixes[0].artifactChanges[0].replacements[0];
+    });
+    assert.deepEqual(replacements, [{
+        deletedRegion: {startLine: 1, startColumn: 10, endLine: 1,
+            endColumn: 11},
+        insertedContent: {text: ''}
+    }, {
+        deletedRegion: {startLine: 2, startColumn: 9, endLine: 2,
+            endColumn: 12},
+        insertedContent: {text: '\'a\''}
+    }]);
+};
@@ -0,0 +1,197 @@
+/**
+ * Tests for the cache of found errors.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var options = require('../lib/options');
+var resultCache = require('../lib/resultcache');
+var runner = require('../lib/runner');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Runs the test with a temporary directory holding a checked file, removed
+ * afterwards.
+ * @param {function(string, string)} test Called with paths to the cache
+ *      file and to the checked file.
+ * @private
+ */
+var _withFiles = function(test) {
+    testUtil.withTempDir(function(dir) {
+        var filename = path.join(dir, 'cached.js');
+        fs.writeFileSync(filename, 'var x = 1 ;\n');
+        test(path.join(dir, resultCache.CACHE_FILE), filename);
+    });
+};
+
+
+/**
+ * Checks the file and stores its errors in a new saved cache.
+ * @param {string} cacheFile Path to the cache file.
+ * @param {string} filename Path to the checked file.
+ * @param {Options} runOptions Options of the run.
+ * @return {Array.<ErrorRecord>} The stored records.
+ * @private
+ */
+var _store = function(cacheFile, filename, runOptions) {
+    var cache = new resultCache.ResultCache(cacheFile, runOptions);
+    var errorRecords = runner.checkPath(filename, runOptions);
+    cache.set(filename, errorRecords);
+    cache.save();
+    return errorRecords;
+};
+
+
+/**
+ * Tests that errors of an unchanged file are replayed from the saved cache.
+ */
+exports.testGet = function() {
+    _withFiles(function(cacheFile, filename) {
+        var runOptions = options.create();
+        var errorRecords = _store(cacheFile, filename, runOptions);
+        assert.equal(errorRecords.length, 1);
+
+        var cache = new resultCache.ResultCache(cacheFile, runOptions);
+        assert.deepEqual(cache.get(filename),
+                JSON.parse(JSON.stringify(errorRecords)));
+        assert.equal(cache.get(path.join(path.dirname(filename), 'other.js')),
+                null);
+    });
+};
+
+
+/**
+ * Tests that replayed errors have the path the file is got by.
+ */
+exports.testReplayedPath = function() {
+    _withFiles(function(cacheFile, filename) {
+        var runOptions = options.create();
+        _store(cacheFile, filename, runOptions);
+
+        var relativePath = path.relative(process.cwd(), filename);
+        var cache = new resultCache.ResultCache(cacheFile, runOptions);
+        assert.equal(cache.get(relativePath)[0].path, relativePath);
+    });
+};
+
+
+/**
+ * Tests that only entries of files seen in the last run are saved.
+ */
+exports.testPruned = function() {
+    _withFiles(function(cacheFile, filename) {
+        var runOptions = options.create();
+        _store(cacheFile, filename, runOptions);
+
+        var other = path.join(path.dirname(filename), 'other.js');
+        fs.writeFileSync(other, 'var y = 1;\n');
+        _store(cacheFile, other, runOptions);
+
+        var cache = new resultCache.ResultCache(cacheFile, runOptions);
+        assert.equal(cache.get(filename), null);
+        assert.notEqual(cache.get(other), null);
+    });
+};
+
+
+/**
+ * Tests that the cache file is stored in the project root.
+ */
+exports.testGetCacheFile = function() {
+    testUtil.withTempDir(function(dir) {
+        var subdir = path.join(dir, 'src');
+        fs.mkdirSync(subdir);
+        fs.writeFileSync(path.join(dir, '.gjslintrc'), '{}');
+        assert.equal(resultCache.getCacheFile(subdir),
+                path.join(dir, resultCache.CACHE_FILE));
+    });
+};
+
+
+/**
+ * Tests that errors of a changed file are not replayed.
+ */
+exports.testChangedFile = function() {
+    _withFiles(function(cacheFile, filename) {
+        var runOptions = options.create();
+        _store(cacheFile, filename, runOptions);
+        fs.writeFileSync(filename, 'var x = 1;\n');
+
+        var cache = new resultCache.ResultCache(cacheFile, runOptions);
+        assert.equal(cache.get(filename), null);
+    });
+};
+
+
+/**
+ * Tests that only options changing the found errors invalidate the cache.
+ */
+exports.testChangedOptions = function() {
+    _withFiles(function(cacheFile, filename) {
+        _store(cacheFile, filename, options.create());
+
+        var cache = new resultCache.ResultCache(cacheFile,
+                options.create({strict: true}));
+        assert.equal(cache.get(filename), null);
+
+        var json = options.create().toJSON();
+        json.values.reporter = 'json';
+        json.values.max_warnings = 10;
+        json.values.exit_zero = true;
+        cache = new resultCache.ResultCache(cacheFile,
+                options.fromJSON(json));
+        assert.notEqual(cache.get(filename), null);
+    });
+};
+
+
+/**
+ * Tests that the cache saved by another version of the linter is dropped.
+ */
+exports.testChangedLinter = function() {
+    _withFiles(function(cacheFile, filename) {
+        var runOptions = options.create();
+        _store(cacheFile, filename, runOptions);
+
+        var saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        assert.notEqual(saved.version, require('../package.json').version);
+        saved.version = saved.version.replace(/:.*/, ':0');
+        fs.writeFileSync(cacheFile, JSON.stringify(saved));
+
+        var cache = new resultCache.ResultCache(cacheFile, runOptions);
+        assert.equal(cache.get(filename), null);
+    });
+};
+
+
+/**
+ * Tests that a cache which cannot be written is reported as a warning.
+ */
+exports.testUnwritableCache = function() {
+    _withFiles(function(cacheFile, filename) {
+        var cache = new resultCache.ResultCache(
+                path.join(cacheFile, 'missing', resultCache.CACHE_FILE),
+                options.create());
+        cache.set(filename, []);
+
+        var consoleError = console.error;
+        var warnings = [];
+        console.error = function() {
+            warnings.push(util.format.apply(util, arguments));
+        };
+        try {
+            cache.save();
+        } finally {
+            console.error = consoleError;
+        }
+
+        assert.equal(warnings.length, 1);
+        assert.ok(/^WARNING: Unable to write cache file .*ENOENT/.test(
+                warnings[0]));
+    });
+};
@@ -0,0 +1,103 @@
+/**
+ * Tests for the catalog of rules explaining every error.
+ */
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var path = require('path');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var closureLinter = require('../index');
+
+var errors = require('../lib/errors');
+var ruleCatalog = require('../lib/rulecatalog');
+
+
+/**
+ * Path to the command line script.
+ * @type {string}
+ */
+var GJSLINT = path.join(__dirname, '..', 'gjslint.js');
+
+
+/**
+ * Runs gjslint.js and returns its output.
+ * @param {Array.<string>} args The arguments.
+ * @return {string} The output.
+ * @private
+ */
+var _run = function(args) {
+    var result = childProcess.spawnSync(process.execPath,
+            [GJSLINT].concat(args), {encoding: 'utf8'});
+    assert.equal(result.status, 0);
+    return result.stdout;
+};
+
+
+/**
+ * Tests that every error has a complete rule.
+ */
+exports.testAllErrors = function() {
+    _.each(errors.Errors, function(code, name) {
+        var rule = ruleCatalog.getRule(code);
+        assert.ok(rule, 'No rule for ' + name);
+        assert.equal(rule.name, name);
+        _.each(['description', 'rationale', 'bad', 'good'], function(key) {
+            assert.ok(rule[key], 'No ' + key + ' for ' + name);
+        });
+    });
+    assert.equal(ruleCatalog.getRules().length, _.size(errors.Errors));
+};
+
+
+/**
+ * Returns the codes of errors found in the example.
+ * @param {string} example The example code.
+ * @param {Object} rule The rule of the example.
+ * @return {Array.<number>} The error codes.
+ * @private
+ */
+var _lintExample = function(example, rule) {
+    return _.pluck(closureLinter.lintText(example, 'example.js', {
+        jslint_error: rule.rule ? [rule.rule] : [],
+        closurized_namespaces: ['goog', 'my'],
+        report_unused_directives: true
+    }), 'code');
+};
+
+
+/**
+ * Tests that the bad example of every reported error has the error and the
+ * good example has not. The examples of FILE_NOT_FOUND are command lines.
+ */
+exports.testExamples = function() {
+    _.each(ruleCatalog.getRules(), function(rule) {
+        if (!rule.reported || rule.code == errors.Errors.FILE_NOT_FOUND) {
+            return;
+        }
+        assert.ok(_.contains(_lintExample(rule.bad, rule), rule.code),
+                'Bad example of ' + rule.name + ' has no error');
+        assert.ok(!_.contains(_lintExample(rule.good, rule), rule.code),
+                'Good example of ' + rule.name + ' has the error');
+    });
+};
+
+
+/**
+ * Tests the output of --explain and --list_rules.
+ */
+exports.testCommandLine = function() {
+    var rule = ruleCatalog.getRule('LINE_TOO_LONG');
+    assert.equal(_run(['--explain', 'LINE_TOO_LONG']),
+            ruleCatalog.formatRule(rule) + '\n');
+    assert.equal(_run(['--explain', '110']), _run(['--explain', 'E:0110']));
+
+    var lines = _run(['--list_rules']).trim().split('\n');
+    assert.equal(lines.length, _.size(errors.Errors));
+    assert.ok(_.contains(lines,
+            '0110  ' + _s.rpad('LINE_TOO_LONG', 41) + rule.description));
+
+    assert.ok(_s.contains(_run(['--explain', 'VAR_MISSING_TYPE']),
+            'Enabled by: nothing, the error is never reported'));
+};
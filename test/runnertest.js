@@ -0,0 +1,28 @@
+/**
+ * Tests for checking files.
+ */
+
+var assert = require('assert');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+var options = require('../lib/options');
+var runner = require('../lib/runner');
+
+
+/**
+ * Tests that errors found when the file is finished are returned in their
+ * position among the other errors.
+ */
+exports.testErrorOrder = function() {
+    var errorRecords = runner.checkPath('module.js', options.create(), [
+        'import {Unused} from \'./unused\';',
+        '',
+        'var a = 1 ;',
+        ''
+    ].join('\n'));
+
+    assert.deepEqual(_.map(errorRecords, function(record) {
+        return _s.sprintf('%d: %s', record.line, record.name);
+    }), ['1: UNUSED_IMPORT', '3: EXTRA_SPACE']);
+};
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the tests of the linter.
+ *
+ * Every *test.js file in this directory exports test functions named test*.
+ * A test fails by throwing, usually through the assert module. A test taking
+ * an argument is asynchronous and calls it when done, with an error if it
+ * failed.
+ *
+ * Usage: node test/runtests.js [file ...]
+ * Without arguments all test files are run.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+var _s = require('underscore.string');
+
+
+/**
+ * Milliseconds an asynchronous test may take.
+ * @type {number}
+ */
+var TIMEOUT = 10000;
+
+
+/**
+ * Runs a single test function.
+ * @param {Function} test The test.
+ * @param {function(Error=)} callback Called when the test is done, with an
+ *      error if it failed.
+ */
+var runTest = function(test, callback) {
+    var finished = false;
+    var timer = null;
+    var finish = function(err) {
+        if (!finished) {
+            finished = true;
+            clearTimeout(timer);
+            callback(err);
+        }
+    };
+
+    try {
+        if (test.length) {
+            timer = setTimeout(function() {
+                finish(new Error('Timed out.'));
+            }, TIMEOUT);
+            test(finish);
+        } else {
+            test();
+            finish();
+        }
+    } catch (e) {
+        finish(e);
+    }
+};
+
+
+/**
+ * Runs the tests of the files one after another.
+ * @param {Array.<string>} files Paths to the test files.
+ * @param {function(number, number)} callback Called with the number of run
+ *      and of failed tests.
+ */
+var runFiles = function(files, callback) {
+    var tests = [];
+    _.each(files, function(file) {
+        var testModule = require(path.resolve(file));
+        _.each(testModule, function(test, name) {
+            if (_s.startsWith(name, 'test') && _.isFunction(test)) {
+                tests.push({
+                    name: _s.sprintf('%s: %s', path.basename(file), name),
+                    fn: test
+                });
+            }
+        });
+    });
+
+    var failures = 0;
+    var next = function(index) {
+        if (index == tests.length) {
+            callback(tests.length, failures);
+            return;
+        }
+
+        runTest(tests[index].fn, function(err) {
+            if (err) {
+                failures++;
+                console.log('FAIL ' + tests[index].name);
+                console.log(err.stack || err);
+            } else {
+                console.log('ok   ' + tests[index].name);
+            }
+            next(index + 1);
+        });
+    };
+    next(0);
+};
+
+
+var files = process.argv.slice(2);
+if (!files.length) {
+    files = _.map(_.filter(fs.readdirSync(__dirname), function(file) {
+        return _s.endsWith(file, 'test.js');
+    }).sort(), function(file) {
+        return path.join(__dirname, file);
+    });
+}
+
+runFiles(files, function(count, failures) {
+    console.log(_s.sprintf('\n%d tests, %d failed.', count, failures));
+    process.exit(failures ? 1 : 0);
+});
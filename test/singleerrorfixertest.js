@@ -0,0 +1,97 @@
+/**
+ * Tests for fixing a single error described by its record.
+ */
+
+var assert = require('assert');
+var _ = require('underscore');
+
+var options = require('../lib/options');
+var runner = require('../lib/runner');
+var singleErrorFixer = require('../lib/singleerrorfixer');
+
+
+/**
+ * Options of the run, indentation is checked by the strict rules.
+ * @type {Options}
+ */
+var OPTIONS = options.create({strict: true});
+
+
+/**
+ * Checks the source and returns the record of the error with the given name.
+ * @param {string} source The source.
+ * @param {string} name Name of the error.
+ * @return {ErrorRecord} The record.
+ * @private
+ */
+var _getRecord = function(source, name) {
+    return _.findWhere(runner.checkPath('fixed.js', OPTIONS, source),
+            {name: name});
+};
+
+
+/**
+ * Tests that wrong indentation is located at the indentation and fixed.
+ */
+exports.testWrongIndentation = function() {
+    var source = 'function f() {\n      var x = 1 ;\n}\n';
+    var record = _getRecord(source, 'WRONG_INDENTATION');
+
+    assert.deepEqual(_.pick(record, 'line', 'column', 'endLine', 'endColumn'),
+            {line: 2, column: 1, endLine: 2, endColumn: 7});
+    assert.deepEqual(singleErrorFixer.computeFix(record, source, OPTIONS), {
+        startLine: 2,
+        startColumn: 3,
+        endLine: 2,
+        endColumn: 7,
+        text: ''
+    });
+};
+
+
+/**
+ * Tests that only the error of the record is fixed.
+ */
+exports.testOnlyRecordFixed = function() {
+    var source = 'var x = 1 ;\nvar y = "y" ;\n';
+    var record = _getRecord(source, 'UNNECESSARY_DOUBLE_QUOTED_STRING');
+
+    assert.deepEqual(singleErrorFixer.computeFix(record, source, OPTIONS), {
+        startLine: 2,
+        startColumn: 9,
+        endLine: 2,
+        endColumn: 12,
+        text: '\'y\''
+    });
+};
+
+
+/**
+ * Tests that errors the fixer can't fix have no fix.
+ */
+exports.testNotFixable = function() {
+    var source = 'var x = \'' + new Array(80).join('x') + '\';\n';
+    var record = _getRecord(source, 'LINE_TOO_LONG');
+
+    assert.equal(record.fixable, false);
+    assert.equal(singleErrorFixer.computeFix(record, source, OPTIONS), null);
+};
+
+
+/**
+ * Tests that errors in html files are fixed in the given source, not in the
+ * file on disk.
+ */
+exports.testHtml = function() {
+    var source = '<html>\n<script>\nvar y = "y";\n</script>\n</html>\n';
+    var record = _.findWhere(runner.checkPath('unsaved.html', OPTIONS, source),
+            {name: 'UNNECESSARY_DOUBLE_QUOTED_STRING'});
+
+    assert.deepEqual(singleErrorFixer.computeFix(record, source, OPTIONS), {
+        startLine: 3,
+        startColumn: 9,
+        endLine: 3,
+        endColumn: 12,
+        text: '\'y\''
+    });
+};
@@ -0,0 +1,48 @@
+/**
+ * Utility functions shared by the tests.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+
+/**
+ * Creates a temporary directory.
+ * @return {string} The real path to the directory, without symbolic links,
+ *      so that it compares equal to paths resolved by the linter.
+ */
+var makeTempDir = function() {
+    return fs.realpathSync(fs.mkdtempSync(
+            path.join(os.tmpdir(), 'gjslint-')));
+};
+
+
+/**
+ * Removes a temporary directory with everything in it.
+ * @param {string} dir Path to the directory.
+ */
+var removeTempDir = function(dir) {
+    fs.rmSync(dir, {recursive: true, force: true});
+};
+
+
+/**
+ * Runs the test with a temporary directory, removed afterwards.
+ * @param {function(string): T} test Called with the path to the directory.
+ * @return {T} The result of the test.
+ * @template T
+ */
+var withTempDir = function(test) {
+    var dir = makeTempDir();
+    try {
+        return test(dir);
+    } finally {
+        removeTempDir(dir);
+    }
+};
+
+
+exports.makeTempDir = makeTempDir;
+exports.removeTempDir = removeTempDir;
+exports.withTempDir = withTempDir;
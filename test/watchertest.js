@@ -0,0 +1,139 @@
+/**
+ * Tests for watching the checked files for changes.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var options = require('../lib/options');
+var watcher = require('../lib/watcher');
+
+var testUtil = require('./testutil');
+
+
+/**
+ * Tests that changed, created and removed files are reported with absolute
+ * paths, also for files given by relative paths. Only files created under a
+ * root are added, other files next to the checked ones are not.
+ * @param {function(Error=)} done Called when the test is done.
+ */
+exports.testChanges = function(done) {
+    var dir = testUtil.makeTempDir();
+    var root = path.join(dir, 'root');
+    var checked = path.join(dir, 'checked.js');
+    var sibling = path.join(dir, 'sibling.js');
+    var createdSibling = path.join(dir, 'created_sibling.js');
+    var checkedInRoot = path.join(root, 'checked.js');
+    var unchecked = path.join(root, 'unchecked.js');
+    var created = path.join(root, 'created.js');
+    fs.mkdirSync(root);
+    fs.writeFileSync(checked, 'var x = 1;\n');
+    fs.writeFileSync(sibling, 'var x = 1;\n');
+    fs.writeFileSync(checkedInRoot, 'var x = 1;\n');
+    fs.writeFileSync(unchecked, 'var x = 1;\n');
+
+    var fileWatcher = new watcher.Watcher(
+            [path.relative(process.cwd(), checked), checkedInRoot], [root],
+            ['.js'], options.create());
+    var reports = [];
+    var finish = function(err) {
+        fileWatcher.close();
+        testUtil.removeTempDir(dir);
+        done(err);
+    };
+
+    try {
+        assert.deepEqual(fileWatcher.getPaths(), [checked, checkedInRoot]);
+    } catch (e) {
+        finish(e);
+        return;
+    }
+
+    fileWatcher.start(function(changedPaths, removedPaths) {
+        reports.push([changedPaths, removedPaths]);
+        if (reports.length == 1) {
+            fs.unlinkSync(checked);
+            return;
+        }
+
+        try {
+            assert.deepEqual(reports, [
+                [[checked, checkedInRoot, created], []],
+                [[], [checked]]
+            ]);
+            assert.deepEqual(fileWatcher.getPaths(),
+                    [checkedInRoot, created]);
+        } catch (e) {
+            finish(e);
+            return;
+        }
+        finish();
+    });
+
+    fs.writeFileSync(checked, 'var x = 2;\n');
+    fs.writeFileSync(sibling, 'var x = 2;\n');
+    fs.writeFileSync(createdSibling, 'var y = 1;\n');
+    fs.writeFileSync(checkedInRoot, 'var x = 2;\n');
+    fs.writeFileSync(unchecked, 'var x = 2;\n');
+    fs.writeFileSync(created, 'var y = 1;\n');
+};
+
+
+/**
+ * Tests that directories of files in .git are not watched.
+ */
+exports.testGitDirectory = function() {
+    testUtil.withTempDir(function(dir) {
+        var gitFile = path.join(dir, '.git', 'hooks', 'hook.js');
+        fs.mkdirSync(path.dirname(gitFile), {recursive: true});
+        fs.writeFileSync(gitFile, 'var x = 1;\n');
+
+        var fsWatch = fs.watch;
+        var watchedDirs = [];
+        fs.watch = function(dir) {
+            watchedDirs.push(dir);
+            return fsWatch.apply(fs, arguments);
+        };
+
+        var fileWatcher = new watcher.Watcher([gitFile], [dir], ['.js'],
+                options.create());
+        try {
+            fileWatcher.start(function() {});
+        } finally {
+            fs.watch = fsWatch;
+            fileWatcher.close();
+        }
+        assert.deepEqual(watchedDirs, []);
+    });
+};
+
+
+/**
+ * Tests that a file removed right after it changed is not reported.
+ * @param {function(Error=)} done Called when the test is done.
+ */
+exports.testRemovedAfterChange = function(done) {
+    var dir = testUtil.makeTempDir();
+    var checked = path.join(dir, 'checked.js');
+    var temporary = path.join(dir, 'temporary.js');
+    fs.writeFileSync(checked, 'var x = 1;\n');
+
+    var fileWatcher = new watcher.Watcher([checked], [], ['.js'],
+            options.create());
+    fileWatcher.start(function(changedPaths, removedPaths) {
+        fileWatcher.close();
+        testUtil.removeTempDir(dir);
+        try {
+            assert.deepEqual([changedPaths, removedPaths], [[checked], []]);
+        } catch (e) {
+            done(e);
+            return;
+        }
+        done();
+    });
+
+    fs.writeFileSync(temporary, 'var y = 1;\n');
+    fs.unlinkSync(temporary);
+    fs.writeFileSync(checked, 'var x = 2;\n');
+};
@@ -0,0 +1,30 @@
+/**
+ * Tests for the utilities writing XML.
+ */
+
+var assert = require('assert');
+
+var xmlUtil = require('../common/xmlutil');
+
+
+/**
+ * Tests escaping markup, whitespace and control characters.
+ */
+exports.testEscape = function() {
+    assert.equal(xmlUtil.escape('a < b && c > "d" \'e\''),
+            'a &lt; b &amp;&amp; c &gt; &quot;d&quot; &apos;e&apos;');
+    assert.equal(xmlUtil.escape('a\tb\r\nc'), 'a&#9;b&#13;&#10;c');
+    assert.equal(xmlUtil.escape('a\x00b\x08c\x0Bd\x1Fe'), 'abcde');
+    assert.equal(xmlUtil.escape(12), '12');
+};
+
+
+/**
+ * Tests that attribute values keep line breaks.
+ */
+exports.testStartTag = function() {
+    assert.equal(xmlUtil.startTag('error', {
+        message: 'Line 1\nLine 2',
+        source: null
+    }, true), '<error message="Line 1&#10;Line 2"/>');
+};